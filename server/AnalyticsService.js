@@ -0,0 +1,379 @@
+/**
+ * AnalyticsService.js
+ * Aggregates finalized observation data for the administrator analytics dashboard:
+ * proficiency distribution by building, role and year, component rating frequency,
+ * and look-for frequency. Walkthroughs have no ratings and get their own look-for
+ * frequency report per teacher and per building.
+ */
+
+/**
+ * Creates an empty count for each proficiency level.
+ * @returns {Object} Counts keyed by PROFICIENCY_LEVELS.KEYS.
+ * @private
+ */
+function _emptyProficiencyCounts() {
+  const counts = {};
+  PROFICIENCY_LEVELS.KEYS.forEach(key => { counts[key] = 0; });
+  return counts;
+}
+
+/**
+ * Converts a map of group name to counts into a sorted array for the client.
+ * @param {Object} groups Counts keyed by group name.
+ * @returns {Array<Object>} [{key, counts, total}] sorted by key.
+ * @private
+ */
+function _groupsToArray(groups) {
+  return Object.keys(groups).sort().map(key => ({
+    key: key,
+    counts: groups[key],
+    total: PROFICIENCY_LEVELS.KEYS.reduce((sum, level) => sum + groups[key][level], 0)
+  }));
+}
+
+/**
+ * Splits a Staff sheet building value ("High School, Special Services") into display names.
+ * @param {string} buildingString The building value.
+ * @returns {Array<string>} Building names, or ['Unassigned'] when empty.
+ * @private
+ */
+function _splitBuildings(buildingString) {
+  const buildings = (buildingString || '').toString().split(',').map(b => b.trim()).filter(Boolean);
+  return buildings.length > 0 ? buildings : ['Unassigned'];
+}
+
+/**
+ * Reads component titles from each role's rubric, falling back to the component ID.
+ * @param {Array<string>} roles Roles present in the analyzed observations.
+ * @returns {Object} Titles keyed by component ID.
+ * @private
+ */
+function _getComponentTitles(roles) {
+  const titles = {};
+  roles.forEach(role => {
+    const rubricData = getAllDomainsData(role, null, VIEW_MODES.FULL);
+    if (!rubricData || rubricData.isError) return;
+    (rubricData.domains || []).forEach(domain => {
+      (domain.components || []).forEach(component => {
+        if (!titles[component.componentId]) titles[component.componentId] = component.title;
+      });
+    });
+  });
+  return titles;
+}
+
+/**
+ * Aggregates proficiency selections and look-fors across observations.
+ * @param {Array<Object>} observations Full observation objects to include.
+ * @param {Object} staffByEmail Staff sheet users keyed by email, for buildings.
+ * @param {Object} componentTitles Optional. Titles keyed by component ID, for every component of
+ *     the rubrics analyzed.
+ * @returns {Object} Totals, overall distribution, groupings and frequency lists.
+ */
+function buildProficiencyAnalytics(observations, staffByEmail, componentTitles = {}) {
+  const distribution = _emptyProficiencyCounts();
+  const byBuilding = {};
+  const byRole = {};
+  const byYear = {};
+  const components = {};
+  const lookFors = {};
+  const staffEmails = new Set();
+  let ratings = 0;
+
+  const addTo = (groups, key, proficiency) => {
+    if (!groups[key]) groups[key] = _emptyProficiencyCounts();
+    groups[key][proficiency]++;
+  };
+
+  observations.forEach(obs => {
+    const staff = staffByEmail[obs.observedEmail] || {};
+    const buildings = _splitBuildings(staff.building);
+    const role = obs.observedRole || 'Unknown';
+    const year = formatYearDisplay(obs.observedYear);
+    const observationData = obs.observationData || {};
+    staffEmails.add(obs.observedEmail);
+
+    Object.keys(observationData).forEach(componentId => {
+      const componentData = observationData[componentId] || {};
+      const proficiency = componentData.proficiency;
+
+      if (PROFICIENCY_LEVELS.KEYS.includes(proficiency)) {
+        ratings++;
+        distribution[proficiency]++;
+        buildings.forEach(building => addTo(byBuilding, building, proficiency));
+        addTo(byRole, role, proficiency);
+        addTo(byYear, year, proficiency);
+        addTo(components, componentId, proficiency);
+      }
+
+      (Array.isArray(componentData.lookfors) ? componentData.lookfors : []).forEach(lookFor => {
+        const key = `${componentId}\u0000${lookFor}`;
+        if (!lookFors[key]) lookFors[key] = { componentId: componentId, lookFor: lookFor, count: 0 };
+        lookFors[key].count++;
+      });
+    });
+  });
+
+  const titleFor = componentId => componentTitles[componentId] || componentId;
+  const componentList = _groupsToArray(components)
+    .map(item => ({ componentId: item.key, title: titleFor(item.key), counts: item.counts, total: item.total }))
+    .sort((a, b) => b.total - a.total || a.componentId.localeCompare(b.componentId));
+  const mostRated = componentList.slice(0, ANALYTICS_SETTINGS.TOP_COMPONENTS);
+
+  // Least rated draws on every rubric component, so ones never rated count as 0, and leaves out
+  // the most rated when there are too few components to fill both lists
+  const unrated = Object.keys(componentTitles)
+    .filter(componentId => !components[componentId])
+    .map(componentId => ({ componentId: componentId, title: titleFor(componentId), counts: _emptyProficiencyCounts(), total: 0 }));
+  const leastRated = componentList.concat(unrated)
+    .filter(item => !mostRated.includes(item))
+    .sort((a, b) => a.total - b.total || a.componentId.localeCompare(b.componentId))
+    .slice(0, ANALYTICS_SETTINGS.TOP_COMPONENTS);
+
+  return {
+    totals: { observations: observations.length, staff: staffEmails.size, ratings: ratings },
+    distribution: distribution,
+    byBuilding: _groupsToArray(byBuilding),
+    byRole: _groupsToArray(byRole),
+    byYear: _groupsToArray(byYear),
+    components: componentList,
+    mostRated: mostRated,
+    leastRated: leastRated,
+    lookFors: Object.keys(lookFors)
+      .map(key => Object.assign({ title: titleFor(lookFors[key].componentId) }, lookFors[key]))
+      .sort((a, b) => b.count - a.count || a.lookFor.localeCompare(b.lookFor))
+      .slice(0, ANALYTICS_SETTINGS.TOP_LOOK_FORS)
+  };
+}
+
+/**
+ * Builds the analytics dashboard for an administrator. Only finalized observations of
+ * staff in the administrator's building(s) are included, matching getStaffForAdmin();
+ * walkthroughs are left to getWalkthroughReport().
+ * @param {Object} adminContext The administrator's user context (email, role, building).
+ * @param {Object} filters Optional. { building, role, year, cycle }; empty values mean "all".
+ * @returns {Object} A response object with the analytics and the available filter options.
+ */
+function getProficiencyAnalytics(adminContext, filters = {}) {
+  try {
+    if (!adminContext || adminContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+      return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+
+    const allStaff = getStaffData();
+    const staffByEmail = {};
+    ((allStaff && allStaff.users) || []).forEach(user => {
+      // Admins without building data see every building, as in getStaffForAdmin()
+      if (!adminContext.building || buildingsMatch(user.building, adminContext.building)) {
+        staffByEmail[user.email] = user;
+      }
+    });
+
+    const inScope = _getObservationsDb()
+      .filter(obs => FINALIZED_OBSERVATION_STATUSES.includes(obs.status) && !isWalkthroughObservation(obs))
+      .filter(obs => staffByEmail[obs.observedEmail] && obs.observedEmail !== adminContext.email);
+
+    const filterOptions = { buildings: new Set(), roles: new Set(), years: new Set(), cycles: new Set([getSchoolYearCycle()]) };
+    inScope.forEach(obs => {
+      _splitBuildings(staffByEmail[obs.observedEmail].building).forEach(b => filterOptions.buildings.add(b));
+      if (obs.observedRole) filterOptions.roles.add(obs.observedRole);
+      filterOptions.years.add(formatYearDisplay(obs.observedYear));
+      const cycle = getSchoolYearCycle(_getObservationEffectiveDate(obs));
+      if (cycle) filterOptions.cycles.add(cycle);
+    });
+
+    const criteria = filters || {};
+    const filtered = inScope.filter(obs =>
+      (!criteria.building || _splitBuildings(staffByEmail[obs.observedEmail].building).includes(criteria.building)) &&
+      (!criteria.role || obs.observedRole === criteria.role) &&
+      (!criteria.year || formatYearDisplay(obs.observedYear) === criteria.year) &&
+      (!criteria.cycle || getSchoolYearCycle(_getObservationEffectiveDate(obs)) === criteria.cycle));
+
+    const roles = Array.from(new Set(filtered.map(obs => obs.observedRole).filter(Boolean)));
+    const analytics = buildProficiencyAnalytics(filtered, staffByEmail, _getComponentTitles(roles));
+
+    return {
+      success: true,
+      analytics: analytics,
+      filters: criteria,
+      filterOptions: {
+        buildings: Array.from(filterOptions.buildings).sort(),
+        roles: Array.from(filterOptions.roles).sort(),
+        years: Array.from(filterOptions.years).sort(),
+        cycles: Array.from(filterOptions.cycles).sort().reverse()
+      }
+    };
+  } catch (error) {
+    console.error('Error in getProficiencyAnalytics:', error);
+    return { success: false, error: 'Failed to load analytics: ' + error.message };
+  }
+}
+
+/**
+ * Adds an observation's checked look-fors to a set of counts.
+ * @param {Object} counts Counts keyed by component ID and look-for text.
+ * @param {Object} observation The observation.
+ * @private
+ */
+function _countLookFors(counts, observation) {
+  const observationData = observation.observationData || {};
+  Object.keys(observationData).forEach(componentId => {
+    const lookFors = (observationData[componentId] || {}).lookfors;
+    (Array.isArray(lookFors) ? lookFors : []).forEach(lookFor => {
+      const key = `${componentId}\u0000${lookFor}`;
+      if (!counts[key]) counts[key] = { componentId: componentId, lookFor: lookFor, count: 0 };
+      counts[key].count++;
+    });
+  });
+}
+
+/**
+ * Converts look-for counts into a list with each look-for's share of the walkthroughs.
+ * @param {Object} counts Counts from _countLookFors().
+ * @param {number} walkthroughs Number of walkthroughs counted.
+ * @param {Object} componentTitles Titles keyed by component ID.
+ * @returns {Array<Object>} [{componentId, title, lookFor, count, percent}], most frequent first.
+ * @private
+ */
+function _lookForFrequencies(counts, walkthroughs, componentTitles) {
+  return Object.keys(counts)
+    .map(key => Object.assign({
+      title: componentTitles[counts[key].componentId] || counts[key].componentId,
+      percent: walkthroughs > 0 ? Math.round((counts[key].count / walkthroughs) * 100) : 0
+    }, counts[key]))
+    .sort((a, b) => b.count - a.count || a.lookFor.localeCompare(b.lookFor));
+}
+
+/**
+ * Aggregates walkthrough look-fors per teacher and per building. A look-for's percent is the
+ * share of the group's walkthroughs in which it was seen.
+ * @param {Array<Object>} walkthroughs Full walkthrough observation objects to include.
+ * @param {Object} staffByEmail Staff sheet users keyed by email, for buildings.
+ * @param {Object} componentTitles Optional. Titles keyed by component ID.
+ * @returns {Object} { totals, byBuilding: [{building, walkthroughs, staff, lookFors}],
+ *     byTeacher: [{email, name, building, walkthroughs, lastDate, lastNote, lookFors}] }
+ */
+function buildWalkthroughReport(walkthroughs, staffByEmail, componentTitles = {}) {
+  const buildings = {};
+  const teachers = {};
+  const allCounts = {};
+
+  walkthroughs.forEach(obs => {
+    const staff = staffByEmail[obs.observedEmail] || {};
+    const date = _getObservationEffectiveDate(obs);
+    _countLookFors(allCounts, obs);
+
+    if (!teachers[obs.observedEmail]) {
+      teachers[obs.observedEmail] = {
+        email: obs.observedEmail,
+        name: obs.observedName || staff.name || obs.observedEmail,
+        building: staff.building || '',
+        walkthroughs: 0,
+        lastDate: null,
+        lastNote: '',
+        counts: {}
+      };
+    }
+    const teacher = teachers[obs.observedEmail];
+    teacher.walkthroughs++;
+    _countLookFors(teacher.counts, obs);
+    if (!teacher.lastDate || date > teacher.lastDate) {
+      teacher.lastDate = date;
+      teacher.lastNote = obs.walkthroughNote || '';
+    }
+
+    _splitBuildings(staff.building).forEach(building => {
+      if (!buildings[building]) buildings[building] = { building: building, walkthroughs: 0, staff: new Set(), counts: {} };
+      buildings[building].walkthroughs++;
+      buildings[building].staff.add(obs.observedEmail);
+      _countLookFors(buildings[building].counts, obs);
+    });
+  });
+
+  return {
+    totals: {
+      walkthroughs: walkthroughs.length,
+      staff: Object.keys(teachers).length,
+      lookFors: Object.keys(allCounts).reduce((sum, key) => sum + allCounts[key].count, 0)
+    },
+    byBuilding: Object.keys(buildings).sort().map(key => ({
+      building: key,
+      walkthroughs: buildings[key].walkthroughs,
+      staff: buildings[key].staff.size,
+      lookFors: _lookForFrequencies(buildings[key].counts, buildings[key].walkthroughs, componentTitles)
+    })),
+    byTeacher: Object.keys(teachers)
+      .map(email => teachers[email])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(teacher => ({
+        email: teacher.email,
+        name: teacher.name,
+        building: teacher.building,
+        walkthroughs: teacher.walkthroughs,
+        lastDate: isNaN(teacher.lastDate) ? null : teacher.lastDate.toISOString(),
+        lastNote: teacher.lastNote,
+        lookFors: _lookForFrequencies(teacher.counts, teacher.walkthroughs, componentTitles)
+          .slice(0, WALKTHROUGH_SETTINGS.TOP_LOOK_FORS)
+      }))
+  };
+}
+
+/**
+ * Builds the walkthrough report from finalized walkthroughs. Administrators see staff in their
+ * building(s), as on the analytics dashboard; peer evaluators see everyone.
+ * @param {Object} userContext The user's context (email, role, building).
+ * @param {Object} filters Optional. { building, cycle }; empty values mean "all".
+ * @returns {Object} A response object with the report and the available filter options.
+ */
+function getWalkthroughReport(userContext, filters = {}) {
+  try {
+    if (!userContext || (userContext.role !== SPECIAL_ROLES.ADMINISTRATOR && userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR)) {
+      return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+
+    const scopeBuilding = userContext.role === SPECIAL_ROLES.ADMINISTRATOR ? userContext.building : null;
+    const staffByEmail = {};
+    ((getStaffData() || {}).users || []).forEach(user => {
+      if (!scopeBuilding || buildingsMatch(user.building, scopeBuilding)) {
+        staffByEmail[user.email] = user;
+      }
+    });
+
+    const inScope = _getObservationsDb()
+      .filter(obs => FINALIZED_OBSERVATION_STATUSES.includes(obs.status) && isWalkthroughObservation(obs))
+      .filter(obs => staffByEmail[obs.observedEmail] && obs.observedEmail !== userContext.email);
+
+    const buildingOptions = new Set();
+    const cycleOptions = new Set([getSchoolYearCycle()]);
+    inScope.forEach(obs => {
+      _splitBuildings(staffByEmail[obs.observedEmail].building).forEach(b => buildingOptions.add(b));
+      const cycle = getSchoolYearCycle(_getObservationEffectiveDate(obs));
+      if (cycle) cycleOptions.add(cycle);
+    });
+
+    const criteria = filters || {};
+    const filtered = inScope.filter(obs =>
+      (!criteria.building || _splitBuildings(staffByEmail[obs.observedEmail].building).includes(criteria.building)) &&
+      (!criteria.cycle || getSchoolYearCycle(_getObservationEffectiveDate(obs)) === criteria.cycle));
+
+    const roles = Array.from(new Set(filtered.map(obs => obs.observedRole).filter(Boolean)));
+    const report = buildWalkthroughReport(filtered, staffByEmail, _getComponentTitles(roles));
+    // A teacher in several buildings is reported under the filtered one
+    if (criteria.building) {
+      report.byBuilding = report.byBuilding.filter(group => group.building === criteria.building);
+    }
+
+    return {
+      success: true,
+      report: report,
+      filters: criteria,
+      filterOptions: {
+        buildings: Array.from(buildingOptions).sort(),
+        cycles: Array.from(cycleOptions).sort().reverse()
+      }
+    };
+  } catch (error) {
+    console.error('Error in getWalkthroughReport:', error);
+    return { success: false, error: 'Failed to load the walkthrough report: ' + error.message };
+  }
+}
@@ -24,9 +24,42 @@ const AUDIT_ACTIONS = {
   OBSERVATION_CREATED: 'OBSERVATION_CREATED',
   OBSERVATION_VIEWED: 'OBSERVATION_VIEWED',
   OBSERVATION_EDITED: 'OBSERVATION_EDITED',
+  OBSERVATION_SUBMITTED: 'OBSERVATION_SUBMITTED',
+  OBSERVATION_RETURNED: 'OBSERVATION_RETURNED',
   OBSERVATION_FINALIZED: 'OBSERVATION_FINALIZED',
+  OBSERVATION_ACKNOWLEDGED: 'OBSERVATION_ACKNOWLEDGED',
+  OBSERVATION_SIGNED: 'OBSERVATION_SIGNED',
+  STATUS_CHANGE_DENIED: 'STATUS_CHANGE_DENIED',
+  STAFF_RESPONSE_SAVED: 'STAFF_RESPONSE_SAVED',
   OBSERVATION_DELETED: 'OBSERVATION_DELETED',
   OBSERVATION_PDF_GENERATED: 'OBSERVATION_PDF_GENERATED',
+  OBSERVATION_SNAPSHOT_RESTORED: 'OBSERVATION_SNAPSHOT_RESTORED',
+
+  // Summative Evaluations
+  SUMMATIVE_CREATED: 'SUMMATIVE_CREATED',
+  SUMMATIVE_UPDATED: 'SUMMATIVE_UPDATED',
+  SUMMATIVE_FINALIZED: 'SUMMATIVE_FINALIZED',
+
+  // Observation Scheduling
+  SCHEDULE_CREATED: 'SCHEDULE_CREATED',
+  SCHEDULE_UPDATED: 'SCHEDULE_UPDATED',
+
+  // Professional Growth Goals
+  GOAL_CREATED: 'GOAL_CREATED',
+  GOAL_UPDATED: 'GOAL_UPDATED',
+  GOAL_DELETED: 'GOAL_DELETED',
+  GOAL_COMMENTED: 'GOAL_COMMENTED',
+
+  // Bulk Export
+  BULK_EXPORT_REQUESTED: 'BULK_EXPORT_REQUESTED',
+  BULK_EXPORT_COMPLETED: 'BULK_EXPORT_COMPLETED',
+
+  // Compliance
+  COMPLIANCE_REPORT_EXPORTED: 'COMPLIANCE_REPORT_EXPORTED',
+
+  // Transcription
+  TRANSCRIPTION_JOB_RETRIED: 'TRANSCRIPTION_JOB_RETRIED',
+  TRANSCRIPTION_JOB_CANCELLED: 'TRANSCRIPTION_JOB_CANCELLED',
 
   // Administrative Access
   ADMIN_OBSERVATION_ACCESS: 'ADMIN_OBSERVATION_ACCESS',
@@ -42,6 +75,7 @@ const AUDIT_ACTIONS = {
 
   // Data Access
   RUBRIC_DATA_ACCESSED: 'RUBRIC_DATA_ACCESSED',
+  RUBRIC_EDITED: 'RUBRIC_EDITED',
   CACHE_CLEARED: 'CACHE_CLEARED'
 };
 
@@ -130,11 +164,16 @@ function getActionSeverity(action) {
   ];
 
   const mediumSeverity = [
+    AUDIT_ACTIONS.OBSERVATION_RETURNED,
     AUDIT_ACTIONS.OBSERVATION_FINALIZED,
+    AUDIT_ACTIONS.OBSERVATION_SIGNED,
+    AUDIT_ACTIONS.STATUS_CHANGE_DENIED,
     AUDIT_ACTIONS.OBSERVATION_DELETED,
+    AUDIT_ACTIONS.SUMMATIVE_FINALIZED,
     AUDIT_ACTIONS.ADMIN_OBSERVATION_ACCESS,
     AUDIT_ACTIONS.EMAIL_SENT,
-    AUDIT_ACTIONS.ROLE_CHANGED
+    AUDIT_ACTIONS.ROLE_CHANGED,
+    AUDIT_ACTIONS.RUBRIC_EDITED
   ];
 
   if (highSeverity.includes(action)) return 'HIGH';
@@ -0,0 +1,560 @@
+/**
+ * BulkExportService.js
+ * Bulk export of finalized observation PDFs for a building or a list of staff, optionally with
+ * script documents and evidence files, into zip files in Drive with a manifest CSV.
+ *
+ * Jobs are queued in Script Properties and run in chunks by processBulkExportQueue() on a
+ * time-based trigger, so large exports survive the execution time limit:
+ *   pending    -> create the export folder and list the observations to include
+ *   collecting -> copy files into a staging folder, a few observations per run
+ *   zipping    -> zip the staged files, one zip part per step, then write the manifest
+ * The trigger runs as the account that installed it, which must be able to read the
+ * observation files; files it cannot open are listed in the manifest instead of failing the job.
+ */
+
+/**
+ * Reads a bulk export job from Script Properties.
+ * @param {string} jobId The job ID.
+ * @returns {Object|null} The job, or null if not found or unreadable.
+ */
+function getBulkExportJob(jobId) {
+  const jobString = PropertiesService.getScriptProperties().getProperty(BULK_EXPORT_SETTINGS.JOB_PROPERTY_PREFIX + jobId);
+  if (!jobString) return null;
+  try {
+    return JSON.parse(jobString);
+  } catch (error) {
+    console.error('Malformed JSON for bulk export job:', jobId, error);
+    return null;
+  }
+}
+
+/**
+ * Saves a bulk export job to Script Properties.
+ * @param {Object} job The job.
+ * @private
+ */
+function _saveBulkExportJob(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(BULK_EXPORT_SETTINGS.JOB_PROPERTY_PREFIX + job.jobId, JSON.stringify(job));
+}
+
+/**
+ * Reads a list of job IDs (the queue or the history) from Script Properties.
+ * @param {string} propertyName BULK_EXPORT_SETTINGS.QUEUE_PROPERTY or HISTORY_PROPERTY.
+ * @returns {Array<string>} Job IDs.
+ * @private
+ */
+function _getBulkExportIds(propertyName) {
+  const value = PropertiesService.getScriptProperties().getProperty(propertyName);
+  return value ? JSON.parse(value) : [];
+}
+
+/**
+ * Selects the finalized observations covered by a bulk export request.
+ * @param {Object} adminContext The requesting administrator (email, role, building).
+ * @param {{building?: string, staffEmails?: Array<string>, cycle?: string}} request The export scope.
+ * @returns {Object} { items } with one entry per observation, or { error }.
+ */
+function selectBulkExportObservations(adminContext, request) {
+  const allStaff = getStaffData();
+  const staffInScope = ((allStaff && allStaff.users) || []).filter(user =>
+    !adminContext.building || buildingsMatch(user.building, adminContext.building));
+
+  let selected;
+  if (request.building) {
+    if (adminContext.building && !buildingsMatch(request.building, adminContext.building)) {
+      return { error: 'You can only export observations for your own building(s).' };
+    }
+    selected = staffInScope.filter(user => buildingsMatch(user.building, request.building));
+  } else if (Array.isArray(request.staffEmails) && request.staffEmails.length > 0) {
+    selected = staffInScope.filter(user => request.staffEmails.includes(user.email));
+    if (selected.length !== new Set(request.staffEmails).size) {
+      return { error: 'Some of the selected staff are not in your building(s).' };
+    }
+  } else {
+    return { error: 'Choose a building or at least one staff member to export.' };
+  }
+
+  const staffByEmail = {};
+  selected.forEach(user => { staffByEmail[user.email] = user; });
+  const timeZone = Session.getScriptTimeZone();
+
+  const items = _getObservationsDb()
+    .filter(obs => staffByEmail[obs.observedEmail] && FINALIZED_OBSERVATION_STATUSES.includes(obs.status))
+    .filter(obs => !request.cycle || getSchoolYearCycle(_getObservationEffectiveDate(obs)) === request.cycle)
+    .map(obs => {
+      const evidence = [];
+      Object.keys(obs.evidenceLinks || {}).forEach(componentId => {
+        (obs.evidenceLinks[componentId] || []).forEach(link => {
+          evidence.push({ componentId: componentId, name: link.name, url: link.url });
+        });
+      });
+      return {
+        observationId: obs.observationId,
+        staffName: staffByEmail[obs.observedEmail].name,
+        staffEmail: obs.observedEmail,
+        building: staffByEmail[obs.observedEmail].building || '',
+        type: obs.Type || OBSERVATION_TYPES.STANDARD,
+        date: Utilities.formatDate(_getObservationEffectiveDate(obs), timeZone, 'yyyy-MM-dd'),
+        status: obs.status,
+        pdfUrl: obs.pdfUrl || '',
+        evidence: evidence
+      };
+    })
+    .sort((a, b) => a.staffName.localeCompare(b.staffName) || a.date.localeCompare(b.date));
+
+  return { items: items };
+}
+
+/**
+ * Queues a bulk export. The observations are selected when the job starts, so the request
+ * only checks that something matches.
+ * @param {Object} adminContext The requesting administrator (email, role, building).
+ * @param {{building?: string, staffEmails?: Array<string>, cycle?: string,
+ *     includeScripts?: boolean, includeEvidence?: boolean}} request What to export.
+ * @returns {Object} A response object with the queued job.
+ */
+function createBulkExportJob(adminContext, request) {
+  try {
+    if (!adminContext || adminContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+      return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+
+    const scope = {
+      building: sanitizeText((request && request.building) || ''),
+      staffEmails: ((request && request.staffEmails) || []).map(email => sanitizeText(email)).filter(Boolean),
+      cycle: sanitizeText((request && request.cycle) || '')
+    };
+    const selection = selectBulkExportObservations(adminContext, scope);
+    if (selection.error) {
+      return { success: false, error: selection.error };
+    }
+    if (selection.items.length === 0) {
+      return { success: false, error: 'No finalized observations match this export.' };
+    }
+
+    const label = scope.building || `${scope.staffEmails.length} staff member${scope.staffEmails.length === 1 ? '' : 's'}`;
+    const job = {
+      jobId: Utilities.getUuid(),
+      label: label,
+      scope: scope,
+      includeScripts: !!(request && request.includeScripts),
+      includeEvidence: !!(request && request.includeEvidence),
+      requestedBy: adminContext.email,
+      requester: { email: adminContext.email, role: adminContext.role, building: adminContext.building || null },
+      status: BULK_EXPORT_STATUS.PENDING,
+      attempts: 0,
+      cursor: 0,
+      total: selection.items.length,
+      partIndex: 0,
+      partCount: 0,
+      counts: { included: 0, missing: 0, failed: 0 },
+      zipFiles: [],
+      createdAt: new Date().toISOString()
+    };
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      _saveBulkExportJob(job);
+      const queue = _getBulkExportIds(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY);
+      queue.push(job.jobId);
+      PropertiesService.getScriptProperties().setProperty(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY, JSON.stringify(queue));
+    } finally {
+      lock.releaseLock();
+    }
+
+    if (typeof auditLog === 'function') {
+      auditLog(AUDIT_ACTIONS.BULK_EXPORT_REQUESTED, { jobId: job.jobId, label: label, cycle: scope.cycle, observationCount: job.total });
+    }
+
+    return { success: true, job: _toBulkExportSummary(job) };
+  } catch (error) {
+    console.error('Error creating bulk export job:', error);
+    return { success: false, error: 'Failed to queue the export: ' + error.message };
+  }
+}
+
+/**
+ * Reduces a job to what the client needs.
+ * @param {Object} job The job.
+ * @returns {Object} The job summary.
+ * @private
+ */
+function _toBulkExportSummary(job) {
+  return {
+    jobId: job.jobId,
+    label: job.label,
+    cycle: job.scope.cycle,
+    includeScripts: job.includeScripts,
+    includeEvidence: job.includeEvidence,
+    status: job.status,
+    cursor: job.cursor,
+    total: job.total,
+    partIndex: job.partIndex,
+    partCount: job.partCount,
+    counts: job.counts,
+    folderUrl: job.folderUrl || null,
+    zipFiles: job.zipFiles,
+    manifestUrl: job.manifestUrl || null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+/**
+ * Lists a user's queued and recent bulk exports, newest first.
+ * @param {string} requestingUserEmail The user's email.
+ * @returns {Array<Object>} Job summaries.
+ */
+function getBulkExportJobs(requestingUserEmail) {
+  const ids = _getBulkExportIds(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY).concat(_getBulkExportIds(BULK_EXPORT_SETTINGS.HISTORY_PROPERTY));
+  return ids
+    .map(getBulkExportJob)
+    .filter(job => job && job.requestedBy === requestingUserEmail)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(_toBulkExportSummary);
+}
+
+/**
+ * Processes queued bulk exports until the run's time budget is used up.
+ * Runs on a time-based trigger; see installBulkExportTrigger().
+ */
+function processBulkExportQueue() {
+  const startTime = new Date().getTime();
+  const properties = PropertiesService.getScriptProperties();
+
+  try {
+    const queue = _getBulkExportIds(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY);
+    if (queue.length === 0) {
+      debugLog('Bulk export queue empty');
+      return;
+    }
+
+    const finished = [];
+    for (const jobId of queue) {
+      if (new Date().getTime() - startTime > BULK_EXPORT_SETTINGS.MAX_EXECUTION_MS) {
+        debugLog('Approaching execution limit, leaving remaining bulk exports for the next run');
+        break;
+      }
+
+      const job = getBulkExportJob(jobId);
+      if (!job) {
+        finished.push(jobId);
+        continue;
+      }
+
+      try {
+        _runBulkExportJob(job, startTime);
+      } catch (error) {
+        console.error('Error processing bulk export job:', jobId, error);
+        job.attempts = (job.attempts || 0) + 1;
+        job.error = error.message;
+        if (job.attempts >= BULK_EXPORT_SETTINGS.MAX_ATTEMPTS) {
+          job.status = BULK_EXPORT_STATUS.FAILED;
+          _sendBulkExportNotification(job);
+        }
+        _saveBulkExportJob(job);
+      }
+
+      if (job.status === BULK_EXPORT_STATUS.COMPLETE || job.status === BULK_EXPORT_STATUS.FAILED) {
+        finished.push(jobId);
+      }
+    }
+
+    if (finished.length > 0) {
+      const lock = LockService.getScriptLock();
+      lock.waitLock(30000);
+      try {
+        // Re-read the queue: jobs may have been added while this run was working
+        const remaining = _getBulkExportIds(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY).filter(id => !finished.includes(id));
+        const history = finished.concat(_getBulkExportIds(BULK_EXPORT_SETTINGS.HISTORY_PROPERTY));
+        history.slice(BULK_EXPORT_SETTINGS.MAX_HISTORY).forEach(id => properties.deleteProperty(BULK_EXPORT_SETTINGS.JOB_PROPERTY_PREFIX + id));
+
+        properties.setProperty(BULK_EXPORT_SETTINGS.QUEUE_PROPERTY, JSON.stringify(remaining));
+        properties.setProperty(BULK_EXPORT_SETTINGS.HISTORY_PROPERTY, JSON.stringify(history.slice(0, BULK_EXPORT_SETTINGS.MAX_HISTORY)));
+      } finally {
+        lock.releaseLock();
+      }
+    }
+  } catch (error) {
+    console.error('Error in processBulkExportQueue:', error);
+  }
+}
+
+/**
+ * Advances one job through its phases while time remains in the run.
+ * @param {Object} job The job; updated and saved in place.
+ * @param {number} startTime When the run started (ms).
+ * @private
+ */
+function _runBulkExportJob(job, startTime) {
+  const hasTime = () => new Date().getTime() - startTime < BULK_EXPORT_SETTINGS.MAX_EXECUTION_MS;
+
+  while (hasTime() && job.status !== BULK_EXPORT_STATUS.COMPLETE && job.status !== BULK_EXPORT_STATUS.FAILED) {
+    if (job.status === BULK_EXPORT_STATUS.PENDING) {
+      _startBulkExportJob(job);
+    } else if (job.status === BULK_EXPORT_STATUS.COLLECTING) {
+      _collectBulkExportItems(job, hasTime);
+    } else if (job.status === BULK_EXPORT_STATUS.ZIPPING) {
+      _zipBulkExportPart(job);
+    } else {
+      throw new Error(`Unknown bulk export status: ${job.status}`);
+    }
+    _saveBulkExportJob(job);
+  }
+}
+
+/**
+ * Creates the export and staging folders and stores the observation list in the staging folder
+ * (too large for a Script Property).
+ * @param {Object} job The pending job.
+ * @private
+ */
+function _startBulkExportJob(job) {
+  const selection = selectBulkExportObservations(job.requester, job.scope);
+  if (selection.error) {
+    throw new Error(selection.error);
+  }
+
+  const timeZone = Session.getScriptTimeZone();
+  job.exportName = sanitizeFileName(`Observation Export - ${job.label} - ${job.scope.cycle || 'All Years'} - ${Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd')}`);
+
+  const rootFolder = _getOrCreateFolder(DriveApp.getRootFolder(), DRIVE_FOLDER_INFO.ROOT_FOLDER_NAME);
+  const exportFolder = _getOrCreateFolder(rootFolder, BULK_EXPORT_SETTINGS.FOLDER_NAME).createFolder(job.exportName);
+  const stagingFolder = exportFolder.createFolder('_staging');
+  const itemsFile = stagingFolder.createFile(BULK_EXPORT_SETTINGS.ITEMS_FILE_NAME, JSON.stringify(selection.items), 'application/json');
+
+  if (job.requestedBy !== Session.getEffectiveUser().getEmail()) {
+    exportFolder.addEditor(job.requestedBy);
+  }
+
+  job.folderId = exportFolder.getId();
+  job.folderUrl = exportFolder.getUrl();
+  job.stagingFolderId = stagingFolder.getId();
+  job.itemsFileId = itemsFile.getId();
+  job.total = selection.items.length;
+  job.cursor = 0;
+  job.status = BULK_EXPORT_STATUS.COLLECTING;
+  debugLog('Bulk export started', { jobId: job.jobId, total: job.total });
+}
+
+/**
+ * Replaces characters Drive and zip tools reject in file names.
+ * @param {string} name The file name.
+ * @returns {string} The safe file name.
+ */
+function sanitizeFileName(name) {
+  return String(name || '').replace(/[\\/:*?"<>|\r\n]+/g, '-').trim();
+}
+
+/**
+ * Formats values as one CSV line.
+ * @param {Array<*>} values The values.
+ * @returns {string} The CSV line, without a line ending.
+ * @private
+ */
+function _toCsvLine(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Copies files for observations from the job's cursor into the staging folder until time runs out,
+ * then writes the manifest rows for that chunk.
+ * @param {Object} job The collecting job.
+ * @param {function(): boolean} hasTime Whether the run has time left.
+ * @private
+ */
+function _collectBulkExportItems(job, hasTime) {
+  const stagingFolder = DriveApp.getFolderById(job.stagingFolderId);
+  const items = JSON.parse(DriveApp.getFileById(job.itemsFileId).getBlob().getDataAsString());
+  const chunkStart = job.cursor;
+  const rows = [];
+
+  const stage = (item, kind, name, getBlob) => {
+    let result;
+    try {
+      // A run that failed part-way may already have staged this file
+      if (!stagingFolder.getFilesByName(name).hasNext()) {
+        stagingFolder.createFile(getBlob().setName(name));
+      }
+      result = 'Included';
+      job.counts.included++;
+    } catch (error) {
+      result = `Not accessible: ${error.message}`;
+      job.counts.failed++;
+    }
+    rows.push([item.observationId, item.staffName, item.staffEmail, item.building, item.type, item.date, item.status, kind, name, result]);
+  };
+
+  while (job.cursor < items.length && hasTime()) {
+    const item = items[job.cursor];
+    const baseName = sanitizeFileName(`${item.staffName} - ${item.date} - ${item.type} - ${item.observationId}`);
+
+    if (item.pdfUrl) {
+      stage(item, 'Observation PDF', `${baseName}.pdf`, () => DriveApp.getFileById(extractGoogleFileId(item.pdfUrl)).getBlob());
+    } else {
+      rows.push([item.observationId, item.staffName, item.staffEmail, item.building, item.type, item.date, item.status, 'Observation PDF', '', 'Missing: no PDF has been generated']);
+      job.counts.missing++;
+    }
+
+    if (job.includeScripts) {
+      const scriptDoc = findScriptDoc(item.observationId);
+      if (scriptDoc) {
+        stage(item, 'Script', `${baseName} - Script.pdf`, () => DriveApp.getFileById(scriptDoc.docId).getAs('application/pdf'));
+      }
+    }
+
+    if (job.includeEvidence) {
+      item.evidence.forEach((evidence, index) => {
+        const name = sanitizeFileName(`${baseName} - Evidence ${evidence.componentId.replace(/:$/, '')} ${index + 1} - ${evidence.name || 'file'}`);
+        stage(item, 'Evidence', name, () => DriveApp.getFileById(extractGoogleFileId(evidence.url)).getBlob());
+      });
+    }
+
+    job.cursor++;
+  }
+
+  if (rows.length > 0) {
+    const partName = `${BULK_EXPORT_SETTINGS.MANIFEST_PART_PREFIX}${String(chunkStart).padStart(6, '0')}.csv`;
+    stagingFolder.createFile(partName, rows.map(_toCsvLine).join('\r\n') + '\r\n', 'text/csv');
+  }
+
+  if (job.cursor >= items.length) {
+    job.status = BULK_EXPORT_STATUS.ZIPPING;
+    job.partIndex = 0;
+  }
+}
+
+/**
+ * Lists a folder's files sorted by name.
+ * @param {Folder} folder The folder.
+ * @returns {Array<File>} The files.
+ * @private
+ */
+function _listFilesByName(folder) {
+  const files = [];
+  const iterator = folder.getFiles();
+  while (iterator.hasNext()) files.push(iterator.next());
+  return files.sort((a, b) => a.getName().localeCompare(b.getName()));
+}
+
+/**
+ * Groups files into zip parts of at most BULK_EXPORT_SETTINGS.MAX_ZIP_BYTES (a larger file gets
+ * a part of its own).
+ * @param {Array<number>} sizes File sizes in bytes, in zip order.
+ * @returns {Array<Array<number>>} File indexes for each part.
+ */
+function planZipParts(sizes) {
+  const parts = [];
+  let current = [];
+  let currentBytes = 0;
+  sizes.forEach((size, index) => {
+    if (current.length > 0 && currentBytes + size > BULK_EXPORT_SETTINGS.MAX_ZIP_BYTES) {
+      parts.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(index);
+    currentBytes += size;
+  });
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Builds the manifest CSV from the staged manifest parts.
+ * @param {Array<File>} stagingFiles The staging folder's files, sorted by name.
+ * @returns {string} The manifest CSV.
+ * @private
+ */
+function _buildBulkExportManifest(stagingFiles) {
+  const header = _toCsvLine(['Observation ID', 'Staff Name', 'Staff Email', 'Building', 'Observation Type',
+    'Observation Date', 'Status', 'File Type', 'File Name', 'Result']);
+  return header + '\r\n' + stagingFiles
+    .filter(file => file.getName().indexOf(BULK_EXPORT_SETTINGS.MANIFEST_PART_PREFIX) === 0)
+    .map(file => file.getBlob().getDataAsString())
+    .join('');
+}
+
+/**
+ * Writes the next zip part, or finishes the job once every part is written.
+ * Each zip contains the manifest so it can be read on its own.
+ * @param {Object} job The zipping job.
+ * @private
+ */
+function _zipBulkExportPart(job) {
+  const exportFolder = DriveApp.getFolderById(job.folderId);
+  const stagingFolder = DriveApp.getFolderById(job.stagingFolderId);
+  const stagingFiles = _listFilesByName(stagingFolder);
+  const exportFiles = stagingFiles.filter(file => file.getName().charAt(0) !== '_');
+  const parts = planZipParts(exportFiles.map(file => file.getSize()));
+  const manifest = _buildBulkExportManifest(stagingFiles);
+  job.partCount = parts.length;
+
+  if (job.partIndex < parts.length) {
+    const zipName = parts.length > 1
+      ? `${job.exportName} (part ${job.partIndex + 1} of ${parts.length}).zip`
+      : `${job.exportName}.zip`;
+    const blobs = parts[job.partIndex].map(index => exportFiles[index].getBlob());
+    blobs.push(Utilities.newBlob(manifest, 'text/csv', BULK_EXPORT_SETTINGS.MANIFEST_FILE_NAME));
+
+    const zipFile = exportFolder.createFile(Utilities.zip(blobs, zipName));
+    job.zipFiles.push({ name: zipName, url: zipFile.getUrl() });
+    job.partIndex++;
+    return;
+  }
+
+  const manifestFile = exportFolder.createFile(BULK_EXPORT_SETTINGS.MANIFEST_FILE_NAME, manifest, 'text/csv');
+  stagingFolder.setTrashed(true);
+
+  job.manifestUrl = manifestFile.getUrl();
+  job.status = BULK_EXPORT_STATUS.COMPLETE;
+  job.completedAt = new Date().toISOString();
+  job.error = null;
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.BULK_EXPORT_COMPLETED, { jobId: job.jobId, counts: job.counts, zipCount: job.zipFiles.length });
+  }
+  _sendBulkExportNotification(job);
+}
+
+/**
+ * Emails the requester when an export completes or fails.
+ * @param {Object} job The finished job.
+ * @private
+ */
+function _sendBulkExportNotification(job) {
+  try {
+    const safeLabel = escapeHtml(job.label);
+    const success = job.status === BULK_EXPORT_STATUS.COMPLETE;
+    const htmlBody = success
+      ? `
+        <p>Hello,</p>
+        <p>Your observation export for <strong>${safeLabel}</strong> is ready.</p>
+        <p><a href="${job.folderUrl}">Open the export folder</a></p>
+        <ul>
+          <li>Files included: ${job.counts.included}</li>
+          <li>Observations without a PDF: ${job.counts.missing}</li>
+          <li>Files that could not be read: ${job.counts.failed}</li>
+        </ul>
+        <p>See manifest.csv in the folder for the full list.</p>`
+      : `
+        <p>Hello,</p>
+        <p>We're sorry, but your observation export for <strong>${safeLabel}</strong> has failed.</p>
+        <pre>${escapeHtml(job.error) || 'An unknown error occurred.'}</pre>`;
+
+    MailApp.sendEmail({
+      to: job.requestedBy,
+      subject: success ? `✅ Observation Export Ready: ${job.label}` : `❌ Observation Export Failed: ${job.label}`,
+      htmlBody: htmlBody,
+      name: 'Peer Evaluator System'
+    });
+  } catch (error) {
+    console.error('Error sending bulk export notification email:', error);
+  }
+}
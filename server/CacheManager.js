@@ -93,7 +93,9 @@ function getMasterCacheVersion() {
  */
 function incrementMasterCacheVersion() {
   try {
-    const newVersion = `${CACHE_VERSION}_${Date.now()}`;
+    // Two increments in the same millisecond must still produce a new version
+    const previousTimestamp = parseInt(String(getMasterCacheVersion()).split('_').pop(), 10) || 0;
+    const newVersion = `${CACHE_VERSION}_${Math.max(Date.now(), previousTimestamp + 1)}`;
     const properties = PropertiesService.getScriptProperties();
     properties.setProperty('MASTER_CACHE_VERSION', newVersion);
 
@@ -13,8 +13,6 @@
  */
 const MAX_JOBS_PER_RUN = 5;
 const MAX_JOB_ATTEMPTS = 3;
-const GEMINI_TRANSCRIPTION_MODEL = 'gemini-flash-lite-latest';
-const MAX_BATCH_FILE_SIZE_BYTES = 37 * 1024 * 1024;
 
 
 /**
@@ -166,15 +164,9 @@ function doGet(e) {
     const htmlTemplate = HtmlService.createTemplateFromFile(TEMPLATE_PATHS.STAFF_RUBRIC); // This is now a fallback view
     htmlTemplate.data = rubricData;
 
-    // Check if user has any Work Product or Instructional Round observations
-    let hasWorkProduct = false;
-    let hasInstructionalRound = false;
-    if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
-      hasWorkProduct = checkUserHasWorkProductObservation(userContext.email);
-      hasInstructionalRound = checkUserHasInstructionalRoundFromPeerEvaluator(userContext.email);
-    }
-    htmlTemplate.showWorkProductQuestionsButton = hasWorkProduct;
-    htmlTemplate.showInstructionalRoundQuestionsButton = hasInstructionalRound;
+    // Observation types with questions waiting for this staff member's answers
+    htmlTemplate.observationQuestionTypes = userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR ?
+      getStaffResponseObservationTypes(userContext.email) : [];
 
     // Determine if staff member has finalized observations (for button positioning)
     const hasMyObservations = userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR ?
@@ -342,7 +334,8 @@ function loadRubricData(filterParams) {
 }
 
 /**
- * Processes transcription queue using Gemini Batch API
+ * Processes the transcription queue (the pending and processing rows of the Transcription_Jobs
+ * sheet) through the configured transcription provider (see TranscriptionService.js).
  * This runs on a time-based trigger (every 15-30 minutes)
  */
 function processTranscriptionQueue() {
@@ -350,91 +343,60 @@ function processTranscriptionQueue() {
     const MAX_EXECUTION_TIME = 5 * 60 * 1000; // 5 minutes buffer
 
     try {
-        const properties = PropertiesService.getScriptProperties();
-        let jobQueue = properties.getProperty('transcription_queue');
-
-        if (!jobQueue) {
-            debugLog('Transcription queue empty');
-            return;
-        }
-
-        jobQueue = JSON.parse(jobQueue);
-        if (jobQueue.length === 0) {
-            debugLog('No pending transcription jobs');
-            return;
-        }
-
-        const apiKey = properties.getProperty('GEMINI_API_KEY');
-        if (!apiKey) {
-            console.error('GEMINI_API_KEY not configured');
-            return;
-        }
-
-        // Separate jobs by status
-        const pendingJobs = [];
-        const processingJobs = [];
-
-        jobQueue.forEach(jobId => {
-            const jobDataStr = properties.getProperty('transcription_job_' + jobId);
-            if (!jobDataStr) {
-                console.error('Job data not found:', jobId);
-                return;
-            }
-
-            let jobData;
-            try {
-                jobData = JSON.parse(jobDataStr);
-            } catch (err) {
-                console.error('Malformed JSON for job:', jobId, err);
-                return;
-            }
+        migrateTranscriptionJobProperties();
 
-            if (jobData.status === 'pending') {
-                pendingJobs.push({ jobId, jobData });
-            } else if (jobData.status === 'processing' && jobData.batchJobName) {
-                processingJobs.push({ jobId, jobData });
-            }
-        });
+        const pendingJobs = getTranscriptionJobs([TRANSCRIPTION_JOB_STATUS.PENDING]);
+        const processingJobs = getTranscriptionJobs([TRANSCRIPTION_JOB_STATUS.PROCESSING])
+            .filter(job => job.providerJobName);
 
         debugLog('Queue status', {
-            total: jobQueue.length,
             pending: pendingJobs.length,
             processing: processingJobs.length
         });
 
+        // Providers are looked up once per run
+        const providers = {};
+        const providerFor = name => {
+            if (!(name in providers)) {
+                const provider = getTranscriptionProvider(name);
+                providers[name] = provider && provider.isConfigured() ? provider : null;
+                if (provider && !providers[name]) {
+                    console.error(`Transcription provider ${name} is not configured`);
+                }
+            }
+            return providers[name];
+        };
+
         // STEP 1: Check status of processing jobs
-        const jobsToRemoveFromQueue = [];
         for (const job of processingJobs) {
             try {
-                const result = checkBatchJobStatus(job.jobData.batchJobName, apiKey);
-
-                if (result.state === 'SUCCEEDED') {
-                    completeBatchTranscription(job.jobId, job.jobData, result, apiKey);
-                    // Always remove from queue after completeBatchTranscription, whether it succeeded or failed
-                    // (completeBatchTranscription sets status to 'complete' or 'failed')
-                    jobsToRemoveFromQueue.push(job.jobId);
-                } else if (result.state === 'FAILED') {
-                    job.jobData.status = 'failed';
-                    job.jobData.error = result.error || 'Batch API processing failed';
-                    properties.setProperty('transcription_job_' + job.jobId, JSON.stringify(job.jobData));
-                    jobsToRemoveFromQueue.push(job.jobId);
-                    sendTranscriptionNotification(job.jobData, false);
+                const provider = providerFor(job.provider || TRANSCRIPTION_PROVIDERS.GEMINI_BATCH);
+                if (!provider) continue;
+
+                const result = provider.poll(job.providerJobName);
+
+                if (result.state === TRANSCRIPTION_JOB_STATES.SUCCEEDED) {
+                    const transcript = provider.fetchResult(job.providerJobName, result);
+                    // Sets the job to complete or failed
+                    completeTranscriptionJob(job.jobId, job, transcript, provider);
+                } else if (result.state === TRANSCRIPTION_JOB_STATES.FAILED) {
+                    const failed = updateTranscriptionJob(job.jobId, {
+                        status: TRANSCRIPTION_JOB_STATUS.FAILED,
+                        error: result.error || 'Transcription provider processing failed'
+                    }, [TRANSCRIPTION_JOB_STATUS.PROCESSING]);
+                    if (failed.success) {
+                        sendTranscriptionNotification(failed.job, false);
+                    }
                 }
             } catch (error) {
-                console.error('Error checking batch job status:', error);
+                console.error('Error checking transcription job status:', error);
             }
         }
 
-        // Batch update the queue after processing all jobs
-        if (jobsToRemoveFromQueue.length > 0) {
-            jobQueue = jobQueue.filter(id => !jobsToRemoveFromQueue.includes(id));
-            properties.setProperty('transcription_queue', JSON.stringify(jobQueue));
-        }
-
-        // STEP 2: Submit pending jobs to Batch API
-        if (pendingJobs.length > 0) {
+        // STEP 2: Submit pending jobs to the configured provider
+        const provider = pendingJobs.length > 0 ? providerFor(getTranscriptionProviderName()) : null;
+        if (provider) {
             const jobsToSubmit = pendingJobs.slice(0, MAX_JOBS_PER_RUN); // Process up to 5 per trigger
-            const jobsToRemoveFromQueuePending = [];
 
             for (const job of jobsToSubmit) {
                 try {
@@ -444,222 +406,78 @@ function processTranscriptionQueue() {
                         break;
                     }
 
-                    const batchResult = submitToBatchAPI(job.jobId, job.jobData, apiKey);
+                    const submitResult = provider.submit(job.jobId, job);
+
+                    if (submitResult.success) {
+                        const submitted = updateTranscriptionJob(job.jobId, {
+                            status: TRANSCRIPTION_JOB_STATUS.PROCESSING,
+                            provider: provider.name,
+                            providerJobName: submitResult.providerJobName,
+                            submittedAt: new Date().toISOString(),
+                            error: ''
+                        }, [TRANSCRIPTION_JOB_STATUS.PENDING]);
 
-                    if (batchResult.success) {
-                        job.jobData.status = 'processing';
-                        job.jobData.batchJobName = batchResult.batchJobName;
-                        job.jobData.submittedAt = new Date().toISOString();
-                        properties.setProperty('transcription_job_' + job.jobId, JSON.stringify(job.jobData));
+                        if (!submitted.success && typeof provider.cancel === 'function') {
+                            // Cancelled while it was being submitted
+                            provider.cancel(submitResult.providerJobName);
+                        }
 
-                        debugLog('Job submitted to Batch API', {
+                        debugLog('Job submitted to transcription provider', {
                             jobId: job.jobId,
-                            batchJobName: batchResult.batchJobName
+                            provider: provider.name,
+                            providerJobName: submitResult.providerJobName
                         });
                     } else {
-                        job.jobData.attempts = (job.jobData.attempts || 0) + 1;
-
-                        if (job.jobData.attempts >= MAX_JOB_ATTEMPTS) {
-                            job.jobData.status = 'failed';
-                            job.jobData.error = batchResult.error;
-                            properties.setProperty('transcription_job_' + job.jobId, JSON.stringify(job.jobData));
-                            jobsToRemoveFromQueuePending.push(job.jobId);
-                            sendTranscriptionNotification(job.jobData, false);
+                        const attempts = (job.attempts || 0) + 1;
+
+                        if (attempts >= MAX_JOB_ATTEMPTS) {
+                            const failed = updateTranscriptionJob(job.jobId, {
+                                status: TRANSCRIPTION_JOB_STATUS.FAILED,
+                                attempts: attempts,
+                                error: submitResult.error
+                            }, [TRANSCRIPTION_JOB_STATUS.PENDING]);
+                            if (failed.success) {
+                                sendTranscriptionNotification(failed.job, false);
+                            }
                         } else {
-                            job.jobData.error = batchResult.error;
-                            properties.setProperty('transcription_job_' + job.jobId, JSON.stringify(job.jobData));
+                            updateTranscriptionJob(job.jobId, { attempts: attempts, error: submitResult.error }, [TRANSCRIPTION_JOB_STATUS.PENDING]);
                         }
                     }
                 } catch (error) {
-                    console.error('Error submitting job to Batch API:', error);
-                }
-            }
-
-            // Batch update the queue after processing pending jobs
-            if (jobsToRemoveFromQueuePending.length > 0) {
-                jobQueue = jobQueue.filter(id => !jobsToRemoveFromQueuePending.includes(id));
-                properties.setProperty('transcription_queue', JSON.stringify(jobQueue));
-            }
-        }
-
-    } catch (error) {
-        console.error('Error in processTranscriptionQueue:', error);
-    }
-}
-
-/**
- * Submits a transcription job to Gemini Batch API
- */
-function submitToBatchAPI(jobId, jobData, apiKey) {
-    try {
-        const audioFile = DriveApp.getFileById(jobData.fileId);
-        const audioBlob = audioFile.getBlob();
-        const audioBytes = audioBlob.getBytes();
-        const base64Audio = Utilities.base64Encode(audioBytes);
-        const mimeType = audioFile.getMimeType();
-
-        const model = GEMINI_TRANSCRIPTION_MODEL;
-        const batchApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchGenerateContent`;
-
-        const payload = {
-            batch: {
-                display_name: `transcription-${jobId}`,
-                input_config: {
-                    requests: {
-                        requests: [
-                            {
-                                request: {
-                                    contents: [{
-                                        parts: [
-                                            { text: jobData.prompt },
-                                            {
-                                                inline_data: {
-                                                    mime_type: mimeType,
-                                                    data: base64Audio
-                                                }
-                                            }
-                                        ]
-                                    }],
-                                    generationConfig: {
-                                        temperature: 0.2,
-                                        topK: 40,
-                                        topP: 0.95,
-                                        maxOutputTokens: 8192
-                                    }
-                                },
-                                metadata: {
-                                    key: `transcription-${jobId}`
-                                }
-                            }
-                        ]
-                    }
+                    console.error('Error submitting job to transcription provider:', error);
                 }
             }
-        };
-
-        const options = {
-            method: 'post',
-            contentType: 'application/json',
-            payload: JSON.stringify(payload),
-            muteHttpExceptions: true,
-            headers: {
-                'x-goog-api-key': apiKey
-            }
-        };
-
-        debugLog('Submitting to Gemini Batch API', {
-            jobId: jobId,
-            model: model,
-            filename: jobData.filename,
-            audioSize: audioBytes.length
-        });
-
-        const response = UrlFetchApp.fetch(batchApiUrl, options);
-        const responseCode = response.getResponseCode();
-        const responseText = response.getContentText();
-
-        if (responseCode !== 200 && responseCode !== 201) {
-            console.error('Batch API submission error:', responseCode, responseText);
-            return {
-                success: false,
-                error: `Batch API error ${responseCode}: ${responseText}`
-            };
-        }
-
-        const jsonResponse = JSON.parse(responseText);
-        const batchJobName = jsonResponse.name;
-
-        if (!batchJobName) {
-            return {
-                success: false,
-                error: 'Batch API did not return job name'
-            };
-        }
-
-        return {
-            success: true,
-            batchJobName: batchJobName
-        };
-
-    } catch (error) {
-        console.error('Error submitting to Batch API:', error);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
-
-/**
- * Checks the status of a Gemini Batch API job
- */
-function checkBatchJobStatus(batchJobName, apiKey) {
-    try {
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/${batchJobName}`;
-
-        const options = {
-            method: 'get',
-            muteHttpExceptions: true,
-            headers: {
-                'x-goog-api-key': apiKey
-            }
-        };
-
-        const response = UrlFetchApp.fetch(apiUrl, options);
-        const responseCode = response.getResponseCode();
-        const responseText = response.getContentText();
-
-        if (responseCode !== 200) {
-            console.error('Batch status check error:', responseCode, responseText);
-            return {
-                state: 'UNKNOWN',
-                error: `Status check error: ${responseCode}`
-            };
         }
 
-        const jsonResponse = JSON.parse(responseText);
-
-        return {
-            state: jsonResponse.state,
-            metadata: jsonResponse.metadata,
-            results: jsonResponse.results,
-            error: jsonResponse.error
-        };
+        pruneTranscriptionJobs();
 
     } catch (error) {
-        console.error('Error checking batch status:', error);
-        return {
-            state: 'UNKNOWN',
-            error: error.message
-        };
+        console.error('Error in processTranscriptionQueue:', error);
     }
 }
 
 /**
- * Completes a batch transcription job
+ * Completes a transcription job with the transcript fetched from its provider
+ * @param {string} jobId The job ID.
+ * @param {Object} jobData The job, from the Transcription_Jobs sheet.
+ * @param {{success: boolean, text?: string, error?: string}} transcript The provider's fetchResult().
+ * @param {Object} provider Optional. The provider the job ran on, for its estimated cost.
  */
-function completeBatchTranscription(jobId, jobData, batchResult, apiKey) {
-    const lock = LockService.getScriptLock();
+function completeTranscriptionJob(jobId, jobData, transcript, provider = null) {
+    const lock = ObservationRepository.getLock();
 
     try {
         lock.waitLock(10000);
 
-        const properties = PropertiesService.getScriptProperties();
-
-        if (!batchResult.results || batchResult.results.length === 0) {
-            throw new Error('No results in batch response');
-        }
-
-        const result = batchResult.results[0];
-
-        if (!result.response || !result.response.candidates || result.response.candidates.length === 0) {
-            throw new Error('No transcription in batch result');
+        // An administrator may have cancelled the job since it was polled
+        const current = getTranscriptionJob(jobId);
+        if (!current || current.status !== TRANSCRIPTION_JOB_STATUS.PROCESSING) {
+            debugLog('Transcription result ignored', { jobId, status: current ? current.status : 'missing' });
+            return;
         }
 
-        const transcriptionText = result.response.candidates[0].content.parts[0].text;
-
-        if (!transcriptionText) {
-            throw new Error('Empty transcription received');
+        if (!transcript || !transcript.success) {
+            throw new Error((transcript && transcript.error) || 'No transcription received');
         }
 
         const observation = getObservationById(jobData.observationId);
@@ -667,53 +485,67 @@ function completeBatchTranscription(jobId, jobData, batchResult, apiKey) {
             throw new Error('Observation not found');
         }
 
-        // Save transcription to Google Doc
+        const segments = transcript.segments
+            ? _normalizeTranscriptSegments(transcript.segments, observation.observedName)
+            : parseTranscriptSegments(transcript.text, observation.observedName);
+        if (segments.length === 0) {
+            throw new Error('Empty transcription received');
+        }
+        const transcriptionText = transcript.text ||
+            segments.map(segment => `[${formatTranscriptTimestamp(segment.start)}] ${segment.speakerLabel}: ${segment.text}`).join('\n');
+
+        // Save transcription to Google Doc, and its segments for the script editor
         const folder = getOrCreateObservationFolder(jobData.observationId);
-        const docUrl = saveTranscriptionToDoc(folder, jobData.filename, transcriptionText, observation);
+        const docUrl = saveTranscriptionToDoc(folder, jobData.filename, transcriptionText, observation, segments);
+        const segmentsFile = saveTranscriptSegmentsFile(folder, jobData.filename, segments);
 
         // Update observation record
-        if (!observation.transcriptions) {
-            observation.transcriptions = [];
-        }
-        observation.transcriptions.push({
+        const transcriptEntry = {
+            transcriptId: jobId,
             audioFilename: jobData.filename,
+            audioFileId: jobData.fileId,
             docUrl: docUrl,
+            segmentsFileId: segmentsFile.getId(),
+            segmentCount: segments.length,
             timestamp: new Date().toISOString(),
             transcribedBy: jobData.createdBy,
-            jobId: jobId,
-            method: 'batch_api'
-        });
-        updateObservationInSheet(observation);
-
-        // Mark job as complete
-        jobData.status = 'complete';
-        jobData.completedAt = new Date().toISOString();
-        jobData.transcriptionUrl = docUrl;
-        jobData.transcriptionContent = transcriptionText;
-        properties.setProperty('transcription_job_' + jobId, JSON.stringify(jobData));
+            method: jobData.provider
+        };
+        ObservationRepository.update(jobData.observationId, record => ({
+            transcripts: (record.transcripts || []).concat([transcriptEntry])
+        }));
 
-        // Note: Queue removal is now batched in processTranscriptionQueue for performance
-        // The calling function will handle removing completed jobs from the queue
+        // Mark job as complete, with its estimated cost
+        const completed = updateTranscriptionJob(jobId, Object.assign({
+            status: TRANSCRIPTION_JOB_STATUS.COMPLETE,
+            completedAt: new Date().toISOString(),
+            transcriptionUrl: docUrl,
+            error: ''
+        }, estimateTranscriptionCost(jobData, transcript, provider)));
+        if (!completed.success) {
+            throw new Error(completed.error);
+        }
+        recordTranscriptionCost(completed.job);
 
-        sendTranscriptionNotification(jobData, true);
+        sendTranscriptionNotification(completed.job, true);
 
-        debugLog('Batch transcription completed', {
+        debugLog('Transcription completed', {
             jobId,
+            provider: jobData.provider,
             docUrl,
-            processingTime: calculateProcessingTime(jobData)
+            processingTime: calculateProcessingTime(completed.job),
+            estimatedCost: completed.job.estimatedCost
         });
 
     } catch (error) {
-        console.error('Error completing batch transcription:', error);
+        console.error('Error completing transcription:', error);
 
-        jobData.status = 'failed';
-        jobData.error = error.message;
-        PropertiesService.getScriptProperties().setProperty('transcription_job_' + jobId, JSON.stringify(jobData));
-
-        // Note: Queue removal is now batched in processTranscriptionQueue for performance
-        // The calling function will handle removing failed jobs from the queue
+        const failed = updateTranscriptionJob(jobId, {
+            status: TRANSCRIPTION_JOB_STATUS.FAILED,
+            error: error.message
+        });
 
-        sendTranscriptionNotification(jobData, false);
+        sendTranscriptionNotification(failed.success ? failed.job : Object.assign({}, jobData, { error: error.message }), false);
 
     } finally {
         lock.releaseLock();
@@ -726,9 +558,11 @@ function completeBatchTranscription(jobId, jobData, batchResult, apiKey) {
  * @param {string} originalFilename The name of the original audio file.
  * @param {string} transcriptionText The transcribed text.
  * @param {Object} observation The observation data object.
+ * @param {Array<Object>} segments Optional. Speaker turns from parseTranscriptSegments(); when they
+ *     have timestamps, each is written as its own paragraph instead of the raw text.
  * @returns {string} The URL of the newly created Google Doc.
  */
-function saveTranscriptionToDoc(folder, originalFilename, transcriptionText, observation) {
+function saveTranscriptionToDoc(folder, originalFilename, transcriptionText, observation, segments = null) {
     try {
         const docName = `Transcription of ${originalFilename} - ${new Date().toISOString().slice(0, 10)}`;
         const doc = DocumentApp.create(docName);
@@ -738,12 +572,21 @@ function saveTranscriptionToDoc(folder, originalFilename, transcriptionText, obs
         body.appendParagraph(`Transcription for Observation: ${observation.observationName || observation.observationId}`)
             .setHeading(DocumentApp.ParagraphHeading.HEADING1);
         body.appendParagraph(`Observed Staff: ${observation.observedName} | Observer: ${observation.observerEmail}`);
+        body.appendParagraph(`Recording: ${originalFilename}`);
         body.appendParagraph(`Date Transcribed: ${new Date().toLocaleString()}`);
         body.appendHorizontalRule();
         body.appendParagraph('');
 
         // Add the transcription content
-        body.appendParagraph(transcriptionText);
+        if (segments && segments.some(segment => segment.start !== null)) {
+            segments.forEach(segment => {
+                const time = segment.start !== null ? `[${formatTranscriptTimestamp(segment.start)}] ` : '';
+                const speaker = segment.speakerLabel ? `${segment.speakerLabel}: ` : '';
+                body.appendParagraph(time + speaker + segment.text);
+            });
+        } else {
+            body.appendParagraph(transcriptionText);
+        }
 
         doc.saveAndClose();
 
@@ -872,6 +715,10 @@ function getStaffListForDropdown(role, year) {
       if (year) {
         staffList = staffList.filter(user => _isUserYearMatching(user.year, year));
       }
+
+      // Current-cycle scores for the staff list cards
+      const scoreSummaries = getStaffScoreSummaries(staffList.map(user => user.email));
+      staffList = staffList.map(user => Object.assign({}, user, { scoreSummary: scoreSummaries[user.email] || null }));
     } else {
       staffList = getStaffByRoleAndYear(role, year);
     }
@@ -1009,89 +856,33 @@ function createNewObservationForEvaluator(observedEmail) {
 }
 
 /**
- * Creates a new Work Product observation for an evaluator.
- * @param {string} observedEmail The email of the staff member to be observed.
- * @returns {Object} A response object containing the new observation and the rubric data.
- */
-function createWorkProductObservationForEvaluator(observedEmail) {
-  try {
-    const userContext = createUserContext();
-
-    if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
-      return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
-    }
-
-    const newObservation = createWorkProductObservation(userContext.email, observedEmail);
-    if (!newObservation) {
-      return { success: false, error: 'Failed to create work product observation.' };
-    }
-
-    let assignedSubdomains = null;
-    // Peer Evaluator should use assigned subdomains approach, Administrator should see all subdomains
-    if (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR) {
-        assignedSubdomains = getAssignedSubdomainsForRoleYear(newObservation.observedRole, newObservation.observedYear);
-    }
-
-    // Administrator evaluates on full rubric, Peer Evaluator uses assigned subdomains
-    const viewMode = (userContext.role === SPECIAL_ROLES.ADMINISTRATOR)
-      ? 'full'
-      : (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR)
-        ? 'assigned'
-        : 'full';
-
-    const rubricData = getAllDomainsData(
-      newObservation.observedRole,
-      newObservation.observedYear,
-      viewMode,
-      assignedSubdomains
-    );
-
-    const evaluatorContext = createFilteredUserContext(observedEmail, userContext.role);
-    rubricData.userContext = evaluatorContext;
-
-    return {
-      success: true,
-      observation: newObservation,
-      rubricData: rubricData,
-      userContext: userContext
-    };
-  } catch (error) {
-    console.error('Error in createWorkProductObservationForEvaluator:', error);
-    return { success: false, error: 'An unexpected error occurred: ' + error.message };
-  }
-}
-
-/**
- * Creates a new Instructional Round observation for a Peer Evaluator.
+ * Creates a new observation of a type other than Standard (Work Product, Instructional Round or
+ * a type from the Observation_Types sheet) for an evaluator.
  * @param {string} observedEmail The email of the staff member to be observed.
+ * @param {string} typeName The observation type.
  * @returns {Object} A response object containing the new observation and the rubric data.
  */
-function createInstructionalRoundObservationForEvaluator(observedEmail) {
+function createTypedObservationForEvaluator(observedEmail, typeName) {
   try {
     const userContext = createUserContext();
 
-    if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
+    if (!canCreateObservationType(userContext.role, typeName)) {
       return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
     }
 
-    const newObservation = createInstructionalRoundObservation(userContext.email, observedEmail);
+    const newObservation = createTypedObservation(userContext.email, observedEmail, typeName);
     if (!newObservation) {
-      return { success: false, error: 'Failed to create instructional round observation.' };
+      return { success: false, error: `Failed to create ${typeName} observation.` };
     }
 
+    // Peer Evaluator uses assigned subdomains, everyone else sees the full rubric
     let assignedSubdomains = null;
-    // Peer Evaluator should use assigned subdomains approach
+    let viewMode = 'full';
     if (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR) {
-        assignedSubdomains = getAssignedSubdomainsForRoleYear(newObservation.observedRole, newObservation.observedYear);
+      assignedSubdomains = getAssignedSubdomainsForRoleYear(newObservation.observedRole, newObservation.observedYear);
+      viewMode = 'assigned';
     }
 
-    // Peer Evaluator uses assigned subdomains
-    const viewMode = (userContext.role === SPECIAL_ROLES.ADMINISTRATOR)
-      ? 'full'
-      : (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR)
-        ? 'assigned'
-        : 'full';
-
     const rubricData = getAllDomainsData(
       newObservation.observedRole,
       newObservation.observedYear,
@@ -1109,65 +900,67 @@ function createInstructionalRoundObservationForEvaluator(observedEmail) {
       userContext: userContext
     };
   } catch (error) {
-    console.error('Error in createInstructionalRoundObservationForEvaluator:', error);
+    console.error('Error in createTypedObservationForEvaluator:', error);
     return { success: false, error: 'An unexpected error occurred: ' + error.message };
   }
 }
 
 /**
- * Gets work product questions for client-side use.
+ * Gets an observation type's questions for client-side use.
+ * @param {string} typeName The observation type.
  * @returns {Object} A response object containing the questions array.
  */
-function getWorkProductQuestionsForClient() {
+function getObservationTypeQuestionsForClient(typeName) {
   try {
-    const questions = getWorkProductQuestions();
-    return { success: true, questions: questions };
+    if (!getObservationTypeDefinition(typeName)) {
+      return { success: false, error: `Unknown observation type: ${typeName}` };
+    }
+    return { success: true, questions: getObservationTypeQuestions(typeName) };
   } catch (error) {
-    console.error('Error in getWorkProductQuestionsForClient:', error);
+    console.error('Error in getObservationTypeQuestionsForClient:', error);
     return { success: false, error: 'Failed to load questions: ' + error.message };
   }
 }
 
 /**
- * Saves a work product answer from client-side.
+ * Saves the observed staff member's answer to one of the observation type's questions.
  * @param {string} observationId The ID of the observation.
  * @param {string} questionId The ID of the question.
  * @param {string} answerText The answer text.
  * @returns {Object} A response object with success status.
  */
-function saveWorkProductAnswerFromClient(observationId, questionId, answerText) {
+function saveObservationAnswerFromClient(observationId, questionId, answerText) {
   try {
-    console.log(`[Server] saveWorkProductAnswerFromClient called with observationId: "${observationId}", questionId: "${questionId}", textLength: ${answerText ? answerText.length : 0}`);
     const userContext = createUserContext();
 
-    // Verify user has access to this observation
+    // Only the observed staff member answers, and only for types with staff responses
     const observation = getObservationById(observationId);
     if (!observation || observation.observedEmail !== userContext.email) {
-      console.warn(`[Server] Access denied - observation found: ${!!observation}, user: ${userContext.email}`);
       return { success: false, error: 'Access denied to this observation.' };
     }
 
-    // Save to Google Doc instead of spreadsheet
-    console.log(`[Server] Calling saveWorkProductAnswerToDoc with questionId: "${questionId}"`);
-    const saved = saveWorkProductAnswerToDoc(observationId, questionId, answerText);
-    console.log(`[Server] saveWorkProductAnswerToDoc returned: ${saved}`);
+    const definition = getObservationTypeDefinition(observation.Type);
+    if (!definition || !definition.staffResponds) {
+      return { success: false, error: `${observation.Type || OBSERVATION_TYPES.STANDARD} observations have no staff questions.` };
+    }
+
+    const saved = saveObservationAnswerToDoc(observationId, questionId, answerText);
     return { success: saved };
   } catch (error) {
-    console.error('Error in saveWorkProductAnswerFromClient:', error);
+    console.error('Error in saveObservationAnswerFromClient:', error);
     return { success: false, error: 'Failed to save answer: ' + error.message };
   }
 }
 
 /**
- * Gets work product answers for client-side use.
+ * Gets the observed staff member's answers for client-side use.
  * @param {string} observationId The ID of the observation.
  * @returns {Object} A response object containing the answers array.
  */
-function getWorkProductAnswersForClient(observationId) {
+function getObservationAnswersForClient(observationId) {
   try {
     const userContext = createUserContext();
 
-    // Verify user has access to this observation
     const observation = getObservationById(observationId);
     if (!observation) {
       return { success: false, error: 'Observation not found.' };
@@ -1179,354 +972,123 @@ function getWorkProductAnswersForClient(observationId) {
       return { success: false, error: 'Access denied to this observation.' };
     }
 
-    // Get answers from Google Doc instead of spreadsheet
-    const answers = getWorkProductAnswersFromDoc(observationId);
+    const answers = getObservationAnswersFromDoc(observationId);
     return { success: true, answers: answers };
   } catch (error) {
-    console.error('Error in getWorkProductAnswersForClient:', error);
+    console.error('Error in getObservationAnswersForClient:', error);
     return { success: false, error: 'Failed to load answers: ' + error.message };
   }
 }
 
 /**
- * Gets the current user's work product observation ID and ensures response doc exists.
+ * Gets the current user's draft observation of a type they answer questions for, and makes
+ * sure its response doc exists.
+ * @param {string} typeName The observation type.
  * @returns {Object} A response object containing the observation ID.
  */
-function getCurrentUserWorkProductObservationId() {
+function getCurrentUserObservationIdForType(typeName) {
   try {
     const userContext = createUserContext();
-    const observations = _getObservationsDb();
-
-    const userWorkProductObs = observations.find(obs =>
-      obs.observedEmail === userContext.email &&
-      obs.Type === 'Work Product' &&
-      obs.status === 'Draft'
-    );
-
-    if (userWorkProductObs) {
-      // Ensure response document exists
-      const peerEvaluatorEmail = userWorkProductObs.observerEmail;
-      const docResult = createOrGetWorkProductResponseDoc(
-        userWorkProductObs.observationId,
-        userContext.email,
-        peerEvaluatorEmail
-      );
-
-      if (!docResult) {
-        console.warn('Failed to create/get response document, but continuing...');
-      }
+    const observation = getStaffResponseObservation(userContext.email, typeName);
+    if (!observation) {
+      return { success: false, error: `No ${typeName} observation found` };
+    }
 
-      return { success: true, observationId: userWorkProductObs.observationId };
-    } else {
-      return { success: false, error: 'No work product observation found' };
+    if (!createOrGetObservationResponseDoc(observation)) {
+      console.warn('Failed to create/get response document, but continuing...');
     }
+
+    return { success: true, observationId: observation.observationId };
   } catch (error) {
-    console.error('Error getting current user work product observation:', error);
+    console.error(`Error getting current user ${typeName} observation:`, error);
     return { success: false, error: 'Failed to get observation ID: ' + error.message };
   }
 }
 
 /**
- * Gets standard observation questions for client-side use.
- * @returns {Object} A response object containing the questions array.
+ * Loads an existing observation draft for editing.
+ * @param {string} observationId The ID of the observation to load.
+ * @returns {Object} A response object with the observation and rubric data.
  */
-function getStandardObservationQuestionsForClient() {
-  try {
-    const questions = getStandardObservationQuestions();
-    return { success: true, questions: questions };
-  } catch (error) {
-    console.error('Error in getStandardObservationQuestionsForClient:', error);
-    return { success: false, error: 'Failed to load questions: ' + error.message };
-  }
-}
+function loadObservationForEditing(observationId) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
 
-/**
- * Saves a standard observation answer from client-side.
- * @param {string} observationId The ID of the observation.
- * @param {string} questionId The ID of the question.
- * @param {string} answerText The answer text.
- * @returns {Object} A response object with success status.
- */
-function saveStandardObservationAnswerFromClient(observationId, questionId, answerText) {
-  try {
-    const userContext = createUserContext();
+        const observation = getObservationById(observationId);
+        if (!observation) {
+            return { success: false, error: 'Observation not found.' };
+        }
+        if (observation.observerEmail !== userContext.email) {
+            return { success: false, error: 'You do not have permission to edit this observation.' };
+        }
+        
+        let assignedSubdomains = null;
+        if (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR || userContext.role === SPECIAL_ROLES.ADMINISTRATOR) {
+            assignedSubdomains = getAssignedSubdomainsForRoleYear(observation.observedRole, observation.observedYear);
+        }
 
-    // Verify user has access to this observation
-    const observation = getObservationById(observationId);
-    if (!observation || observation.observedEmail !== userContext.email) {
-      return { success: false, error: 'Access denied to this observation.' };
-    }
+        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', assignedSubdomains);
+        
+        const evaluatorContext = createFilteredUserContext(observation.observedEmail, userContext.role);
+        rubricData.userContext = evaluatorContext;
 
-    // Verify observation is Standard type and created by Peer Evaluator
-    if ((observation.Type || 'Standard') !== 'Standard') {
-      return { success: false, error: 'This is not a standard observation.' };
-    }
+        return { success: true, observation: observation, rubricData: rubricData };
 
-    const observer = getUserByEmail(observation.observerEmail);
-    if (!observer || observer.role !== 'Peer Evaluator') {
-      return { success: false, error: 'This observation was not created by a Peer Evaluator.' };
+    } catch (error) {
+        console.error('Error in loadObservationForEditing:', error);
+        return { success: false, error: 'An unexpected error occurred: ' + error.message };
     }
-
-    // Save to Google Doc
-    const saved = saveStandardObservationAnswerToDoc(observationId, questionId, answerText);
-    return { success: saved };
-  } catch (error) {
-    console.error('Error in saveStandardObservationAnswerFromClient:', error);
-    return { success: false, error: 'Failed to save answer: ' + error.message };
-  }
 }
 
 /**
- * Gets standard observation answers for client-side use.
- * @param {string} observationId The ID of the observation.
- * @returns {Object} A response object containing the answers array.
+ * Deletes an observation draft, or one returned for changes.
+ * @param {string} observationId The ID of the observation to delete.
+ * @returns {Object} A response object indicating success or failure.
  */
-function getStandardObservationAnswersForClient(observationId) {
-  try {
-    const userContext = createUserContext();
-
-    // Verify user has access to this observation
-    const observation = getObservationById(observationId);
-    if (!observation) {
-      return { success: false, error: 'Observation not found.' };
-    }
-
-    // Allow access for observed staff or peer evaluators
-    if (observation.observedEmail !== userContext.email &&
-        userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
-      return { success: false, error: 'Access denied to this observation.' };
-    }
-
-    // Get answers from Google Doc
-    const answers = getStandardObservationAnswersFromDoc(observationId);
-    return { success: true, answers: answers };
-  } catch (error) {
-    console.error('Error in getStandardObservationAnswersForClient:', error);
-    return { success: false, error: 'Failed to load answers: ' + error.message };
-  }
-}
-
-/**
- * Gets the current user's standard observation ID (created by Peer Evaluator) and ensures response doc exists.
- * @returns {Object} A response object containing the observation ID.
- */
-function getCurrentUserStandardObservationId() {
-  try {
-    const userContext = createUserContext();
-    const observations = _getObservationsDb();
-
-    const userStandardObs = observations.find(obs => {
-      if (obs.observedEmail !== userContext.email) return false;
-      if ((obs.Type || 'Standard') !== 'Standard') return false;
-      if (obs.status !== 'Draft') return false;
-
-      // Check if observer is Peer Evaluator
-      const observer = getUserByEmail(obs.observerEmail);
-      return observer && observer.role === 'Peer Evaluator';
-    });
-
-    if (userStandardObs) {
-      // Ensure response document exists
-      const peerEvaluatorEmail = userStandardObs.observerEmail;
-      const docResult = createOrGetStandardObservationResponseDoc(
-        userStandardObs.observationId,
-        userContext.email,
-        peerEvaluatorEmail
-      );
-
-      if (!docResult) {
-        console.warn('Failed to create/get response document, but continuing...');
-      }
-
-      return { success: true, observationId: userStandardObs.observationId };
-    } else {
-      return { success: false, error: 'No standard observation from Peer Evaluator found' };
-    }
-  } catch (error) {
-    console.error('Error getting current user standard observation:', error);
-    return { success: false, error: 'Failed to get observation ID: ' + error.message };
-  }
-}
-
-/**
- * Gets the current user's instructional round observation ID and ensures response doc exists.
- * @returns {Object} A response object containing the observation ID.
- */
-function getCurrentUserInstructionalRoundObservationId() {
-  try {
-    const userContext = createUserContext();
-    const observations = _getObservationsDb();
-
-    const userInstructionalRoundObs = observations.find(obs => {
-      if (obs.observedEmail !== userContext.email) return false;
-      if (obs.Type !== 'Instructional Round') return false;
-      if (obs.status !== 'Draft') return false;
-
-      // Check if observer is Peer Evaluator
-      const observer = getUserByEmail(obs.observerEmail);
-      return observer && observer.role === 'Peer Evaluator';
-    });
-
-    if (userInstructionalRoundObs) {
-      // Ensure response document exists
-      const peerEvaluatorEmail = userInstructionalRoundObs.observerEmail;
-      const docResult = createOrGetInstructionalRoundResponseDoc(
-        userInstructionalRoundObs.observationId,
-        userContext.email,
-        peerEvaluatorEmail
-      );
-
-      if (!docResult) {
-        console.warn('Failed to create/get response document, but continuing...');
-      }
-
-      return { success: true, observationId: userInstructionalRoundObs.observationId };
-    } else {
-      return { success: false, error: 'No instructional round observation from Peer Evaluator found' };
-    }
-  } catch (error) {
-    console.error('Error getting current user instructional round observation:', error);
-    return { success: false, error: 'Failed to get observation ID: ' + error.message };
-  }
-}
+function deleteObservation(observationId) {
+    try {
+        setupObservationSheet(); // Ensure the sheet is ready
+        const userContext = createUserContext();
+        // Allow both Peer Evaluator and Administrator to delete observations
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return deleteObservationRecord(observationId, userContext.email);
+    } catch (error) {
+        console.error('Error in deleteObservation wrapper:', error);
+        return { success: false, error: error.message };
+    }
+}
 
 /**
- * Saves an instructional round answer from the client.
- * @param {string} observationId The ID of the observation.
- * @param {string} questionId The ID of the question.
- * @param {string} answerText The answer text.
- * @returns {Object} A response object with success status.
+ * Loads an observation for a save from its observer. Content can only change while the
+ * observation is in EDITABLE_OBSERVATION_STATUSES (see canEditObservation()); once it is
+ * submitted for review or finalized, saves are rejected.
+ * @param {string} observationId The observation ID.
+ * @returns {{observation?: Object, userContext?: Object, error?: string}} The observation and
+ *     the user's context, or the error to return.
+ * @private
  */
-function saveInstructionalRoundAnswerFromClient(observationId, questionId, answerText) {
-  try {
-    console.log(`[Server] saveInstructionalRoundAnswerFromClient called with observationId: "${observationId}", questionId: "${questionId}", textLength: ${answerText ? answerText.length : 0}`);
+function _getObservationForEditing(observationId) {
     const userContext = createUserContext();
-    const observation = getObservationById(observationId);
-
-    if (!observation) {
-      console.warn(`[Server] Observation not found: ${observationId}`);
-      return { success: false, error: 'Observation not found.' };
-    }
-
-    // Allow access for observed staff or peer evaluators
-    if (observation.observedEmail !== userContext.email &&
-        userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
-      console.warn(`[Server] Access denied - user: ${userContext.email}, observed: ${observation.observedEmail}`);
-      return { success: false, error: 'Access denied to this observation.' };
+    if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+        return { error: ERROR_MESSAGES.PERMISSION_DENIED };
     }
-
-    console.log(`[Server] Calling saveInstructionalRoundAnswerToDoc with questionId: "${questionId}"`);
-    const saved = saveInstructionalRoundAnswerToDoc(observationId, questionId, answerText);
-    console.log(`[Server] saveInstructionalRoundAnswerToDoc returned: ${saved}`);
-    return { success: saved };
-  } catch (error) {
-    console.error('Error in saveInstructionalRoundAnswerFromClient:', error);
-    return { success: false, error: 'Failed to save answer: ' + error.message };
-  }
-}
-
-/**
- * Gets instructional round answers for the client.
- * @param {string} observationId The ID of the observation.
- * @returns {Object} A response object containing the answers array.
- */
-function getInstructionalRoundAnswersForClient(observationId) {
-  try {
-    const userContext = createUserContext();
     const observation = getObservationById(observationId);
-
     if (!observation) {
-      return { success: false, error: 'Observation not found.' };
-    }
-
-    // Allow access for observed staff or peer evaluators
-    if (observation.observedEmail !== userContext.email &&
-        userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR) {
-      return { success: false, error: 'Access denied to this observation.' };
-    }
-
-    // Get answers from Google Doc
-    const answers = getInstructionalRoundAnswersFromDoc(observationId);
-    return { success: true, answers: answers };
-  } catch (error) {
-    console.error('Error in getInstructionalRoundAnswersForClient:', error);
-    return { success: false, error: 'Failed to load answers: ' + error.message };
-  }
-}
-
-/**
- * Loads an existing observation draft for editing.
- * @param {string} observationId The ID of the observation to load.
- * @returns {Object} A response object with the observation and rubric data.
- */
-function loadObservationForEditing(observationId) {
-    try {
-        const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
-        }
-
-        const observation = getObservationById(observationId);
-        if (!observation) {
-            return { success: false, error: 'Observation not found.' };
-        }
-        if (observation.observerEmail !== userContext.email) {
-            return { success: false, error: 'You do not have permission to edit this observation.' };
-        }
-        
-        let assignedSubdomains = null;
-        if (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR || userContext.role === SPECIAL_ROLES.ADMINISTRATOR) {
-            assignedSubdomains = getAssignedSubdomainsForRoleYear(observation.observedRole, observation.observedYear);
-        }
-
-        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', assignedSubdomains);
-        
-        const evaluatorContext = createFilteredUserContext(observation.observedEmail, userContext.role);
-        rubricData.userContext = evaluatorContext;
-
-        return { success: true, observation: observation, rubricData: rubricData };
-
-    } catch (error) {
-        console.error('Error in loadObservationForEditing:', error);
-        return { success: false, error: 'An unexpected error occurred: ' + error.message };
-    }
-}
-
-/**
- * Deletes an observation draft.
- * @param {string} observationId The ID of the observation to delete.
- * @returns {Object} A response object indicating success or failure.
- */
-function deleteObservation(observationId) {
-    try {
-        setupObservationSheet(); // Ensure the sheet is ready
-        const userContext = createUserContext();
-        // Allow both Peer Evaluator and Administrator to delete observations
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
-        }
-        return deleteObservationRecord(observationId, userContext.email);
-    } catch (error) {
-        console.error('Error in deleteObservation wrapper:', error);
-        return { success: false, error: error.message };
+        return { error: 'Observation not found.' };
     }
-}
-
-/**
- * Helper function to find the row number for a given observation ID in the sheet.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation data sheet.
- * @param {string} observationId The ID of the observation to find.
- * @returns {number} The 1-based row number, or -1 if not found.
- */
-function findObservationRow(sheet, observationId) {
-    const idColumn = 1; // Assuming observationId is in column A
-    const ids = sheet.getRange(2, idColumn, sheet.getLastRow() - 1, 1).getValues();
-    for (let i = 0; i < ids.length; i++) {
-        if (ids[i][0] === observationId) {
-            return i + 2; // +2 because data starts at row 2 and i is 0-indexed
-        }
+    if (!canEditObservation(observation, userContext.email)) {
+        return {
+            error: observation.observerEmail === userContext.email
+                ? `This observation is ${observation.status} and can no longer be edited.`
+                : ERROR_MESSAGES.PERMISSION_DENIED
+        };
     }
-    return -1;
+    return { observation: observation, userContext: userContext };
 }
 
 /**
@@ -1535,17 +1097,20 @@ function findObservationRow(sheet, observationId) {
  * @param {string} key The key for the look-for category.
  * @param {string} lookForText The text content of the look-for.
  * @param {boolean} isChecked The state of the checkbox.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
  * @returns {Object} A response object with success status.
  */
-function saveLookForSelection(observationId, componentId, lookForText, isChecked) {
+function saveLookForSelection(observationId, componentId, lookForText, isChecked, baseVersion) {
     try {
-        const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
         }
-        
+
+        captureObservationSnapshot(observationId, access.userContext.email);
+
         // Call the ObservationService implementation
-        return _saveLookForSelection(observationId, componentId, lookForText, isChecked);
+        return _saveLookForSelection(observationId, componentId, lookForText, isChecked, baseVersion);
     } catch (error) {
         console.error('Error in saveLookForSelection wrapper:', error);
         return { success: false, error: error.message };
@@ -1557,17 +1122,25 @@ function saveLookForSelection(observationId, componentId, lookForText, isChecked
  * @param {string} observationId The ID of the observation to update.
  * @param {string} componentId The rubric component ID.
  * @param {string} proficiency The selected proficiency level.
+ * @param {string} baseModifiedAt Optional. The field's timestamp the client last saw, to detect conflicts.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
  * @returns {Object} A response object with success status.
  */
-function saveProficiencySelection(observationId, componentId, proficiency) {
+function saveProficiencySelection(observationId, componentId, proficiency, baseModifiedAt, baseVersion) {
     try {
-        const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
         }
-        
+
+        if (isWalkthroughObservation(access.observation)) {
+            return { success: false, error: 'Walkthroughs record look-fors only, without proficiency ratings.' };
+        }
+
+        captureObservationSnapshot(observationId, access.userContext.email);
+
         // Call the ObservationService implementation
-        return _saveProficiencySelection(observationId, componentId, proficiency);
+        return _saveProficiencySelection(observationId, componentId, proficiency, baseModifiedAt, baseVersion);
     } catch (error) {
         console.error('Error in saveProficiencySelection wrapper:', error);
         return { success: false, error: error.message };
@@ -1579,39 +1152,77 @@ function saveProficiencySelection(observationId, componentId, proficiency) {
  * @param {string} observationId The ID of the observation to update.
  * @param {string} componentId The ID of the component.
  * @param {string} notesContent The HTML content of the notes.
+ * @param {string} baseModifiedAt Optional. The field's timestamp the client last saw, to detect conflicts.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
  * @returns {Object} A response object with success status.
  */
-function saveObservationNotes(observationId, componentId, notesContent) {
+function saveObservationNotes(observationId, componentId, notesContent, baseModifiedAt, baseVersion) {
     try {
-        const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
         }
-        
+
+        captureObservationSnapshot(observationId, access.userContext.email);
+
         // Call the ObservationService implementation
-        return _saveObservationNotes(observationId, componentId, notesContent);
+        return _saveObservationNotes(observationId, componentId, notesContent, baseModifiedAt, baseVersion);
     } catch (error) {
         console.error('Error in saveObservationNotes wrapper:', error);
         return { success: false, error: error.message };
     }
 }
 
+/**
+ * Saves a walkthrough's one-line note.
+ * @param {string} observationId The ID of the walkthrough.
+ * @param {string} note The note text.
+ * @param {string} baseModifiedAt Optional. The note's timestamp the client last saw, to detect conflicts.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
+ * @returns {Object} A response object with success status.
+ */
+function saveWalkthroughNote(observationId, note, baseModifiedAt, baseVersion) {
+    try {
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+
+        captureObservationSnapshot(observationId, access.userContext.email);
+
+        return _saveWalkthroughNote(observationId, note, baseModifiedAt, baseVersion);
+    } catch (error) {
+        console.error('Error in saveWalkthroughNote wrapper:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Updates the script content for an observation.
  * @param {string} observationId The ID of the observation to update.
  * @param {Object} scriptContent The Quill Delta object representing the script content.
+ * @param {string} baseModifiedAt Optional. The script's timestamp the client last saw, to detect conflicts.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
  * @returns {Object} A response object with success status.
  */
-function updateObservationScript(observationId, scriptContent) {
+function updateObservationScript(observationId, scriptContent, baseModifiedAt, baseVersion) {
     try {
-        const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
         }
+        const observation = access.observation;
 
-        const observation = getObservationById(observationId);
-        if (!observation) {
-            return { success: false, error: 'Observation not found.' };
+        // Snapshot the previous script before it is overwritten
+        captureObservationSnapshot(observationId, access.userContext.email);
+
+        // Checked again under the lock when the script is saved; checking first as well keeps a
+        // conflicting save from overwriting the script Doc
+        const fieldKey = OBSERVATION_FIELD_KEYS.SCRIPT;
+        const getServerScript = currentScript => (currentScript && currentScript.ops ? currentScript : getScriptContentFromDoc(observationId));
+        const serverModifiedAt = findObservationFieldConflict(observation.fieldTimestamps, fieldKey, baseModifiedAt);
+        if (serverModifiedAt) {
+            return buildFieldConflictResponse(fieldKey, getServerScript(observation.scriptContent), serverModifiedAt);
         }
 
         // Smart threshold: Check size before storing
@@ -1625,49 +1236,51 @@ function updateObservationScript(observationId, scriptContent) {
         });
 
         // If content is under the safe limit, store in sheet (fast path)
-        if (contentSize < SCRIPT_STORAGE.SHEET_SIZE_LIMIT) {
-            observation.scriptContent = scriptContent;
-            observation.scriptDocUrl = null; // Clear any previous doc reference
-            observation.scriptStorageMethod = 'sheet';
-
-            updateObservationInSheet(observation);
+        let response = {
+            success: true,
+            storageMethod: 'sheet',
+            contentSize: contentSize,
+            nearSizeLimit: contentSize > SCRIPT_STORAGE.WARNING_THRESHOLD
+        };
+        let inlineContent = scriptContent;
+
+        if (contentSize >= SCRIPT_STORAGE.SHEET_SIZE_LIMIT) {
+            // Content exceeds safe limit - use Google Doc storage (overflow path)
+            debugLog('Script content exceeds sheet limit, using doc storage', {
+                observationId,
+                contentSize,
+                limit: SCRIPT_STORAGE.SHEET_SIZE_LIMIT
+            });
 
-            // Check if approaching warning threshold
-            const nearLimit = contentSize > SCRIPT_STORAGE.WARNING_THRESHOLD;
+            const docResult = saveScriptContentToDoc(observationId, scriptContent);
+            if (!docResult.success) {
+                return { success: false, error: 'Failed to save script to document: ' + docResult.error };
+            }
 
-            return {
+            // The observation references the doc instead of inline content
+            inlineContent = null;
+            response = {
                 success: true,
-                storageMethod: 'sheet',
-                contentSize: contentSize,
-                nearSizeLimit: nearLimit
+                storageMethod: 'doc',
+                docUrl: docResult.docUrl,
+                contentSize: contentSize
             };
         }
 
-        // Content exceeds safe limit - use Google Doc storage (overflow path)
-        debugLog('Script content exceeds sheet limit, using doc storage', {
-            observationId,
-            contentSize,
-            limit: SCRIPT_STORAGE.SHEET_SIZE_LIMIT
+        const result = _updateObservationJsonData(observationId, 'scriptContent', () => inlineContent, {
+            fieldKey: fieldKey,
+            baseModifiedAt: baseModifiedAt,
+            baseVersion: baseVersion,
+            getServerValue: getServerScript
         });
-
-        const docResult = saveScriptContentToDoc(observationId, scriptContent);
-        if (!docResult.success) {
-            return { success: false, error: 'Failed to save script to document: ' + docResult.error };
+        if (!result.success) {
+            return result;
         }
 
-        // Update observation to reference the doc instead of inline content
-        observation.scriptContent = null; // Clear sheet storage
-        observation.scriptDocUrl = docResult.docUrl;
-        observation.scriptStorageMethod = 'doc';
-
-        updateObservationInSheet(observation);
-
-        return {
-            success: true,
-            storageMethod: 'doc',
-            docUrl: docResult.docUrl,
-            contentSize: contentSize
-        };
+        response.modifiedAt = result.modifiedAt;
+        response.version = result.version;
+        if (result.changedElsewhere) response.changedElsewhere = true;
+        return response;
 
     } catch (error) {
         console.error('Error updating script content:', error);
@@ -1757,78 +1370,159 @@ function backupObservationNotes(observationId) {
 }
 
 /**
- * Saves component tags for a specific observation.
- * Component tags map script content sections to rubric components.
+ * Lists the saved versions of an observation for the history panel.
  * @param {string} observationId The ID of the observation.
- * @param {Object} componentTags The component tags mapping.
- * @returns {Object} A response object indicating success or failure.
+ * @returns {Object} A response object with the snapshots, newest first.
  */
-function saveComponentTags(observationId, componentTags) {
+function getObservationHistory(observationId) {
     try {
-        setupObservationSheet();
         const userContext = createUserContext();
         if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
             return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
         }
-
-        const observation = getObservationById(observationId);
-        if (!observation) {
-            return { success: false, error: 'Observation not found.' };
-        }
-
-        if (observation.observerEmail !== userContext.email) {
-            return { success: false, error: 'Permission denied. You did not create this observation.' };
-        }
-
-        // Add or update the componentTags field
-        observation.componentTags = componentTags || {};
-
-        const result = updateObservationInSheet(observation);
-        if (result.success) {
-            debugLog('Component tags updated', { observationId, tagCount: Object.keys(componentTags).length });
-        }
-        return result;
-
+        return getObservationSnapshots(observationId, userContext.email);
     } catch (error) {
-        console.error('Error saving component tags:', error);
-        return { success: false, error: 'An unexpected error occurred while saving component tags.' };
+        console.error('Error in getObservationHistory wrapper:', error);
+        return { success: false, error: error.message };
     }
 }
 
 /**
- * Retrieves component tags for a specific observation.
+ * Saves a snapshot of the observation's current content from the history panel.
  * @param {string} observationId The ID of the observation.
- * @returns {Object|null} The component tags mapping, or null if not found.
+ * @returns {Object} A response object with the snapshot, if one was created.
  */
-function getComponentTags(observationId) {
+function saveObservationSnapshot(observationId) {
     try {
-        setupObservationSheet();
         const userContext = createUserContext();
         if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return {};
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
         }
 
         const observation = getObservationById(observationId);
         if (!observation) {
-            return {};
+            return { success: false, error: 'Observation not found.' };
         }
-
-        // Check permissions - only the observer can access tags
         if (observation.observerEmail !== userContext.email) {
-            return {};
+            return { success: false, error: 'Permission denied. You did not create this observation.' };
         }
 
-        // Return the componentTags if they exist, otherwise return empty object
-        return observation.componentTags || {};
+        return captureObservationSnapshot(observationId, userContext.email, SNAPSHOT_REASONS.MANUAL);
     } catch (error) {
-        console.error('Error getting component tags:', error);
-        return {}; // Return empty object on error to prevent client-side issues
+        console.error('Error in saveObservationSnapshot wrapper:', error);
+        return { success: false, error: error.message };
     }
 }
 
 /**
- * Finalizes an observation draft.
- * @param {string} observationId The ID of the observation to finalize.
+ * Compares a saved version of an observation with its current content.
+ * @param {string} observationId The ID of the observation.
+ * @param {string} snapshotId The ID of the snapshot.
+ * @returns {Object} A response object with the side-by-side changes.
+ */
+function compareObservationSnapshotForClient(observationId, snapshotId) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return compareObservationSnapshot(observationId, snapshotId, userContext.email);
+    } catch (error) {
+        console.error('Error in compareObservationSnapshotForClient wrapper:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Restores an observation draft to a saved version.
+ * @param {string} observationId The ID of the observation.
+ * @param {string} snapshotId The ID of the snapshot to restore.
+ * @returns {Object} A response object with the restored fields.
+ */
+function restoreObservationSnapshotFromClient(observationId, snapshotId) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return restoreObservationSnapshot(observationId, snapshotId, userContext.email);
+    } catch (error) {
+        console.error('Error in restoreObservationSnapshotFromClient wrapper:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Saves component tags for a specific observation.
+ * Component tags map script content sections to rubric components.
+ * @param {string} observationId The ID of the observation.
+ * @param {Object} componentTags The component tags mapping.
+ * @param {string} baseModifiedAt Optional. The tags' timestamp the client last saw, to detect conflicts.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
+ * @returns {Object} A response object indicating success or failure.
+ */
+function saveComponentTags(observationId, componentTags, baseModifiedAt, baseVersion) {
+    try {
+        setupObservationSheet();
+        const access = _getObservationForEditing(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+
+        captureObservationSnapshot(observationId, access.userContext.email);
+
+        const tags = componentTags || {};
+        const result = _updateObservationJsonData(observationId, 'componentTags', () => tags, {
+            fieldKey: OBSERVATION_FIELD_KEYS.COMPONENT_TAGS,
+            baseModifiedAt: baseModifiedAt,
+            baseVersion: baseVersion,
+            getServerValue: currentTags => currentTags
+        });
+        if (result.success) {
+            debugLog('Component tags updated', { observationId, tagCount: Object.keys(tags).length });
+        }
+        return result;
+
+    } catch (error) {
+        console.error('Error saving component tags:', error);
+        return { success: false, error: 'An unexpected error occurred while saving component tags.' };
+    }
+}
+
+/**
+ * Retrieves component tags for a specific observation.
+ * @param {string} observationId The ID of the observation.
+ * @returns {Object|null} The component tags mapping, or null if not found.
+ */
+function getComponentTags(observationId) {
+    try {
+        setupObservationSheet();
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return {};
+        }
+
+        const observation = getObservationById(observationId);
+        if (!observation) {
+            return {};
+        }
+
+        // Check permissions - only the observer can access tags
+        if (observation.observerEmail !== userContext.email) {
+            return {};
+        }
+
+        // Return the componentTags if they exist, otherwise return empty object
+        return observation.componentTags || {};
+    } catch (error) {
+        console.error('Error getting component tags:', error);
+        return {}; // Return empty object on error to prevent client-side issues
+    }
+}
+
+/**
+ * Finalizes an observation draft.
+ * @param {string} observationId The ID of the observation to finalize.
  * @returns {Object} A response object indicating success or failure.
  */
 function finalizeObservation(observationId) {
@@ -1854,6 +1548,20 @@ function finalizeObservation(observationId) {
         //     }
         // }
 
+        // Check the status transition before generating any files.
+        const observationToFinalize = getObservationById(observationId);
+        if (!observationToFinalize) {
+            return { success: false, error: 'Observation not found.' };
+        }
+        if (!canFinalizeObservation(observationToFinalize, userContext.email)) {
+            return {
+                success: false,
+                error: observationToFinalize.status === OBSERVATION_STATUS.SUBMITTED
+                    ? ERROR_MESSAGES.PERMISSION_DENIED
+                    : `Only submitted observations can be finalized. This observation is "${observationToFinalize.status}".`
+            };
+        }
+
         // Step 2: Generate the main observation PDF.
         const pdfProcessingResult = PdfService.processPdfForFinalization(observationId, userContext);
 
@@ -1894,6 +1602,141 @@ function finalizeObservation(observationId) {
     }
 }
 
+/**
+ * Submits a Draft or Returned observation for administrator review.
+ * @param {string} observationId The ID of the observation to submit.
+ * @returns {Object} A response object indicating success or failure.
+ */
+function submitObservationForReview(observationId) {
+    try {
+        setupObservationSheet(); // Ensure the statusHistory column exists
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return updateObservationStatus(observationId, OBSERVATION_STATUS.SUBMITTED, userContext.email);
+    } catch (error) {
+        console.error('Error in submitObservationForReview:', error);
+        return { success: false, error: 'An unexpected error occurred while submitting the observation: ' + error.message };
+    }
+}
+
+/**
+ * Returns a submitted observation to its observer with review comments. Administrators only.
+ * @param {string} observationId The ID of the observation to return.
+ * @param {string} comments The reviewer's comments for the observer.
+ * @returns {Object} A response object indicating success or failure.
+ */
+function returnObservation(observationId, comments) {
+    try {
+        setupObservationSheet();
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return updateObservationStatus(observationId, OBSERVATION_STATUS.RETURNED, userContext.email, { comment: comments });
+    } catch (error) {
+        console.error('Error in returnObservation:', error);
+        return { success: false, error: 'An unexpected error occurred while returning the observation: ' + error.message };
+    }
+}
+
+/**
+ * Records that the observed staff member has received a finalized observation,
+ * optionally saving their written response at the same time.
+ * @param {string} observationId The ID of the observation to acknowledge.
+ * @param {Object} response Optional. The staff response (see saveStaffResponse).
+ * @returns {Object} A response object indicating success or failure.
+ */
+function acknowledgeObservation(observationId, response = null) {
+    try {
+        setupObservationSheet();
+        const userContext = createUserContext();
+        if (!userContext.email) {
+            return { success: false, error: 'Unable to determine user email' };
+        }
+
+        // Check the transition first, so a response isn't saved on an observation that can't be acknowledged
+        const observation = getObservationById(observationId);
+        if (!observation) {
+            return { success: false, error: 'Observation not found.' };
+        }
+        if (!canTransitionObservationStatus(observation, OBSERVATION_STATUS.ACKNOWLEDGED, userContext.email)) {
+            return {
+                success: false,
+                error: `Permission denied. You cannot change this observation from "${observation.status}" to "${OBSERVATION_STATUS.ACKNOWLEDGED}".`
+            };
+        }
+
+        if (response) {
+            const responseResult = saveStaffResponse(observationId, userContext.email, response);
+            if (!responseResult.success) {
+                return responseResult;
+            }
+        }
+
+        const result = updateObservationStatus(observationId, OBSERVATION_STATUS.ACKNOWLEDGED, userContext.email);
+        if (result.success) {
+            PdfService.markPdfOutdated(observationId);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error in acknowledgeObservation:', error);
+        return { success: false, error: 'An unexpected error occurred while acknowledging the observation: ' + error.message };
+    }
+}
+
+/**
+ * Saves or updates the observed staff member's written response to a finalized observation.
+ * Responses can be changed until the observation is signed.
+ * @param {string} observationId The ID of the observation.
+ * @param {Object} response The staff response (see saveStaffResponse).
+ * @returns {Object} A response object with the saved staff response.
+ */
+function saveObservationResponse(observationId, response) {
+    try {
+        setupObservationSheet();
+        const userContext = createUserContext();
+        if (!userContext.email) {
+            return { success: false, error: 'Unable to determine user email' };
+        }
+
+        const result = saveStaffResponse(observationId, userContext.email, response);
+        if (result.success) {
+            PdfService.markPdfOutdated(observationId);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error in saveObservationResponse:', error);
+        return { success: false, error: 'An unexpected error occurred while saving your response: ' + error.message };
+    }
+}
+
+/**
+ * E-signs an acknowledged observation on behalf of the observed staff member.
+ * @param {string} observationId The ID of the observation to sign.
+ * @param {string} signatureName The staff member's typed full name.
+ * @returns {Object} A response object indicating success or failure.
+ */
+function signObservation(observationId, signatureName) {
+    try {
+        setupObservationSheet();
+        const userContext = createUserContext();
+        if (!userContext.email) {
+            return { success: false, error: 'Unable to determine user email' };
+        }
+
+        const result = updateObservationStatus(observationId, OBSERVATION_STATUS.SIGNED, userContext.email, { signatureName: signatureName });
+        if (result.success) {
+            PdfService.markPdfOutdated(observationId);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error in signObservation:', error);
+        return { success: false, error: 'An unexpected error occurred while signing the observation: ' + error.message };
+    }
+}
+
 /**
  * Deletes a finalized observation. This is a permanent action.
  * @param {string} observationId The ID of the observation to delete.
@@ -1937,10 +1780,16 @@ function loadFinalizedObservationForViewing(observationId) {
             return { success: false, error: 'You do not have permission to view this observation.' };
         }
 
+        // Observed staff only see the observation once it has been finalized.
+        if (isObserved && !isObserver && !FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) {
+            return { success: false, error: 'This observation has not been finalized yet.' };
+        }
+
         // Load rubric data based on the *observed* staff's role and year.
         const assignedSubdomains = getAssignedSubdomainsForRoleYear(observation.observedRole, observation.observedYear);
         // For finalized observations, default to 'assigned' view mode to show relevant subdomains
-        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'assigned', assignedSubdomains);
+        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'assigned', assignedSubdomains,
+            getObservationRubricVersionId(observation));
 
         // CRITICAL FIX: Keep the viewer's actual context, don't switch to observed staff context
         // The main user context should always reflect the person actually viewing the page
@@ -1995,49 +1844,533 @@ function loadFinalizedObservationForViewing(observationId) {
         rubricData.userContext = actualViewerContext;
         rubricData.observedStaffInfo = observedStaffInfo;
 
+        observation.scores = calculateObservationScores(observation);
+
         return { success: true, observation: observation, rubricData: rubricData };
 
     } catch (error) {
-        console.error('Error in loadFinalizedObservationForViewing:', error);
-        return { success: false, error: 'An unexpected error occurred: ' + error.message };
+        console.error('Error in loadFinalizedObservationForViewing:', error);
+        return { success: false, error: 'An unexpected error occurred: ' + error.message };
+    }
+}
+
+/**
+ * Retrieves the URL for a previously generated PDF of a finalized observation.
+ * @param {string} observationId The ID of the observation.
+ * @returns {Object} A response object with success status and the PDF URL.
+ */
+function getObservationPdfUrl(observationId) {
+    try {
+        setupObservationSheet(); // Ensure the sheet is ready
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+
+        const observation = getObservationById(observationId);
+        if (!observation) {
+            return { success: false, error: 'Observation not found.' };
+        }
+
+        if (observation.observerEmail !== userContext.email) {
+            return { success: false, error: 'Permission denied. You did not create this observation.' };
+        }
+
+        if (!FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) {
+            return { success: false, error: 'PDF is only available for finalized observations.' };
+        }
+
+        if (!observation.pdfUrl) {
+            return { success: false, error: 'PDF has not been generated for this observation yet.' };
+        }
+
+        return { success: true, pdfUrl: observation.pdfUrl };
+
+    } catch (error) {
+        console.error(`Error getting PDF URL for observation ${observationId}:`, error);
+        return { success: false, error: 'An unexpected error occurred while retrieving the PDF URL.' };
+    }
+}
+
+/**
+ * Regenerates the PDF for a finalized observation, e.g. to include the staff response.
+ * @param {string} observationId The ID of the observation.
+ * @returns {Object} A response object with success status and PDF URL.
+ */
+function regenerateObservationPdf(observationId) {
+    return PdfService.regenerateObservationPdf(observationId);
+}
+
+/**
+ * Loads the summative evaluation view for a staff member: the evidence rollup for the cycle
+ * and the saved summative record, if any.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle Optional. The school year, e.g. "2025-2026". Defaults to the current one.
+ * @returns {Object} A response object with cycles, rollup, and summative.
+ */
+function getSummativeEvaluationForClient(staffEmail, cycle = null) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+
+        const selectedCycle = cycle || getSchoolYearCycle();
+        const summative = getSummativeEvaluation(staffEmail, selectedCycle);
+        const rollup = buildSummativeRollup(staffEmail, selectedCycle, summative && summative.status === SUMMATIVE_STATUS.FINALIZED ? summative.observationIds : null);
+        if (!rollup) {
+            return { success: false, error: 'Staff member not found.' };
+        }
+
+        return {
+            success: true,
+            cycle: selectedCycle,
+            cycles: getSummativeCyclesForStaff(staffEmail),
+            rollup: rollup,
+            summative: summative,
+            canEdit: !summative || (summative.status === SUMMATIVE_STATUS.DRAFT && summative.evaluatorEmail === userContext.email)
+        };
+    } catch (error) {
+        console.error('Error in getSummativeEvaluationForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading the summative evaluation.' };
+    }
+}
+
+/**
+ * Saves final domain ratings and summary comments, creating the summative record if needed.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {Object} updates The domain ratings and summary comments (see saveSummativeEvaluation).
+ * @returns {Object} A response object with the saved summative evaluation.
+ */
+function saveSummativeEvaluationFromClient(staffEmail, cycle, updates) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+
+        const created = getOrCreateSummativeEvaluation(staffEmail, cycle, userContext.email);
+        if (!created.success) {
+            return created;
+        }
+        return saveSummativeEvaluation(created.summative.summativeId, updates, userContext.email);
+    } catch (error) {
+        console.error('Error in saveSummativeEvaluationFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while saving the summative evaluation.' };
+    }
+}
+
+/**
+ * Finalizes a summative evaluation and generates its PDF.
+ * @param {string} summativeId The summative evaluation ID.
+ * @returns {Object} A response object with the summative evaluation and PDF result.
+ */
+function finalizeSummativeEvaluationFromClient(summativeId) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+
+        const result = finalizeSummativeEvaluation(summativeId, userContext.email);
+        if (!result.success) {
+            return result;
+        }
+
+        const pdfResult = PdfService.generateSummativePdf(summativeId);
+        return {
+            success: true,
+            summative: getSummativeEvaluationById(summativeId),
+            pdfUrl: pdfResult.pdfUrl || null,
+            pdfError: pdfResult.success ? null : pdfResult.error
+        };
+    } catch (error) {
+        console.error('Error in finalizeSummativeEvaluationFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while finalizing the summative evaluation.' };
+    }
+}
+
+/**
+ * Regenerates the PDF for a finalized summative evaluation (e.g. after a failed attempt).
+ * @param {string} summativeId The summative evaluation ID.
+ * @returns {Object} A response object with the PDF URL.
+ */
+function regenerateSummativePdfFromClient(summativeId) {
+    try {
+        const userContext = createUserContext();
+        const summative = getSummativeEvaluationById(summativeId);
+        if (!summative) {
+            return { success: false, error: 'Summative evaluation not found.' };
+        }
+        if (summative.evaluatorEmail !== userContext.email) {
+            return { success: false, error: 'Permission denied. You did not create this summative evaluation.' };
+        }
+        return PdfService.generateSummativePdf(summativeId);
+    } catch (error) {
+        console.error('Error in regenerateSummativePdfFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while generating the summative PDF.' };
+    }
+}
+
+/**
+ * Loads a staff member's growth goals for a cycle, each with its observation evidence.
+ * Staff members load their own goals; peer evaluators, administrators and Full Access users
+ * can load anyone's.
+ * @param {string} staffEmail Optional. Defaults to the current user.
+ * @param {string} cycle Optional. The school year, e.g. "2025-2026". Defaults to the current one.
+ * @returns {Object} A response object with staff, cycle, cycles, goals, components, and the
+ *     current user's canEdit/canComment permissions.
+ */
+function getGrowthGoalsForClient(staffEmail = null, cycle = null) {
+    try {
+        const userContext = createUserContext();
+        const targetEmail = staffEmail || userContext.email;
+        const isOwner = targetEmail === userContext.email;
+        const isEvaluator = userContext.role === SPECIAL_ROLES.PEER_EVALUATOR || userContext.role === SPECIAL_ROLES.ADMINISTRATOR;
+        if (!isOwner && !isEvaluator && userContext.role !== SPECIAL_ROLES.FULL_ACCESS) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+
+        const staff = getUserByEmail(targetEmail);
+        if (!staff) {
+            return { success: false, error: 'Staff member not found.' };
+        }
+
+        const selectedCycle = cycle || getSchoolYearCycle();
+        const allGoals = getGrowthGoals(targetEmail);
+        const cycles = new Set(getSummativeCyclesForStaff(targetEmail));
+        allGoals.forEach(goal => cycles.add(goal.cycle));
+
+        return {
+            success: true,
+            staff: { email: staff.email, name: staff.name, role: staff.role },
+            cycle: selectedCycle,
+            cycles: Array.from(cycles).sort().reverse(),
+            goals: allGoals
+                .filter(goal => goal.cycle === selectedCycle)
+                .map(goal => Object.assign({}, goal, { evidence: getGrowthGoalEvidence(goal) })),
+            components: getGrowthGoalComponentOptions(staff),
+            statuses: Object.values(GROWTH_GOAL_STATUS),
+            canEdit: isOwner,
+            canComment: isEvaluator && !isOwner
+        };
+    } catch (error) {
+        console.error('Error in getGrowthGoalsForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading growth goals.' };
+    }
+}
+
+/**
+ * Creates or edits one of the current user's growth goals.
+ * @param {string|null} goalId The goal to edit, or null to create one.
+ * @param {Object} goal The goal fields (see createGrowthGoal and updateGrowthGoal).
+ * @returns {Object} A response object with the saved goal.
+ */
+function saveGrowthGoalFromClient(goalId, goal) {
+    try {
+        const userContext = createUserContext();
+        return goalId
+            ? updateGrowthGoal(goalId, goal, userContext.email)
+            : createGrowthGoal(userContext.email, goal);
+    } catch (error) {
+        console.error('Error in saveGrowthGoalFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while saving the goal.' };
+    }
+}
+
+/**
+ * Deletes one of the current user's growth goals.
+ * @param {string} goalId The goal ID.
+ * @returns {Object} A response object with success status.
+ */
+function deleteGrowthGoalFromClient(goalId) {
+    try {
+        const userContext = createUserContext();
+        return deleteGrowthGoal(goalId, userContext.email);
+    } catch (error) {
+        console.error('Error in deleteGrowthGoalFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while deleting the goal.' };
+    }
+}
+
+/**
+ * Adds a progress comment to a staff member's growth goal (peer evaluators and administrators).
+ * @param {string} goalId The goal ID.
+ * @param {string} text The comment.
+ * @returns {Object} A response object with the updated goal.
+ */
+function addGrowthGoalCommentFromClient(goalId, text) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        const goal = getGrowthGoalById(goalId);
+        if (goal && goal.staffEmail === userContext.email) {
+            return { success: false, error: 'You can\'t comment on your own goal.' };
+        }
+        return addGrowthGoalComment(goalId, text, userContext.email);
+    } catch (error) {
+        console.error('Error in addGrowthGoalCommentFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while saving the comment.' };
+    }
+}
+
+/**
+ * Loads the current evaluator's schedule with upcoming and overdue events.
+ * @returns {Object} A response object with events, upcoming, and overdue lists.
+ */
+function getScheduleForClient() {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return Object.assign({ success: true }, getScheduleOverview(userContext.email));
+    } catch (error) {
+        console.error('Error in getScheduleForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading the schedule.' };
+    }
+}
+
+/**
+ * Loads the current staff member's own scheduled events.
+ * @returns {Object} A response object with the events.
+ */
+function getMyScheduleForClient() {
+    try {
+        const userContext = createUserContext();
+        return { success: true, events: getScheduleEvents({ staffEmail: userContext.email }) };
+    } catch (error) {
+        console.error('Error in getMyScheduleForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading your schedule.' };
+    }
+}
+
+/**
+ * Schedules a pre-conference, observation and/or post-conference for a staff member.
+ * @param {string} staffEmail The staff member's email.
+ * @param {Array<Object>} events Events to schedule (see createObservationPlan).
+ * @returns {Object} A response object with the created events.
+ */
+function createObservationPlanFromClient(staffEmail, events) {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return createObservationPlan(userContext.email, staffEmail, events);
+    } catch (error) {
+        console.error('Error in createObservationPlanFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while scheduling.' };
+    }
+}
+
+/**
+ * Reschedules a scheduled event or marks it completed or cancelled.
+ * @param {string} scheduleId The event ID.
+ * @param {Object} updates Fields to change (see updateScheduleEvent).
+ * @returns {Object} A response object with the updated event.
+ */
+function updateScheduleEventFromClient(scheduleId, updates) {
+    try {
+        const userContext = createUserContext();
+        return updateScheduleEvent(scheduleId, updates, userContext.email);
+    } catch (error) {
+        console.error('Error in updateScheduleEventFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while updating the schedule.' };
+    }
+}
+
+/**
+ * Starts the observation for a scheduled Observation event: creates the draft with the
+ * scheduled date, links it to the event, and marks the event completed.
+ * @param {string} scheduleId The Observation event ID.
+ * @returns {Object} The same response as createNewObservationForEvaluator().
+ */
+function startScheduledObservation(scheduleId) {
+    try {
+        const userContext = createUserContext();
+        const event = getScheduleEventById(scheduleId);
+        if (!event || event.eventType !== SCHEDULE_EVENT_TYPES.OBSERVATION) {
+            return { success: false, error: 'Scheduled observation not found.' };
+        }
+        if (event.evaluatorEmail !== userContext.email) {
+            return { success: false, error: 'Only the evaluator who scheduled this observation can start it.' };
+        }
+        if (event.observationId) {
+            return loadObservationForEditing(event.observationId);
+        }
+
+        const result = createNewObservationForEvaluator(event.staffEmail);
+        if (!result.success) {
+            return result;
+        }
+
+        const observationDate = Utilities.formatDate(new Date(event.scheduledAt), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+        updateObservationMetadata(result.observation.observationId, { observationDate: observationDate });
+        result.observation.observationDate = observationDate;
+
+        updateScheduleEvent(scheduleId, { status: SCHEDULE_STATUS.COMPLETED, observationId: result.observation.observationId }, userContext.email);
+        return result;
+    } catch (error) {
+        console.error('Error in startScheduledObservation:', error);
+        return { success: false, error: 'An unexpected error occurred while starting the observation.' };
+    }
+}
+
+/**
+ * Exports scheduled events as an .ics file. Evaluators export their own schedule, optionally
+ * for one staff member; everyone else exports the events scheduled for them.
+ * @param {string} staffEmail Optional. For evaluators, restrict the export to this staff member.
+ * @returns {Object} A response object with the filename and .ics content.
+ */
+function getScheduleIcsForClient(staffEmail = null) {
+    try {
+        const userContext = createUserContext();
+        const isEvaluator = userContext.role === SPECIAL_ROLES.PEER_EVALUATOR || userContext.role === SPECIAL_ROLES.ADMINISTRATOR;
+
+        const criteria = isEvaluator
+            ? { evaluatorEmail: userContext.email, staffEmail: staffEmail || undefined, includeCancelled: true }
+            : { staffEmail: userContext.email, includeCancelled: true };
+        const events = getScheduleEvents(criteria);
+
+        const calendarName = isEvaluator ? 'Observation Schedule' : 'My Observation Schedule';
+        return {
+            success: true,
+            filename: 'observation-schedule.ics',
+            content: buildScheduleIcs(events, calendarName),
+            eventCount: events.length
+        };
+    } catch (error) {
+        console.error('Error in getScheduleIcsForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while exporting the schedule.' };
+    }
+}
+
+/**
+ * Loads the administrator analytics dashboard for the current user's building(s).
+ * @param {Object} filters Optional. { building, role, year, cycle }; empty values mean "all".
+ * @returns {Object} A response object with analytics and filter options.
+ */
+function getAdminAnalyticsForClient(filters = {}) {
+    try {
+        const userContext = createUserContext();
+        return getProficiencyAnalytics(userContext, filters);
+    } catch (error) {
+        console.error('Error in getAdminAnalyticsForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading analytics.' };
+    }
+}
+
+/**
+ * Loads the walkthrough look-for frequency report for the current user.
+ * @param {Object} filters Optional. { building, cycle }; empty values mean "all".
+ * @returns {Object} A response object with the report and filter options.
+ */
+function getWalkthroughReportForClient(filters = {}) {
+    try {
+        const userContext = createUserContext();
+        return getWalkthroughReport(userContext, filters);
+    } catch (error) {
+        console.error('Error in getWalkthroughReportForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading the walkthrough report.' };
+    }
+}
+
+/**
+ * Client-callable wrapper for the administrator's evaluation cycle compliance report.
+ * @param {string} cycle Optional. The school year, e.g. "2025-2026"; defaults to the current one.
+ * @returns {Object} A response object with the compliance report.
+ */
+function getComplianceReportForClient(cycle = null) {
+    try {
+        const userContext = createUserContext();
+        return getComplianceReport(userContext, cycle);
+    } catch (error) {
+        console.error('Error in getComplianceReportForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading the compliance report.' };
+    }
+}
+
+/**
+ * Exports the administrator's compliance report to a sheet in the spreadsheet.
+ * @param {string} cycle Optional. The school year; defaults to the current one.
+ * @returns {Object} A response object with the sheet name and URL.
+ */
+function exportComplianceReportFromClient(cycle = null) {
+    try {
+        const userContext = createUserContext();
+        return exportComplianceReport(userContext, cycle);
+    } catch (error) {
+        console.error('Error in exportComplianceReportFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while exporting the compliance report.' };
     }
 }
 
 /**
- * Retrieves the URL for a previously generated PDF of a finalized observation.
- * @param {string} observationId The ID of the observation.
- * @returns {Object} A response object with success status and the PDF URL.
+ * Loads a role's rubric into the rubric editor (Full Access only).
+ * @param {string} roleName The role whose rubric is edited.
+ * @returns {Object} A response object with the rubric and its sheet hash.
  */
-function getObservationPdfUrl(observationId) {
+function getRubricForEditingFromClient(roleName) {
     try {
-        setupObservationSheet(); // Ensure the sheet is ready
         const userContext = createUserContext();
-        if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
-            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
-        }
-
-        const observation = getObservationById(observationId);
-        if (!observation) {
-            return { success: false, error: 'Observation not found.' };
-        }
+        return getRubricForEditing(userContext, roleName);
+    } catch (error) {
+        console.error('Error in getRubricForEditingFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading the rubric.' };
+    }
+}
 
-        if (observation.observerEmail !== userContext.email) {
-            return { success: false, error: 'Permission denied. You did not create this observation.' };
-        }
+/**
+ * Saves the rubric editor's changes to a role sheet (Full Access only).
+ * @param {string} roleName The role whose rubric is edited.
+ * @param {Object} rubric The edited rubric.
+ * @param {string} baseHash The sheet hash the rubric was loaded with.
+ * @returns {Object} A response object with the saved rubric, or the validation errors.
+ */
+function saveRubricFromClient(roleName, rubric, baseHash) {
+    try {
+        const userContext = createUserContext();
+        return saveRubric(userContext, roleName, rubric, baseHash);
+    } catch (error) {
+        console.error('Error in saveRubricFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while saving the rubric.' };
+    }
+}
 
-        if (observation.status !== OBSERVATION_STATUS.FINALIZED) {
-            return { success: false, error: 'PDF is only available for finalized observations.' };
-        }
+/**
+ * Queues a bulk export of finalized observation PDFs for a building or a list of staff.
+ * The export runs in the background (processBulkExportQueue) and the requester is emailed when done.
+ * @param {Object} request { building?, staffEmails?, cycle?, includeScripts?, includeEvidence? }
+ * @returns {Object} A response object with the queued job.
+ */
+function requestBulkExportFromClient(request) {
+    try {
+        const userContext = createUserContext();
+        return createBulkExportJob(userContext, request || {});
+    } catch (error) {
+        console.error('Error in requestBulkExportFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while queuing the export.' };
+    }
+}
 
-        if (!observation.pdfUrl) {
-            return { success: false, error: 'PDF has not been generated for this observation yet.' };
+/**
+ * Lists the current administrator's queued and recent bulk exports.
+ * @returns {Object} A response object with the jobs.
+ */
+function getBulkExportJobsForClient() {
+    try {
+        const userContext = createUserContext();
+        if (userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
         }
-
-        return { success: true, pdfUrl: observation.pdfUrl };
-
+        return { success: true, jobs: getBulkExportJobs(userContext.email) };
     } catch (error) {
-        console.error(`Error getting PDF URL for observation ${observationId}:`, error);
-        return { success: false, error: 'An unexpected error occurred while retrieving the PDF URL.' };
+        console.error('Error in getBulkExportJobsForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading exports.' };
     }
 }
 
@@ -2058,7 +2391,7 @@ function getFinalizedObservationsForStaff(staffEmail = null) {
         }
         
         // Get finalized observations for this staff member
-        const observations = getObservationsForUser(targetEmail, OBSERVATION_STATUS.FINALIZED);
+        const observations = getObservationsForUser(targetEmail, FINALIZED_OBSERVATION_STATUSES);
         
         // Enhanced observations with file listing and folder URL from Drive folders
         const enhancedObservations = observations.map(obs => {
@@ -2307,45 +2640,37 @@ function deleteObservationFile(observationId, fileName) {
             return { success: false, error: 'File not found in observation folder.' };
         }
 
-        // Clean up evidenceLinks if the file exists there
-        if (observation.evidenceLinks && fileUrl) {
-            let linksUpdated = false;
-            const updatedEvidenceLinks = {};
-
-            for (const componentId in observation.evidenceLinks) {
-                const componentLinks = observation.evidenceLinks[componentId];
-                if (Array.isArray(componentLinks)) {
-                    // Filter out the deleted file by matching URL or name
-                    const filteredLinks = componentLinks.filter(link =>
-                        link.url !== fileUrl && link.name !== fileName
-                    );
-
-                    if (filteredLinks.length !== componentLinks.length) {
-                        linksUpdated = true;
-                    }
-
-                    // Only keep the component if it still has links
-                    if (filteredLinks.length > 0) {
-                        updatedEvidenceLinks[componentId] = filteredLinks;
+        // Clean up evidenceLinks if the file exists there, filtering the links as they are
+        // under the lock so uploads made meanwhile are kept
+        if (fileUrl) {
+            const updateResult = _updateObservationJsonData(observationId, 'evidenceLinks', (evidenceLinks) => {
+                const updatedEvidenceLinks = {};
+                for (const componentId in evidenceLinks) {
+                    const componentLinks = evidenceLinks[componentId];
+                    if (Array.isArray(componentLinks)) {
+                        // Filter out the deleted file by matching URL or name
+                        const filteredLinks = componentLinks.filter(link =>
+                            link.url !== fileUrl && link.name !== fileName
+                        );
+
+                        // Only keep the component if it still has links
+                        if (filteredLinks.length > 0) {
+                            updatedEvidenceLinks[componentId] = filteredLinks;
+                        }
+                    } else {
+                        updatedEvidenceLinks[componentId] = componentLinks;
                     }
-                } else {
-                    updatedEvidenceLinks[componentId] = componentLinks;
                 }
-            }
-
-            if (linksUpdated) {
-                // Update the observation with cleaned evidenceLinks
-                observation.evidenceLinks = updatedEvidenceLinks;
-                const updateResult = updateObservationInSheet(observation);
+                return updatedEvidenceLinks;
+            });
 
-                if (updateResult.success) {
-                    debugLog('EvidenceLinks updated after file deletion', {
-                        observationId,
-                        fileName
-                    });
-                } else {
-                    console.warn('File deleted from Drive but failed to update evidenceLinks:', updateResult.error);
-                }
+            if (updateResult.success) {
+                debugLog('EvidenceLinks updated after file deletion', {
+                    observationId,
+                    fileName
+                });
+            } else {
+                console.warn('File deleted from Drive but failed to update evidenceLinks:', updateResult.error);
             }
         }
 
@@ -2528,34 +2853,16 @@ function getObservationStatusAndPdfUrl(observationId) {
             return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
         }
 
-        const spreadsheet = openSpreadsheet();
-        const sheet = getSheetByName(spreadsheet, "Observation_Data");
-        if (!sheet) {
-            return { success: false, error: `Sheet '${"Observation_Data"}' not found.` };
-        }
-
-        const row = findObservationRow(sheet, observationId);
-        if (row === -1) {
+        const observation = ObservationRepository.findById(observationId);
+        if (!observation) {
             return { success: false, error: 'Observation not found.' };
         }
 
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        const pdfUrlCol = headers.indexOf('pdfUrl') + 1;
-        const pdfStatusCol = headers.indexOf('pdfStatus') + 1;
-        const statusCol = headers.indexOf('status') + 1;
-
-        if (pdfUrlCol === 0 || pdfStatusCol === 0 || statusCol === 0) {
-            return { success: false, error: 'Required columns (pdfUrl, pdfStatus, status) not found.' };
-        }
-
-        const range = sheet.getRange(row, 1, 1, sheet.getLastColumn());
-        const values = range.getValues()[0];
-
         return {
             success: true,
-            status: values[statusCol - 1],
-            pdfUrl: values[pdfUrlCol - 1],
-            pdfStatus: values[pdfStatusCol - 1]
+            status: observation.status,
+            pdfUrl: observation.pdfUrl,
+            pdfStatus: observation.pdfStatus
         };
 
     } catch (error) {
@@ -2588,43 +2895,22 @@ function updateObservationMetadata(observationId, metadata) {
             return { success: false, error: 'You do not have permission to edit this observation.' };
         }
 
-        if (observation.status !== OBSERVATION_STATUS.DRAFT) {
-            return { success: false, error: 'You can only edit draft observations.' };
-        }
-
-        const spreadsheet = openSpreadsheet();
-        const sheet = getSheetByName(spreadsheet, "Observation_Data");
-        if (!sheet) {
-            return { success: false, error: `Sheet '${"Observation_Data"}' not found.` };
-        }
-
-        const row = findObservationRow(sheet, observationId);
-        if (row === -1) {
-            return { success: false, error: 'Observation row not found in the sheet.' };
+        if (!EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+            return { success: false, error: 'You can only edit draft or returned observations.' };
         }
 
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        
+        const changes = {};
         if (metadata.observationName) {
-            const nameCol = headers.indexOf('observationName') + 1;
-            if (nameCol > 0) {
-                sheet.getRange(row, nameCol).setValue(metadata.observationName);
-            }
+            changes.observationName = metadata.observationName;
         }
-
         if (metadata.observationDate) {
-            const dateCol = headers.indexOf('observationDate') + 1;
-            if (dateCol > 0) {
-                sheet.getRange(row, dateCol).setValue(metadata.observationDate);
-            }
-        }
-        
-        const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-        if (lastModifiedCol > 0) {
-            sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
+            changes.observationDate = metadata.observationDate;
         }
 
-        SpreadsheetApp.flush();
+        const result = ObservationRepository.updateFields(observationId, changes);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
         
         // The observationName is metadata only and should not affect the folder name,
         // which is based on the immutable observationId.
@@ -2640,7 +2926,7 @@ function updateObservationMetadata(observationId, metadata) {
 }
 
 function uploadGlobalRecording(observationId, base64Data, filename, recordingType) {
-    const lock = LockService.getScriptLock();
+    const lock = ObservationRepository.getLock();
     lock.waitLock(30000); // Wait up to 30 seconds
 
     try {
@@ -3098,7 +3384,8 @@ function _createScriptPdfDocument(observation, scriptContent, docName, contentSo
         const componentTags = observation.componentTags;
 
         // Get all rubric data to look up component titles
-        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full');
+        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', null,
+            getObservationRubricVersionId(observation));
 
         // Create a lookup map for component titles for performance
         const componentMap = new Map();
@@ -3166,7 +3453,7 @@ function handleStaffListRequest(e) {
     let yearArgument = filterYear;
 
     // Validate requestingRole
-    if (typeof requestingRole !== 'string' || !AVAILABLE_ROLES.includes(requestingRole)) {
+    if (typeof requestingRole !== 'string' || !isValidRole(requestingRole)) {
       return {
         success: false,
         error: 'Invalid input',
@@ -3175,7 +3462,7 @@ function handleStaffListRequest(e) {
     }
 
     // Validate filterRole if provided
-    if (filterRole && (typeof filterRole !== 'string' || !AVAILABLE_ROLES.includes(filterRole))) {
+    if (filterRole && (typeof filterRole !== 'string' || !isValidRole(filterRole))) {
       return {
         success: false,
         error: 'Invalid input',
@@ -3253,7 +3540,7 @@ function getFilteredStaffList(filterType = 'all', role = null, year = null) {
         break;
 
       case 'by_role':
-        if (role && AVAILABLE_ROLES.includes(role)) {
+        if (role && isValidRole(role)) {
           filteredUsers = filteredUsers.filter(user => user.role === role);
         }
         break;
@@ -3265,7 +3552,7 @@ function getFilteredStaffList(filterType = 'all', role = null, year = null) {
         break;
 
       case 'combined':
-        if (role && AVAILABLE_ROLES.includes(role)) {
+        if (role && isValidRole(role)) {
           filteredUsers = filteredUsers.filter(user => user.role === role);
         }
         if (year) {
@@ -3431,8 +3718,23 @@ function onEditTrigger(e) {
       return;
     }
 
-    // Handle role-specific sheet edits (rubric content changes)
-    if (AVAILABLE_ROLES.includes(sheetName)) {
+    // Handle Roles sheet edits: role names, sheets and access feed most cached data
+    if (sheetName === SHEET_NAMES.ROLES) {
+      invalidateDependentCaches('roles_config');
+      debugLog('Roles sheet edited - caches invalidated', { row: editedRow, column: editedColumn, triggerId: triggerId });
+      return;
+    }
+
+    // Handle observation type and question edits
+    if (sheetName === SHEET_NAMES.OBSERVATION_TYPES || sheetName === SHEET_NAMES.WORK_PRODUCT_QUESTIONS) {
+      invalidateDependentCaches('observation_types_config');
+      debugLog('Observation types or questions edited - caches invalidated', { sheetName: sheetName, row: editedRow, triggerId: triggerId });
+      return;
+    }
+
+    // Handle role-specific sheet edits (rubric content changes); roles may share a sheet
+    const editedRoles = getRolesForSheet(sheetName);
+    if (editedRoles.length > 0) {
       // Skip if no actual content change
       if (oldValue === newValue) {
         debugLog('No content change detected - ignoring', { triggerId: triggerId });
@@ -3440,7 +3742,9 @@ function onEditTrigger(e) {
       }
 
       // Process the rubric content change
-      processRubricContentChange(sheetName, editedRow, editedColumn, newValue, oldValue, triggerId);
+      editedRoles.forEach(roleName => {
+        processRubricContentChange(roleName, editedRow, editedColumn, newValue, oldValue, triggerId);
+      });
       return;
     }
 
@@ -3471,23 +3775,38 @@ function onEditTrigger(e) {
 
 /**
  * Process rubric content changes and clear relevant caches
+ * @param {Array<Object>} changes Optional. Component-level changes from the rubric editor
+ *     (see diffRubrics); sheet edits are described by the edited cell instead.
  */
-function processRubricContentChange(roleName, editedRow, editedColumn, newValue, oldValue, triggerId) {
+function processRubricContentChange(roleName, editedRow, editedColumn, newValue, oldValue, triggerId, changes = null) {
   try {
+    const changeType = changes ? 'rubric_editor' : determineRubricChangeType(editedRow, editedColumn);
     debugLog('Processing rubric content change', {
       triggerId: triggerId,
       roleName: roleName,
       row: editedRow,
       column: editedColumn,
-      changeType: determineRubricChangeType(editedRow, editedColumn)
+      changeType: changeType
     });
 
+    if (typeof auditLog === 'function') {
+      auditLog(AUDIT_ACTIONS.RUBRIC_EDITED, {
+        roleName: roleName,
+        changeType: changeType,
+        changes: changes || [{ row: editedRow, column: editedColumn, before: oldValue, after: newValue }]
+      });
+    }
+
     // Clear role sheet cache for this specific role
     const cache = CacheService.getScriptCache();
     const roleSheetKey = generateCacheKey('role_sheet', { role: roleName });
     cache.remove(roleSheetKey);
     debugLog('Cleared role sheet cache', { key: roleSheetKey, roleName: roleName, triggerId: triggerId });
 
+    // Role sheet data is cached per user, which a trigger can't reach; bump the master
+    // version so nobody keeps rendering (or versioning) the old rubric text
+    incrementMasterCacheVersion();
+
     // Force update the stored hash for change detection
     const properties = PropertiesService.getScriptProperties();
     properties.deleteProperty(`SHEET_HASH_${roleName}`);
@@ -3529,14 +3848,13 @@ function processRubricContentChange(roleName, editedRow, editedColumn, newValue,
     if (typeof warmCacheForRoleChange === 'function' && staffData && staffData.users) {
       const sampleUser = staffData.users.find(user => user.role === roleName);
       if (sampleUser) {
-        setTimeout(() => {
-          warmCacheForRoleChange(sampleUser.email, roleName);
-          debugLog('Cache warmed for updated role sheet', {
-            roleName: roleName,
-            sampleUserEmail: sampleUser.email,
-            triggerId: triggerId
-          });
-        }, 100); // Small delay to let cache clearing complete
+        // Apps Script has no setTimeout; the caches above are already cleared at this point
+        warmCacheForRoleChange(sampleUser.email, roleName);
+        debugLog('Cache warmed for updated role sheet', {
+          roleName: roleName,
+          sampleUserEmail: sampleUser.email,
+          triggerId: triggerId
+        });
       }
     }
 
@@ -3605,11 +3923,11 @@ function processRoleChangeFromTrigger(sheet, editedRow, newRole, oldRole, trigge
     const userName = nameCell.getValue() || 'Unknown';
 
     // Validate new role
-    if (newRole && !AVAILABLE_ROLES.includes(newRole)) {
+    if (newRole && !isValidRole(newRole)) {
       console.warn('Invalid new role detected in trigger:', {
         userEmail: userEmail,
         newRole: newRole,
-        availableRoles: AVAILABLE_ROLES,
+        availableRoles: getAvailableRoles(),
         triggerId: triggerId
       });
       // Don't return - still clear caches in case of role correction
@@ -3636,7 +3954,7 @@ function processRoleChangeFromTrigger(sheet, editedRow, newRole, oldRole, trigge
     }
 
     // Warm cache for new role if valid
-    if (newRole && AVAILABLE_ROLES.includes(newRole)) {
+    if (newRole && isValidRole(newRole)) {
       if (typeof warmCacheForRoleChange === 'function') {
         warmCacheForRoleChange(userEmail, newRole);
         debugLog('Cache warmed for new role', {
@@ -3687,7 +4005,7 @@ function clearCachesForSpecificUser(userEmail, oldRole, newRole, triggerId) {
 
     // Clear versioned role sheet caches for both old and new roles
     const rolesToClear = [oldRole, newRole].filter(role =>
-      role && AVAILABLE_ROLES.includes(role)
+      role && isValidRole(role)
     );
 
     rolesToClear.forEach(role => {
@@ -3865,7 +4183,7 @@ function warmCacheForRoleChange(userEmail, newRole) {
     debugLog('Warming cache for role change', { userEmail, newRole });
 
     // Validate role exists
-    if (!AVAILABLE_ROLES.includes(newRole)) {
+    if (!isValidRole(newRole)) {
       console.warn(`Cannot warm cache for invalid role: ${newRole}`);
       return;
     }
@@ -3983,7 +4301,8 @@ function enhanceDomainsWithAssignments(domains, assignedSubdomains, viewMode = '
 
   try {
     return domains.map((domain, domainIndex) => {
-      const domainKey = `domain${domainIndex + 1}`;
+      // Assignments are keyed by domain number, which need not match the domain's position
+      const domainKey = `domain${domain.number || domainIndex + 1}`;
       let assignedList = assignedSubdomains[domainKey];
 
       // Ensure assignedList is an array before using .includes()
@@ -4049,7 +4368,7 @@ function calculateAssignmentMetadata(domains, assignedSubdomains) {
     };
 
     domains.forEach((domain, index) => {
-      const domainKey = `domain${index + 1}`;
+      const domainKey = `domain${domain.number || index + 1}`;
       const domainInfo = domain.assignmentInfo || {};
 
       metadata.totalComponents += domainInfo.totalComponents || 0;
@@ -4285,8 +4604,10 @@ function removeAutoTrigger() {
 
 /**
  * Enhanced function to get all domains data with view mode and assignment support
+ * @param {string} rubricVersionId Optional. Render this rubric version (see RubricVersionService)
+ *     instead of the live role sheet; falls back to the live rubric if the version is missing.
  */
-function getAllDomainsData(role = null, year = null, viewMode = 'full', assignedSubdomains = null) {
+function getAllDomainsData(role = null, year = null, viewMode = 'full', assignedSubdomains = null, rubricVersionId = null) {
   const startTime = Date.now();
   let userRole = 'Teacher'; // Default role
   let userYear = null;
@@ -4295,7 +4616,7 @@ function getAllDomainsData(role = null, year = null, viewMode = 'full', assigned
 
   // Validate role
   if (role) {
-    if (typeof role === 'string' && AVAILABLE_ROLES.includes(role)) {
+    if (typeof role === 'string' && isValidRole(role)) {
       userRole = role;
     } else {
       console.error(`Invalid role: ${role}. Returning error structure.`);
@@ -4307,7 +4628,7 @@ function getAllDomainsData(role = null, year = null, viewMode = 'full', assigned
         viewMode: viewMode,
         domains: [],
         isError: true,
-        errorMessage: `Invalid role: ${role}. Valid roles are: ${AVAILABLE_ROLES.join(', ')}.`
+        errorMessage: `Invalid role: ${role}. Valid roles are: ${getAvailableRoles().join(', ')}.`
       };
     }
   }
@@ -4361,8 +4682,13 @@ function getAllDomainsData(role = null, year = null, viewMode = 'full', assigned
       hasAssignedSubdomains: !!effectiveAssignedSubdomains
     });
     
+    const rubricVersion = rubricVersionId ? getRubricVersion(rubricVersionId) : null;
+    if (rubricVersionId && !rubricVersion) {
+      console.warn(`Rubric version ${rubricVersionId} not found - using the live ${userRole} rubric.`);
+    }
+
     // Get role-specific sheet data
-    const roleSheetData = getRoleSheetData(userRole);
+    const roleSheetData = rubricVersion ? { title: rubricVersion.title, subtitle: rubricVersion.subtitle } : getRoleSheetData(userRole);
     if (!roleSheetData) {
       // This case should ideally be handled by role validation, but as a fallback:
       throw new Error(`Unable to load data for role: ${userRole}`);
@@ -4384,12 +4710,17 @@ function getAllDomainsData(role = null, year = null, viewMode = 'full', assigned
       }
     };
     
-    // For Teacher role, use legacy processing for backward compatibility
-    if (userRole === 'Teacher') {
-      result.domains = processLegacyTeacherDomains(roleSheetData.data);
+    if (roleSheetData.validation && roleSheetData.validation.isErrorData) {
+      result.isError = true;
+      result.errorMessage = createErrorSheetContent(userRole, roleSheetData.validation)
+        .slice(2).map(row => row[1]).join(' ');
+    } else if (rubricVersion) {
+      result.domains = rubricVersion.domains;
+      result.rubricVersionId = rubricVersion.versionId;
     } else {
-      // Use dynamic processing for other roles
-      result.domains = processRoleDomains(roleSheetData, userRole, userYear);
+      // Domains and components come from the sheet's "Domain N:" marker rows, or the legacy
+      // fixed row ranges for sheets that don't have any
+      result.domains = applyRoleDomainNames(parseRubricSheet(roleSheetData.data).domains, roleSheetData.roleName);
     }
     
     // Apply assignment metadata and filtering
@@ -4452,6 +4783,7 @@ function getAllDomainsData(role = null, year = null, viewMode = 'full', assigned
 
 /**
  * Legacy function to process Teacher domain data
+ * Reads role sheets without "Domain N:" marker rows; see parseRubricSheet()
  */
 function processLegacyTeacherDomains(sheetData) {
   const domains = [];
@@ -4556,15 +4888,6 @@ function createBestPracticesMap(domainNumber, config) {
   return map;
 }
 
-/**
- * Process role-specific domains (placeholder for future implementation)
- */
-function processRoleDomains(roleSheetData, role, year) {
-  // For now, fall back to legacy processing
-  debugLog(`Processing role domains for ${role} - falling back to legacy processing`);
-  return processLegacyTeacherDomains(roleSheetData.data);
-}
-
 /**
  * Apply year-based filtering to domains (placeholder for future implementation)
  */
@@ -4784,8 +5107,8 @@ const rootFolder = rootFolderIterator.hasNext()
 }
 
 /**
- * Creates a transcription job for batch processing
- * Uses Gemini Batch API for 50% cost savings
+ * Creates a transcription job for batch processing by the configured transcription provider
+ * (the Gemini Batch API by default, for 50% cost savings)
  */
 function createTranscriptionJob(observationId, filename, prompt) {
     try {
@@ -4800,6 +5123,11 @@ function createTranscriptionJob(observationId, filename, prompt) {
             return { success: false, error: 'Observation not found.' };
         }
 
+        const provider = getTranscriptionProvider();
+        if (!provider || !provider.isConfigured()) {
+            return { success: false, error: 'Batch transcription is not configured.' };
+        }
+
         // Get audio file and check size
         const folder = getOrCreateObservationFolder(observationId);
         const files = folder.getFilesByName(filename);
@@ -4810,40 +5138,32 @@ function createTranscriptionJob(observationId, filename, prompt) {
         const fileSizeBytes = audioFile.getSize();
         const fileSizeMB = (fileSizeBytes / (1024 * 1024)).toFixed(2);
 
-        // Batch API has higher limits - check 50MB limit (with base64 overhead ~37MB source)
-        if (fileSizeBytes > MAX_BATCH_FILE_SIZE_BYTES) {
+        if (fileSizeBytes > provider.maxFileSizeBytes) {
+            const maxSizeMB = Math.floor(provider.maxFileSizeBytes / (1024 * 1024));
             return {
                 success: false,
-                error: `File too large (${fileSizeMB}MB). Maximum size for batch transcription is 37MB. Please use the "Copy Prompt" option for larger files.`
+                error: `File too large (${fileSizeMB}MB). Maximum size for batch transcription is ${maxSizeMB}MB. Please use the "Copy Prompt" option for larger files.`
             };
         }
 
         // Generate unique job ID
         const jobId = Utilities.getUuid();
 
-        // Store job in Script Properties
-        const jobData = {
+        // Pending rows of the Transcription_Jobs sheet are the queue
+        saveNewTranscriptionJob({
             jobId: jobId,
             observationId: observationId,
             filename: filename,
-            prompt: prompt,
-            status: 'pending', // pending, processing, complete, failed
+            prompt: (prompt || '') + TRANSCRIPT_FORMAT_INSTRUCTIONS,
+            status: TRANSCRIPTION_JOB_STATUS.PENDING,
             createdAt: new Date().toISOString(),
             createdBy: userContext.email,
-            fileSizeMB: fileSizeMB,
+            fileSizeMB: Number(fileSizeMB),
             fileId: audioFile.getId(),
             attempts: 0,
-            batchJobName: null
-        };
-
-        const properties = PropertiesService.getScriptProperties();
-        properties.setProperty('transcription_job_' + jobId, JSON.stringify(jobData));
-
-        // Add to job queue
-        let jobQueue = properties.getProperty('transcription_queue');
-        jobQueue = jobQueue ? JSON.parse(jobQueue) : [];
-        jobQueue.push(jobId);
-        properties.setProperty('transcription_queue', JSON.stringify(jobQueue));
+            provider: '', // Set when the job is submitted
+            providerJobName: ''
+        });
 
         debugLog('Batch transcription job created', { jobId, filename, fileSizeMB });
 
@@ -4852,7 +5172,7 @@ function createTranscriptionJob(observationId, filename, prompt) {
         return {
             success: true,
             jobId: jobId,
-            status: 'pending',
+            status: TRANSCRIPTION_JOB_STATUS.PENDING,
             estimatedWaitMinutes: estimatedMinutes,
             message: `Batch transcription job queued. Estimated completion: ${estimatedMinutes} minutes`,
             costSavings: '50% cheaper using Batch API'
@@ -4869,15 +5189,13 @@ function createTranscriptionJob(observationId, filename, prompt) {
  */
 function checkTranscriptionJobStatus(jobId) {
     try {
-        const properties = PropertiesService.getScriptProperties();
-        const jobDataStr = properties.getProperty('transcription_job_' + jobId);
+        migrateTranscriptionJobProperties();
+        const jobData = getTranscriptionJob(jobId);
 
-        if (!jobDataStr) {
+        if (!jobData) {
             return { success: false, error: 'Job not found' };
         }
 
-        const jobData = JSON.parse(jobDataStr);
-
         return {
             success: true,
             status: jobData.status,
@@ -4896,6 +5214,216 @@ function checkTranscriptionJobStatus(jobId) {
     }
 }
 
+/**
+ * Loads the transcription job dashboard (Administrator and Full Access only).
+ * @returns {Object} A response object with every job and the estimated cost by month.
+ */
+function getTranscriptionJobsForClient() {
+    try {
+        const userContext = createUserContext();
+        if (!canManageTranscriptionJobs(userContext)) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return Object.assign({ success: true }, getTranscriptionJobDashboard());
+    } catch (error) {
+        console.error('Error in getTranscriptionJobsForClient:', error);
+        return { success: false, error: 'An unexpected error occurred while loading transcription jobs.' };
+    }
+}
+
+/**
+ * Queues a failed or cancelled transcription job again (Administrator and Full Access only).
+ * @param {string} jobId The job ID.
+ * @returns {Object} A response object with the updated job.
+ */
+function retryTranscriptionJobFromClient(jobId) {
+    try {
+        const userContext = createUserContext();
+        if (!canManageTranscriptionJobs(userContext)) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return retryTranscriptionJob(jobId, userContext.email);
+    } catch (error) {
+        console.error('Error in retryTranscriptionJobFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while retrying the job.' };
+    }
+}
+
+/**
+ * Cancels a pending or processing transcription job (Administrator and Full Access only).
+ * @param {string} jobId The job ID.
+ * @returns {Object} A response object with the updated job.
+ */
+function cancelTranscriptionJobFromClient(jobId) {
+    try {
+        const userContext = createUserContext();
+        if (!canManageTranscriptionJobs(userContext)) {
+            return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+        }
+        return cancelTranscriptionJob(jobId, userContext.email);
+    } catch (error) {
+        console.error('Error in cancelTranscriptionJobFromClient:', error);
+        return { success: false, error: 'An unexpected error occurred while cancelling the job.' };
+    }
+}
+
+/**
+ * Loads an observation for a request its observer makes from the script editor.
+ * @param {string} observationId The observation ID.
+ * @returns {{observation?: Object, error?: string}} The observation, or the error to return.
+ * @private
+ */
+function _getObservationForObserver(observationId) {
+    const userContext = createUserContext();
+    if (userContext.role !== SPECIAL_ROLES.PEER_EVALUATOR && userContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+        return { error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+    const observation = getObservationById(observationId);
+    if (!observation) {
+        return { error: 'Observation not found.' };
+    }
+    if (observation.observerEmail !== userContext.email) {
+        return { error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+    return { observation: observation };
+}
+
+/**
+ * Lists an observation's finished transcripts for the script editor's import menu.
+ * @param {string} observationId The observation ID.
+ * @returns {Object} {success, transcripts: [{transcriptId, audioFilename, docUrl, segmentCount, timestamp}]}
+ */
+function getObservationTranscriptsForClient(observationId) {
+    try {
+        const access = _getObservationForObserver(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+
+        const transcripts = (access.observation.transcripts || []).map(transcript => ({
+            transcriptId: transcript.transcriptId,
+            audioFilename: transcript.audioFilename,
+            docUrl: transcript.docUrl,
+            segmentCount: transcript.segmentCount,
+            timestamp: transcript.timestamp
+        }));
+        return { success: true, transcripts: transcripts };
+    } catch (error) {
+        console.error('Error in getObservationTranscriptsForClient:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Gets the segments of one of an observation's transcripts for import into the script editor.
+ * @param {string} observationId The observation ID.
+ * @param {string} transcriptId The transcript ID (the ID of the job that produced it).
+ * @returns {Object} {success, transcript, segments}
+ */
+function getTranscriptSegmentsForClient(observationId, transcriptId) {
+    try {
+        const access = _getObservationForObserver(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+
+        const transcript = (access.observation.transcripts || []).find(entry => entry.transcriptId === transcriptId);
+        if (!transcript) {
+            return { success: false, error: 'Transcript not found.' };
+        }
+        return {
+            success: true,
+            transcript: { transcriptId: transcript.transcriptId, audioFilename: transcript.audioFilename },
+            segments: getTranscriptSegments(transcript)
+        };
+    } catch (error) {
+        console.error('Error in getTranscriptSegmentsForClient:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Gets a transcript's source recording so the script editor can play it from a segment's timestamp.
+ * @param {string} observationId The observation ID.
+ * @param {string} transcriptId The transcript ID.
+ * @returns {Object} {success, filename, mimeType, base64Data}
+ */
+function getTranscriptAudioForClient(observationId, transcriptId) {
+    try {
+        const access = _getObservationForObserver(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+
+        const transcript = (access.observation.transcripts || []).find(entry => entry.transcriptId === transcriptId);
+        if (!transcript) {
+            return { success: false, error: 'Transcript not found.' };
+        }
+
+        let audioFile;
+        try {
+            audioFile = DriveApp.getFileById(transcript.audioFileId);
+        } catch (error) {
+            return { success: false, error: `The recording ${transcript.audioFilename} is no longer in the observation folder.` };
+        }
+        return {
+            success: true,
+            filename: transcript.audioFilename,
+            mimeType: audioFile.getMimeType(),
+            base64Data: Utilities.base64Encode(audioFile.getBlob().getBytes())
+        };
+    } catch (error) {
+        console.error('Error in getTranscriptAudioForClient:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Suggests rubric components for the sentences of an observation's script (see
+ * TagSuggestionService.js). Peer evaluators get suggestions for their assigned components only,
+ * matching the script editor's component menu.
+ * @param {string} observationId The observation ID.
+ * @param {string} text The script text, as the editor's getText() returns it.
+ * @returns {Object} {success, suggestions, modelProvider, modelError}
+ */
+function getTagSuggestionsForClient(observationId, text) {
+    try {
+        const access = _getObservationForObserver(observationId);
+        if (access.error) {
+            return { success: false, error: access.error };
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            return { success: false, error: 'Script editor is empty' };
+        }
+        if (text.length > TAG_SUGGESTION_SETTINGS.MAX_TEXT_LENGTH) {
+            return { success: false, error: 'The script is too long for tag suggestions.' };
+        }
+
+        const observation = access.observation;
+        const userContext = createUserContext();
+        const assignedSubdomains = getAssignedSubdomainsForRoleYear(observation.observedRole, observation.observedYear);
+        const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', assignedSubdomains);
+        if (rubricData.isError) {
+            return { success: false, error: rubricData.subtitle || 'Could not load the rubric.' };
+        }
+
+        const components = [];
+        (rubricData.domains || []).forEach(domain => {
+            (domain.components || []).forEach(component => {
+                if (userContext.role === SPECIAL_ROLES.ADMINISTRATOR || component.isAssigned) {
+                    components.push(component);
+                }
+            });
+        });
+
+        const result = suggestComponentTags(text, components);
+        return Object.assign({ success: true }, result);
+    } catch (error) {
+        console.error('Error in getTagSuggestionsForClient:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * =================================================================
  * TRANSCRIPTION BATCH PROCESSING TRIGGER MANAGEMENT
@@ -5047,4 +5575,61 @@ function removeTranscriptionTrigger() {
             error: `Failed to remove trigger: ${error.message}`
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Installs the time-based trigger that processes bulk PDF exports. Run once by an administrator
+ * whose Drive account can read the observation folders; exports are written to that account's Drive
+ * and shared with the requester.
+ * @param {boolean} forceReinstall If true, will remove existing triggers before installing.
+ * @returns {Object} A result object with success status and message.
+ */
+function installBulkExportTrigger(forceReinstall = false) {
+    console.log('=== INSTALLING BULK EXPORT TRIGGER ===');
+    try {
+        const handlerFunction = BULK_EXPORT_SETTINGS.HANDLER_FUNCTION;
+        const existingTriggers = ScriptApp.getProjectTriggers().filter(trigger =>
+            trigger.getHandlerFunction() === handlerFunction
+        );
+
+        if (existingTriggers.length > 0 && !forceReinstall) {
+            console.log(`✅ Bulk export trigger for '${handlerFunction}' already installed.`);
+            return { success: true, message: 'Trigger already exists.', triggerCount: existingTriggers.length };
+        }
+
+        existingTriggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+        const newTrigger = ScriptApp.newTrigger(handlerFunction)
+            .timeBased()
+            .everyMinutes(BULK_EXPORT_SETTINGS.TRIGGER_MINUTES)
+            .create();
+
+        console.log(`✅ BULK EXPORT TRIGGER INSTALLED SUCCESSFULLY (ID: ${newTrigger.getUniqueId()})`);
+        return { success: true, message: 'Bulk export trigger installed successfully.', triggerId: newTrigger.getUniqueId() };
+
+    } catch (error) {
+        console.error(`Error installing bulk export trigger: ${error.message}`);
+        return { success: false, error: `Failed to install trigger: ${error.message}` };
+    }
+}
+
+/**
+ * Removes the bulk export trigger. Queued exports stay queued until it is reinstalled.
+ * @returns {Object} A result object with success status and message.
+ */
+function removeBulkExportTrigger() {
+    console.log('=== REMOVING BULK EXPORT TRIGGER ===');
+    try {
+        const triggers = ScriptApp.getProjectTriggers().filter(trigger =>
+            trigger.getHandlerFunction() === BULK_EXPORT_SETTINGS.HANDLER_FUNCTION
+        );
+        triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+        console.log(`✅ Removed ${triggers.length} bulk export trigger(s).`);
+        return { success: true, message: `Removed ${triggers.length} trigger(s).`, removedCount: triggers.length };
+
+    } catch (error) {
+        console.error(`Error removing bulk export trigger: ${error.message}`);
+        return { success: false, error: `Failed to remove trigger: ${error.message}` };
+    }
+}
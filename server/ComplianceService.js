@@ -0,0 +1,238 @@
+/**
+ * ComplianceService.js
+ * Evaluation cycle compliance: compares each staff member's finalized observations in a
+ * school year against the requirements in the Compliance_Requirements sheet and reports
+ * who is on track, at risk or overdue.
+ */
+
+/**
+ * Resolves a requirement's month/day due date within a school year.
+ * @param {Object} requirement A requirement from getComplianceRequirements().
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @returns {Date} The end of the due day.
+ */
+function getComplianceDueDate(requirement, cycle) {
+  const startYear = parseInt(cycle, 10);
+  const year = requirement.dueMonth >= SCHOOL_YEAR_START_MONTH ? startYear : startYear + 1;
+  return new Date(year, requirement.dueMonth - 1, requirement.dueDay, 23, 59, 59);
+}
+
+/**
+ * Gets the requirements that apply to a staff member's role and year.
+ * @param {Object} staff A Staff sheet user (role, year).
+ * @param {Array<Object>} requirements Requirements from getComplianceRequirements().
+ * @returns {Array<Object>} Matching requirements.
+ */
+function getRequirementsForStaff(staff, requirements) {
+  return (requirements || []).filter(requirement =>
+    (requirement.role === null || requirement.role === staff.role) &&
+    (requirement.year === null || requirement.year === staff.year));
+}
+
+/**
+ * Checks one requirement against a staff member's observations in the cycle.
+ * An unmet requirement is overdue once its due date passes, and at risk when it is due within
+ * COMPLIANCE_SETTINGS.AT_RISK_DAYS or fewer observations are finalized than an even pace from
+ * the start of the school year would have produced.
+ * @param {Object} requirement The requirement.
+ * @param {Array<Object>} observations The staff member's observations in the cycle (any status).
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {Date} now Optional. The current time.
+ * @returns {Object} { observationType, required, completed, inProgress, dueDate, status, met }
+ */
+function evaluateComplianceRequirement(requirement, observations, cycle, now = new Date()) {
+  const ofType = observations.filter(obs => (obs.Type || OBSERVATION_TYPES.STANDARD) === requirement.observationType);
+  const completed = ofType.filter(obs => FINALIZED_OBSERVATION_STATUSES.includes(obs.status)).length;
+  const dueDate = getComplianceDueDate(requirement, cycle);
+  const met = completed >= requirement.required;
+
+  let status = COMPLIANCE_STATUS.ON_TRACK;
+  if (!met) {
+    const cycleStart = new Date(parseInt(cycle, 10), SCHOOL_YEAR_START_MONTH - 1, 1);
+    const elapsed = Math.min(1, Math.max(0, (now - cycleStart) / (dueDate - cycleStart)));
+    const daysLeft = (dueDate - now) / (24 * 60 * 60 * 1000);
+
+    if (daysLeft < 0) {
+      status = COMPLIANCE_STATUS.OVERDUE;
+    } else if (daysLeft <= COMPLIANCE_SETTINGS.AT_RISK_DAYS || completed < Math.floor(requirement.required * elapsed)) {
+      status = COMPLIANCE_STATUS.AT_RISK;
+    }
+  }
+
+  return {
+    observationType: requirement.observationType,
+    required: requirement.required,
+    completed: completed,
+    inProgress: ofType.length - completed,
+    dueDate: dueDate.toISOString(),
+    status: status,
+    met: met
+  };
+}
+
+/**
+ * Builds the compliance report for a set of staff. Staff without any matching requirement
+ * are left out. Rows are ordered worst status first, then by name.
+ * @param {Array<Object>} staffList Staff sheet users.
+ * @param {Array<Object>} observations Observations of those staff (any cycle, any status).
+ * @param {Array<Object>} requirements Requirements from getComplianceRequirements().
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {Date} now Optional. The current time.
+ * @returns {Object} { cycle, generatedAt, summary: {On Track, At Risk, Overdue}, staff: [...] }
+ */
+function buildComplianceReport(staffList, observations, requirements, cycle, now = new Date()) {
+  const statusOrder = Object.values(COMPLIANCE_STATUS);
+  const summary = {};
+  statusOrder.forEach(status => { summary[status] = 0; });
+
+  const observationsByEmail = {};
+  observations
+    .filter(obs => getSchoolYearCycle(_getObservationEffectiveDate(obs)) === cycle)
+    .forEach(obs => {
+      (observationsByEmail[obs.observedEmail] = observationsByEmail[obs.observedEmail] || []).push(obs);
+    });
+
+  const staff = [];
+  staffList.forEach(member => {
+    const applicable = getRequirementsForStaff(member, requirements);
+    if (applicable.length === 0) return;
+
+    const results = applicable.map(requirement =>
+      evaluateComplianceRequirement(requirement, observationsByEmail[member.email] || [], cycle, now));
+    const status = statusOrder[Math.max.apply(null, results.map(result => statusOrder.indexOf(result.status)))];
+    summary[status]++;
+
+    staff.push({
+      email: member.email,
+      name: member.name,
+      role: member.role,
+      year: formatYearDisplay(member.year),
+      building: member.building || '',
+      status: status,
+      requirements: results
+    });
+  });
+
+  staff.sort((a, b) => statusOrder.indexOf(b.status) - statusOrder.indexOf(a.status) || a.name.localeCompare(b.name));
+
+  return { cycle: cycle, generatedAt: now.toISOString(), summary: summary, staff: staff };
+}
+
+/**
+ * Gets the staff an administrator is responsible for: their building(s), or everyone when
+ * the administrator has no building, as in getStaffForAdmin().
+ * @param {Object} adminContext The administrator's user context.
+ * @returns {Array<Object>} Staff sheet users, excluding the administrator.
+ * @private
+ */
+function _getComplianceStaffForAdmin(adminContext) {
+  const allStaff = getStaffData();
+  return ((allStaff && allStaff.users) || []).filter(user =>
+    user.email !== adminContext.email &&
+    (!adminContext.building || buildingsMatch(user.building, adminContext.building)));
+}
+
+/**
+ * Builds the compliance report for an administrator's staff.
+ * @param {Object} adminContext The administrator's user context (email, role, building).
+ * @param {string} cycle Optional. The school year; defaults to the current one.
+ * @param {Date} now Optional. The current time.
+ * @returns {Object} A response object with the report, whether any requirements are configured,
+ *     and the school years that can be reported on.
+ */
+function getComplianceReport(adminContext, cycle = null, now = new Date()) {
+  try {
+    if (!adminContext || adminContext.role !== SPECIAL_ROLES.ADMINISTRATOR) {
+      return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+    }
+
+    const requirements = getComplianceRequirements();
+    if (requirements.length === 0) {
+      // Give administrators an empty table to fill in
+      setupComplianceRequirementsSheet();
+    }
+    const staffList = _getComplianceStaffForAdmin(adminContext);
+    const emails = new Set(staffList.map(user => user.email));
+    const observations = _getObservationsDb().filter(obs => emails.has(obs.observedEmail));
+
+    const cycles = new Set([getSchoolYearCycle(now)]);
+    observations.forEach(obs => {
+      const observationCycle = getSchoolYearCycle(_getObservationEffectiveDate(obs));
+      if (observationCycle) cycles.add(observationCycle);
+    });
+
+    return {
+      success: true,
+      hasRequirements: requirements.length > 0,
+      cycles: Array.from(cycles).sort().reverse(),
+      report: buildComplianceReport(staffList, observations, requirements, cycle || getSchoolYearCycle(now), now)
+    };
+  } catch (error) {
+    console.error('Error in getComplianceReport:', error);
+    return { success: false, error: 'Failed to build the compliance report: ' + error.message };
+  }
+}
+
+/**
+ * Writes an administrator's compliance report to a "Compliance Report <cycle>" sheet,
+ * replacing any earlier export for the same cycle. One row per staff member and requirement.
+ * @param {Object} adminContext The administrator's user context.
+ * @param {string} cycle Optional. The school year; defaults to the current one.
+ * @returns {Object} A response object with the sheet name, URL and row count.
+ */
+function exportComplianceReport(adminContext, cycle = null) {
+  const result = getComplianceReport(adminContext, cycle);
+  if (!result.success) {
+    return result;
+  }
+
+  const report = result.report;
+  const sheetName = `${COMPLIANCE_SETTINGS.REPORT_SHEET_PREFIX} ${report.cycle}`;
+  const rows = [];
+  report.staff.forEach(member => {
+    member.requirements.forEach(requirement => {
+      rows.push([
+        member.name, member.email, member.role, member.year, member.building,
+        requirement.observationType, requirement.required, requirement.completed, requirement.inProgress,
+        Utilities.formatDate(new Date(requirement.dueDate), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+        requirement.status, member.status
+      ]);
+    });
+  });
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+
+  let sheet;
+  let spreadsheet;
+  try {
+    spreadsheet = openSpreadsheet();
+    sheet = getSheetByName(spreadsheet, sheetName) || spreadsheet.insertSheet(sheetName);
+    sheet.clear();
+
+    const headers = ['Name', 'Email', 'Role', 'Year', 'Building', 'Observation Type', 'Required',
+      'Completed', 'In Progress', 'Due Date', 'Requirement Status', 'Overall Status'];
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    sheet.setFrozenRows(1);
+    SpreadsheetApp.flush();
+  } catch (error) {
+    console.error('Error exporting compliance report:', formatErrorMessage(error, 'exportComplianceReport'));
+    return { success: false, error: 'Failed to export the compliance report: ' + error.message };
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.COMPLIANCE_REPORT_EXPORTED, { cycle: report.cycle, sheetName: sheetName, rowCount: rows.length });
+  }
+
+  return {
+    success: true,
+    sheetName: sheetName,
+    sheetUrl: `${spreadsheet.getUrl()}#gid=${sheet.getSheetId()}`,
+    rowCount: rows.length
+  };
+}
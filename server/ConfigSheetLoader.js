@@ -0,0 +1,138 @@
+/**
+ * ConfigSheetLoader.js
+ * Shared loading for the configuration sheets that define one entry per row keyed by name
+ * (Roles, Observation_Types). Reads the rows, collects the problems found as issues for the
+ * configuration check, and caches the result both in the script cache and for the rest of the
+ * execution, until the master cache version changes.
+ *
+ * Each service describes its sheet with a definition:
+ *   {
+ *     cacheKey: string,        // Script cache key, also the dependency key for invalidateDependentCaches
+ *     sheetName: string,       // From SHEET_NAMES
+ *     columnCount: number,     // Columns to read, from column A
+ *     keyColumn: number,       // 0-based column holding the entry name
+ *     keyField: string,        // Entry property for the name, e.g. "role"
+ *     keyLabel: string,        // Name for messages, e.g. "Role"
+ *     parseRow: function(Array, string, function(string, string)): Object,
+ *                              // Builds an entry from a row with a name; the third argument
+ *                              // records an issue for the row: issue(message, severity)
+ *     defaults: function(): Array<Object>,
+ *                              // Entries used when the sheet doesn't exist or can't be read
+ *     complete: function(Array<Object>, Array<Object>, string): Object
+ *                              // Builds the configuration from entries, issues and the source
+ *   }
+ */
+
+const ConfigSheetLoader = (function() {
+  'use strict';
+
+  /**
+   * Configurations already loaded in this execution, keyed by cache key, with the master cache
+   * version they were loaded under. Configuration checks run many times per request, so repeat
+   * calls skip the cache lookup.
+   * @type {Object<string, {cacheVersion: string, config: Object}>}
+   */
+  const _loaded = {};
+
+  /**
+   * Gets a sheet's configuration from this execution, the script cache or the sheet.
+   * @param {Object} definition The sheet definition.
+   * @returns {Object} The configuration built by definition.complete().
+   */
+  function load(definition) {
+    const loaded = _loaded[definition.cacheKey];
+    if (loaded && loaded.cacheVersion === getMasterCacheVersion()) {
+      return loaded.config;
+    }
+
+    try {
+      const cachedData = getCachedDataEnhanced(definition.cacheKey);
+      let config = cachedData && cachedData.data;
+      if (!config) {
+        config = _read(definition);
+        setCachedDataEnhanced(definition.cacheKey, {}, config, CACHE_SETTINGS.ROLE_CONFIG_TTL);
+      }
+
+      // Read the version afterwards: a changed sheet bumps it while loading
+      _loaded[definition.cacheKey] = { cacheVersion: getMasterCacheVersion(), config: config };
+      return config;
+
+    } catch (error) {
+      console.error(`Error reading ${definition.sheetName} sheet:`, formatErrorMessage(error, 'ConfigSheetLoader.load'));
+      return definition.complete(definition.defaults(), [], 'defaults');
+    }
+  }
+
+  /**
+   * Reads and checks a configuration sheet. Rows without a name are skipped, and a name defined
+   * twice keeps its first row.
+   * @param {Object} definition The sheet definition.
+   * @returns {Object} The configuration.
+   * @private
+   */
+  function _read(definition) {
+    const sheet = getSheetByName(openSpreadsheet(), definition.sheetName);
+    if (!sheet) {
+      debugLog(`${definition.sheetName} sheet not found - using the defaults`);
+      return definition.complete(definition.defaults(), [], 'defaults');
+    }
+
+    const lastRow = sheet.getLastRow();
+    const values = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, definition.columnCount).getValues();
+
+    if (hasSheetDataChanged(definition.sheetName, values)) {
+      debugLog(`${definition.sheetName} sheet data change detected - invalidating related caches`);
+      invalidateDependentCaches(definition.cacheKey);
+    }
+
+    const entries = [];
+    const issues = [];
+    values.forEach((row, index) => {
+      const rowNumber = index + 2;
+      const key = sanitizeText(row[definition.keyColumn]);
+      if (!key) return;
+
+      const rowIssue = (message, severity) => issues.push(issue(definition.sheetName, rowNumber, message, severity));
+      if (entries.some(existing => existing[definition.keyField] === key)) {
+        rowIssue(`${definition.keyLabel} "${key}" is already defined above; this row is ignored.`, VALIDATION_SEVERITY.ERROR);
+        return;
+      }
+
+      entries.push(Object.assign({ [definition.keyField]: key }, definition.parseRow(row, key, rowIssue), { row: rowNumber }));
+    });
+
+    return definition.complete(entries, issues, 'sheet');
+  }
+
+  /**
+   * @param {string} sheetName The configuration sheet.
+   * @param {number|null} row Sheet row, or null for the sheet as a whole.
+   * @param {string} message Problem description.
+   * @param {string} severity VALIDATION_SEVERITY value.
+   * @returns {Object} Issue entry for a configuration's issues list.
+   */
+  function issue(sheetName, row, message, severity) {
+    return {
+      type: VALIDATION_ERROR_TYPES.CONFIGURATION_ERROR,
+      message: row ? `${sheetName} row ${row}: ${message}` : message,
+      severity: severity,
+      row: row
+    };
+  }
+
+  /**
+   * Forgets a configuration, in the script cache and in this execution.
+   * @param {string} cacheKey The definition's cache key.
+   */
+  function clear(cacheKey) {
+    clearCachedData(cacheKey);
+    delete _loaded[cacheKey];
+  }
+
+  // Public API
+  return {
+    load: load,
+    issue: issue,
+    clear: clear
+  };
+})();
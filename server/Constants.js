@@ -9,7 +9,7 @@
  * Defensive Pattern Example:
  *   if (typeof RATE_LIMITS !== 'undefined' && RATE_LIMITS.someAction) { ... }
  *
- * Constants defined here: RATE_LIMITS, INPUT_LIMITS, SHEET_NAMES, AVAILABLE_ROLES,
+ * Constants defined here: RATE_LIMITS, INPUT_LIMITS, SHEET_NAMES, DEFAULT_ROLES,
  * SPECIAL_ROLES, CACHE_SALT_PROPERTY, SECURITY_ADMIN_EMAIL_PROPERTY, etc.
  */
 
@@ -23,7 +23,16 @@ const SHEET_NAMES = {
   OBSERVATIONS: 'Observations', // This doesn't exist.  Ensure it is unused, then remove.
   OBSERVATION_DATA: 'Observation_Data', // Added for consistency
   WORK_PRODUCT_QUESTIONS: 'WorkProductQuestions',
-  WORK_PRODUCT_ANSWERS: 'WorkProductAnswers'
+  WORK_PRODUCT_ANSWERS: 'WorkProductAnswers',
+  SUMMATIVE_EVALUATIONS: 'Summative_Evaluations',
+  OBSERVATION_SCHEDULE: 'Observation_Schedule',
+  COMPLIANCE_REQUIREMENTS: 'Compliance_Requirements',
+  OBSERVATION_SNAPSHOTS: 'Observation_Snapshots',
+  RUBRIC_VERSIONS: 'Rubric_Versions',
+  ROLES: 'Roles',
+  OBSERVATION_TYPES: 'Observation_Types',
+  GROWTH_GOALS: 'Growth_Goals',
+  TRANSCRIPTION_JOBS: 'Transcription_Jobs'
 };
 
 const COLUMN_NAMES = {
@@ -59,9 +68,21 @@ const SETTINGS_COLUMNS = {
 };
 
 /**
- * Available roles in the system
+ * Column mappings for the scoring table in the Settings sheet, to the right of the role blocks.
+ * Each row has a label in column I and numbers from column J:
+ *   "Points"            - points for Developing, Basic, Proficient, Distinguished (J-M)
+ *   "Default" or a role - weights for Domain 1, 2, 3 and so on, one column per domain
  */
-const AVAILABLE_ROLES = [
+const SETTINGS_SCORING_COLUMNS = {
+  LABEL: 8,        // Column I: "Points", "Default" or a role name
+  FIRST_VALUE: 9   // Column J: the first value
+};
+
+/**
+ * Roles used when the spreadsheet has no Roles sheet. Read roles through getAvailableRoles()
+ * and getRoleConfig(), which honor the Roles sheet, rather than this list.
+ */
+const DEFAULT_ROLES = [
   'Teacher',
   'Nurse', 
   'Therapeutic Specialist',
@@ -79,41 +100,24 @@ const AVAILABLE_ROLES = [
 ];
 
 /**
- * Default role configuration (Teacher - maintains backward compatibility)
- */
-const DEFAULT_ROLE_CONFIG = {
-  role: 'Teacher',
-  sheetName: 'Teacher',
-  title: "Danielson's Framework for Teaching",
-  subtitle: "Best practices aligned with 5D+ and PELSB lookfors",
-  domains: {
-    1: {
-      name: 'Domain 1: Planning and Preparation',
-      startRow: 3,   // 1-indexed - Domain 1 starts at row 3
-      endRow: 22,    // 1-indexed - estimated end row (adjust as needed)
-      subdomains: ['1a:', '1b:', '1c:', '1d:', '1e:', '1f:']
-    },
-    2: {
-      name: 'Domain 2: The Classroom Environment',
-      startRow: 23,  // 1-indexed - Domain 2 starts at row 23
-      endRow: 39,    // 1-indexed - estimated end row (adjust as needed)
-      subdomains: ['2a:', '2b:', '2c:', '2d:', '2e:']
-    },
-    3: {
-      name: 'Domain 3: Instruction',
-      startRow: 40,  // 1-indexed - Domain 3 starts at row 40
-      endRow: 56,    // 1-indexed - estimated end row (adjust as needed)
-      subdomains: ['3a:', '3b:', '3c:', '3d:', '3e:']
-    },
-    4: {
-      name: 'Domain 4: Professional Responsibilities',
-      startRow: 57,  // 1-indexed - Domain 4 starts at row 57
-      endRow: 76,    // 1-indexed - estimated end row (adjust as needed)
-      subdomains: ['4a:', '4b:', '4c:', '4d:', '4e:', '4f:']
-    }
-  }
+ * Column mappings for the Roles sheet. Row 1 holds headers; each following row defines a role:
+ *   Role           - name used in the Staff, Settings and Compliance_Requirements sheets
+ *   Sheet Name     - the role's rubric sheet; blank uses the role name
+ *   Title/Subtitle - rubric heading; blank uses rows 1-2 of the rubric sheet
+ *   Domain Names   - one per line in domain order; blank uses the rubric sheet's names
+ *   Special Access - "Yes" for roles that get the filter interface and the full rubric
+ */
+const ROLES_SHEET_COLUMNS = {
+  ROLE: 0,            // Column A
+  SHEET_NAME: 1,      // Column B
+  TITLE: 2,           // Column C
+  SUBTITLE: 3,        // Column D
+  DOMAIN_NAMES: 4,    // Column E
+  SPECIAL_ACCESS: 5   // Column F
 };
 
+const ROLES_SHEET_HEADERS = ['Role', 'Sheet Name', 'Title', 'Subtitle', 'Domain Names', 'Special Access'];
+
 /**
  * Legacy DOMAIN_CONFIGS for backward compatibility
  * Centralized from Code.js to maintain proper constants organization
@@ -151,9 +155,9 @@ const DOMAIN_CONFIGS = {
  */
 const VALIDATION_PATTERNS = {
   EMAIL: /^[a-zA-Z0-9]+(?:[._%+-][a-zA-Z0-9]+)*@(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/,
-  COMPONENT_ID: /^[1-4][a-fA-F]:/, // Matches patterns like "1a:", "2b:", etc.
-  SUBDOMAIN_PATTERN: /^[1-4][a-fA-F]:/,
-  SUBDOMAIN_LIST: /^[1-4][a-fA-F](,\s*[1-4][a-fA-F])*$/ // Matches "1a, 1c, 1f"
+  COMPONENT_ID: /^\d+[a-zA-Z]:/, // Matches patterns like "1a:", "2b:", "5g:", etc.
+  SUBDOMAIN_PATTERN: /^\d+[a-zA-Z]:/,
+  SUBDOMAIN_LIST: /^\d+[a-zA-Z](,\s*\d+[a-zA-Z])*$/ // Matches "1a, 1c, 5g"
 };
 
 /**
@@ -169,7 +173,8 @@ const ERROR_MESSAGES = {
   INVALID_EMAIL: 'Invalid email format detected.',
   DATA_PARSING_ERROR: 'Error parsing sheet data. Please check data format.',
   ROLE_SHEET_MISSING: 'Role-specific sheet not found. Using Teacher rubric as fallback.',
-  PERMISSION_DENIED: 'Permission denied. You do not have the required role to perform this action.'
+  PERMISSION_DENIED: 'Permission denied. You do not have the required role to perform this action.',
+  OBSERVATION_CHANGED: 'This observation was changed in another window or device. Reload it to see the latest version.'
 };
 
 /**
@@ -208,7 +213,9 @@ const CACHE_VERSION = '1.0.0';
  */
 const CACHE_DEPENDENCIES = {
   'staff_data': ['user_*', 'role_mappings'], // When staff_data changes, clear user and role caches
-  'settings_data': ['role_sheet_*', 'domain_mappings'],
+  'settings_data': ['role_sheet_*', 'domain_mappings', 'scoring_config'],
+  'roles_config': ['role_sheet_*', 'user_*'], // Role names, sheets and access feed most other caches
+  'observation_types_config': ['observation_type_questions_*'], // Also used when WorkProductQuestions changes
   'user_*': ['role_sheet_*'], // When any user data changes, clear role sheets
   'role_sheet_*': [] // Role sheets have no dependencies
 };
@@ -298,12 +305,21 @@ const HTML_SETTINGS = {
  */
 const CONTENT_PATTERNS = {
   BEST_PRACTICES_HEADER: /best\s+practices/i,
-  DOMAIN_HEADER: /^domain\s+[1-4]/i,
-  COMPONENT_PATTERN: /^[1-4][a-f]:/,
+  DOMAIN_HEADER: /^domain\s+(\d+)\s*:/i,               // "Domain 1: Planning and Preparation"
+  COMPONENT_PATTERN: /^(\d+)([a-z]):/i,                 // "1a: Demonstrating Knowledge..."
+  LOOK_FORS_HEADER: /^(look[\s-]*fors?|best\s+practices)\b/i, // "Look-fors" row below a component
   LINE_BREAKS: /\r?\n|\r/,
   EMPTY_LINES: /^\s*$/
 };
 
+/**
+ * Role sheet layouts understood by parseRubricSheet()
+ */
+const RUBRIC_LAYOUTS = {
+  MARKERS: 'markers', // "Domain N:" rows, component rows and "Look-fors" rows, in any number
+  LEGACY: 'legacy'    // Fixed row ranges from DOMAIN_CONFIGS and LEGACY_BEST_PRACTICES_OFFSET
+};
+
 /**
  * System metadata
  */
@@ -389,7 +405,7 @@ const VALIDATION_ERROR_TYPES = {
   // Data Integrity and Format
   DATA_CORRUPTION: 'data_corruption',     // General data format or integrity issue
   INVALID_EMAIL: 'invalid_email',         // Email format is incorrect
-  INVALID_ROLE: 'invalid_role',           // Role is not in AVAILABLE_ROLES
+  INVALID_ROLE: 'invalid_role',           // Role is not in the Roles sheet (or DEFAULT_ROLES)
   INVALID_YEAR: 'invalid_year',           // Year is not in OBSERVATION_YEARS
   MISSING_HEADER: 'missing_header',       // Expected header not found in a sheet
   UNEXPECTED_FORMAT: 'unexpected_format', // Data doesn't match expected structure
@@ -417,6 +433,16 @@ const VALIDATION_SEVERITY = {
   INFO: 'info'            // Informational only
 };
 
+/**
+ * Validation severities from least to most severe, for finding the worst of several issues
+ */
+const VALIDATION_SEVERITY_ORDER = [
+  VALIDATION_SEVERITY.INFO,
+  VALIDATION_SEVERITY.WARNING,
+  VALIDATION_SEVERITY.ERROR,
+  VALIDATION_SEVERITY.CRITICAL
+];
+
 /**
  * Session state constants
  */
@@ -481,13 +507,245 @@ const VIEW_MODE_TEXT = {
  */
 const OBSERVATION_STATUS = {
   DRAFT: 'Draft',
-  FINALIZED: 'Finalized'
+  SUBMITTED: 'Submitted',       // Sent by the observer for administrator review
+  RETURNED: 'Returned',         // Sent back to the observer with comments
+  FINALIZED: 'Finalized',
+  ACKNOWLEDGED: 'Acknowledged', // Observed staff confirmed receipt
+  SIGNED: 'Signed'              // Observed staff e-signed
+};
+
+/**
+ * Keys in an observation's fieldTimestamps column, which records when each field was last
+ * written so saves made against an older version (e.g. replayed from an offline outbox) can be
+ * detected as conflicts. Per-component keys are the prefix plus the component ID, e.g. "notes:1a:".
+ */
+const OBSERVATION_FIELD_KEYS = {
+  PROFICIENCY: 'proficiency:',
+  LOOK_FORS: 'lookfors:',
+  NOTES: 'notes:',
+  SCRIPT: 'scriptContent',
+  COMPONENT_TAGS: 'componentTags',
+  WALKTHROUGH_NOTE: 'walkthroughNote',
+  ALL: '*'                          // Whole-observation writes such as restoring a snapshot
+};
+
+/**
+ * Statuses in which the observer may still change the observation content
+ */
+const EDITABLE_OBSERVATION_STATUSES = [
+  OBSERVATION_STATUS.DRAFT,
+  OBSERVATION_STATUS.RETURNED
+];
+
+/**
+ * Statuses reached at or after finalization. Observations in these statuses are
+ * locked and visible to the observed staff member.
+ */
+const FINALIZED_OBSERVATION_STATUSES = [
+  OBSERVATION_STATUS.FINALIZED,
+  OBSERVATION_STATUS.ACKNOWLEDGED,
+  OBSERVATION_STATUS.SIGNED
+];
+
+/**
+ * Parties that can move an observation between statuses
+ */
+const STATUS_ACTORS = {
+  OBSERVER: 'observer',           // The user who created the observation
+  ADMINISTRATOR: 'administrator', // Any Administrator other than the observer
+  OBSERVED: 'observed'            // The observed staff member
+};
+
+/**
+ * Observation status state machine: current status -> { next status: [allowed actors] }.
+ * Any transition not listed here is rejected by updateObservationStatus(). Only an administrator
+ * other than the observer can return or finalize a submitted observation, so every observation
+ * is reviewed by someone else before the staff member sees it.
+ */
+const OBSERVATION_STATUS_TRANSITIONS = {
+  [OBSERVATION_STATUS.DRAFT]: {
+    [OBSERVATION_STATUS.SUBMITTED]: [STATUS_ACTORS.OBSERVER]
+  },
+  [OBSERVATION_STATUS.SUBMITTED]: {
+    [OBSERVATION_STATUS.RETURNED]: [STATUS_ACTORS.ADMINISTRATOR],
+    [OBSERVATION_STATUS.FINALIZED]: [STATUS_ACTORS.ADMINISTRATOR]
+  },
+  [OBSERVATION_STATUS.RETURNED]: {
+    [OBSERVATION_STATUS.SUBMITTED]: [STATUS_ACTORS.OBSERVER]
+  },
+  [OBSERVATION_STATUS.FINALIZED]: {
+    [OBSERVATION_STATUS.ACKNOWLEDGED]: [STATUS_ACTORS.OBSERVED]
+  },
+  [OBSERVATION_STATUS.ACKNOWLEDGED]: {
+    [OBSERVATION_STATUS.SIGNED]: [STATUS_ACTORS.OBSERVED]
+  },
+  [OBSERVATION_STATUS.SIGNED]: {}
 };
 
+/**
+ * Statuses in which the observed staff member may still add or change their response.
+ * Signing locks the response.
+ */
+const STAFF_RESPONSE_OPEN_STATUSES = [
+  OBSERVATION_STATUS.FINALIZED,
+  OBSERVATION_STATUS.ACKNOWLEDGED
+];
+
+/**
+ * Kinds of per-component response the observed staff member can attach
+ */
+const STAFF_RESPONSE_TYPES = {
+  REFLECTION: 'reflection',
+  REBUTTAL: 'rebuttal'
+};
+
+/**
+ * Built-in observation types. Every observation type, including these, is defined in the
+ * Observation_Types sheet when it exists (see OBSERVATION_TYPES_SHEET_COLUMNS).
+ */
 const OBSERVATION_TYPES = {
   STANDARD: 'Standard',
   WORK_PRODUCT: 'Work Product',
-  INSTRUCTIONAL_ROUND: 'Instructional Round'
+  INSTRUCTIONAL_ROUND: 'Instructional Round',
+  WALKTHROUGH: 'Walkthrough'
+};
+
+/**
+ * How an observation type is recorded: the full rubric with proficiency ratings and notes, or a
+ * short walkthrough that only ticks look-fors and keeps a one-line note
+ */
+const OBSERVATION_TYPE_MODES = {
+  FULL: 'Full',
+  WALKTHROUGH: 'Walkthrough'
+};
+
+/**
+ * Column mappings for the Observation_Types sheet. Row 1 holds headers; each following row
+ * defines a type:
+ *   Type            - name stored in the observation's Type column
+ *   Question Prefix - the type's questions are the WorkProductQuestions rows whose ID starts
+ *                     with it (WPQ1, WPQ2, ...); types may share a prefix
+ *   Created By      - roles that may start one, one per line; blank means Peer Evaluator
+ *   Staff Responds  - "Yes" when the observed staff member answers the questions while the
+ *                     observation is a draft
+ *   PDF Section     - heading of the observation PDF section listing those answers; blank
+ *                     leaves them out of the PDF
+ *   Mode            - an OBSERVATION_TYPE_MODES value; blank means Full
+ */
+const OBSERVATION_TYPES_SHEET_COLUMNS = {
+  TYPE: 0,              // Column A
+  QUESTION_PREFIX: 1,   // Column B
+  CREATED_BY: 2,        // Column C
+  STAFF_RESPONDS: 3,    // Column D
+  PDF_SECTION: 4,       // Column E
+  MODE: 5               // Column F
+};
+
+const OBSERVATION_TYPES_SHEET_HEADERS = ['Type', 'Question Prefix', 'Created By', 'Staff Responds', 'PDF Section', 'Mode'];
+
+/**
+ * Settings for the built-in types when the Observation_Types sheet doesn't define them.
+ * responseDocLabel names the staff member's response Google Doc ("<label> Responses - <id>");
+ * types defined only in the sheet use their own name.
+ */
+const OBSERVATION_TYPE_DEFAULTS = {
+  [OBSERVATION_TYPES.STANDARD]: {
+    questionPrefix: 'OBSQ',
+    createdBy: [SPECIAL_ROLES.PEER_EVALUATOR, SPECIAL_ROLES.ADMINISTRATOR],
+    staffResponds: false,
+    pdfSection: '',
+    responseDocLabel: 'Standard Observation',
+    mode: OBSERVATION_TYPE_MODES.FULL
+  },
+  [OBSERVATION_TYPES.WORK_PRODUCT]: {
+    questionPrefix: 'WPQ',
+    createdBy: [SPECIAL_ROLES.PEER_EVALUATOR],
+    staffResponds: true,
+    pdfSection: '',
+    responseDocLabel: 'Work Product',
+    mode: OBSERVATION_TYPE_MODES.FULL
+  },
+  [OBSERVATION_TYPES.INSTRUCTIONAL_ROUND]: {
+    questionPrefix: 'OBSQ',
+    createdBy: [SPECIAL_ROLES.PEER_EVALUATOR],
+    staffResponds: true,
+    pdfSection: '',
+    responseDocLabel: 'Instructional Round',
+    mode: OBSERVATION_TYPE_MODES.FULL
+  },
+  [OBSERVATION_TYPES.WALKTHROUGH]: {
+    questionPrefix: '',
+    createdBy: [SPECIAL_ROLES.PEER_EVALUATOR, SPECIAL_ROLES.ADMINISTRATOR],
+    staffResponds: false,
+    pdfSection: '',
+    responseDocLabel: 'Walkthrough',
+    mode: OBSERVATION_TYPE_MODES.WALKTHROUGH
+  }
+};
+
+/**
+ * Walkthrough observation settings
+ */
+const WALKTHROUGH_SETTINGS = {
+  NOTE_MAX_LENGTH: 280,   // The one-line note, in characters
+  TOP_LOOK_FORS: 5        // Most frequent look-fors listed per teacher in the report
+};
+
+/**
+ * Observation types whose finalized evidence rolls up into a summative evaluation
+ */
+const SUMMATIVE_OBSERVATION_TYPES = [
+  OBSERVATION_TYPES.STANDARD,
+  OBSERVATION_TYPES.WORK_PRODUCT,
+  OBSERVATION_TYPES.INSTRUCTIONAL_ROUND
+];
+
+/**
+ * Summative evaluation statuses
+ */
+const SUMMATIVE_STATUS = {
+  DRAFT: 'Draft',
+  FINALIZED: 'Finalized'
+};
+
+/**
+ * Scheduled events in an observation cycle, in the order they happen
+ */
+const SCHEDULE_EVENT_TYPES = {
+  PRE_CONFERENCE: 'Pre-Conference',
+  OBSERVATION: 'Observation',
+  POST_CONFERENCE: 'Post-Conference'
+};
+
+/**
+ * Scheduled event statuses. A Scheduled event whose end time has passed is overdue.
+ */
+const SCHEDULE_STATUS = {
+  SCHEDULED: 'Scheduled',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+const SCHEDULE_SETTINGS = {
+  DEFAULT_DURATION_MINUTES: 30,
+  MAX_DURATION_MINUTES: 480,
+  UPCOMING_DAYS: 14,               // Window for the "upcoming" list
+  ICS_PRODUCT_ID: '-//PeerEvaluatorForm//Observation Schedule//EN',
+  ICS_UID_DOMAIN: 'peerevaluator'
+};
+
+/**
+ * First month (1-12) of the school year. Summative cycles are school years, e.g. "2025-2026".
+ */
+const SCHOOL_YEAR_START_MONTH = 7;
+
+/**
+ * Professional growth goal statuses. Staff members set the status of their own goals.
+ */
+const GROWTH_GOAL_STATUS = {
+  IN_PROGRESS: 'In Progress',
+  MET: 'Met',
+  NOT_MET: 'Not Met'
 };
 
 const DRIVE_FOLDER_INFO = {
@@ -502,6 +760,192 @@ const PROFICIENCY_LEVELS = {
   KEYS: ['developing', 'basic', 'proficient', 'distinguished']
 };
 
+/**
+ * Limits for the administrator analytics dashboard
+ */
+const ANALYTICS_SETTINGS = {
+  TOP_COMPONENTS: 5,   // Most and least frequently rated components
+  TOP_LOOK_FORS: 10    // Most frequently checked look-fors
+};
+
+/**
+ * Batch transcription providers (see TranscriptionService.js). The TRANSCRIPTION_PROVIDER
+ * script property picks the provider new jobs are submitted to.
+ */
+const TRANSCRIPTION_PROVIDERS = {
+  GEMINI_BATCH: 'gemini-batch',
+  MOCK: 'mock'
+};
+
+/**
+ * States a provider reports when polled for a submitted job
+ */
+const TRANSCRIPTION_JOB_STATES = {
+  RUNNING: 'RUNNING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+  UNKNOWN: 'UNKNOWN'      // The status check itself failed; poll again next run
+};
+
+/**
+ * Speaker roles of transcript segments. The observed staff member is the teacher; every other
+ * labelled voice is a student.
+ */
+const TRANSCRIPT_SPEAKERS = {
+  TEACHER: 'teacher',
+  STUDENT: 'student',
+  UNKNOWN: 'unknown'      // The transcript didn't say who was speaking
+};
+
+const TRANSCRIPTION_SETTINGS = {
+  PROVIDER_PROPERTY: 'TRANSCRIPTION_PROVIDER',
+  DEFAULT_PROVIDER: TRANSCRIPTION_PROVIDERS.GEMINI_BATCH,
+  MOCK_POLLS_UNTIL_DONE: 2,                // Polls before a mock job finishes
+  MOCK_FAIL_MARKER: 'mock-fail',           // Mock jobs for files with this in the name fail
+  MOCK_STATE_PROPERTY_PREFIX: 'mock_transcription_',
+  SEGMENTS_FILE_PREFIX: 'Transcript segments - '   // JSON file of segments in the observation folder
+};
+
+/**
+ * Transcription jobs, one row each in the Transcription_Jobs sheet. Pending and processing jobs
+ * are the queue processTranscriptionQueue() works through.
+ */
+const TRANSCRIPTION_JOB_STATUS = {
+  PENDING: 'pending',         // Waiting to be submitted to a provider
+  PROCESSING: 'processing',   // Submitted; polled until the provider finishes
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'      // Cancelled by an administrator; retrying queues it again
+};
+
+const TRANSCRIPTION_JOB_SETTINGS = {
+  LEGACY_QUEUE_PROPERTY: 'transcription_queue',           // Jobs queued before the sheet existed
+  LEGACY_JOB_PROPERTY_PREFIX: 'transcription_job_',
+  COST_LEDGER_PROPERTY: 'transcription_costs_by_month',   // Survives pruning of the jobs it counts
+  RETENTION_DAYS: 30,                       // Complete and cancelled jobs are pruned after this
+  MAX_COST_MONTHS: 24                       // Months kept in the cost ledger
+};
+
+/**
+ * Estimated transcription cost. Providers that don't report token usage are estimated from the
+ * audio file size.
+ */
+const TRANSCRIPTION_COST_SETTINGS = {
+  CURRENCY: 'USD',
+  GEMINI_BATCH_INPUT_PER_MILLION_TOKENS: 0.15,    // Audio input at the Batch API's 50% rate
+  GEMINI_BATCH_OUTPUT_PER_MILLION_TOKENS: 0.20,
+  AUDIO_TOKENS_PER_SECOND: 32,
+  ASSUMED_AUDIO_BYTES_PER_SECOND: 16000,          // 128 kbps
+  CHARS_PER_TOKEN: 4
+};
+
+/**
+ * Component tag suggestions for the script editor (see TagSuggestionService.js). Keyword matching
+ * always runs; the TAG_SUGGESTION_PROVIDER script property adds a model provider's suggestions.
+ */
+const TAG_SUGGESTION_SOURCES = {
+  KEYWORD: 'keyword',
+  MODEL: 'model'
+};
+
+const TAG_SUGGESTION_PROVIDERS = {
+  GEMINI: 'gemini'
+};
+
+const TAG_SUGGESTION_SETTINGS = {
+  PROVIDER_PROPERTY: 'TAG_SUGGESTION_PROVIDER',
+  MAX_TEXT_LENGTH: 200000,      // Characters of script text scored per request
+  MIN_SENTENCE_WORDS: 4,        // Shorter sentences aren't scored
+  LOOK_FOR_TERM_WEIGHT: 2,      // A word from a look-for counts double a descriptor word
+  DESCRIPTOR_TERM_WEIGHT: 1,
+  PHRASE_WEIGHT: 3,             // Bonus per two-word phrase shared with a look-for
+  MIN_SCORE: 6,
+  MIN_MATCHED_TERMS: 2,         // Unless a look-for phrase matched
+  MAX_PER_SENTENCE: 2,
+  MAX_SUGGESTIONS: 40,
+  MAX_MODEL_SENTENCES: 150      // Sentences sent to the model provider
+};
+
+/**
+ * Evaluation cycle compliance statuses, from best to worst
+ */
+const COMPLIANCE_STATUS = {
+  ON_TRACK: 'On Track',
+  AT_RISK: 'At Risk',
+  OVERDUE: 'Overdue'
+};
+
+/**
+ * Bulk PDF export jobs. Jobs are queued in Script Properties and processed in chunks by
+ * processBulkExportQueue() on a time-based trigger, like the transcription queue.
+ */
+const BULK_EXPORT_STATUS = {
+  PENDING: 'pending',         // Queued, nothing collected yet
+  COLLECTING: 'collecting',   // Copying PDFs, script docs and evidence to the staging folder
+  ZIPPING: 'zipping',         // Writing zip parts and the manifest
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+};
+
+const BULK_EXPORT_SETTINGS = {
+  QUEUE_PROPERTY: 'pdf_export_queue',
+  HISTORY_PROPERTY: 'pdf_export_history',
+  JOB_PROPERTY_PREFIX: 'pdf_export_job_',
+  HANDLER_FUNCTION: 'processBulkExportQueue',
+  TRIGGER_MINUTES: 10,
+  MAX_EXECUTION_MS: 4.5 * 60 * 1000,       // Stop starting new work after this much of a run
+  MAX_ATTEMPTS: 3,                         // Failed runs before a job is marked failed
+  MAX_ZIP_BYTES: 40 * 1024 * 1024,         // Split into several zips above this size
+  MAX_HISTORY: 20,                         // Finished jobs kept for the job list
+  FOLDER_NAME: 'Bulk Exports',             // Inside DRIVE_FOLDER_INFO.ROOT_FOLDER_NAME
+  ITEMS_FILE_NAME: '_items.json',
+  MANIFEST_PART_PREFIX: '_manifest-part-',
+  MANIFEST_FILE_NAME: 'manifest.csv'
+};
+
+/**
+ * Point-in-time snapshots of an observation's content (observationData, observationNotes,
+ * componentTags and scriptContent), kept in the Observation_Snapshots sheet.
+ */
+const SNAPSHOT_REASONS = {
+  AUTO: 'Auto-save',             // Taken before an edit, at most once per MIN_INTERVAL_MINUTES
+  MANUAL: 'Manual',              // Saved from the history panel
+  BEFORE_RESTORE: 'Before restore'
+};
+
+const SNAPSHOT_SETTINGS = {
+  SNAPSHOT_FIELDS: ['observationData', 'observationNotes', 'componentTags', 'scriptContent'],
+  MIN_INTERVAL_MINUTES: 10,      // Between automatic snapshots of the same observation
+  MAX_PER_OBSERVATION: 25,       // Oldest snapshots are pruned beyond this
+  MAX_CELL_CHARS: 45000,         // Larger fields (e.g. scripts stored in a Doc) are left out of the snapshot
+  MAX_DIFF_LINES: 1500,          // Longer texts are diffed as a full replacement
+  DIFF_CONTEXT_LINES: 2,         // Unchanged lines shown around each change
+  CACHE_KEY_PREFIX: 'snapshot_last_'
+};
+
+const RUBRIC_VERSION_SETTINGS = {
+  LATEST_PROPERTY_PREFIX: 'RUBRIC_VERSION_',  // Script Property holding a role's latest { versionId, contentHash }
+  CACHE_KEY_PREFIX: 'rubric_version_',
+  CACHE_TTL: 21600                            // Versions never change, so cache for the maximum 6 hours
+};
+
+const COMPLIANCE_SETTINGS = {
+  ALL_LABEL: 'All',                          // Role/Year value in Compliance_Requirements that matches everyone
+  AT_RISK_DAYS: 30,                          // Unmet requirements due within this many days are at risk
+  REPORT_SHEET_PREFIX: 'Compliance Report'   // Exported to "Compliance Report 2025-2026"
+};
+
+/**
+ * Scoring defaults used when the Settings sheet has no scoring table
+ */
+const SCORING_DEFAULTS = {
+  POINTS_LABEL: 'Points',
+  DEFAULT_WEIGHTS_LABEL: 'Default',
+  POINTS: [1, 2, 3, 4],           // Matches PROFICIENCY_LEVELS.KEYS order
+  DOMAIN_WEIGHT: 1,               // Weight of a domain the scoring table gives none
+  DECIMALS: 2
+};
+
 /**
  * Color constants for PDF styling
  */
@@ -578,6 +1022,15 @@ const INPUT_LIMITS = {
   observationName: 200,
   observationNotes: 50000,
   scriptContent: 100000,
+  statusComment: 5000,
+  signatureName: 200,
+  staffResponse: 10000,
+  summativeComment: 10000,
+  scheduleLocation: 200,
+  scheduleNotes: 2000,
+  goalTitle: 200,
+  goalText: 2000,
+  goalComment: 5000,
 
   // Evidence fields
   evidenceName: 500,
@@ -604,10 +1057,63 @@ const ALLOWED_EVIDENCE_PATTERNS = [
 ];
 
 /**
- * Maximum file size for uploads (in bytes)
+ * Maximum file size for uploads (in bytes). Files larger than one chunk are sent with the chunked
+ * upload protocol (see UploadService.js), since google.script.run can't carry them as one string.
  */
 const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
 
+/**
+ * What a chunked upload is for, which decides what happens once Drive has the whole file
+ */
+const CHUNKED_UPLOAD_PURPOSES = {
+  MEDIA: 'media',           // Media manager: the file goes in the observation folder
+  EVIDENCE: 'evidence',     // Also linked to a component's evidence
+  RECORDING: 'recording'    // Audio or video recorded in the browser
+};
+
+const CHUNKED_UPLOAD_SETTINGS = {
+  CHUNK_BYTES: 4 * 1024 * 1024,                 // Drive needs parts in multiples of 256 KB, except the last
+  STATE_PROPERTY_PREFIX: 'chunked_upload_',     // User Properties, one per upload
+  SESSION_TTL_DAYS: 7,                          // Drive discards resumable sessions after a week
+  DRIVE_UPLOAD_URL: 'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true'
+};
+
+/**
+ * Sheets that hold one record per row, read and written through SheetRecordStore.js (which
+ * documents the schema fields)
+ */
+const SHEET_RECORD_SCHEMAS = {
+  GROWTH_GOALS: {
+    sheetName: SHEET_NAMES.GROWTH_GOALS,
+    idField: 'goalId',
+    label: 'goal',
+    jsonDefaults: { componentIds: [], comments: [] }
+  },
+  SUMMATIVE_EVALUATIONS: {
+    sheetName: SHEET_NAMES.SUMMATIVE_EVALUATIONS,
+    idField: 'summativeId',
+    label: 'summative evaluation',
+    jsonDefaults: { observationIds: [], domainRatings: {} }
+  },
+  OBSERVATION_SCHEDULE: {
+    sheetName: SHEET_NAMES.OBSERVATION_SCHEDULE,
+    idField: 'scheduleId',
+    label: 'scheduled event'
+  },
+  OBSERVATION_SNAPSHOTS: {
+    sheetName: SHEET_NAMES.OBSERVATION_SNAPSHOTS,
+    idField: 'snapshotId',
+    label: 'snapshot',
+    jsonDefaults: SNAPSHOT_SETTINGS.SNAPSHOT_FIELDS.reduce((defaults, field) => Object.assign(defaults, { [field]: null }), { omittedFields: [] })
+  },
+  TRANSCRIPTION_JOBS: {
+    sheetName: SHEET_NAMES.TRANSCRIPTION_JOBS,
+    idField: 'jobId',
+    label: 'job',
+    numberFields: ['fileSizeMB', 'attempts', 'inputTokens', 'outputTokens', 'estimatedCost']
+  }
+};
+
 /**
  * Cache salt property key (used for secure cache key hashing)
  */
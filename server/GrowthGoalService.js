@@ -0,0 +1,362 @@
+/**
+ * GrowthGoalService.js
+ * Professional growth goals: SMART goals a staff member writes for a school-year cycle, each
+ * tagged to one or more rubric components. Evaluators comment on progress, and finalized
+ * observations with evidence on a goal's components are surfaced as evidence for it.
+ */
+
+/**
+ * Strips sheet bookkeeping from a growth goal record before it leaves the service.
+ * @param {Object} record A record from SheetRecordStore.getRecords().
+ * @returns {Object} The growth goal.
+ * @private
+ */
+function _toGrowthGoal(record) {
+  if (!record) return null;
+  const goal = Object.assign({}, record);
+  delete goal._row;
+  return goal;
+}
+
+/**
+ * Retrieves a growth goal by ID.
+ * @param {string} goalId The goal ID.
+ * @returns {Object|null} The growth goal, or null if not found.
+ */
+function getGrowthGoalById(goalId) {
+  const record = SheetRecordStore.findById(SHEET_RECORD_SCHEMAS.GROWTH_GOALS, goalId);
+  return _toGrowthGoal(record);
+}
+
+/**
+ * Lists a staff member's growth goals, oldest first.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle Optional. Restrict to one school year, e.g. "2025-2026".
+ * @returns {Array<Object>} The growth goals.
+ */
+function getGrowthGoals(staffEmail, cycle = null) {
+  return SheetRecordStore.getRecords(SHEET_RECORD_SCHEMAS.GROWTH_GOALS)
+    .filter(record => record.staffEmail === staffEmail && (!cycle || record.cycle === cycle))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(_toGrowthGoal);
+}
+
+/**
+ * Lists the components of a staff member's rubric that goals can be tagged to.
+ * @param {Object} staff The staff member, from getUserByEmail().
+ * @returns {Array<{componentId: string, title: string}>} Components in rubric order, or an empty
+ *     list when the rubric can't be read.
+ */
+function getGrowthGoalComponentOptions(staff) {
+  const rubricData = getAllDomainsData(staff.role, staff.year, VIEW_MODES.FULL);
+  if (rubricData.isError) {
+    return [];
+  }
+
+  const options = [];
+  (rubricData.domains || []).forEach(domain => {
+    (domain.components || []).forEach(component => {
+      if (component.componentId) {
+        options.push({ componentId: component.componentId, title: component.title });
+      }
+    });
+  });
+  return options;
+}
+
+/**
+ * Validates and normalizes the editable fields of a growth goal.
+ * @param {Object} input The fields to change. Only fields present are returned.
+ * @param {Array<string>} knownComponentIds The staff member's rubric components. When empty,
+ *     component IDs are only checked for the "3b:" form.
+ * @param {boolean} isNew Whether every required field must be present.
+ * @returns {{fields?: Object, error?: string}} The normalized fields, or a validation error.
+ * @private
+ */
+function _normalizeGrowthGoalFields(input, knownComponentIds, isNew) {
+  const fields = {};
+
+  try {
+    if (isNew || input.title !== undefined) {
+      fields.title = sanitizeText(input.title);
+      if (!fields.title) return { error: 'Please enter the goal.' };
+      validateInputLength('goalTitle', fields.title);
+    }
+
+    ['specific', 'measurable', 'achievable', 'relevant'].forEach(field => {
+      if (input[field] !== undefined) {
+        fields[field] = sanitizeText(input[field]);
+        validateInputLength('goalText', fields[field]);
+      }
+    });
+
+    if (isNew || input.targetDate !== undefined) {
+      fields.targetDate = sanitizeText(input.targetDate);
+      if (!fields.targetDate || isNaN(new Date(fields.targetDate).getTime())) {
+        return { error: 'Please enter a valid target date.' };
+      }
+    }
+
+    if (isNew || input.componentIds !== undefined) {
+      const componentIds = Array.isArray(input.componentIds) ? input.componentIds.map(sanitizeText).filter(Boolean) : [];
+      if (componentIds.length === 0) {
+        return { error: 'Tag the goal to at least one rubric component.' };
+      }
+      const unknown = componentIds.filter(componentId => !isValidComponentId(componentId) ||
+        (knownComponentIds.length > 0 && !knownComponentIds.includes(componentId)));
+      if (unknown.length > 0) {
+        return { error: `Unknown rubric component: ${unknown.join(', ')}` };
+      }
+      fields.componentIds = Array.from(new Set(componentIds));
+    }
+
+    if (input.status !== undefined) {
+      if (!Object.values(GROWTH_GOAL_STATUS).includes(input.status)) {
+        return { error: `Unknown goal status: ${input.status}` };
+      }
+      fields.status = input.status;
+    }
+  } catch (validationError) {
+    return { error: validationError.message };
+  }
+
+  return { fields: fields };
+}
+
+/**
+ * Creates a growth goal for a staff member.
+ * @param {string} staffEmail The staff member writing the goal.
+ * @param {{title: string, specific?: string, measurable?: string, achievable?: string,
+ *     relevant?: string, targetDate: string, componentIds: Array<string>, cycle?: string}} input
+ *     The goal. The cycle defaults to the current school year.
+ * @returns {Object} A response object with the created goal.
+ */
+function createGrowthGoal(staffEmail, input) {
+  const staff = getUserByEmail(staffEmail);
+  if (!staff) {
+    return { success: false, error: 'Staff member not found.' };
+  }
+
+  const goalInput = input || {};
+  const componentOptions = getGrowthGoalComponentOptions(staff);
+  const normalized = _normalizeGrowthGoalFields(goalInput, componentOptions.map(option => option.componentId), true);
+  if (normalized.error) {
+    return { success: false, error: normalized.error };
+  }
+
+  const cycle = /^\d{4}-\d{4}$/.test(sanitizeText(goalInput.cycle)) ? sanitizeText(goalInput.cycle) : getSchoolYearCycle();
+  const now = new Date().toISOString();
+  const goal = Object.assign({
+    goalId: generateUniqueId('goal'),
+    staffEmail: staffEmail,
+    staffName: staff.name,
+    cycle: cycle,
+    specific: '',
+    measurable: '',
+    achievable: '',
+    relevant: '',
+    status: GROWTH_GOAL_STATUS.IN_PROGRESS,
+    comments: [],
+    createdAt: now,
+    lastModifiedAt: now
+  }, normalized.fields);
+
+  setupGrowthGoalsSheet();
+  SheetRecordStore.append(SHEET_RECORD_SCHEMAS.GROWTH_GOALS, [goal]);
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.GOAL_CREATED, { goalId: goal.goalId, staffEmail, cycle, componentIds: goal.componentIds });
+  }
+
+  debugLog('Growth goal created', { goalId: goal.goalId, staffEmail, cycle });
+  return { success: true, goal: goal };
+}
+
+/**
+ * Edits a growth goal or changes its status.
+ * @param {string} goalId The goal ID.
+ * @param {Object} updates Fields to change (see createGrowthGoal), plus status.
+ * @param {string} requestingEmail Must be the staff member who owns the goal.
+ * @returns {Object} A response object with the updated goal.
+ */
+function updateGrowthGoal(goalId, updates, requestingEmail) {
+  const goal = getGrowthGoalById(goalId);
+  if (!goal) {
+    return { success: false, error: 'Goal not found.' };
+  }
+  if (goal.staffEmail !== requestingEmail) {
+    return { success: false, error: 'Only the staff member who wrote this goal can change it.' };
+  }
+
+  const staff = getUserByEmail(goal.staffEmail);
+  const knownComponentIds = staff ? getGrowthGoalComponentOptions(staff).map(option => option.componentId) : [];
+  const normalized = _normalizeGrowthGoalFields(updates || {}, knownComponentIds, false);
+  if (normalized.error) {
+    return { success: false, error: normalized.error };
+  }
+
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.GROWTH_GOALS, goalId, () => normalized.fields);
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.GOAL_UPDATED, { goalId, changedFields: Object.keys(normalized.fields), status: normalized.fields.status });
+  }
+  return { success: true, goal: result.record };
+}
+
+/**
+ * Deletes a growth goal. Goals an evaluator has commented on are kept so the conversation
+ * isn't lost; mark them Not Met instead.
+ * @param {string} goalId The goal ID.
+ * @param {string} requestingEmail Must be the staff member who owns the goal.
+ * @returns {Object} A response object with success status.
+ */
+function deleteGrowthGoal(goalId, requestingEmail) {
+  const lock = ObservationRepository.getLock();
+  lock.waitLock(30000);
+
+  let goal;
+  try {
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.GROWTH_GOALS);
+    const record = sheet ? SheetRecordStore.findById(SHEET_RECORD_SCHEMAS.GROWTH_GOALS, goalId) : null;
+    if (!record) {
+      return { success: false, error: 'Goal not found.' };
+    }
+    if (record.staffEmail !== requestingEmail) {
+      return { success: false, error: 'Only the staff member who wrote this goal can delete it.' };
+    }
+    if (record.comments.length > 0) {
+      return { success: false, error: 'Goals with evaluator comments can\'t be deleted. Mark the goal Not Met instead.' };
+    }
+
+    sheet.deleteRow(record._row);
+    SpreadsheetApp.flush();
+    goal = record;
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.GOAL_DELETED, { goalId, staffEmail: goal.staffEmail, cycle: goal.cycle });
+  }
+  return { success: true };
+}
+
+/**
+ * Adds an evaluator's progress comment to a growth goal.
+ * @param {string} goalId The goal ID.
+ * @param {string} text The comment.
+ * @param {string} authorEmail The evaluator commenting.
+ * @returns {Object} A response object with the updated goal.
+ */
+function addGrowthGoalComment(goalId, text, authorEmail) {
+  const commentText = sanitizeText(text);
+  if (!commentText) {
+    return { success: false, error: 'Please enter a comment.' };
+  }
+  try {
+    validateInputLength('goalComment', commentText);
+  } catch (validationError) {
+    return { success: false, error: validationError.message };
+  }
+
+  const author = getUserByEmail(authorEmail);
+  const comment = {
+    commentId: generateUniqueId('gc'),
+    authorEmail: authorEmail,
+    authorName: author ? author.name : authorEmail,
+    text: commentText,
+    createdAt: new Date().toISOString()
+  };
+
+  // Appended to the comments as they are under the lock, so a comment saved meanwhile is kept
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.GROWTH_GOALS, goalId, goal => ({
+    comments: goal.comments.concat([comment])
+  }));
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.GOAL_COMMENTED, { goalId, staffEmail: result.record.staffEmail, authorEmail });
+  }
+  return { success: true, goal: result.record };
+}
+
+/**
+ * Lists the components an observation holds evidence for: a rating, checked look-fors or
+ * tagged script sections.
+ * @param {Object} observation The observation.
+ * @returns {Array<string>} Component IDs.
+ * @private
+ */
+function _getObservationEvidenceComponentIds(observation) {
+  const componentIds = new Set();
+  const observationData = observation.observationData || {};
+  Object.keys(observationData).forEach(componentId => {
+    const data = observationData[componentId] || {};
+    if (data.proficiency || (Array.isArray(data.lookfors) && data.lookfors.length > 0)) {
+      componentIds.add(componentId);
+    }
+  });
+  const componentTags = observation.componentTags || {};
+  Object.keys(componentTags).forEach(componentId => {
+    if (Array.isArray(componentTags[componentId]) && componentTags[componentId].length > 0) {
+      componentIds.add(componentId);
+    }
+  });
+  return Array.from(componentIds);
+}
+
+/**
+ * Collects the evidence for a growth goal: the staff member's finalized observations in the
+ * goal's cycle with a rating, look-fors or tagged script sections on any of its components.
+ * @param {Object} goal The growth goal.
+ * @returns {Array<Object>} Evidence entries, oldest first, each with the matching components'
+ *     proficiency, look-fors and tag counts.
+ */
+function getGrowthGoalEvidence(goal) {
+  return _getObservationsDb()
+    .filter(obs => obs.observedEmail === goal.staffEmail && FINALIZED_OBSERVATION_STATUSES.includes(obs.status))
+    .filter(obs => getSchoolYearCycle(_getObservationEffectiveDate(obs)) === goal.cycle)
+    .map(obs => {
+      const componentIds = _getObservationEvidenceComponentIds(obs).filter(componentId => goal.componentIds.includes(componentId));
+      if (componentIds.length === 0) return null;
+
+      const observationData = obs.observationData || {};
+      const componentTags = obs.componentTags || {};
+      return {
+        observationId: obs.observationId,
+        observationName: obs.observationName || null,
+        type: obs.Type || OBSERVATION_TYPES.STANDARD,
+        date: _getObservationEffectiveDate(obs).toISOString(),
+        observerEmail: obs.observerEmail,
+        components: componentIds.sort().map(componentId => ({
+          componentId: componentId,
+          proficiency: (observationData[componentId] || {}).proficiency || null,
+          lookFors: (observationData[componentId] || {}).lookfors || [],
+          taggedSections: (componentTags[componentId] || []).length
+        }))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Gets the observed staff member's goals that an observation is evidence for, i.e. goals in
+ * the observation's cycle sharing a component it rated, checked or tagged.
+ * @param {Object} observation The observation.
+ * @returns {Array<Object>} The growth goals.
+ */
+function getGrowthGoalsForObservation(observation) {
+  const cycle = getSchoolYearCycle(_getObservationEffectiveDate(observation));
+  const componentIds = _getObservationEvidenceComponentIds(observation);
+  if (!cycle || componentIds.length === 0) {
+    return [];
+  }
+  return getGrowthGoals(observation.observedEmail, cycle)
+    .filter(goal => goal.componentIds.some(componentId => componentIds.includes(componentId)));
+}
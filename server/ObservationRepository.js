@@ -0,0 +1,567 @@
+/**
+ * ObservationRepository.js
+ * Storage layer for observation records in the "Observation_Data" sheet.
+ * Owns the column schema and its migrations, an observationId → row index, and the
+ * locked single-range writes that every observation update goes through.
+ *
+ * Each observation carries a version counter that goes up whenever its content (ratings,
+ * notes, script, tags or status) changes, so a writer can tell whether the observation
+ * changed since it was read.
+ */
+
+const ObservationRepository = (function() {
+  'use strict';
+
+  // Columns in the order they are created on a new sheet. Existing sheets keep their order and
+  // get missing columns appended, so cells are always looked up by header name.
+  const COLUMNS = [
+    'observationId', 'observerEmail', 'observedEmail', 'observedName',
+    'observedRole', 'observedYear', 'status', 'createdAt',
+    'lastModifiedAt', 'finalizedAt', 'observationData', 'evidenceLinks',
+    'scriptContent', 'componentTags', 'observationName', 'observationDate',
+    'pdfUrl', 'pdfStatus', 'scriptPdfUrl', 'folderUrl', 'Type', 'statusHistory', 'staffResponse',
+    'fieldTimestamps', 'version', 'rubricVersionId', 'walkthroughNote', 'transcripts'
+  ];
+
+  // Writes to these columns increment the observation's version. Links, PDF and folder URLs are
+  // bookkeeping that merges safely, so they don't make other windows' copies out of date.
+  const VERSIONED_COLUMNS = ['observationData', 'observationNotes', 'scriptContent', 'componentTags', 'status', 'walkthroughNote'];
+
+  // Columns stored as JSON, with the value a blank or unreadable cell is read as
+  const JSON_COLUMN_DEFAULTS = {
+    observationData: {},
+    evidenceLinks: {},
+    observationNotes: {},
+    scriptContent: null,
+    componentTags: {},
+    statusHistory: [],
+    staffResponse: null,
+    fieldTimestamps: {},
+    transcripts: []
+  };
+
+  // Plain columns with the value a blank cell is read as
+  const COLUMN_DEFAULTS = {
+    Type: 'Standard',
+    version: 0
+  };
+
+  /**
+   * Data migrations, applied in order to sheets whose stored schema version is older.
+   * Adding a column only needs COLUMNS (and a default above); add a step here when existing
+   * rows also need rewriting.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Fill blank JSON and Type cells on rows created before those columns existed',
+      up: function(sheet, headers) {
+        _backfillDefaults(sheet, headers);
+      }
+    },
+    {
+      version: 2,
+      description: 'Start the version counter of existing observations at 0',
+      up: function(sheet, headers) {
+        _backfillDefaults(sheet, headers);
+      }
+    }
+  ];
+
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const SCHEMA_VERSION_PROPERTY = 'OBSERVATION_SCHEMA_VERSION';
+  const ROW_INDEX_CACHE_KEY = 'observation_row_index';
+  const LOCK_TIMEOUT_MS = 30000;
+
+  // Per-execution state
+  let _headers = null;
+  let _rowIndex = null;
+  let _schemaChecked = false;
+  let _lockDepth = 0;
+
+  /**
+   * Returns a handle on the script lock with the same waitLock/releaseLock usage as a LockService
+   * lock, but re-entrant within one execution: a caller already holding it for a longer
+   * read-modify-write can call update() without waiting on itself.
+   * @returns {{waitLock: function(number), releaseLock: function()}} The lock handle.
+   */
+  function getLock() {
+    let held = false;
+    return {
+      waitLock: function(timeoutInMillis) {
+        if (held) return;
+        if (_lockDepth === 0) {
+          LockService.getScriptLock().waitLock(timeoutInMillis);
+        }
+        _lockDepth++;
+        held = true;
+      },
+      releaseLock: function() {
+        if (!held) return;
+        held = false;
+        _lockDepth--;
+        if (_lockDepth === 0) {
+          LockService.getScriptLock().releaseLock();
+        }
+      }
+    };
+  }
+
+  /**
+   * Creates the sheet if needed, appends missing columns and runs pending migrations.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The observation sheet.
+   */
+  function ensureSchema() {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.OBSERVATION_DATA);
+      debugLog(`Created sheet: ${SHEET_NAMES.OBSERVATION_DATA}`);
+    }
+
+    ensureSheetHeaders(sheet, COLUMNS);
+    _headers = null;
+    _migrate(sheet);
+    _schemaChecked = true;
+    return sheet;
+  }
+
+  /**
+   * Runs the migrations newer than the sheet's stored schema version.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation sheet.
+   * @private
+   */
+  function _migrate(sheet) {
+    const properties = PropertiesService.getScriptProperties();
+    if ((parseInt(properties.getProperty(SCHEMA_VERSION_PROPERTY), 10) || 0) >= SCHEMA_VERSION) {
+      return;
+    }
+
+    // A sheet without observations has nothing to rewrite
+    if (sheet.getLastRow() < 2) {
+      properties.setProperty(SCHEMA_VERSION_PROPERTY, String(SCHEMA_VERSION));
+      return;
+    }
+
+    const lock = getLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+      // Re-read: another execution may have migrated the sheet while this one waited
+      const version = parseInt(properties.getProperty(SCHEMA_VERSION_PROPERTY), 10) || 0;
+      MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+        debugLog('Running observation schema migration', { version: migration.version, description: migration.description });
+        migration.up(sheet, _getHeaders(sheet));
+        properties.setProperty(SCHEMA_VERSION_PROPERTY, String(migration.version));
+      });
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Returns the schema version the observation sheet has been migrated to.
+   * @returns {number} The stored version, or 0 before the first migration.
+   */
+  function getSchemaVersion() {
+    return parseInt(PropertiesService.getScriptProperties().getProperty(SCHEMA_VERSION_PROPERTY), 10) || 0;
+  }
+
+  /**
+   * Writes each column's default into its blank cells, one column read and write at a time.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation sheet.
+   * @param {Array<string>} headers The sheet's headers.
+   * @private
+   */
+  function _backfillDefaults(sheet, headers) {
+    const rowCount = sheet.getLastRow() - 1;
+    if (rowCount < 1) return;
+
+    headers.forEach((header, index) => {
+      const defaultValue = _defaultFor(header);
+      if (defaultValue === null || defaultValue === undefined) return;
+
+      const range = sheet.getRange(2, index + 1, rowCount, 1);
+      const values = range.getValues();
+      let filled = 0;
+      values.forEach(row => {
+        if (row[0] === '' || row[0] === null) {
+          row[0] = _serialize(header, defaultValue);
+          filled++;
+        }
+      });
+      if (filled > 0) {
+        range.setValues(values);
+        debugLog(`Backfilled ${filled} blank ${header} cells`);
+      }
+    });
+  }
+
+  /**
+   * Returns the observation sheet, checking the schema once per execution.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The observation sheet.
+   * @private
+   */
+  function _getSheet() {
+    if (!_schemaChecked) {
+      return ensureSchema();
+    }
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.OBSERVATION_DATA);
+    return sheet || ensureSchema();
+  }
+
+  /**
+   * Returns the sheet's headers. Columns are only ever appended, so they are read once per execution.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation sheet.
+   * @returns {Array<string>} The headers.
+   * @private
+   */
+  function _getHeaders(sheet) {
+    if (!_headers || _headers.length !== sheet.getLastColumn()) {
+      _headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => h.toString().trim());
+    }
+    return _headers;
+  }
+
+  /**
+   * Returns a fresh copy of a column's default value.
+   * @param {string} header The column header.
+   * @returns {*} The default, or undefined if the column has none.
+   * @private
+   */
+  function _defaultFor(header) {
+    if (header in JSON_COLUMN_DEFAULTS) {
+      const value = JSON_COLUMN_DEFAULTS[header];
+      return value === null ? null : JSON.parse(JSON.stringify(value));
+    }
+    return COLUMN_DEFAULTS[header];
+  }
+
+  /**
+   * Converts a stored cell into a record value, parsing JSON columns and filling defaults.
+   * @param {string} header The column header.
+   * @param {*} value The cell value.
+   * @returns {*} The record value.
+   * @private
+   */
+  function _deserialize(header, value) {
+    if (value === '' || value === null || value === undefined) {
+      const defaultValue = _defaultFor(header);
+      return defaultValue === undefined ? value : defaultValue;
+    }
+    if (header in JSON_COLUMN_DEFAULTS && typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        console.warn(`Could not parse JSON for ${header} in observation. Using the default. Data: ${value}`);
+        return _defaultFor(header);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Converts a record value into a cell value.
+   * @param {string} header The column header.
+   * @param {*} value The record value.
+   * @returns {*} The cell value.
+   * @private
+   */
+  function _serialize(header, value) {
+    if (value === null || value === undefined) return '';
+    if (header in JSON_COLUMN_DEFAULTS && typeof value === 'object') {
+      return JSON.stringify(value, null, 2);
+    }
+    return value;
+  }
+
+  /**
+   * Builds an observation record from a sheet row.
+   * @param {Array<string>} headers The sheet's headers.
+   * @param {Array} row The row values.
+   * @returns {Object} The observation record.
+   * @private
+   */
+  function _toRecord(headers, row) {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = _deserialize(header, row[index]);
+    });
+    return record;
+  }
+
+  /**
+   * Loads the id → row index from this execution or the script cache.
+   * @returns {Object|null} The index, or null if none is cached.
+   * @private
+   */
+  function _loadRowIndex() {
+    if (_rowIndex) return _rowIndex;
+    try {
+      const cached = CacheService.getScriptCache().get(ROW_INDEX_CACHE_KEY);
+      _rowIndex = cached ? JSON.parse(cached) : null;
+    } catch (e) {
+      console.warn('Could not read the observation row index from cache:', e);
+    }
+    return _rowIndex;
+  }
+
+  /**
+   * Stores the id → row index for this execution and in the script cache.
+   * @param {Object} index The index.
+   * @private
+   */
+  function _saveRowIndex(index) {
+    _rowIndex = index;
+    try {
+      CacheService.getScriptCache().put(ROW_INDEX_CACHE_KEY, JSON.stringify(index), CACHE_SETTINGS.OBSERVATION_DATA_TTL);
+    } catch (e) {
+      console.warn('Could not cache the observation row index:', e);
+    }
+  }
+
+  /**
+   * Builds the id → row index from a list of ids starting at row 2.
+   * @param {Array<string>} ids The observation IDs in sheet order.
+   * @returns {Object} The index.
+   * @private
+   */
+  function _indexIds(ids) {
+    const index = {};
+    ids.forEach((id, i) => {
+      if (id) index[id] = i + 2; // +2 because data starts at row 2 and i is 0-indexed
+    });
+    _saveRowIndex(index);
+    return index;
+  }
+
+  /**
+   * Drops the cached row index, e.g. after rows have moved.
+   */
+  function invalidateRowIndex() {
+    _rowIndex = null;
+    try {
+      CacheService.getScriptCache().remove(ROW_INDEX_CACHE_KEY);
+    } catch (e) {
+      console.warn('Could not clear the observation row index:', e);
+    }
+  }
+
+  /**
+   * Finds the row for an observation. A cached row is checked against the sheet before it is
+   * used, so rows moved by a delete in another execution just cause a rebuild.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation sheet.
+   * @param {string} observationId The ID of the observation to find.
+   * @returns {number} The 1-based row number, or -1 if not found.
+   */
+  function findRow(sheet, observationId) {
+    const lastRow = sheet.getLastRow();
+    if (!observationId || lastRow < 2) return -1;
+
+    const idColumn = _getHeaders(sheet).indexOf('observationId') + 1;
+    if (idColumn === 0) return -1;
+
+    const index = _loadRowIndex();
+    const cachedRow = index ? index[observationId] : null;
+    if (cachedRow && cachedRow <= lastRow && sheet.getRange(cachedRow, idColumn).getValue() === observationId) {
+      return cachedRow;
+    }
+
+    const ids = sheet.getRange(2, idColumn, lastRow - 1, 1).getValues().map(row => row[0]);
+    return _indexIds(ids)[observationId] || -1;
+  }
+
+  /**
+   * Reads every observation.
+   * @returns {Array<Object>} All observation records, in sheet order.
+   */
+  function getAll() {
+    const sheet = _getSheet();
+    if (sheet.getLastRow() < 2) return [];
+
+    const headers = _getHeaders(sheet);
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+    const idIndex = headers.indexOf('observationId');
+    if (idIndex !== -1) {
+      _indexIds(values.map(row => row[idIndex]));
+    }
+    return values.map(row => _toRecord(headers, row));
+  }
+
+  /**
+   * Reads one observation by ID, reading only its row.
+   * @param {string} observationId The ID of the observation.
+   * @returns {Object|null} The observation record, or null if not found.
+   */
+  function findById(observationId) {
+    const sheet = _getSheet();
+    const row = findRow(sheet, observationId);
+    if (row === -1) return null;
+
+    const headers = _getHeaders(sheet);
+    return _toRecord(headers, sheet.getRange(row, 1, 1, headers.length).getValues()[0]);
+  }
+
+  /**
+   * Appends a new observation.
+   * @param {Object} record The observation record.
+   */
+  function append(record) {
+    const sheet = _getSheet();
+    const headers = _getHeaders(sheet);
+    sheet.appendRow(headers.map(header => _serialize(header, record[header])));
+    SpreadsheetApp.flush();
+
+    const index = _loadRowIndex();
+    if (index) {
+      index[record.observationId] = sheet.getLastRow();
+      _saveRowIndex(index);
+    }
+  }
+
+  /**
+   * Reads an observation, applies changes and writes them back under the script lock.
+   * Changed cells are written with one setValues call over the span of columns they cover;
+   * the row is re-read inside the lock, so other cells in that span keep their current values.
+   * lastModifiedAt is stamped on every write, and the version goes up when content changes.
+   * @param {string} observationId The ID of the observation to update.
+   * @param {function(Object, string): Object|null} updateFn Receives the current record and the
+   *     write's timestamp, and returns the fields to change, or null to write nothing.
+   * @param {Object} options Optional.
+   *     expectedVersion: rejects the write, without calling updateFn, if the observation is no
+   *       longer at this version.
+   *     baseVersion: the version the writer last saw. The write goes ahead, and the response
+   *       reports changedElsewhere if the observation has moved on since.
+   * @returns {{success: boolean, record?: Object, modifiedAt?: string, version?: number,
+   *     changedElsewhere?: boolean, error?: string}} The updated record, the write's time and the
+   *     observation's version after it.
+   */
+  function update(observationId, updateFn, options = {}) {
+    if (!observationId || typeof updateFn !== 'function') {
+      return { success: false, error: 'Invalid arguments for updating an observation.' };
+    }
+
+    const lock = getLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+      const sheet = _getSheet();
+      const row = findRow(sheet, observationId);
+      if (row === -1) {
+        return { success: false, error: 'Observation not found.' };
+      }
+
+      const headers = _getHeaders(sheet);
+      const values = sheet.getRange(row, 1, 1, headers.length).getValues()[0];
+      const record = _toRecord(headers, values);
+      const currentVersion = Number(record.version) || 0;
+      if (_isNumber(options.expectedVersion) && Number(options.expectedVersion) !== currentVersion) {
+        debugLog('Observation write rejected: stale version', { observationId, expectedVersion: options.expectedVersion, currentVersion });
+        return { success: false, error: ERROR_MESSAGES.OBSERVATION_CHANGED, changedElsewhere: true, version: currentVersion };
+      }
+
+      const modifiedAt = new Date().toISOString();
+      const changes = updateFn(record, modifiedAt);
+      if (!changes) {
+        return { success: false, error: 'No changes were made.' };
+      }
+
+      const writes = Object.assign({}, changes, { lastModifiedAt: modifiedAt });
+      delete writes.observationId;
+      delete writes.version;
+      if (Object.keys(writes).some(field => VERSIONED_COLUMNS.includes(field))) {
+        writes.version = currentVersion + 1;
+      }
+
+      const columns = Object.keys(writes).map(field => headers.indexOf(field)).filter(index => index !== -1);
+      const skipped = Object.keys(writes).filter(field => !headers.includes(field));
+      if (skipped.length > 0) {
+        debugLog('Observation fields without a column were not saved', { observationId, fields: skipped });
+      }
+      if (columns.length === 0) {
+        return { success: true, record: record, modifiedAt: null, version: currentVersion };
+      }
+
+      const first = Math.min.apply(null, columns);
+      const last = Math.max.apply(null, columns);
+      const span = values.slice(first, last + 1);
+      Object.keys(writes).forEach(field => {
+        const index = headers.indexOf(field);
+        if (index !== -1) {
+          span[index - first] = _serialize(field, writes[field]);
+          record[field] = writes[field];
+        }
+      });
+      sheet.getRange(row, first + 1, 1, span.length).setValues([span]);
+      SpreadsheetApp.flush();
+
+      const result = { success: true, record: record, modifiedAt: modifiedAt, version: Number(record.version) || 0 };
+      if (_isNumber(options.baseVersion) && Number(options.baseVersion) !== currentVersion) {
+        result.changedElsewhere = true;
+      }
+      return result;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Writes the given fields of an observation.
+   * @param {string} observationId The ID of the observation to update.
+   * @param {Object} changes Field values keyed by column header.
+   * @param {Object} options Optional. See update().
+   * @returns {Object} See update().
+   */
+  function updateFields(observationId, changes, options = {}) {
+    return update(observationId, () => changes, options);
+  }
+
+  /**
+   * @param {*} value The value to check.
+   * @returns {boolean} True if the value is a number or a numeric string, as sent by clients.
+   * @private
+   */
+  function _isNumber(value) {
+    return value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+  }
+
+  /**
+   * Deletes an observation's row under the script lock.
+   * @param {string} observationId The ID of the observation to delete.
+   * @returns {boolean} True if a row was deleted.
+   */
+  function remove(observationId) {
+    const lock = getLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+      const sheet = _getSheet();
+      const row = findRow(sheet, observationId);
+      if (row === -1) return false;
+
+      sheet.deleteRow(row);
+      SpreadsheetApp.flush();
+      // Every row below the deleted one has moved up
+      invalidateRowIndex();
+      return true;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  // Public API
+  return {
+    SCHEMA_VERSION: SCHEMA_VERSION,
+    JSON_COLUMNS: Object.keys(JSON_COLUMN_DEFAULTS),
+    VERSIONED_COLUMNS: VERSIONED_COLUMNS,
+    getLock: getLock,
+    ensureSchema: ensureSchema,
+    getSchemaVersion: getSchemaVersion,
+    findRow: findRow,
+    invalidateRowIndex: invalidateRowIndex,
+    getAll: getAll,
+    findById: findById,
+    append: append,
+    update: update,
+    updateFields: updateFields,
+    remove: remove
+  };
+})();
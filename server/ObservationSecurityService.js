@@ -34,9 +34,9 @@ function canAccessObservation(observation, requestingEmail) {
       return true;
     }
 
-    // 2. OBSERVED PERSON ACCESS: Can view FINALIZED observations only
+    // 2. OBSERVED PERSON ACCESS: Can view FINALIZED (and later) observations only
     if (observation.observedEmail === requestingEmail) {
-      if (observation.status === OBSERVATION_STATUS.FINALIZED) {
+      if (FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) {
         debugLog('Observation access granted: Observed staff (finalized)', {
           observationId: observation.observationId,
           requester: requestingEmail
@@ -123,7 +123,7 @@ function canAccessObservation(observation, requestingEmail) {
 
 /**
  * Checks if a user can edit a specific observation
- * SECURITY: Only creator can edit, and only if not finalized
+ * SECURITY: Only creator can edit, and only while Draft or Returned
  *
  * @param {Object} observation - The observation object to check
  * @param {string} requestingEmail - Email of user requesting to edit
@@ -144,11 +144,12 @@ function canEditObservation(observation, requestingEmail) {
     return false;
   }
 
-  // Cannot edit finalized observations
-  if (observation.status === OBSERVATION_STATUS.FINALIZED) {
-    debugLog('Edit denied: Observation finalized', {
+  // Cannot edit observations that are under review or finalized
+  if (!EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+    debugLog('Edit denied: Observation not editable in current status', {
       observationId: observation.observationId,
-      requester: requestingEmail
+      requester: requestingEmail,
+      status: observation.status
     });
     return false;
   }
@@ -158,42 +159,109 @@ function canEditObservation(observation, requestingEmail) {
 
 /**
  * Checks if a user can finalize a specific observation
- * SECURITY: Only creator can finalize
+ * SECURITY: Delegates to the status state machine (Submitted -> Finalized)
  *
  * @param {Object} observation - The observation object to check
  * @param {string} requestingEmail - Email of user requesting to finalize
  * @returns {boolean} True if user can finalize the observation
  */
 function canFinalizeObservation(observation, requestingEmail) {
+  return canTransitionObservationStatus(observation, OBSERVATION_STATUS.FINALIZED, requestingEmail);
+}
+
+/**
+ * Determines which status actors (see STATUS_ACTORS) a user is for an observation.
+ * A user can hold several, e.g. an Administrator who created the observation is
+ * only the observer - administrators never review their own observations.
+ *
+ * @param {Object} observation - The observation object
+ * @param {string} requestingEmail - Email of the user
+ * @returns {Array<string>} Actor identifiers
+ */
+function getObservationStatusActors(observation, requestingEmail) {
+  const actors = [];
   if (!observation || !requestingEmail) {
+    return actors;
+  }
+
+  if (observation.observerEmail === requestingEmail) {
+    actors.push(STATUS_ACTORS.OBSERVER);
+  } else {
+    const userContext = createUserContext(requestingEmail);
+    if (userContext.role === SPECIAL_ROLES.ADMINISTRATOR) {
+      actors.push(STATUS_ACTORS.ADMINISTRATOR);
+    }
+  }
+
+  if (observation.observedEmail === requestingEmail) {
+    actors.push(STATUS_ACTORS.OBSERVED);
+  }
+
+  return actors;
+}
+
+/**
+ * Checks if a user can move an observation to a new status
+ * SECURITY: Enforces OBSERVATION_STATUS_TRANSITIONS and audit logs denials
+ *
+ * @param {Object} observation - The observation object to check
+ * @param {string} newStatus - The requested status (value from OBSERVATION_STATUS)
+ * @param {string} requestingEmail - Email of user requesting the change
+ * @returns {boolean} True if the transition is allowed for this user
+ */
+function canTransitionObservationStatus(observation, newStatus, requestingEmail) {
+  if (!observation || !newStatus || !requestingEmail) {
     return false;
   }
 
-  // Only creator can finalize
-  if (observation.observerEmail !== requestingEmail) {
-    debugLog('Finalize denied: Not creator', {
+  try {
+    const allowedTransitions = OBSERVATION_STATUS_TRANSITIONS[observation.status] || {};
+    const allowedActors = allowedTransitions[newStatus];
+
+    if (!allowedActors) {
+      debugLog('Status change denied: Transition not allowed', {
+        observationId: observation.observationId,
+        from: observation.status,
+        to: newStatus
+      });
+      return false;
+    }
+
+    const actors = getObservationStatusActors(observation, requestingEmail);
+    if (actors.some(actor => allowedActors.includes(actor))) {
+      return true;
+    }
+
+    if (typeof auditLog === 'function') {
+      auditLog(AUDIT_ACTIONS.STATUS_CHANGE_DENIED, {
+        observationId: observation.observationId,
+        attemptedBy: requestingEmail,
+        from: observation.status,
+        to: newStatus
+      });
+    } else {
+      console.warn('auditLog not available - denied status change not logged');
+    }
+
+    debugLog('Status change denied: User not permitted', {
       observationId: observation.observationId,
       requester: requestingEmail,
-      creator: observation.observerEmail
+      from: observation.status,
+      to: newStatus,
+      actors: actors
     });
     return false;
-  }
 
-  // Cannot finalize if already finalized
-  if (observation.status === OBSERVATION_STATUS.FINALIZED) {
-    debugLog('Finalize denied: Already finalized', {
-      observationId: observation.observationId,
-      requester: requestingEmail
-    });
+  } catch (error) {
+    console.error('Error in canTransitionObservationStatus:', error.message);
+    // Fail closed - deny on error
     return false;
   }
-
-  return true;
 }
 
 /**
  * Checks if a user can delete a specific observation
- * SECURITY: Only creator can delete, and only if not finalized
+ * SECURITY: Only creator can delete, and only while Draft or Returned
  *
  * @param {Object} observation - The observation object to check
  * @param {string} requestingEmail - Email of user requesting to delete
@@ -214,15 +282,58 @@ function canDeleteObservation(observation, requestingEmail) {
     return false;
   }
 
-  // Cannot delete finalized observations (business rule)
-  if (observation.status === OBSERVATION_STATUS.FINALIZED) {
-    debugLog('Delete denied: Observation finalized', {
+  // Cannot delete observations under review or finalized (business rule)
+  if (!EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+    debugLog('Delete denied: Observation not editable in current status', {
+      observationId: observation.observationId,
+      requester: requestingEmail,
+      status: observation.status
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Checks if a user can add or change the staff response on an observation
+ * SECURITY: Only the observed staff member, and only after finalization and before signing
+ *
+ * @param {Object} observation - The observation object to check
+ * @param {string} requestingEmail - Email of user requesting to respond
+ * @returns {boolean} True if user can respond to the observation
+ */
+function canRespondToObservation(observation, requestingEmail) {
+  if (!observation || !requestingEmail) {
+    return false;
+  }
+
+  // Only the observed staff member can respond
+  if (observation.observedEmail !== requestingEmail) {
+    if (typeof auditLog === 'function') {
+      auditLog(AUDIT_ACTIONS.UNAUTHORIZED_ACCESS_ATTEMPT, {
+        observationId: observation.observationId,
+        attemptedBy: requestingEmail,
+        action: 'staff_response'
+      });
+    }
+    debugLog('Response denied: Not the observed staff member', {
       observationId: observation.observationId,
       requester: requestingEmail
     });
     return false;
   }
 
+  // Responses open at finalization and lock once signed
+  if (!STAFF_RESPONSE_OPEN_STATUSES.includes(observation.status)) {
+    debugLog('Response denied: Observation not open for responses', {
+      observationId: observation.observationId,
+      requester: requestingEmail,
+      status: observation.status
+    });
+    return false;
+  }
+
   return true;
 }
 
@@ -318,7 +429,7 @@ function validateObservationEmailRecipient(observation, recipientEmail) {
   }
 
   // SECURITY: Only finalized observations can be emailed
-  if (observation.status !== OBSERVATION_STATUS.FINALIZED) {
+  if (!FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) {
     throw new Error('Only finalized observations can be emailed');
   }
 
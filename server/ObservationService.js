@@ -4,10 +4,6 @@
  * This service manages observation records, which are stored as rows in the "Observation_Data" Google Sheet.
  */
 
-// JSON serialized fields in the observation database
-const JSON_SERIALIZED_FIELDS = ['observationData', 'evidenceLinks', 'observationNotes', 'scriptContent', 'componentTags'];
-
-
 /**
  * Retrieves the entire observations database from the Google Sheet.
  * @returns {Array<Object>} The array of all observation objects.
@@ -15,35 +11,7 @@ const JSON_SERIALIZED_FIELDS = ['observationData', 'evidenceLinks', 'observation
  */
 function _getObservationsDb() {
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet || sheet.getLastRow() < 2) {
-      return []; // No headers or no data
-    }
-
-    const range = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn());
-    const values = range.getValues();
-
-    const headers = values[0].map(h => h.toString().trim());
-    const dataRows = values.slice(1);
-
-    return dataRows.map(row => {
-      const observation = {};
-      headers.forEach((header, index) => {
-        let value = row[index];
-        // Safely parse JSON fields
-        if (JSON_SERIALIZED_FIELDS.includes(header) && typeof value === 'string' && value) {
-          try {
-            value = JSON.parse(value);
-          } catch (e) {
-            console.warn(`Could not parse JSON for ${header} in observation. Defaulting to empty object. Data: ${value}`);
-            value = {};
-          }
-        }
-        observation[header] = value;
-      });
-      return observation;
-    });
+    return ObservationRepository.getAll();
   } catch (error) {
     console.error('Error getting observations DB from Sheet:', error);
     return []; // Return empty DB on error
@@ -56,13 +24,18 @@ function _getObservationsDb() {
  * @param {string} componentId The ID of the component (e.g., "1a:").
  * @param {string} lookForText The text content of the look-for.
  * @param {boolean} isChecked The state of the checkbox.
+ * @param {number} baseVersion Optional. The observation version the client last saw, to report
+ *     changes made elsewhere.
  * @returns {Object} A response object with success status.
  */
-function _saveLookForSelection(observationId, componentId, lookForText, isChecked) {
+function _saveLookForSelection(observationId, componentId, lookForText, isChecked, baseVersion = null) {
   if (!observationId || !componentId || !lookForText) {
     return { success: false, error: 'Observation ID, component ID, and look-for text are required.' };
   }
 
+  // Look-for toggles add or remove a single item, so they merge with edits made elsewhere
+  // and are recorded without a conflict check
+  const fieldWrite = { fieldKey: OBSERVATION_FIELD_KEYS.LOOK_FORS + componentId, baseVersion: baseVersion };
   return _updateObservationJsonData(observationId, 'observationData', (currentData) => {
     // Ensure the data structure for the component exists
     if (!currentData[componentId]) {
@@ -81,14 +54,9 @@ function _saveLookForSelection(observationId, componentId, lookForText, isChecke
     currentData[componentId].lookfors = Array.from(lookForsSet);
 
     return currentData;
-  });
+  }, fieldWrite);
 }
 
-/**
- * Saves the entire observations database to the Google Sheet.
- * @param {Array<Object>} db The array of all observation objects to save.
- * @private
- */
 /**
  * Appends a new observation record directly to the Google Sheet.
  * @param {Object} observation The observation object to append.
@@ -96,25 +64,8 @@ function _saveLookForSelection(observationId, componentId, lookForText, isChecke
  */
 function _appendObservationToSheet(observation) {
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) {
-      throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-    }
-
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const rowData = headers.map(header => {
-      let value = observation[header];
-      if (JSON_SERIALIZED_FIELDS.includes(header) && typeof value === 'object') {
-        return JSON.stringify(value, null, 2);
-      }
-      return value;
-    });
-
-    sheet.appendRow(rowData);
-    SpreadsheetApp.flush(); // Ensure the data is written immediately
+    ObservationRepository.append(observation);
     debugLog(`Appended new observation ${observation.observationId} to the sheet.`);
-
   } catch (error) {
     console.error('Error appending observation to Sheet:', error);
     throw error; // Re-throw to be handled by the calling function
@@ -129,75 +80,110 @@ function _appendObservationToSheet(observation) {
 function getObservationById(observationId) {
     if (!observationId) return null;
     try {
-        const db = _getObservationsDb();
-        return db.find(obs => obs.observationId === observationId) || null;
+        return ObservationRepository.findById(observationId);
     } catch (error) {
         console.error(`Error in getObservationById for ${observationId}:`, error);
         return null;
     }
 }
 
+/**
+ * Checks whether a field was written after the version a client last saw.
+ * @param {Object} fieldTimestamps The observation's fieldTimestamps ({fieldKey: ISO time}).
+ * @param {string} fieldKey The field key (see OBSERVATION_FIELD_KEYS).
+ * @param {string} baseModifiedAt The field's timestamp when the client loaded or last saved it.
+ *     Without one, the write is not checked.
+ * @returns {string|null} The newer server timestamp, or null when there is no conflict.
+ */
+function findObservationFieldConflict(fieldTimestamps, fieldKey, baseModifiedAt) {
+  if (!baseModifiedAt || !fieldTimestamps) return null;
+
+  // A restore or other whole-observation write counts as a write to every field
+  const stamps = [fieldTimestamps[fieldKey], fieldTimestamps[OBSERVATION_FIELD_KEYS.ALL]].filter(Boolean);
+  const latest = stamps.sort().pop();
+  return latest && new Date(latest) > new Date(baseModifiedAt) ? latest : null;
+}
+
+/**
+ * Builds the response for a write rejected by findObservationFieldConflict().
+ * @param {string} fieldKey The conflicting field key.
+ * @param {*} serverValue The field's current value on the server.
+ * @param {string} serverModifiedAt When the server value was written.
+ * @returns {Object} A failed response object with the conflict details.
+ */
+function buildFieldConflictResponse(fieldKey, serverValue, serverModifiedAt) {
+  return {
+    success: false,
+    error: 'This was changed in another window or device since you loaded it.',
+    conflict: { fieldKey: fieldKey, serverValue: serverValue === undefined ? null : serverValue, serverModifiedAt: serverModifiedAt }
+  };
+}
+
 /**
  * A centralized and locked function to update the JSON data within an observation row.
  * This prevents race conditions from multiple simultaneous client-side auto-saves.
  * @param {string} observationId The ID of the observation to update.
  * @param {string} dataColumnName The name of the column containing the JSON to update (e.g., 'observationData').
  * @param {function(Object): Object} updateFn A function that receives the current data object and returns the updated object.
- * @returns {Object} A response object with success status.
+ * @param {Object} fieldWrite Optional. Records the write in fieldTimestamps and rejects it on conflict:
+ *     { fieldKey, baseModifiedAt, baseVersion, getServerValue: function(Object): * }
+ *     Writes to a field nobody else changed go ahead even if the observation has moved past
+ *     baseVersion; the response then reports changedElsewhere so the client can offer a reload.
+ *     Field writes are observation content, so they are also rejected once the observation has
+ *     left EDITABLE_OBSERVATION_STATUSES, checked under the lock.
+ * @returns {Object} A response object with success status, the write's modifiedAt time and the
+ *     observation's new version.
  * @private
  */
-function _updateObservationJsonData(observationId, dataColumnName, updateFn) {
+function _updateObservationJsonData(observationId, dataColumnName, updateFn, fieldWrite = null) {
   if (!observationId || !dataColumnName || typeof updateFn !== 'function') {
     return { success: false, error: 'Invalid arguments for updating observation JSON data.' };
   }
 
-  const lock = LockService.getScriptLock();
-  lock.waitLock(30000); // Wait up to 30 seconds
-
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-
-    const row = _findObservationRow(sheet, observationId);
-    if (row === -1) return { success: false, error: 'Observation not found.' };
-
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const dataCol = headers.indexOf(dataColumnName) + 1;
-    const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-
-    if (dataCol === 0) {
-      return { success: false, error: `Column "${dataColumnName}" not found in the sheet.` };
-    }
-
-    const dataCell = sheet.getRange(row, dataCol);
-    const currentDataString = dataCell.getValue();
-    let currentData = {};
-    try {
-      if (currentDataString) {
-        currentData = JSON.parse(currentDataString);
+    let rejection = null;
+    const result = ObservationRepository.update(observationId, (observation, modifiedAt) => {
+      if (!(dataColumnName in observation)) {
+        rejection = { success: false, error: `Column "${dataColumnName}" not found in the sheet.` };
+        return null;
+      }
+      if (fieldWrite && !EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+        rejection = { success: false, error: `This observation is ${observation.status} and can no longer be edited.` };
+        return null;
       }
-    } catch (e) {
-      console.warn(`Could not parse ${dataColumnName} for ${observationId}. Starting fresh. Data: ${currentDataString}`);
-    }
-
-    // Apply the update function to the data
-    const updatedData = updateFn(currentData);
 
-    // Save the updated object back to the cell
-    dataCell.setValue(JSON.stringify(updatedData, null, 2));
-    if (lastModifiedCol > 0) {
-      sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
-    }
-    SpreadsheetApp.flush();
+      const currentData = observation[dataColumnName] && typeof observation[dataColumnName] === 'object'
+        ? observation[dataColumnName]
+        : {};
+      const hasTimestamps = fieldWrite && 'fieldTimestamps' in observation;
+      const fieldTimestamps = hasTimestamps ? (observation.fieldTimestamps || {}) : {};
+      if (hasTimestamps) {
+        const serverModifiedAt = findObservationFieldConflict(fieldTimestamps, fieldWrite.fieldKey, fieldWrite.baseModifiedAt);
+        if (serverModifiedAt) {
+          debugLog('Field write conflict', { observationId, fieldKey: fieldWrite.fieldKey, serverModifiedAt });
+          rejection = buildFieldConflictResponse(fieldWrite.fieldKey, fieldWrite.getServerValue(currentData), serverModifiedAt);
+          return null;
+        }
+      }
 
-    debugLog(`${dataColumnName} updated`, { observationId, column: dataColumnName });
-    return { success: true };
+      // Apply the update function to the data
+      const changes = { [dataColumnName]: updateFn(currentData) };
+      if (hasTimestamps) {
+        fieldTimestamps[fieldWrite.fieldKey] = modifiedAt;
+        changes.fieldTimestamps = fieldTimestamps;
+      }
+      return changes;
+    }, { baseVersion: fieldWrite ? fieldWrite.baseVersion : null });
+    if (rejection) return rejection;
+    if (!result.success) return result;
+
+    debugLog(`${dataColumnName} updated`, { observationId, column: dataColumnName, version: result.version });
+    const response = { success: true, modifiedAt: result.modifiedAt, version: result.version };
+    if (result.changedElsewhere) response.changedElsewhere = true;
+    return response;
   } catch (error) {
     console.error(`Error updating ${dataColumnName} for observation ${observationId}:`, error);
     return { success: false, error: 'An unexpected error occurred during data update.' };
-  } finally {
-    lock.releaseLock();
   }
 }
 
@@ -205,7 +191,8 @@ function _updateObservationJsonData(observationId, dataColumnName, updateFn) {
 /**
  * Retrieves all observations for a given staff member.
  * @param {string} observedEmail The email of the staff member being observed.
- * @param {string|null} status Optional. Filter observations by status (e.g., "Draft", "Finalized").
+ * @param {string|Array<string>|null} status Optional. Filter observations by status (e.g., "Draft",
+ *     or FINALIZED_OBSERVATION_STATUSES for everything at or after finalization).
  * @returns {Array<Object>} An array of matching observation objects.
  */
 function getObservationsForUser(observedEmail, status = null) {
@@ -216,12 +203,15 @@ function getObservationsForUser(observedEmail, status = null) {
     let userObservations = db.filter(obs => obs.observedEmail === observedEmail);
 
     if (status) {
-      userObservations = userObservations.filter(obs => obs.status === status);
+      const statuses = Array.isArray(status) ? status : [status];
+      userObservations = userObservations.filter(obs => statuses.includes(obs.status));
     }
 
     // Sort by creation date, newest first
     userObservations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
+    const scoringConfig = getScoringConfig();
+
     // Ensure essential fields for the UI are present
     return userObservations.map(obs => {
       // Look up the observer's name from the Staff sheet
@@ -248,7 +238,12 @@ function getObservationsForUser(observedEmail, status = null) {
         pdfStatus: obs.pdfStatus || null,
         folderUrl: obs.folderUrl || null,
         observerEmail: obs.observerEmail || null,
-        observerName: observerName
+        observerName: observerName,
+        statusHistory: Array.isArray(obs.statusHistory) ? obs.statusHistory : [],
+        staffResponse: obs.staffResponse || null,
+        ratedComponentIds: Object.keys(obs.observationData || {})
+          .filter(componentId => obs.observationData[componentId] && obs.observationData[componentId].proficiency),
+        scores: calculateObservationScores(obs, scoringConfig)
       };
     });
   } catch (error) {
@@ -290,14 +285,16 @@ function createNewObservation(observerEmail, observedEmail, observationType = 'S
       lastModifiedAt: new Date().toISOString(),
       finalizedAt: null,
       pdfUrl: null, // To store the link to the generated PDF
-      pdfStatus: null, // Track PDF generation status: null, 'generated', 'failed'
+      pdfStatus: null, // Track PDF generation status: null, 'generated', 'failed', 'outdated'
       folderUrl: null, // To store the link to the Google Drive folder
       observationName: null,
       observationDate: null,
       observationData: {}, // e.g., { "1a:": "proficient", "1b:": "basic" }
       evidenceLinks: {}, // e.g., { "1a:": [{url: "...", name: "...", uploadedAt: "..."}, ...] }
       observationNotes: {},
-      Type: observationType
+      fieldTimestamps: {},
+      Type: observationType,
+      rubricVersionId: ensureRubricVersion(observedUser.role) // Replaced by the version in force at finalization
     };
 
     _appendObservationToSheet(newObservation);
@@ -316,38 +313,22 @@ function createNewObservation(observerEmail, observedEmail, observationType = 'S
  * @param {string} observationId The ID of the observation to update.
  * @param {string} componentId The rubric component ID (e.g., "1a:").
  * @param {string} proficiency The selected proficiency level (e.g., "proficient").
+ * @param {string} baseModifiedAt Optional. The field's timestamp the client last saw; the save is
+ *     rejected with a conflict if the proficiency was changed elsewhere since.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
  * @returns {Object} A response object with success status.
  */
-/**
- * Finds the row number for a given observation ID in the sheet.
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The observation data sheet.
- * @param {string} observationId The ID of the observation to find.
- * @returns {number} The 1-based row number, or -1 if not found.
- * @private
- */
-function _findObservationRow(sheet, observationId) {
-  const idColumn = 1; // Assuming observationId is in column A
-  const ids = sheet.getRange(2, idColumn, sheet.getLastRow() - 1, 1).getValues();
-  for (let i = 0; i < ids.length; i++) {
-    if (ids[i][0] === observationId) {
-      return i + 2; // +2 because data starts at row 2 and i is 0-indexed
-    }
-  }
-  return -1;
-}
-
-/**
- * Saves a proficiency level selection for a specific component in an observation.
- * @param {string} observationId The ID of the observation to update.
- * @param {string} componentId The rubric component ID (e.g., "1a:").
- * @param {string} proficiency The selected proficiency level (e.g., "proficient").
- * @returns {Object} A response object with success status.
- */
-function _saveProficiencySelection(observationId, componentId, proficiency) {
+function _saveProficiencySelection(observationId, componentId, proficiency, baseModifiedAt = null, baseVersion = null) {
   if (!observationId || !componentId) {
     return { success: false, error: 'Observation ID and component ID are required.' };
   }
 
+  const fieldWrite = {
+    fieldKey: OBSERVATION_FIELD_KEYS.PROFICIENCY + componentId,
+    baseModifiedAt: baseModifiedAt,
+    baseVersion: baseVersion,
+    getServerValue: currentData => (currentData[componentId] && currentData[componentId].proficiency) || null
+  };
   return _updateObservationJsonData(observationId, 'observationData', (currentData) => {
     // Ensure the component object exists, preserving other properties
     if (!currentData[componentId]) {
@@ -364,7 +345,7 @@ function _saveProficiencySelection(observationId, componentId, proficiency) {
     }
 
     return currentData;
-  });
+  }, fieldWrite);
 }
 
 /**
@@ -419,14 +400,7 @@ function _getOrCreateFolder(parentFolder, folderName) {
  * @private
  */
 function _getObservationFolder(observation) {
-    // Get the root folder for all observations, creating it if it doesn't exist.
-    const rootFolder = _getOrCreateFolder(DriveApp.getRootFolder(), DRIVE_FOLDER_INFO.ROOT_FOLDER_NAME);
-
-    // Get or create a folder for the observed user, using their email to ensure uniqueness.
-    // Handle cases where observedName might be null/undefined
-    const observedName = observation.observedName || 'Unknown User';
-    const userFolderName = `${observedName} (${observation.observedEmail})`;
-    const userFolder = _getOrCreateFolder(rootFolder, userFolderName);
+    const userFolder = _getStaffFolder(observation.observedName, observation.observedEmail);
 
     // Get or create a folder for this specific observation.
     const obsFolderName = `Observation - ${observation.observationId}`;
@@ -435,6 +409,22 @@ function _getObservationFolder(observation) {
     return obsFolder;
 }
 
+/**
+ * Retrieves or creates the Drive folder holding all materials for one staff member.
+ * @param {string} staffName The staff member's name.
+ * @param {string} staffEmail The staff member's email, used to keep folder names unique.
+ * @returns {GoogleAppsScript.Drive.Folder} The staff member's folder.
+ * @private
+ */
+function _getStaffFolder(staffName, staffEmail) {
+    // Get the root folder for all observations, creating it if it doesn't exist.
+    const rootFolder = _getOrCreateFolder(DriveApp.getRootFolder(), DRIVE_FOLDER_INFO.ROOT_FOLDER_NAME);
+
+    // Handle cases where the name might be null/undefined
+    const userFolderName = `${staffName || 'Unknown User'} (${staffEmail})`;
+    return _getOrCreateFolder(rootFolder, userFolderName);
+}
+
 /**
  * Searches for an existing observation folder WITHOUT creating new folders.
  * This function looks for folders shared with the current user (staff member).
@@ -602,36 +592,11 @@ function uploadMediaEvidence(observationId, componentId, base64Data, fileName, m
   }
 
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) {
-      throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-    }
-
-    const row = _findObservationRow(sheet, observationId);
-    if (row === -1) {
+    const observation = ObservationRepository.findById(observationId);
+    if (!observation) {
       return { success: false, error: 'Observation not found.' };
     }
 
-    // Get the current observation data from the sheet
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const evidenceLinksCol = headers.indexOf('evidenceLinks') + 1;
-    const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-    const observedNameCol = headers.indexOf('observedName') + 1;
-    const observedEmailCol = headers.indexOf('observedEmail') + 1;
-
-    if (evidenceLinksCol === 0) {
-      return { success: false, error: 'evidenceLinks column not found in the sheet.' };
-    }
-
-    // Get observation data for folder creation
-    const rowData = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const observation = {
-      observationId: rowData[headers.indexOf('observationId')],
-      observedName: rowData[observedNameCol - 1],
-      observedEmail: rowData[observedEmailCol - 1]
-    };
-
     const obsFolder = _getObservationFolder(observation);
     
     // Decode base64 and create a blob
@@ -642,19 +607,47 @@ function uploadMediaEvidence(observationId, componentId, base64Data, fileName, m
     const fileUrl = file.getUrl();
     // File remains private until observation is finalized
 
-    // Get current evidence links from the sheet
-    const evidenceLinksCell = sheet.getRange(row, evidenceLinksCol);
-    const currentLinksString = evidenceLinksCell.getValue();
-    let currentLinks = {};
-    try {
-      if (currentLinksString) {
-        currentLinks = JSON.parse(currentLinksString);
-      }
-    } catch (e) {
-      console.warn(`Could not parse evidenceLinks for ${observationId}. Starting fresh. Data: ${currentLinksString}`);
+    const result = _linkMediaEvidence(observationId, componentId, fileUrl, fileName);
+    if (!result.success) {
+      file.setTrashed(true);
+      return result;
+    }
+
+    debugLog('Media evidence uploaded and linked', { observationId, componentId, fileUrl });
+    return { success: true, fileUrl: fileUrl, fileName: fileName };
+
+  } catch (error) {
+    console.error('Error in uploadMediaEvidence:', error);
+    return { success: false, error: 'Failed to upload media: ' + error.message };
+  }
+}
+
+/**
+ * Adds an uploaded file to a component's evidence links. Only the observer can link evidence,
+ * and only while the observation can still be edited; both are checked under the lock.
+ * @param {string} observationId The ID of the observation.
+ * @param {string} componentId The ID of the rubric component (e.g., "1a:").
+ * @param {string} fileUrl The Drive URL of the file.
+ * @param {string} fileName The file name shown in the evidence list.
+ * @returns {Object} The result of ObservationRepository.update(), or a failed response object.
+ * @private
+ */
+function _linkMediaEvidence(observationId, componentId, fileUrl, fileName) {
+  const currentUserEmail = Session.getActiveUser().getEmail();
+
+  // Add the new evidence link to the links as they are now, not as they were before the upload
+  let rejection = null;
+  const result = ObservationRepository.update(observationId, (latest) => {
+    if (latest.observerEmail !== currentUserEmail) {
+      rejection = { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+      return null;
+    }
+    if (!EDITABLE_OBSERVATION_STATUSES.includes(latest.status)) {
+      rejection = { success: false, error: `This observation is ${latest.status} and can no longer be edited.` };
+      return null;
     }
 
-    // Add the new evidence link
+    const currentLinks = latest.evidenceLinks || {};
     if (!currentLinks[componentId]) {
       currentLinks[componentId] = [];
     }
@@ -663,21 +656,9 @@ function uploadMediaEvidence(observationId, componentId, base64Data, fileName, m
       name: fileName,
       uploadedAt: new Date().toISOString()
     });
-
-    // Update the sheet with the new evidence links and timestamp
-    evidenceLinksCell.setValue(JSON.stringify(currentLinks, null, 2));
-    if (lastModifiedCol > 0) {
-      sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
-    }
-    SpreadsheetApp.flush(); // Ensure the data is written immediately
-
-    debugLog('Media evidence uploaded and linked', { observationId, componentId, fileUrl });
-    return { success: true, fileUrl: fileUrl, fileName: fileName };
-
-  } catch (error) {
-    console.error('Error in uploadMediaEvidence:', error);
-    return { success: false, error: 'Failed to upload media: ' + error.message };
-  }
+    return { evidenceLinks: currentLinks };
+  });
+  return rejection || result;
 }
 
 /**
@@ -685,22 +666,17 @@ function uploadMediaEvidence(observationId, componentId, base64Data, fileName, m
  * This is a private helper function to consolidate deletion logic for both Draft and Finalized observations.
  * @param {string} observationId The ID of the observation to delete.
  * @param {string} requestingUserEmail The email of the user requesting deletion.
- * @param {string} allowedStatus The status the observation must have to be deleted (e.g., "Draft" or "Finalized").
+ * @param {function(Object, string): boolean} canDelete Checks the observation's status for this kind of deletion.
+ * @param {string} allowedStatus The statuses canDelete allows, for messages (e.g., "Draft or Returned" or "Finalized").
  * @returns {Object} A response object with success status.
  */
-function _deleteRecordAndFolder(observationId, requestingUserEmail, allowedStatus) {
+function _deleteRecordAndFolder(observationId, requestingUserEmail, canDelete, allowedStatus) {
     if (!observationId || !requestingUserEmail) {
         return { success: false, error: 'Observation ID and requesting user email are required.' };
     }
     try {
-        const spreadsheet = openSpreadsheet();
-        const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-        if (!sheet) {
-            throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-        }
-
-        const row = _findObservationRow(sheet, observationId);
-        if (row === -1) {
+        const observation = ObservationRepository.findById(observationId);
+        if (!observation) {
             // If the row is not found, it might have been deleted already.
             // We can't reliably find and delete the corresponding folder without
             // the `observedName` and `observedEmail` from the sheet row.
@@ -709,36 +685,16 @@ function _deleteRecordAndFolder(observationId, requestingUserEmail, allowedStatu
             return { success: true, message: 'Observation record not found; assumed already deleted.' };
         }
 
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        const rowData = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
-
-        const observerEmailCol = headers.indexOf('observerEmail');
-        const statusCol = headers.indexOf('status');
-        const observedNameCol = headers.indexOf('observedName');
-        const observedEmailCol = headers.indexOf('observedEmail');
-
-        if ([observerEmailCol, statusCol, observedNameCol, observedEmailCol].includes(-1)) {
-            return { success: false, error: 'Required data columns (observer, status, name, email) not found in the sheet.' };
-        }
-
-        const observerEmail = rowData[observerEmailCol];
-        const status = rowData[statusCol];
-
-        if (observerEmail !== requestingUserEmail) {
+        if (observation.observerEmail !== requestingUserEmail) {
             return { success: false, error: 'Permission denied. You did not create this observation.' };
         }
 
-        if (status !== allowedStatus) {
-            return { success: false, error: `Action denied. Only ${allowedStatus} observations can be deleted with this function, but this observation has status "${status}".` };
+        if (!canDelete(observation, requestingUserEmail)) {
+            return { success: false, error: `Action denied. Only ${allowedStatus} observations can be deleted with this function, but this observation has status "${observation.status}".` };
         }
 
         // First, attempt to delete the associated Drive folder.
         try {
-            const observationForFolder = {
-                observationId: observationId,
-                observedName: rowData[observedNameCol],
-                observedEmail: rowData[observedEmailCol]
-            };
             const obsFolder = getExistingObservationFolder(observationId);
             if (obsFolder) {
                 obsFolder.setTrashed(true);
@@ -750,8 +706,8 @@ function _deleteRecordAndFolder(observationId, requestingUserEmail, allowedStatu
         }
 
         // Finally, delete the row from the sheet.
-        sheet.deleteRow(row);
-        SpreadsheetApp.flush();
+        ObservationRepository.remove(observationId);
+        deleteObservationSnapshots(observationId);
 
         debugLog(`${allowedStatus} observation DELETED successfully`, { observationId, requestingUserEmail });
         return { success: true };
@@ -764,13 +720,15 @@ function _deleteRecordAndFolder(observationId, requestingUserEmail, allowedStatu
 
 
 /**
- * Deletes a DRAFT observation record and its associated Google Drive folder.
+ * Deletes a DRAFT or RETURNED observation record and its associated Google Drive folder
+ * (see canDeleteObservation).
  * @param {string} observationId The ID of the observation to delete.
  * @param {string} requestingUserEmail The email of the user requesting deletion.
  * @returns {Object} A response object with success status.
  */
 function deleteObservationRecord(observationId, requestingUserEmail) {
-    return _deleteRecordAndFolder(observationId, requestingUserEmail, OBSERVATION_STATUS.DRAFT);
+    return _deleteRecordAndFolder(observationId, requestingUserEmail, canDeleteObservation,
+        EDITABLE_OBSERVATION_STATUSES.join(' or '));
 }
 
 /**
@@ -780,65 +738,102 @@ function deleteObservationRecord(observationId, requestingUserEmail) {
  * @returns {Object} A response object with success status.
  */
 function deleteFinalizedObservationRecord(observationId, requestingUserEmail) {
-    return _deleteRecordAndFolder(observationId, requestingUserEmail, OBSERVATION_STATUS.FINALIZED);
+    return _deleteRecordAndFolder(observationId, requestingUserEmail,
+        observation => observation.status === OBSERVATION_STATUS.FINALIZED, OBSERVATION_STATUS.FINALIZED);
 }
 
 /**
- * Updates the status of an observation (e.g., to "Finalized").
+ * Audit action recorded for each status an observation can move into.
+ * @private
+ */
+const STATUS_CHANGE_AUDIT_ACTIONS = {
+    [OBSERVATION_STATUS.SUBMITTED]: 'OBSERVATION_SUBMITTED',
+    [OBSERVATION_STATUS.RETURNED]: 'OBSERVATION_RETURNED',
+    [OBSERVATION_STATUS.FINALIZED]: 'OBSERVATION_FINALIZED',
+    [OBSERVATION_STATUS.ACKNOWLEDGED]: 'OBSERVATION_ACKNOWLEDGED',
+    [OBSERVATION_STATUS.SIGNED]: 'OBSERVATION_SIGNED'
+};
+
+/**
+ * Moves an observation to a new status (e.g., "Submitted" or "Finalized").
+ * The change must be allowed by OBSERVATION_STATUS_TRANSITIONS for the requesting user
+ * (see canTransitionObservationStatus). Each change is appended to the statusHistory column.
  * @param {string} observationId The ID of the observation to update.
- * @param {string} newStatus The new status to set.
+ * @param {string} newStatus The new status to set (value from OBSERVATION_STATUS).
  * @param {string} requestingUserEmail The email of the user requesting the status change.
+ * @param {Object} [details] Optional extra data for the history entry.
+ * @param {string} [details.comment] Comments; required when returning an observation.
+ * @param {string} [details.signatureName] Typed signature; required when signing.
  * @returns {Object} A response object with success status.
  */
-function updateObservationStatus(observationId, newStatus, requestingUserEmail) {
+function updateObservationStatus(observationId, newStatus, requestingUserEmail, details = {}) {
     if (!observationId || !newStatus || !requestingUserEmail) {
         return { success: false, error: 'Observation ID, new status, and requesting user email are required.' };
     }
+    if (!Object.values(OBSERVATION_STATUS).includes(newStatus)) {
+        return { success: false, error: `Unknown observation status "${newStatus}".` };
+    }
 
+    const comment = sanitizeText(details.comment);
+    const signatureName = sanitizeText(details.signatureName);
+    if (newStatus === OBSERVATION_STATUS.RETURNED && !comment) {
+        return { success: false, error: 'Comments are required when returning an observation.' };
+    }
+    if (newStatus === OBSERVATION_STATUS.SIGNED && !signatureName) {
+        return { success: false, error: 'Please type your full name to sign this observation.' };
+    }
     try {
-        const spreadsheet = openSpreadsheet();
-        const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-        if (!sheet) {
-            throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-        }
-
-        const row = _findObservationRow(sheet, observationId);
-        if (row === -1) {
-            return { success: false, error: 'Observation not found.' };
-        }
+        validateInputLength('statusComment', comment);
+        validateInputLength('signatureName', signatureName);
+    } catch (validationError) {
+        return { success: false, error: validationError.message };
+    }
 
-        // Get the observation data to check permissions
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        const rowData = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
-        const observerEmailCol = headers.indexOf('observerEmail');
-        const statusCol = headers.indexOf('status');
-        const lastModifiedCol = headers.indexOf('lastModifiedAt');
-        const finalizedAtCol = headers.indexOf('finalizedAt');
-        
-        if (observerEmailCol === -1 || statusCol === -1) {
-            return { success: false, error: 'Required columns not found in the sheet.' };
-        }
+    // The repository updates under the script lock, so status changes don't interleave with
+    // each other or with JSON updates
+    let previousStatus;
+    try {
+        let rejection = null;
+        const result = ObservationRepository.update(observationId, (currentObservation, now) => {
+            previousStatus = currentObservation.status;
+            if (!canTransitionObservationStatus(currentObservation, newStatus, requestingUserEmail)) {
+                rejection = {
+                    success: false,
+                    error: `Permission denied. You cannot change this observation from "${previousStatus}" to "${newStatus}".`
+                };
+                return null;
+            }
 
-        const observerEmail = rowData[observerEmailCol];
-        if (observerEmail !== requestingUserEmail) {
-            return { success: false, error: 'Permission denied. You did not create this observation.' };
-        }
+            const historyEntry = { from: previousStatus, to: newStatus, by: requestingUserEmail, at: now };
+            if (comment) historyEntry.comment = comment;
+            if (signatureName) historyEntry.signature = signatureName;
+            const statusHistory = Array.isArray(currentObservation.statusHistory) ? currentObservation.statusHistory : [];
+            statusHistory.push(historyEntry);
+
+            const changes = { status: newStatus, statusHistory: statusHistory };
+            if (newStatus === OBSERVATION_STATUS.FINALIZED) {
+                changes.finalizedAt = now;
+                // Pin the rubric text the observation was scored against for PDFs and the finalized view
+                const rubricVersionId = ensureRubricVersion(currentObservation.observedRole);
+                if (rubricVersionId) changes.rubricVersionId = rubricVersionId;
+            }
+            return changes;
+        });
+        if (rejection) return rejection;
+        if (!result.success) return result;
+    } catch (error) {
+        console.error(`Error updating status for observation ${observationId}:`, error);
+        return { success: false, error: 'An unexpected error occurred while updating status.' };
+    }
 
-        // Update status and timestamps
-        const now = new Date().toISOString();
-        sheet.getRange(row, statusCol + 1).setValue(newStatus);
-        if (lastModifiedCol !== -1) {
-            sheet.getRange(row, lastModifiedCol + 1).setValue(now);
-        }
-        if (newStatus === OBSERVATION_STATUS.FINALIZED && finalizedAtCol !== -1) {
-            sheet.getRange(row, finalizedAtCol + 1).setValue(now);
-            
+    try {
+        if (newStatus === OBSERVATION_STATUS.FINALIZED) {
             // Send email notification - get the full observation data for the email
             const updatedObservation = getObservationById(observationId);
             if (updatedObservation) {
                 // Share the observation folder with the observed staff member and get the folder URL
                 const folderUrl = _shareObservationFolder(updatedObservation);
-                
+
                 // Store the folder URL in the observation record
                 if (folderUrl) {
                     updateObservationFolderUrl(observationId, folderUrl);
@@ -846,23 +841,105 @@ function updateObservationStatus(observationId, newStatus, requestingUserEmail)
                 } else {
                     console.warn(`Failed to get folder URL for observation ${observationId} during finalization`);
                 }
-                
+
                 // Send email notification
                 _sendFinalizedEmail(updatedObservation);
             }
         }
-        
-        SpreadsheetApp.flush();
+    } catch (error) {
+        // The status change itself is saved; sharing/email problems are logged but not fatal.
+        console.error(`Error completing finalization steps for observation ${observationId}:`, error);
+    }
 
-        // Get the updated observation to return
-        const observation = getObservationById(observationId);
-        debugLog('Observation status updated', { observationId, newStatus });
-        return { success: true, observation: observation };
+    if (typeof auditLog === 'function') {
+        auditLog(AUDIT_ACTIONS[STATUS_CHANGE_AUDIT_ACTIONS[newStatus]] || AUDIT_ACTIONS.OBSERVATION_EDITED, {
+            observationId: observationId,
+            changedBy: requestingUserEmail,
+            from: previousStatus,
+            to: newStatus
+        });
+    } else {
+        console.warn('auditLog not available - observation status change not logged');
+    }
 
-    } catch (error) {
-        console.error(`Error updating status for observation ${observationId}:`, error);
-        return { success: false, error: 'An unexpected error occurred while updating status.' };
+    // Get the updated observation to return
+    const observation = getObservationById(observationId);
+    debugLog('Observation status updated', { observationId, from: previousStatus, to: newStatus });
+    return { success: true, observation: observation };
+}
+
+/**
+ * Saves the observed staff member's acknowledgement response: an optional overall reflection
+ * and an optional reflection or rebuttal per rated component. Replaces any earlier response.
+ * @param {string} observationId The ID of the observation.
+ * @param {string} staffEmail The email of the staff member responding.
+ * @param {{reflection?: string, components?: Object<string, {type: string, text: string}>}} response
+ *     The response. Components are keyed by component ID (e.g. "1a:").
+ * @returns {{success: boolean, staffResponse?: Object, error?: string}} A response object.
+ */
+function saveStaffResponse(observationId, staffEmail, response) {
+    if (!observationId || !staffEmail) {
+        return { success: false, error: 'Observation ID and staff email are required.' };
+    }
+
+    const observation = getObservationById(observationId);
+    if (!observation) {
+        return { success: false, error: 'Observation not found.' };
+    }
+    if (!canRespondToObservation(observation, staffEmail)) {
+        return { success: false, error: 'You can only respond to your own finalized observations before signing.' };
+    }
+
+    const input = response || {};
+    const staffResponse = {
+        reflection: sanitizeText(input.reflection),
+        components: {},
+        updatedBy: staffEmail,
+        updatedAt: new Date().toISOString()
+    };
+
+    try {
+        validateInputLength('staffResponse', staffResponse.reflection);
+
+        const observationData = observation.observationData || {};
+        Object.keys(input.components || {}).forEach(componentId => {
+            const componentResponse = input.components[componentId] || {};
+            const text = sanitizeText(componentResponse.text);
+            if (!text) return;
+
+            if (!observationData[componentId] || !observationData[componentId].proficiency) {
+                console.warn(`Ignoring staff response for unrated component ${componentId} on ${observationId}`);
+                return;
+            }
+            validateInputLength('staffResponse', text);
+
+            const type = Object.values(STAFF_RESPONSE_TYPES).includes(componentResponse.type)
+                ? componentResponse.type
+                : STAFF_RESPONSE_TYPES.REFLECTION;
+            staffResponse.components[componentId] = { type: type, text: text };
+        });
+    } catch (validationError) {
+        return { success: false, error: validationError.message };
+    }
+
+    const result = _updateObservationJsonData(observationId, 'staffResponse', () => staffResponse);
+    if (!result.success) {
+        return result;
     }
+
+    if (typeof auditLog === 'function') {
+        auditLog(AUDIT_ACTIONS.STAFF_RESPONSE_SAVED, {
+            observationId: observationId,
+            staffEmail: staffEmail,
+            rebuttals: Object.values(staffResponse.components)
+                .filter(item => item.type === STAFF_RESPONSE_TYPES.REBUTTAL).length
+        });
+    } else {
+        console.warn('auditLog not available - staff response not logged');
+    }
+
+    debugLog('Staff response saved', { observationId, componentCount: Object.keys(staffResponse.components).length });
+    return { success: true, staffResponse: staffResponse };
 }
 
 /**
@@ -878,37 +955,13 @@ function updateObservationPdfUrl(observationId, pdfUrl) {
   }
 
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) {
-      throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-    }
-
-    const row = _findObservationRow(sheet, observationId);
-    if (row === -1) {
-      // Log this as a warning instead of returning an error that might break the UI flow.
-      // The calling function might not handle the error gracefully.
-      console.warn(`Observation with ID "${observationId}" not found in sheet. Cannot update PDF URL.`);
-      return { success: false, error: 'Observation not found.' };
-    }
-
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const pdfUrlCol = headers.indexOf('pdfUrl') + 1;
-    const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-
-    if (pdfUrlCol === 0) {
-      // This is a configuration error, so throwing an error is appropriate.
-      throw new Error('The "pdfUrl" column was not found in the Observations sheet.');
-    }
-
-    // Update the PDF URL and timestamp
-    sheet.getRange(row, pdfUrlCol).setValue(pdfUrl);
-    if (lastModifiedCol > 0) {
-      sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
+    const result = ObservationRepository.updateFields(observationId, { pdfUrl: pdfUrl });
+    if (!result.success) {
+      // Log this as a warning instead of throwing an error that might break the UI flow.
+      console.warn(`Could not update PDF URL for observation "${observationId}": ${result.error}`);
+      return { success: false, error: result.error };
     }
 
-    SpreadsheetApp.flush();
-
     debugLog('Observation PDF URL updated', { observationId, pdfUrl });
     return { success: true };
 
@@ -930,30 +983,12 @@ function updateObservationFolderUrl(observationId, folderUrl) {
     return { success: false, error: 'Observation ID and folder URL are required.' };
   }
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) {
-      throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-    }
-    const row = _findObservationRow(sheet, observationId);
-    if (row === -1) {
-      console.warn(`Observation with ID "${observationId}" not found in sheet. Cannot update folder URL.`);
-      return { success: false, error: 'Observation not found.' };
-    }
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const folderUrlCol = headers.indexOf('folderUrl') + 1;
-    const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-    if (folderUrlCol === 0) {
-      throw new Error('The "folderUrl" column was not found in the Observations sheet.');
-    }
-    // Update the folder URL and timestamp
-    sheet.getRange(row, folderUrlCol).setValue(folderUrl);
-    if (lastModifiedCol > 0) {
-      sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
+    const result = ObservationRepository.updateFields(observationId, { folderUrl: folderUrl });
+    if (!result.success) {
+      console.warn(`Could not update folder URL for observation "${observationId}": ${result.error}`);
+      return { success: false, error: result.error };
     }
 
-    SpreadsheetApp.flush();
-
     debugLog('Observation folder URL updated', { observationId, folderUrl });
     return { success: true };
 
@@ -974,32 +1009,12 @@ function updateObservationScriptUrl(observationId, scriptPdfUrl) {
     return { success: false, error: 'Observation ID and script PDF URL are required.' };
   }
   try {
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-    if (!sheet) {
-      throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-    }
-    const row = _findObservationRow(sheet, observationId);
-    if (row === -1) {
-      // Log this as a warning instead of returning an error that might break the UI flow.
-      // The calling function might not handle the error gracefully.
-      console.warn(`Observation with ID "${observationId}" not found in sheet. Cannot update script PDF URL.`);
-      return { success: false, error: 'Observation not found.' };
-    }
-    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const scriptPdfUrlCol = headers.indexOf('scriptPdfUrl') + 1;
-    const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-    if (scriptPdfUrlCol === 0) {
-      // This is a configuration error, so throwing an error is appropriate.
-      throw new Error('The "scriptPdfUrl" column was not found in the Observations sheet.');
+    const result = ObservationRepository.updateFields(observationId, { scriptPdfUrl: scriptPdfUrl });
+    if (!result.success) {
+      // Log this as a warning instead of throwing an error that might break the UI flow.
+      console.warn(`Could not update script PDF URL for observation "${observationId}": ${result.error}`);
+      return { success: false, error: result.error };
     }
-    // Update the script PDF URL and timestamp
-    sheet.getRange(row, scriptPdfUrlCol).setValue(scriptPdfUrl);
-    if (lastModifiedCol > 0) {
-      sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
-    }
-
-    SpreadsheetApp.flush();
 
     debugLog('Observation script PDF URL updated', { observationId, scriptPdfUrl });
     return { success: true };
@@ -1012,11 +1027,28 @@ function updateObservationScriptUrl(observationId, scriptPdfUrl) {
 }
 
 
-function _saveObservationNotes(observationId, componentId, notesContent) {
+/**
+ * Saves the notes for one component of an observation.
+ * @param {string} observationId The ID of the observation to update.
+ * @param {string} componentId The rubric component ID.
+ * @param {string} notesContent The notes HTML.
+ * @param {string} baseModifiedAt Optional. The field's timestamp the client last saw; the save is
+ *     rejected with a conflict if the notes were changed elsewhere since.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
+ * @returns {Object} A response object with success status.
+ * @private
+ */
+function _saveObservationNotes(observationId, componentId, notesContent, baseModifiedAt = null, baseVersion = null) {
   if (!observationId || !componentId) {
     return { success: false, error: 'Observation ID and component ID are required.' };
   }
 
+  const fieldWrite = {
+    fieldKey: OBSERVATION_FIELD_KEYS.NOTES + componentId,
+    baseModifiedAt: baseModifiedAt,
+    baseVersion: baseVersion,
+    getServerValue: currentData => (currentData[componentId] && currentData[componentId].notes) || ''
+  };
   return _updateObservationJsonData(observationId, 'observationData', (currentData) => {
     // Ensure the component object exists, preserving other properties
     if (!currentData[componentId]) {
@@ -1027,70 +1059,97 @@ function _saveObservationNotes(observationId, componentId, notesContent) {
     currentData[componentId].notes = sanitizeHtml(notesContent);
 
     return currentData;
-  });
-}
-
-// Add a simple HTML sanitizer to prevent script injection
-function sanitizeHtml(html) {
-    // This is a very basic sanitizer. For a real-world application,
-    // a more robust library would be recommended if available.
-    // It allows simple formatting tags.
-    return html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-               .replace(/>/g, '&gt;').replace(/</g, '&lt;')
-               .replace(/&lt;(\/?(p|strong|em|u|ol|ul|li|br|h1|h2))&gt;/g, '<$1>');
+  }, fieldWrite);
 }
 
 /**
- * Updates an entire observation record in the Google Sheet.
- * This is a generic function that can update any fields in the observation object.
- * @param {Object} observation The complete observation object with updated data.
- * @returns {{success: boolean, error?: string}} A response object.
+ * Saves a walkthrough's one-line note. Line breaks are collapsed to spaces and the note is cut
+ * to WALKTHROUGH_SETTINGS.NOTE_MAX_LENGTH characters.
+ * @param {string} observationId The ID of the walkthrough.
+ * @param {string} note The note text.
+ * @param {string} baseModifiedAt Optional. The note's timestamp the client last saw; the save is
+ *     rejected with a conflict if the note was changed elsewhere since.
+ * @param {number} baseVersion Optional. The observation version the client last saw.
+ * @returns {Object} A response object with success status.
+ * @private
  */
-function updateObservationInSheet(observation) {
-    if (!observation || !observation.observationId) {
-        return { success: false, error: 'Valid observation object with observationId is required.' };
-    }
+function _saveWalkthroughNote(observationId, note, baseModifiedAt = null, baseVersion = null) {
+  if (!observationId) {
+    return { success: false, error: 'Observation ID is required.' };
+  }
 
-    try {
-        const spreadsheet = openSpreadsheet();
-        const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-        if (!sheet) {
-            throw new Error(`Sheet "${SHEET_NAMES.OBSERVATION_DATA}" not found.`);
-        }
+  const fieldKey = OBSERVATION_FIELD_KEYS.WALKTHROUGH_NOTE;
+  const noteText = sanitizeText(note).replace(/\s+/g, ' ').slice(0, WALKTHROUGH_SETTINGS.NOTE_MAX_LENGTH);
 
-        const row = _findObservationRow(sheet, observation.observationId);
-        if (row === -1) {
-            return { success: false, error: 'Observation not found in sheet.' };
-        }
+  try {
+    let rejection = null;
+    const result = ObservationRepository.update(observationId, (observation, modifiedAt) => {
+      if (!isWalkthroughObservation(observation)) {
+        rejection = { success: false, error: 'Only walkthroughs have a one-line note.' };
+        return null;
+      }
 
-        // Get headers to map observation fields to columns
-        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        
-        // Update lastModifiedAt timestamp
-        observation.lastModifiedAt = new Date().toISOString();
+      const fieldTimestamps = observation.fieldTimestamps || {};
+      const serverModifiedAt = findObservationFieldConflict(fieldTimestamps, fieldKey, baseModifiedAt);
+      if (serverModifiedAt) {
+        debugLog('Field write conflict', { observationId, fieldKey, serverModifiedAt });
+        rejection = buildFieldConflictResponse(fieldKey, observation.walkthroughNote || '', serverModifiedAt);
+        return null;
+      }
 
-        // Prepare row data by mapping observation fields to header columns
-        const rowData = headers.map(header => {
-            let value = observation[header];
-            
-            // Convert objects to JSON strings for storage
-            if (JSON_SERIALIZED_FIELDS.includes(header) && typeof value === 'object') {
-                return JSON.stringify(value, null, 2);
-            }
-            
-            // Return the value as is, or empty string if undefined
-            return value !== undefined ? value : '';
-        });
+      fieldTimestamps[fieldKey] = modifiedAt;
+      return { walkthroughNote: noteText, fieldTimestamps: fieldTimestamps };
+    }, { baseVersion: baseVersion });
+    if (rejection) return rejection;
+    if (!result.success) return result;
+
+    const response = { success: true, modifiedAt: result.modifiedAt, version: result.version };
+    if (result.changedElsewhere) response.changedElsewhere = true;
+    return response;
+  } catch (error) {
+    console.error(`Error saving walkthrough note for observation ${observationId}:`, error);
+    return { success: false, error: 'An unexpected error occurred while saving the note.' };
+  }
+}
+
+// Add a simple HTML sanitizer to prevent script injection
+function sanitizeHtml(html) {
+    // This is a very basic sanitizer. For a real-world application,
+    // a more robust library would be recommended if available.
+    // It allows simple formatting tags.
+    return html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+               .replace(/>/g, '&gt;').replace(/</g, '&lt;')
+               .replace(/&lt;(\/?(p|strong|em|u|ol|ul|li|br|h1|h2))&gt;/g, '<$1>');
+}
 
-        // Update the entire row with new data
-        sheet.getRange(row, 1, 1, rowData.length).setValues([rowData]);
-        SpreadsheetApp.flush(); // Ensure the data is written immediately
+/**
+ * Updates an entire observation record in the Google Sheet.
+ * This is a generic function that can update any fields in the observation object;
+ * properties without a column in the sheet are ignored. Because every field is written back,
+ * the write is rejected with changedElsewhere if the observation's content changed after the
+ * record was read (its version moved on), rather than overwriting those changes.
+ * @param {Object} observation The complete observation object with updated data.
+ * @returns {{success: boolean, error?: string, changedElsewhere?: boolean}} A response object.
+ */
+function updateObservationInSheet(observation) {
+    if (!observation || !observation.observationId) {
+        return { success: false, error: 'Valid observation object with observationId is required.' };
+    }
 
-        debugLog('Updated observation in sheet', { 
-            observationId: observation.observationId, 
-            row: row 
+    try {
+        const result = ObservationRepository.updateFields(observation.observationId, observation, {
+            expectedVersion: observation.version
         });
-        
+        if (!result.success) {
+            if (result.changedElsewhere) {
+                return { success: false, error: result.error, changedElsewhere: true };
+            }
+            return { success: false, error: result.error === 'Observation not found.' ? 'Observation not found in sheet.' : result.error };
+        }
+        observation.lastModifiedAt = result.modifiedAt;
+        observation.version = result.version;
+
+        debugLog('Updated observation in sheet', { observationId: observation.observationId, version: result.version });
         return { success: true };
 
     } catch (error) {
@@ -1110,6 +1169,7 @@ function deleteAllObservations_DANGEROUS() {
         if (sheet && sheet.getLastRow() > 1) {
             sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
         }
+        ObservationRepository.invalidateRowIndex();
         console.log('DELETED ALL OBSERVATIONS from Sheet.');
         return { success: true, message: 'All observations deleted from sheet.' };
     } catch (error) {
@@ -1133,7 +1193,7 @@ function getFinalizedObservationsForUser() {
     }
 
     // Use the existing function to get finalized observations for the current user
-    const finalizedObservations = getObservationsForUser(currentUserEmail, OBSERVATION_STATUS.FINALIZED);
+    const finalizedObservations = getObservationsForUser(currentUserEmail, FINALIZED_OBSERVATION_STATUSES);
 
     debugLog(`Retrieved ${finalizedObservations.length} finalized observations for user ${currentUserEmail}.`);
 
@@ -1147,27 +1207,20 @@ function getFinalizedObservationsForUser() {
 }
 
 /**
- * Creates a new Work Product observation.
- * @param {string} observerEmail The email of the Peer Evaluator creating the observation.
+ * Creates a new observation of a type other than Standard, such as Work Product or a type
+ * defined in the Observation_Types sheet.
+ * @param {string} observerEmail The email of the user creating the observation.
  * @param {string} observedEmail The email of the staff member being observed.
- * @returns {Object|null} The newly created work product observation object or null on error.
+ * @param {string} typeName The observation type.
+ * @returns {Object|null} The newly created observation object or null on error.
  */
-function createWorkProductObservation(observerEmail, observedEmail) {
-  const result = createNewObservation(observerEmail, observedEmail, 'Work Product');
-  if (result) {
-    incrementMasterCacheVersion();
+function createTypedObservation(observerEmail, observedEmail, typeName) {
+  if (!getObservationTypeDefinition(typeName)) {
+    console.error(`Could not create observation: unknown observation type "${typeName}".`);
+    return null;
   }
-  return result;
-}
 
-/**
- * Creates a new Instructional Round observation.
- * @param {string} observerEmail The email of the Peer Evaluator creating the observation.
- * @param {string} observedEmail The email of the staff member being observed.
- * @returns {Object|null} The newly created instructional round observation object or null on error.
- */
-function createInstructionalRoundObservation(observerEmail, observedEmail) {
-  const result = createNewObservation(observerEmail, observedEmail, 'Instructional Round');
+  const result = createNewObservation(observerEmail, observedEmail, typeName);
   if (result) {
     incrementMasterCacheVersion();
   }
@@ -1177,7 +1230,7 @@ function createInstructionalRoundObservation(observerEmail, observedEmail) {
 /**
  * Gets the observation type for a specific observation.
  * @param {string} observationId The ID of the observation.
- * @returns {string} The observation type ('Standard' or 'Work Product').
+ * @returns {string} The observation type name, 'Standard' when the observation has none.
  */
 function getObservationType(observationId) {
   try {
@@ -1190,82 +1243,6 @@ function getObservationType(observationId) {
   }
 }
 
-/**
- * Gets all work product questions from the WorkProductQuestions sheet.
- * Only returns questions with IDs starting with 'WPQ'.
- * @returns {Array<Object>} Array of question objects with questionId, questionText, and order.
- */
-function getWorkProductQuestions() {
-  try {
-    const cacheKey = 'work_product_questions';
-    const cached = getCachedDataEnhanced(cacheKey);
-    if (cached) return cached;
-
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.WORK_PRODUCT_QUESTIONS);
-    if (!sheet || sheet.getLastRow() < 2) return [];
-
-    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
-    const questions = values
-      .filter(row => row[0] && row[0].toString().startsWith('WPQ')) // Filter for WPQ prefix only
-      .map(row => ({
-        questionId: row[0],
-        questionText: row[1],
-        order: row[2] || 0
-      }))
-      .sort((a, b) => a.order - b.order);
-
-    console.log(`[Server] Loaded ${questions.length} work product questions (WPQ):`);
-    questions.forEach((q, index) => {
-      console.log(`  ${index + 1}. QuestionID: "${q.questionId}" | Text: "${q.questionText.substring(0, 40)}..."`);
-    });
-
-    setCachedDataEnhanced(cacheKey, questions);
-    return questions;
-  } catch (error) {
-    console.error('Error getting work product questions:', error);
-    return [];
-  }
-}
-
-/**
- * Gets all standard observation questions from the WorkProductQuestions sheet.
- * Only returns questions with IDs starting with 'OBSQ'.
- * @returns {Array<Object>} Array of question objects with questionId, questionText, and order.
- */
-function getStandardObservationQuestions() {
-  try {
-    const cacheKey = 'standard_observation_questions';
-    const cached = getCachedDataEnhanced(cacheKey);
-    if (cached) return cached;
-
-    const spreadsheet = openSpreadsheet();
-    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.WORK_PRODUCT_QUESTIONS);
-    if (!sheet || sheet.getLastRow() < 2) return [];
-
-    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
-    const questions = values
-      .filter(row => row[0] && row[0].toString().startsWith('OBSQ')) // Filter for OBSQ prefix only
-      .map(row => ({
-        questionId: row[0],
-        questionText: row[1],
-        order: row[2] || 0
-      }))
-      .sort((a, b) => a.order - b.order);
-
-    console.log(`[Server] Loaded ${questions.length} standard observation questions (OBSQ):`);
-    questions.forEach((q, index) => {
-      console.log(`  ${index + 1}. QuestionID: "${q.questionId}" | Text: "${q.questionText.substring(0, 40)}..."`);
-    });
-
-    setCachedDataEnhanced(cacheKey, questions);
-    return questions;
-  } catch (error) {
-    console.error('Error getting standard observation questions:', error);
-    return [];
-  }
-}
-
 /**
  * Saves or updates a work product answer.
  * @param {string} observationId The ID of the observation.
@@ -1358,60 +1335,6 @@ function getWorkProductAnswers(observationId) {
   }
 }
 
-/**
- * Checks if a user has a work product observation.
- * @param {string} userEmail The email of the user.
- * @returns {boolean} True if user has a work product observation, false otherwise.
- */
-function checkUserHasWorkProductObservation(userEmail) {
-  try {
-    const observations = _getObservationsDb();
-    return observations.some(obs =>
-      obs.observedEmail === userEmail &&
-      obs.Type === 'Work Product' &&
-      obs.status === 'Draft'
-    );
-  } catch (error) {
-    console.error('Error checking work product observation:', error);
-    return false;
-  }
-}
-
-/**
- * Checks if user has a Standard observation created by a Peer Evaluator.
- * Standard observations are read-only for staff members, so this should always return false.
- * @param {string} userEmail The email of the user.
- * @returns {boolean} Always returns false (Standard observations have no staff interaction buttons).
- * @deprecated Standard observations are fully read-only. This function kept for backward compatibility.
- */
-function checkUserHasStandardObservationFromPeerEvaluator(userEmail) {
-  // Standard observations are fully read-only - no buttons for staff members
-  return false;
-}
-
-/**
- * Checks if user has an Instructional Round observation created by a Peer Evaluator.
- * @param {string} userEmail The email of the user.
- * @returns {boolean} True if user has Instructional Round observation from Peer Evaluator, false otherwise.
- */
-function checkUserHasInstructionalRoundFromPeerEvaluator(userEmail) {
-  try {
-    const observations = _getObservationsDb();
-    return observations.some(obs => {
-      if (obs.observedEmail !== userEmail) return false;
-      if (obs.Type !== 'Instructional Round') return false;
-      if (obs.status !== 'Draft') return false;
-
-      // Check if observer is Peer Evaluator
-      const observer = getUserByEmail(obs.observerEmail);
-      return observer && observer.role === 'Peer Evaluator';
-    });
-  } catch (error) {
-    console.error('Error checking instructional round observation from peer evaluator:', error);
-    return false;
-  }
-}
-
 /**
  * Gets a summary of staff observations.
  * @param {string} userEmail The email of the user.
@@ -1421,7 +1344,7 @@ function getStaffObservationSummary(userEmail) {
   try {
     const observations = _getObservationsDb();
     const userObservations = observations.filter(obs =>
-      obs.observedEmail === userEmail && obs.status === 'Finalized'
+      obs.observedEmail === userEmail && FINALIZED_OBSERVATION_STATUSES.includes(obs.status)
     );
 
     return {
@@ -1435,1697 +1358,401 @@ function getStaffObservationSummary(userEmail) {
 }
 
 /**
- * Gets the work product progress state for a user.
+ * Gets how far a staff member has got answering an observation type's questions.
  * @param {string} userEmail The email of the user.
+ * @param {string} typeName The observation type.
  * @returns {string} Progress state: 'not-started', 'in-progress', or 'submitted'.
  */
-function getWorkProductProgressState(userEmail) {
+function getObservationResponseProgressState(userEmail, typeName) {
   try {
-    const observations = _getObservationsDb();
-    const workProductObs = observations.find(obs =>
-      obs.observedEmail === userEmail && obs.Type === 'Work Product'
-    );
+    const definition = getObservationTypeDefinition(typeName);
+    if (!definition) return 'not-started';
 
-    if (!workProductObs) return 'not-started';
-
-    // Check if any answers exist in Google Doc
-    const answers = getWorkProductAnswersFromDoc(workProductObs.observationId);
-    const hasAnswers = answers && answers.some(answer =>
-      answer.answerText && answer.answerText.trim().length > 0
+    const observation = _getObservationsDb().find(obs =>
+      obs.observedEmail === userEmail && (obs.Type || OBSERVATION_TYPES.STANDARD) === definition.type
     );
+    if (!observation) return 'not-started';
+    if (FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) return 'submitted';
 
-    if (workProductObs.status === 'Finalized') return 'submitted';
-    if (hasAnswers) return 'in-progress';
-    return 'not-started';
+    // Check if any answers exist in Google Doc
+    const answers = getObservationAnswersFromDoc(observation.observationId);
+    const hasAnswers = answers.some(answer => answer.answerText && answer.answerText.trim().length > 0);
+    return hasAnswers ? 'in-progress' : 'not-started';
   } catch (error) {
-    console.error('Error getting work product progress state:', error);
+    console.error(`Error getting ${typeName} progress state:`, error);
     return 'not-started';
   }
 }
 
 /**
- * Gets the standard observation progress state for a user.
- * Only considers Standard observations created by Peer Evaluators.
- * @param {string} userEmail The email of the user.
- * @returns {string} Progress state: 'not-started', 'in-progress', or 'submitted'.
+ * Gets the type definition an observation's staff responses follow.
+ * @param {Object} observation The observation.
+ * @returns {Object} Type definition; unknown types are treated as a type named after the
+ *     observation's Type with no questions, so existing response docs can still be read.
+ * @private
  */
-function getStandardObservationProgressState(userEmail) {
-  try {
-    const observations = _getObservationsDb();
-    const standardObs = observations.find(obs => {
-      if (obs.observedEmail !== userEmail) return false;
-      if ((obs.Type || 'Standard') !== 'Standard') return false;
-
-      // Check if observer is Peer Evaluator
-      const observer = getUserByEmail(obs.observerEmail);
-      return observer && observer.role === 'Peer Evaluator';
-    });
-
-    if (!standardObs) return 'not-started';
-
-    // Check if any answers exist in Google Doc
-    const answers = getStandardObservationAnswersFromDoc(standardObs.observationId);
-    const hasAnswers = answers && answers.some(answer =>
-      answer.answerText && answer.answerText.trim().length > 0
-    );
+function _getResponseTypeDefinition(observation) {
+  const typeName = observation.Type || OBSERVATION_TYPES.STANDARD;
+  return getObservationTypeDefinition(typeName) ||
+    { type: typeName, questionPrefix: '', staffResponds: false, pdfSection: '', responseDocLabel: typeName };
+}
 
-    if (standardObs.status === 'Finalized') return 'submitted';
-    if (hasAnswers) return 'in-progress';
-    return 'not-started';
-  } catch (error) {
-    console.error('Error getting standard observation progress state:', error);
-    return 'not-started';
-  }
+/**
+ * @param {Object} observation The observation.
+ * @returns {string} Name of the observation's staff response Google Doc.
+ * @private
+ */
+function _getResponseDocName(observation) {
+  return `${_getResponseTypeDefinition(observation).responseDocLabel} Responses - ${observation.observationId}`;
 }
 
 /**
- * Finds a work product response document using Drive search with caching and error handling.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member who owns the doc.
+ * Finds an observation's staff response document using Drive search with caching. The staff
+ * member owns the document; other users find it only if it was shared with them.
+ * @param {Object} observation The observation.
  * @param {string} currentUserEmail The email of the current user requesting access.
  * @returns {Object|null} Object with docId and docUrl, or null if not found.
  */
-function findWorkProductResponseDoc(observationId, staffEmail, currentUserEmail) {
+function findObservationResponseDoc(observation, currentUserEmail) {
+  const searchName = _getResponseDocName(observation);
   try {
-    const searchName = `Work Product Responses - ${observationId}`;
-
-    // Add basic caching to avoid repeated Drive searches for the same observation
     // Use observation-based cache key since document is same regardless of who accesses it
-    const cacheKey = `work_product_doc_${observationId}`;
+    const cacheKey = `response_doc_${observation.observationId}`;
     const cached = getCachedDataEnhanced(cacheKey);
-    if (cached) {
-      debugLog('Work product doc found in cache', {
-        observationId: observationId,
-        staffEmail: staffEmail,
-        currentUserEmail: currentUserEmail
-      });
-      return cached;
+    if (cached && cached.data) {
+      debugLog('Response doc found in cache', { observationId: observation.observationId, currentUserEmail: currentUserEmail });
+      return cached.data;
     }
 
-    debugLog('Searching for work product response doc', {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail
-    });
+    debugLog('Searching for response doc', { searchName: searchName, currentUserEmail: currentUserEmail });
 
     let docResult = null;
+    const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
 
-    if (currentUserEmail === staffEmail) {
+    if (currentUserEmail === observation.observedEmail) {
       // Staff member searches their own drive
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        if (files.hasNext()) {
-          const file = files.next();
-          docResult = {
-            docId: file.getId(),
-            docUrl: file.getUrl()
-          };
-          debugLog('Found work product doc in staff drive', { docId: docResult.docId });
-        }
-      } catch (driveError) {
-        console.error('Error searching staff drive for work product doc:', driveError);
-        return null;
+      if (files.hasNext()) {
+        const file = files.next();
+        docResult = { docId: file.getId(), docUrl: file.getUrl() };
       }
     } else {
-      // Peer evaluator searches for shared documents
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        let searchCount = 0;
-        const maxSearchAttempts = 5; // Reduced from 10 for better performance
-
-        debugLog('Peer evaluator searching for shared work product docs', {
-          observationId: observationId,
-          currentUserEmail: currentUserEmail
-        });
-
-        while (files.hasNext() && searchCount < maxSearchAttempts) {
-          searchCount++;
-          const file = files.next();
-          const fileId = file.getId();
-
-          try {
-            // Test access by trying to open the document
-            const testDoc = DocumentApp.openById(fileId);
-            // If we can access it, it's shared with us
-            docResult = {
-              docId: fileId,
-              docUrl: file.getUrl()
-            };
-            debugLog('Successfully found accessible shared work product doc', {
-              docId: docResult.docId,
-              observationId: observationId,
-              searchAttempt: searchCount
-            });
-            break;
-          } catch (accessError) {
-            // File not accessible to current user, continue searching
-            debugLog('Work product doc not accessible to peer evaluator, continuing search', {
-              fileId: fileId,
-              observationId: observationId,
-              searchAttempt: searchCount,
-              error: accessError.message
-            });
-            continue;
-          }
-        }
-
-        if (searchCount >= maxSearchAttempts && !docResult) {
-          console.warn('Reached max search attempts for work product doc without finding accessible document:', {
-            observationId: observationId,
-            currentUserEmail: currentUserEmail,
-            staffEmail: staffEmail,
-            maxAttempts: maxSearchAttempts
+      // Others only see documents shared with them
+      const maxSearchAttempts = 5;
+      let searchCount = 0;
+      while (files.hasNext() && searchCount < maxSearchAttempts) {
+        searchCount++;
+        const file = files.next();
+        try {
+          // Test access by trying to open the document
+          DocumentApp.openById(file.getId());
+          docResult = { docId: file.getId(), docUrl: file.getUrl() };
+          break;
+        } catch (accessError) {
+          debugLog('Response doc not accessible, continuing search', {
+            fileId: file.getId(),
+            searchAttempt: searchCount,
+            error: accessError.message
           });
         }
-      } catch (driveError) {
-        console.error('Error searching for shared work product doc:', driveError, {
-          observationId: observationId,
+      }
+
+      if (!docResult && searchCount >= maxSearchAttempts) {
+        console.warn('Reached max search attempts for response doc without finding accessible document:', {
+          searchName: searchName,
           currentUserEmail: currentUserEmail,
-          staffEmail: staffEmail
+          maxAttempts: maxSearchAttempts
         });
-        return null;
       }
     }
 
     // Cache the result for a short time to improve performance
     if (docResult) {
-      setCachedDataEnhanced(cacheKey, docResult, 300); // 5 minute cache
+      setCachedDataEnhanced(cacheKey, {}, docResult, 300); // 5 minute cache
     }
 
     return docResult;
   } catch (error) {
-    console.error('Critical error in findWorkProductResponseDoc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail,
+    console.error('Error searching for response doc:', error, {
       searchName: searchName,
-      operation: 'findWorkProductResponseDoc'
+      currentUserEmail: currentUserEmail,
+      operation: 'findObservationResponseDoc'
     });
     return null;
   }
 }
 
 /**
- * Creates or gets a work product response document for staff member responses.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member.
- * @param {string} peerEvaluatorEmail The email of the peer evaluator.
- * @returns {Object|null} Object with docId and docUrl, or null on error.
+ * Creates or gets an observation's staff response document. Only the observed staff member
+ * creates it, in their own Drive; it is then shared with the observer and moved to the
+ * observation folder.
+ * @param {Object} observation The observation.
+ * @returns {Object|null} Object with docId and docUrl, or null when it doesn't exist and the
+ *     current user can't create it.
  */
-function createOrGetWorkProductResponseDoc(observationId, staffEmail, peerEvaluatorEmail) {
+function createOrGetObservationResponseDoc(observation) {
+  const currentUserEmail = Session.getActiveUser().getEmail();
   try {
-    const userContext = createUserContext();
-
-    // Check if doc already exists using Drive search
-    const existingDoc = findWorkProductResponseDoc(observationId, staffEmail, userContext.email);
+    const existingDoc = findObservationResponseDoc(observation, currentUserEmail);
     if (existingDoc) {
-      console.log(`Found existing work product response doc: ${existingDoc.docId}`);
       return existingDoc;
     }
 
-    // Only staff members can create new response documents
-    // Peer evaluators should only access existing documents through findWorkProductResponseDoc
-    if (userContext.email !== staffEmail) {
-      debugLog('Non-staff member attempted to create work product response doc - this is expected for view-only access:', {
-        currentUser: userContext.email,
-        staffEmail: staffEmail,
-        observationId: observationId,
-        userRole: userContext.role
+    // Other users only access existing documents; this is expected for view-only access
+    if (currentUserEmail !== observation.observedEmail) {
+      debugLog('Non-staff member cannot create a response doc', {
+        currentUser: currentUserEmail,
+        observationId: observation.observationId
       });
       return null;
     }
 
-    // Create new Google Doc in staff member's Drive
-    const docName = `Work Product Responses - ${observationId}`;
-    let doc, docId;
-
-    try {
-      doc = DocumentApp.create(docName);
-      docId = doc.getId();
-      console.log(`Created new work product response doc: ${docId}`);
-    } catch (docError) {
-      console.error('Error creating Google Doc:', docError);
-      return null;
-    }
+    const definition = _getResponseTypeDefinition(observation);
+    const doc = DocumentApp.create(_getResponseDocName(observation));
+    const docId = doc.getId();
 
     // Set up document content
     try {
       const body = doc.getBody();
       body.clear();
 
-      // Add header
-      const header = body.appendParagraph('Work Product Reflection Responses');
+      const header = body.appendParagraph(`${definition.responseDocLabel} Reflection Responses`);
       header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
       header.editAsText().setBold(true);
 
-      body.appendParagraph(`Observation ID: ${observationId}`);
-      body.appendParagraph(`Staff Member: ${staffEmail}`);
-      body.appendParagraph(`Peer Evaluator: ${peerEvaluatorEmail}`);
+      body.appendParagraph(`Observation ID: ${observation.observationId}`);
+      body.appendParagraph(`Staff Member: ${observation.observedEmail}`);
+      body.appendParagraph(`Peer Evaluator: ${observation.observerEmail}`);
       body.appendParagraph('Generated: ' + new Date().toLocaleString());
       body.appendHorizontalRule();
       body.appendParagraph(''); // Empty line
-
-      console.log('Successfully set up work product response doc content');
     } catch (contentError) {
-      console.error('Error setting up document content:', contentError);
+      console.error('Error setting up response doc content:', contentError);
       // Continue even if content setup fails - the document still exists
     }
 
-    // Share with peer evaluator (silent notification)
+    // Share with the observer (silent notification)
     let file = null;
     try {
       file = DriveApp.getFileById(docId);
-      file.addEditor(peerEvaluatorEmail);
-      console.log(`Work product response doc shared with peer evaluator: ${peerEvaluatorEmail}`);
+      file.addEditor(observation.observerEmail);
     } catch (shareError) {
-      console.error('Error sharing response doc with peer evaluator:', shareError);
-      // Don't fail the entire operation if sharing fails - peer evaluator can be given access later
+      console.error('Error sharing response doc with observer:', shareError);
+      // Don't fail the entire operation if sharing fails - the observer can be given access later
     }
 
-    // Move the document to the observation folder now that peer evaluator has access
+    // Move the document to the observation folder now that the observer has access
     if (file) {
       try {
-        const observation = getObservationById(observationId);
-        if (observation) {
-          const obsFolder = _getObservationFolder(observation);
-          file.moveTo(obsFolder);
-          console.log(`Work product response doc moved to observation folder: ${obsFolder.getName()}`);
-        }
+        file.moveTo(_getObservationFolder(observation));
       } catch (moveError) {
         console.error('Error moving response doc to observation folder:', moveError);
-        // Don't fail the entire operation if move fails - document is still accessible
       }
     }
 
-    // No need to store doc ID - we use Drive search to find it
-
-    console.log(`Created work product response doc: ${docId} for observation: ${observationId}`);
-
-    return {
-      docId: docId,
-      docUrl: doc.getUrl()
-    };
+    console.log(`Created ${definition.type} response doc: ${docId} for observation: ${observation.observationId}`);
+    return { docId: docId, docUrl: doc.getUrl() };
 
   } catch (error) {
-    console.error('Critical error creating work product response doc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      peerEvaluatorEmail: peerEvaluatorEmail,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      operation: 'createOrGetWorkProductResponseDoc'
+    console.error('Error creating response doc:', error, {
+      observationId: observation.observationId,
+      currentUserEmail: currentUserEmail,
+      operation: 'createOrGetObservationResponseDoc'
     });
     return null;
   }
 }
 
 /**
- * Saves a work product answer to the response Google Doc.
+ * Saves a staff member's answer to one of the observation type's questions in the response doc.
  * @param {string} observationId The ID of the observation.
  * @param {string} questionId The ID of the question.
  * @param {string} answerText The answer text.
  * @returns {boolean} True if saved successfully, false otherwise.
  */
-function saveWorkProductAnswerToDoc(observationId, questionId, answerText) {
+function saveObservationAnswerToDoc(observationId, questionId, answerText) {
   const lock = LockService.getUserLock();
-  let hasLock = false;
   try {
     // Wait for up to 30 seconds for other processes to finish
     lock.waitLock(30000);
-    hasLock = true;
   } catch (e) {
-    console.error('Could not acquire lock for saveWorkProductAnswerToDoc:', e);
+    console.error('Could not acquire lock for saveObservationAnswerToDoc:', e);
     return false;
   }
 
   try {
-    let doc = null;
-    const userContext = createUserContext();
-    let observation = null;
-
-    // Get the observation to find staff email
-    const observations = _getObservationsDb();
-    observation = observations.find(obs => obs.observationId === observationId);
-
+    const observation = _getObservationsDb().find(obs => obs.observationId === observationId);
     if (!observation) {
       console.error('Observation not found:', observationId);
       return false;
     }
 
-    // Find or create the response document using Drive search
-    let docResult = findWorkProductResponseDoc(observationId, observation.observedEmail, userContext.email);
-
-    // If document not found and user is staff member, create it
-    if (!docResult && userContext.email === observation.observedEmail) {
-      console.log('No response document found, creating new one for staff member:', observationId);
-      const newDocResult = createOrGetWorkProductResponseDoc(observationId, observation.observedEmail, observation.observerEmail);
-      if (!newDocResult) {
-        console.error('Failed to create work product response doc for observation:', observationId);
-        return false;
-      }
-      docResult = newDocResult;
-    }
-
-    // If still no document found (peer evaluator or creation failed)
+    const docResult = createOrGetObservationResponseDoc(observation);
     if (!docResult) {
-      console.error('No response document found and unable to create for observation:', observationId, {
-        currentUserEmail: userContext.email,
-        observedEmail: observation.observedEmail,
-        isStaffMember: userContext.email === observation.observedEmail
-      });
+      console.error('No response document found and unable to create for observation:', observationId);
       return false;
     }
 
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening work product response doc:', docError);
-      return false;
-    }
+    const doc = DocumentApp.openById(docResult.docId);
+    const body = doc.getBody();
 
-    let body;
-    try {
-      body = doc.getBody();
-    } catch (bodyError) {
-      console.error('Error accessing document body:', bodyError);
-      return false;
-    }
+    const question = getObservationTypeQuestions(_getResponseTypeDefinition(observation).type)
+      .find(q => q.questionId === questionId);
+    const questionText = question ? question.questionText : '';
 
-    try {
-      console.log(`[Server] saveWorkProductAnswerToDoc - Processing questionId: "${questionId}"`);
-
-      // Get the question text from the questions sheet
-      const questions = getWorkProductQuestions();
-      const question = questions.find(q => q.questionId === questionId);
-      const questionText = question ? question.questionText : '';
-      console.log(`[Server] Found question definition: ${!!question}, questionText: "${questionText ? questionText.substring(0, 40) + '...' : '(empty)'}"`);
-
-      // Search for existing answer section
-      const searchPattern = `Question ${escapeRegExp(questionId.trim())}:`;
-      console.log(`[Server] Searching document for pattern: "${searchPattern}"`);
-      const searchResult = body.findText(searchPattern);
-      console.log(`[Server] Search result: ${searchResult ? 'FOUND - will update existing' : 'NOT FOUND - will append new section'}`);
-
-      if (searchResult) {
-        // Update existing answer
-        const element = searchResult.getElement();
-        const paragraph = element.getParent();
-
-        // Check if there's a question text paragraph after the question ID
-        let currentSibling = paragraph.getNextSibling();
-        let questionTextParagraph = null;
-        let answerParagraph = null;
-
-        // Look for the question text and answer paragraphs
-        if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH) {
-          const siblingText = currentSibling.asParagraph().getText();
-          // If it's italic, it's the question text
-          if (currentSibling.asParagraph().editAsText().isItalic()) {
-            questionTextParagraph = currentSibling.asParagraph();
-            currentSibling = currentSibling.getNextSibling();
-          }
-        }
+    // Search for existing answer section
+    const searchResult = body.findText(`Question ${escapeRegExp(String(questionId).trim())}:`);
 
-        // The next paragraph should be the answer
-        if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH) {
-          answerParagraph = currentSibling.asParagraph();
-          answerParagraph.setText(answerText || '(No response provided)');
-        } else {
-          // Insert answer paragraph
-          const insertIndex = questionTextParagraph
-            ? body.getChildIndex(questionTextParagraph) + 1
-            : body.getChildIndex(paragraph) + 1;
-          answerParagraph = body.insertParagraph(insertIndex, answerText || '(No response provided)');
-          answerParagraph.setIndentFirstLine(20);
-        }
+    if (searchResult) {
+      const paragraph = searchResult.getElement().getParent();
 
-        // Update question text if it exists and is different
-        if (questionText && questionTextParagraph) {
-          questionTextParagraph.setText(questionText);
-        } else if (questionText && !questionTextParagraph) {
-          // Insert question text paragraph after question ID
-          const insertIndex = body.getChildIndex(paragraph) + 1;
-          const newQuestionTextPara = body.insertParagraph(insertIndex, questionText);
-          newQuestionTextPara.setIndentFirstLine(20);
-          newQuestionTextPara.editAsText().setItalic(true);
-          newQuestionTextPara.editAsText().setForegroundColor('#6b7280');
-        }
-      } else {
-        // Add new question and answer at the end
-        body.appendParagraph(''); // Empty line
-        const questionParagraph = body.appendParagraph(`Question ${questionId}:`);
-        questionParagraph.editAsText().setBold(true);
-
-        // Add question text if available
-        if (questionText) {
-          const questionTextParagraph = body.appendParagraph(questionText);
-          questionTextParagraph.setIndentFirstLine(20);
-          questionTextParagraph.editAsText().setItalic(true);
-          questionTextParagraph.editAsText().setForegroundColor('#6b7280');
-        }
+      // The question ID paragraph is followed by the italic question text, then the answer
+      let currentSibling = paragraph.getNextSibling();
+      let questionTextParagraph = null;
+      if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH &&
+          currentSibling.asParagraph().editAsText().isItalic()) {
+        questionTextParagraph = currentSibling.asParagraph();
+        currentSibling = currentSibling.getNextSibling();
+      }
 
-        const answerParagraph = body.appendParagraph(answerText || '(No response provided)');
-        answerParagraph.setIndentFirstLine(20);
+      if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH) {
+        currentSibling.asParagraph().setText(answerText || '(No response provided)');
+      } else {
+        const insertIndex = body.getChildIndex(questionTextParagraph || paragraph) + 1;
+        body.insertParagraph(insertIndex, answerText || '(No response provided)').setIndentFirstLine(20);
       }
 
-      // Update or add timestamp
-      const timestampPattern = 'Last updated:';
-      const timestampSearch = body.findText(timestampPattern);
+      // Keep the question text current
+      if (questionText && questionTextParagraph) {
+        questionTextParagraph.setText(questionText);
+      } else if (questionText) {
+        const newQuestionTextPara = body.insertParagraph(body.getChildIndex(paragraph) + 1, questionText);
+        newQuestionTextPara.setIndentFirstLine(20);
+        newQuestionTextPara.editAsText().setItalic(true).setForegroundColor('#6b7280');
+      }
+    } else {
+      // Add new question and answer at the end
+      body.appendParagraph(''); // Empty line
+      body.appendParagraph(`Question ${questionId}:`).editAsText().setBold(true);
 
-      if (timestampSearch) {
-        // Update existing timestamp
-        const element = timestampSearch.getElement();
-        const paragraph = element.getParent();
-        paragraph.asParagraph().setText(`Last updated: ${new Date().toLocaleString()}`);
-      } else {
-        // Add new timestamp
-        body.appendParagraph('');
-        body.appendParagraph(`Last updated: ${new Date().toLocaleString()}`);
+      if (questionText) {
+        const questionTextParagraph = body.appendParagraph(questionText);
+        questionTextParagraph.setIndentFirstLine(20);
+        questionTextParagraph.editAsText().setItalic(true).setForegroundColor('#6b7280');
       }
 
-      // Force save to ensure changes are written before lock release
-      if (doc) doc.saveAndClose();
+      body.appendParagraph(answerText || '(No response provided)').setIndentFirstLine(20);
+    }
 
-    } catch (editError) {
-      console.error('Error editing work product response doc content:', editError);
-      return false;
+    // Update or add timestamp
+    const timestampSearch = body.findText('Last updated:');
+    if (timestampSearch) {
+      timestampSearch.getElement().getParent().asParagraph().setText(`Last updated: ${new Date().toLocaleString()}`);
+    } else {
+      body.appendParagraph('');
+      body.appendParagraph(`Last updated: ${new Date().toLocaleString()}`);
     }
 
-    console.log(`Saved work product answer to doc for question ${questionId}`);
+    // Force save to ensure changes are written before lock release
+    doc.saveAndClose();
+
+    debugLog('Saved answer to response doc', { observationId: observationId, questionId: questionId });
     return true;
 
   } catch (error) {
-    console.error('Critical error saving work product answer to doc:', error, {
+    console.error('Error saving answer to response doc:', error, {
       observationId: observationId,
       questionId: questionId,
-      operation: 'saveWorkProductAnswerToDoc',
+      operation: 'saveObservationAnswerToDoc',
       answerLength: answerText ? answerText.length : 0
     });
     return false;
   } finally {
-    if (hasLock) {
-      lock.releaseLock();
-    }
+    lock.releaseLock();
   }
 }
 
 /**
- * Gets work product answers from the response Google Doc.
+ * Gets the staff member's answers from an observation's response doc. When the observed staff
+ * member loads answers before the doc exists, it is created so later saves find it.
  * @param {string} observationId The ID of the observation.
- * @returns {Array<Object>} Array of answer objects with questionId and answerText.
+ * @returns {Array<Object>} Array of answer objects with questionId and answerText, one per
+ *     question.
  */
-function getWorkProductAnswersFromDoc(observationId) {
+function getObservationAnswersFromDoc(observationId) {
   try {
-    // Get the observation to find staff email
-    const observations = _getObservationsDb();
-    const observation = observations.find(obs => obs.observationId === observationId);
-
+    const observation = _getObservationsDb().find(obs => obs.observationId === observationId);
     if (!observation) {
       console.log('Observation not found:', observationId);
       return [];
     }
 
-    const userContext = createUserContext();
-
-    // Find the response document using Drive search
-    let docResult = findWorkProductResponseDoc(observationId, observation.observedEmail, userContext.email);
-    if (!docResult) {
-      console.log('No response document found for observation:', observationId);
-
-      // Create doc proactively if user is the observed staff member
-      if (userContext.email === observation.observedEmail) {
-        console.log('[Parser] Creating new response document for staff member during load');
-        const newDocResult = createOrGetWorkProductResponseDoc(
-          observationId,
-          observation.observedEmail,
-          observation.observerEmail
-        );
-
-        if (newDocResult) {
-          console.log('[Parser] Created new empty response document');
-          docResult = newDocResult;
-          // Doc is empty, so return empty array (but doc now exists for future saves)
-        } else {
-          console.error('[Parser] Failed to create response document during load');
-          return [];
-        }
-      } else {
-        // Peer evaluator can't create doc, return empty
-        return [];
-      }
-    }
-
-    // If still no document (creation failed), return empty
+    const docResult = createOrGetObservationResponseDoc(observation);
     if (!docResult) {
       return [];
     }
 
-    let doc;
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening work product response doc for reading:', docError);
-      return [];
-    }
-    const body = doc.getBody();
-    const text = body.getText();
+    const header = `${_getResponseTypeDefinition(observation).responseDocLabel} Reflection Responses`;
+    const lines = DocumentApp.openById(docResult.docId).getBody().getText().split('\n');
 
     // Parse questions and answers
     const answers = [];
-    const lines = text.split('\n');
     let currentQuestionId = null;
     let currentAnswer = '';
-    let collectingAnswer = false;
+    const saveCurrentAnswer = () => {
+      if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
+        answers.push({ questionId: currentQuestionId, answerText: currentAnswer.trim() });
+      }
+    };
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    lines.forEach(rawLine => {
+      const line = rawLine.trim();
 
-      // Check if this is a question line
       const questionMatch = line.match(/^Question\s+([^:]+):\s*$/);
       if (questionMatch) {
-        // Save previous answer if we have one
-        if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-          answers.push({
-            questionId: currentQuestionId,
-            answerText: currentAnswer.trim()
-          });
-        }
-
-        // Start new question
+        saveCurrentAnswer();
         currentQuestionId = questionMatch[1].trim();
         currentAnswer = '';
-        collectingAnswer = true;
-        continue;
+        return;
       }
 
       // Skip metadata lines and horizontal rules
       if (line.startsWith('Last updated:') || line.startsWith('Observation ID:') ||
           line.startsWith('Staff Member:') || line.startsWith('Peer Evaluator:') ||
-          line.startsWith('Generated:') || line === '' ||
-          line === 'Work Product Reflection Responses' ||
+          line.startsWith('Generated:') || line === '' || line === header ||
           line.includes('---') || line.includes('___')) {
-        continue;
+        return;
       }
 
-      // Collect answer text
-      if (collectingAnswer && currentQuestionId) {
+      if (currentQuestionId) {
         if (currentAnswer) currentAnswer += '\n';
         currentAnswer += line;
       }
-    }
-
-    // Save the last answer
-    if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-      answers.push({
-        questionId: currentQuestionId,
-        answerText: currentAnswer.trim()
-      });
-    }
-
-    console.log(`Retrieved ${answers.length} work product answers from doc`);
+    });
+    saveCurrentAnswer();
 
-    // Deduplicate answers by questionId (keep last occurrence which has most recent content)
+    // Deduplicate answers by questionId, keeping the last occurrence (the most recent content)
     const deduplicatedAnswers = [];
     const seenQuestions = new Set();
-
-    // Iterate backwards to keep LAST occurrence of each question
     for (let i = answers.length - 1; i >= 0; i--) {
-      const answer = answers[i];
-      if (!seenQuestions.has(answer.questionId)) {
-        seenQuestions.add(answer.questionId);
-        deduplicatedAnswers.unshift(answer);  // Add to front to maintain order
+      if (!seenQuestions.has(answers[i].questionId)) {
+        seenQuestions.add(answers[i].questionId);
+        deduplicatedAnswers.unshift(answers[i]);
       } else {
-        console.warn(`[Parser] Duplicate question found: ${answer.questionId}, keeping last occurrence`);
+        console.warn(`[Parser] Duplicate question found: ${answers[i].questionId}, keeping last occurrence`);
       }
     }
 
-    console.log(`After deduplication: ${deduplicatedAnswers.length} unique answers`);
     return deduplicatedAnswers;
 
   } catch (error) {
-    console.error('Critical error getting work product answers from doc:', error, {
+    console.error('Error getting answers from response doc:', error, {
       observationId: observationId,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      observedEmail: observation ? observation.observedEmail : 'unknown',
-      operation: 'getWorkProductAnswersFromDoc'
+      operation: 'getObservationAnswersFromDoc'
     });
     return [];
   }
 }
 
-/**
- * Finds a standard observation response document using Drive search.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member who owns the doc.
- * @param {string} currentUserEmail The email of the current user requesting access.
- * @returns {Object|null} Object with docId and docUrl, or null if not found.
- */
-function findStandardObservationResponseDoc(observationId, staffEmail, currentUserEmail) {
-  try {
-    const searchName = `Standard Observation Responses - ${observationId}`;
-
-    // Add basic caching to avoid repeated Drive searches
-    const cacheKey = `standard_obs_doc_${observationId}`;
-    const cached = getCachedDataEnhanced(cacheKey);
-    if (cached) {
-      debugLog('Standard observation doc found in cache', {
-        observationId: observationId,
-        staffEmail: staffEmail,
-        currentUserEmail: currentUserEmail
-      });
-      return cached;
-    }
-
-    debugLog('Searching for standard observation response doc', {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail
-    });
-
-    let docResult = null;
-
-    if (currentUserEmail === staffEmail) {
-      // Staff member searches their own drive
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        if (files.hasNext()) {
-          const file = files.next();
-          docResult = {
-            docId: file.getId(),
-            docUrl: file.getUrl()
-          };
-          debugLog('Found standard observation doc in staff drive', { docId: docResult.docId });
-        }
-      } catch (driveError) {
-        console.error('Error searching staff drive for standard observation doc:', driveError);
-        return null;
-      }
-    } else {
-      // Peer evaluator searches for shared documents
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        let searchCount = 0;
-        const maxSearchAttempts = 5;
-
-        debugLog('Peer evaluator searching for shared standard observation docs', {
-          observationId: observationId,
-          currentUserEmail: currentUserEmail
-        });
-
-        while (files.hasNext() && searchCount < maxSearchAttempts) {
-          searchCount++;
-          const file = files.next();
-          const fileId = file.getId();
-
-          try {
-            const testDoc = DocumentApp.openById(fileId);
-            docResult = {
-              docId: fileId,
-              docUrl: file.getUrl()
-            };
-            debugLog('Successfully found accessible shared standard observation doc', {
-              docId: docResult.docId,
-              observationId: observationId,
-              searchAttempt: searchCount
-            });
-            break;
-          } catch (accessError) {
-            debugLog('Standard observation doc not accessible to peer evaluator, continuing search', {
-              fileId: fileId,
-              observationId: observationId,
-              searchAttempt: searchCount,
-              error: accessError.message
-            });
-            continue;
-          }
-        }
-
-        if (searchCount >= maxSearchAttempts && !docResult) {
-          console.warn('Reached max search attempts for standard observation doc without finding accessible document:', {
-            observationId: observationId,
-            currentUserEmail: currentUserEmail,
-            staffEmail: staffEmail,
-            maxAttempts: maxSearchAttempts
-          });
-        }
-      } catch (driveError) {
-        console.error('Error searching for shared standard observation doc:', driveError, {
-          observationId: observationId,
-          currentUserEmail: currentUserEmail,
-          staffEmail: staffEmail
-        });
-        return null;
-      }
-    }
-
-    // Cache the result for a short time
-    if (docResult) {
-      setCachedDataEnhanced(cacheKey, docResult, 300); // 5 minute cache
-    }
-
-    return docResult;
-  } catch (error) {
-    console.error('Critical error in findStandardObservationResponseDoc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail,
-      searchName: `Standard Observation Responses - ${observationId}`,
-      operation: 'findStandardObservationResponseDoc'
-    });
-    return null;
-  }
-}
-
-/**
- * Saves a standard observation answer to the response Google Doc.
- * @param {string} observationId The ID of the observation.
- * @param {string} questionId The ID of the question.
- * @param {string} answerText The answer text.
- * @returns {boolean} True if saved successfully, false otherwise.
- */
-function saveStandardObservationAnswerToDoc(observationId, questionId, answerText) {
-  const lock = LockService.getUserLock();
-  let hasLock = false;
-  try {
-    lock.waitLock(30000);
-    hasLock = true;
-  } catch (e) {
-    console.error('Could not acquire lock for saveStandardObservationAnswerToDoc:', e);
-    return false;
-  }
-
-  try {
-    let doc = null;
-    const userContext = createUserContext();
-    let observation = null;
-
-    const observations = _getObservationsDb();
-    observation = observations.find(obs => obs.observationId === observationId);
-
-    if (!observation) {
-      console.error('Observation not found:', observationId);
-      return false;
-    }
-
-    // Find or create the response document
-    let docResult = findStandardObservationResponseDoc(observationId, observation.observedEmail, userContext.email);
-
-    // If document not found and user is staff member, create it
-    if (!docResult && userContext.email === observation.observedEmail) {
-      console.log('No response document found, creating new one for staff member:', observationId);
-      const newDocResult = createOrGetStandardObservationResponseDoc(observationId, observation.observedEmail, observation.observerEmail);
-      if (!newDocResult) {
-        console.error('Failed to create standard observation response doc for observation:', observationId);
-        return false;
-      }
-      docResult = newDocResult;
-    }
-
-    if (!docResult) {
-      console.error('No response document found and unable to create for observation:', observationId, {
-        currentUserEmail: userContext.email,
-        observedEmail: observation.observedEmail,
-        isStaffMember: userContext.email === observation.observedEmail
-      });
-      return false;
-    }
-
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening standard observation response doc:', docError);
-      return false;
-    }
-
-    let body;
-    try {
-      body = doc.getBody();
-    } catch (bodyError) {
-      console.error('Error accessing document body:', bodyError);
-      return false;
-    }
-
-    try {
-      // Search for existing answer section
-      const searchPattern = `Question ${escapeRegExp(questionId.trim())}:`;
-      const searchResult = body.findText(searchPattern);
-
-      if (searchResult) {
-        // Update existing answer
-        const element = searchResult.getElement();
-        const paragraph = element.getParent();
-        const nextParagraph = paragraph.getNextSibling();
-
-        if (nextParagraph && nextParagraph.getType() === DocumentApp.ElementType.PARAGRAPH) {
-          nextParagraph.asParagraph().setText(answerText || '(No response provided)');
-        } else {
-          const answerParagraph = body.insertParagraph(body.getChildIndex(paragraph) + 1, answerText || '(No response provided)');
-          answerParagraph.setIndentFirstLine(20);
-        }
-      } else {
-        // Add new question and answer at the end
-        body.appendParagraph('');
-        const questionParagraph = body.appendParagraph(`Question ${questionId}:`);
-        questionParagraph.editAsText().setBold(true);
-
-        const answerParagraph = body.appendParagraph(answerText || '(No response provided)');
-        answerParagraph.setIndentFirstLine(20);
-      }
-
-      // Update or add timestamp
-      const timestampPattern = 'Last updated:';
-      const timestampSearch = body.findText(timestampPattern);
-
-      if (timestampSearch) {
-        const element = timestampSearch.getElement();
-        const paragraph = element.getParent();
-        paragraph.asParagraph().setText(`Last updated: ${new Date().toLocaleString()}`);
-      } else {
-        body.appendParagraph('');
-        body.appendParagraph(`Last updated: ${new Date().toLocaleString()}`);
-      }
-
-      if (doc) doc.saveAndClose();
-
-    } catch (editError) {
-      console.error('Error editing standard observation response doc content:', editError);
-      return false;
-    }
-
-    console.log(`Saved standard observation answer to doc for question ${questionId}`);
-    return true;
-
-  } catch (error) {
-    console.error('Critical error saving standard observation answer to doc:', error, {
-      observationId: observationId,
-      questionId: questionId,
-      operation: 'saveStandardObservationAnswerToDoc',
-      answerLength: answerText ? answerText.length : 0
-    });
-    return false;
-  } finally {
-    if (hasLock) {
-      lock.releaseLock();
-    }
-  }
-}
-
-/**
- * Creates or gets a standard observation response document for staff member responses.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member.
- * @param {string} peerEvaluatorEmail The email of the peer evaluator.
- * @returns {Object|null} Object with docId and docUrl, or null on error.
- */
-function createOrGetStandardObservationResponseDoc(observationId, staffEmail, peerEvaluatorEmail) {
-  try {
-    const userContext = createUserContext();
-
-    // Check if doc already exists
-    const existingDoc = findStandardObservationResponseDoc(observationId, staffEmail, userContext.email);
-    if (existingDoc) {
-      console.log(`Found existing standard observation response doc: ${existingDoc.docId}`);
-      return existingDoc;
-    }
-
-    // Only staff members can create new response documents
-    if (userContext.email !== staffEmail) {
-      debugLog('Non-staff member attempted to create standard observation response doc - this is expected for view-only access:', {
-        currentUser: userContext.email,
-        staffEmail: staffEmail,
-        observationId: observationId,
-        userRole: userContext.role
-      });
-      return null;
-    }
-
-    // Create new Google Doc
-    const docName = `Standard Observation Responses - ${observationId}`;
-    let doc, docId;
-
-    try {
-      doc = DocumentApp.create(docName);
-      docId = doc.getId();
-      console.log(`Created new standard observation response doc: ${docId}`);
-    } catch (docError) {
-      console.error('Error creating Google Doc:', docError);
-      return null;
-    }
-
-    // Set up document content
-    try {
-      const body = doc.getBody();
-      body.clear();
-
-      const header = body.appendParagraph('Standard Observation Reflection Responses');
-      header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
-      header.editAsText().setBold(true);
-
-      body.appendParagraph(`Observation ID: ${observationId}`);
-      body.appendParagraph(`Staff Member: ${staffEmail}`);
-      body.appendParagraph(`Peer Evaluator: ${peerEvaluatorEmail}`);
-      body.appendParagraph('Generated: ' + new Date().toLocaleString());
-      body.appendHorizontalRule();
-      body.appendParagraph('');
-
-      console.log('Successfully set up standard observation response doc content');
-    } catch (contentError) {
-      console.error('Error setting up document content:', contentError);
-    }
-
-    // Share with peer evaluator
-    let file = null;
-    try {
-      file = DriveApp.getFileById(docId);
-      file.addEditor(peerEvaluatorEmail);
-      console.log(`Standard observation response doc shared with peer evaluator: ${peerEvaluatorEmail}`);
-    } catch (shareError) {
-      console.error('Error sharing response doc with peer evaluator:', shareError);
-    }
-
-    // Move the document to the observation folder now that peer evaluator has access
-    if (file) {
-      try {
-        const observation = getObservationById(observationId);
-        if (observation) {
-          const obsFolder = _getObservationFolder(observation);
-          file.moveTo(obsFolder);
-          console.log(`Standard observation response doc moved to observation folder: ${obsFolder.getName()}`);
-        }
-      } catch (moveError) {
-        console.error('Error moving response doc to observation folder:', moveError);
-        // Don't fail the entire operation if move fails - document is still accessible
-      }
-    }
-
-    console.log(`Created standard observation response doc: ${docId} for observation: ${observationId}`);
-
-    return {
-      docId: docId,
-      docUrl: doc.getUrl()
-    };
-
-  } catch (error) {
-    console.error('Critical error creating standard observation response doc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      peerEvaluatorEmail: peerEvaluatorEmail,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      operation: 'createOrGetStandardObservationResponseDoc'
-    });
-    return null;
-  }
-}
-
-/**
- * Gets standard observation answers from the response Google Doc.
- * @param {string} observationId The ID of the observation.
- * @returns {Array<Object>} Array of answer objects with questionId and answerText.
- */
-function getStandardObservationAnswersFromDoc(observationId) {
-  try {
-    const observations = _getObservationsDb();
-    const observation = observations.find(obs => obs.observationId === observationId);
-
-    if (!observation) {
-      console.log('Observation not found:', observationId);
-      return [];
-    }
-
-    const userContext = createUserContext();
-
-    // Find the response document
-    const docResult = findStandardObservationResponseDoc(observationId, observation.observedEmail, userContext.email);
-    if (!docResult) {
-      console.log('No response document found for observation:', observationId);
-      return [];
-    }
-
-    let doc;
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening standard observation response doc for reading:', docError);
-      return [];
-    }
-
-    const body = doc.getBody();
-    const text = body.getText();
-
-    // Parse questions and answers
-    const answers = [];
-    const lines = text.split('\n');
-    let currentQuestionId = null;
-    let currentAnswer = '';
-    let collectingAnswer = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      // Check if this is a question line
-      const questionMatch = line.match(/^Question\s+([^:]+):\s*$/);
-      if (questionMatch) {
-        // Save previous answer if we have one
-        if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-          answers.push({
-            questionId: currentQuestionId,
-            answerText: currentAnswer.trim()
-          });
-        }
-
-        // Start new question
-        currentQuestionId = questionMatch[1].trim();
-        currentAnswer = '';
-        collectingAnswer = true;
-        continue;
-      }
-
-      // Skip metadata lines and horizontal rules
-      if (line.startsWith('Last updated:') || line.startsWith('Observation ID:') ||
-          line.startsWith('Staff Member:') || line.startsWith('Peer Evaluator:') ||
-          line.startsWith('Generated:') || line === '' ||
-          line === 'Standard Observation Reflection Responses' ||
-          line.includes('---') || line.includes('___')) {
-        continue;
-      }
-
-      // Collect answer text
-      if (collectingAnswer && currentQuestionId) {
-        if (currentAnswer) currentAnswer += '\n';
-        currentAnswer += line;
-      }
-    }
-
-    // Save the last answer
-    if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-      answers.push({
-        questionId: currentQuestionId,
-        answerText: currentAnswer.trim()
-      });
-    }
-
-    console.log(`Retrieved ${answers.length} standard observation answers from doc`);
-    return answers;
-
-  } catch (error) {
-    console.error('Critical error getting standard observation answers from doc:', error, {
-      observationId: observationId,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      observedEmail: observation ? observation.observedEmail : 'unknown',
-      operation: 'getStandardObservationAnswersFromDoc'
-    });
-    return [];
-  }
-}
-
-/**
- * Finds an instructional round response document using Drive search.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member who owns the doc.
- * @param {string} currentUserEmail The email of the current user requesting access.
- * @returns {Object|null} Object with docId and docUrl, or null if not found.
- */
-function findInstructionalRoundResponseDoc(observationId, staffEmail, currentUserEmail) {
-  try {
-    const searchName = `Instructional Round Responses - ${observationId}`;
-
-    // Add basic caching to avoid repeated Drive searches
-    const cacheKey = `instructional_round_doc_${observationId}`;
-    const cached = getCachedDataEnhanced(cacheKey);
-    if (cached) {
-      debugLog('Instructional round doc found in cache', {
-        observationId: observationId,
-        staffEmail: staffEmail,
-        currentUserEmail: currentUserEmail
-      });
-      return cached;
-    }
-
-    debugLog('Searching for instructional round response doc', {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail
-    });
-
-    let docResult = null;
-
-    if (currentUserEmail === staffEmail) {
-      // Staff member searches their own drive
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        if (files.hasNext()) {
-          const file = files.next();
-          docResult = {
-            docId: file.getId(),
-            docUrl: file.getUrl()
-          };
-          debugLog('Found instructional round doc in staff drive', { docId: docResult.docId });
-        }
-      } catch (driveError) {
-        console.error('Error searching staff drive for instructional round doc:', driveError);
-        return null;
-      }
-    } else {
-      // Peer evaluator searches for shared documents
-      try {
-        const files = DriveApp.searchFiles(`title = "${searchName}" and trashed = false`);
-        let searchCount = 0;
-        const maxSearchAttempts = 5;
-
-        debugLog('Peer evaluator searching for shared instructional round docs', {
-          observationId: observationId,
-          currentUserEmail: currentUserEmail
-        });
-
-        while (files.hasNext() && searchCount < maxSearchAttempts) {
-          searchCount++;
-          const file = files.next();
-          const fileId = file.getId();
-
-          try {
-            const testDoc = DocumentApp.openById(fileId);
-            docResult = {
-              docId: fileId,
-              docUrl: file.getUrl()
-            };
-            debugLog('Successfully found accessible shared instructional round doc', {
-              docId: docResult.docId,
-              observationId: observationId,
-              searchAttempt: searchCount
-            });
-            break;
-          } catch (accessError) {
-            debugLog('Instructional round doc not accessible to peer evaluator, continuing search', {
-              fileId: fileId,
-              observationId: observationId,
-              searchAttempt: searchCount,
-              error: accessError.message
-            });
-            continue;
-          }
-        }
-
-        if (searchCount >= maxSearchAttempts && !docResult) {
-          console.warn('Reached max search attempts for instructional round doc without finding accessible document:', {
-            observationId: observationId,
-            currentUserEmail: currentUserEmail,
-            staffEmail: staffEmail,
-            maxAttempts: maxSearchAttempts
-          });
-        }
-      } catch (driveError) {
-        console.error('Error searching for shared instructional round doc:', driveError, {
-          observationId: observationId,
-          currentUserEmail: currentUserEmail,
-          staffEmail: staffEmail
-        });
-        return null;
-      }
-    }
-
-    // Cache the result for a short time
-    if (docResult) {
-      setCachedDataEnhanced(cacheKey, docResult, 300); // 5 minute cache
-    }
-
-    return docResult;
-  } catch (error) {
-    console.error('Critical error in findInstructionalRoundResponseDoc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      currentUserEmail: currentUserEmail,
-      searchName: `Instructional Round Responses - ${observationId}`,
-      operation: 'findInstructionalRoundResponseDoc'
-    });
-    return null;
-  }
-}
-
-/**
- * Creates or gets an instructional round response document for staff member responses.
- * @param {string} observationId The ID of the observation.
- * @param {string} staffEmail The email of the staff member.
- * @param {string} peerEvaluatorEmail The email of the peer evaluator.
- * @returns {Object|null} Object with docId and docUrl, or null on error.
- */
-function createOrGetInstructionalRoundResponseDoc(observationId, staffEmail, peerEvaluatorEmail) {
-  try {
-    const userContext = createUserContext();
-
-    // Check if doc already exists
-    const existingDoc = findInstructionalRoundResponseDoc(observationId, staffEmail, userContext.email);
-    if (existingDoc) {
-      console.log(`Found existing instructional round response doc: ${existingDoc.docId}`);
-      return existingDoc;
-    }
-
-    // Only staff members can create new response documents
-    if (userContext.email !== staffEmail) {
-      debugLog('Non-staff member attempted to create instructional round response doc - this is expected for view-only access:', {
-        currentUser: userContext.email,
-        staffEmail: staffEmail,
-        observationId: observationId,
-        userRole: userContext.role
-      });
-      return null;
-    }
-
-    // Create new Google Doc
-    const docName = `Instructional Round Responses - ${observationId}`;
-    let doc, docId;
-
-    try {
-      doc = DocumentApp.create(docName);
-      docId = doc.getId();
-      console.log(`Created new instructional round response doc: ${docId}`);
-    } catch (docError) {
-      console.error('Error creating Google Doc:', docError);
-      return null;
-    }
-
-    // Set up document content
-    try {
-      const body = doc.getBody();
-      body.clear();
-
-      const header = body.appendParagraph('Instructional Round Reflection Responses');
-      header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
-      header.editAsText().setBold(true);
-
-      body.appendParagraph(`Observation ID: ${observationId}`);
-      body.appendParagraph(`Staff Member: ${staffEmail}`);
-      body.appendParagraph(`Peer Evaluator: ${peerEvaluatorEmail}`);
-      body.appendParagraph('Generated: ' + new Date().toLocaleString());
-      body.appendHorizontalRule();
-      body.appendParagraph('');
-
-      console.log('Successfully set up instructional round response doc content');
-    } catch (contentError) {
-      console.error('Error setting up document content:', contentError);
-    }
-
-    // Share with peer evaluator
-    let file = null;
-    try {
-      file = DriveApp.getFileById(docId);
-      file.addEditor(peerEvaluatorEmail);
-      console.log(`Instructional round response doc shared with peer evaluator: ${peerEvaluatorEmail}`);
-    } catch (shareError) {
-      console.error('Error sharing response doc with peer evaluator:', shareError);
-    }
-
-    // Move the document to the observation folder now that peer evaluator has access
-    if (file) {
-      try {
-        const observation = getObservationById(observationId);
-        if (observation) {
-          const obsFolder = _getObservationFolder(observation);
-          file.moveTo(obsFolder);
-          console.log(`Instructional round response doc moved to observation folder: ${obsFolder.getName()}`);
-        }
-      } catch (moveError) {
-        console.error('Error moving response doc to observation folder:', moveError);
-        // Don't fail the entire operation if move fails - document is still accessible
-      }
-    }
-
-    console.log(`Created instructional round response doc: ${docId} for observation: ${observationId}`);
-
-    return {
-      docId: docId,
-      docUrl: doc.getUrl()
-    };
-
-  } catch (error) {
-    console.error('Critical error creating instructional round response doc:', error, {
-      observationId: observationId,
-      staffEmail: staffEmail,
-      peerEvaluatorEmail: peerEvaluatorEmail,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      operation: 'createOrGetInstructionalRoundResponseDoc'
-    });
-    return null;
-  }
-}
-
-/**
- * Saves an instructional round answer to the response Google Doc.
- * @param {string} observationId The ID of the observation.
- * @param {string} questionId The ID of the question.
- * @param {string} answerText The answer text.
- * @returns {boolean} True if saved successfully, false otherwise.
- */
-function saveInstructionalRoundAnswerToDoc(observationId, questionId, answerText) {
-  const lock = LockService.getUserLock();
-  let hasLock = false;
-  try {
-    lock.waitLock(30000);
-    hasLock = true;
-  } catch (e) {
-    console.error('Could not acquire lock for saveInstructionalRoundAnswerToDoc:', e);
-    return false;
-  }
-
-  try {
-    let doc = null;
-    const userContext = createUserContext();
-    let observation = null;
-
-    const observations = _getObservationsDb();
-    observation = observations.find(obs => obs.observationId === observationId);
-
-    if (!observation) {
-      console.error('Observation not found:', observationId);
-      return false;
-    }
-
-    // Find or create the response document
-    let docResult = findInstructionalRoundResponseDoc(observationId, observation.observedEmail, userContext.email);
-
-    // If document not found and user is staff member, create it
-    if (!docResult && userContext.email === observation.observedEmail) {
-      console.log('No response document found, creating new one for staff member:', observationId);
-      const newDocResult = createOrGetInstructionalRoundResponseDoc(observationId, observation.observedEmail, observation.observerEmail);
-      if (!newDocResult) {
-        console.error('Failed to create instructional round response doc for observation:', observationId);
-        return false;
-      }
-      docResult = newDocResult;
-    }
-
-    if (!docResult) {
-      console.error('No response document found and unable to create for observation:', observationId, {
-        currentUserEmail: userContext.email,
-        observedEmail: observation.observedEmail,
-        isStaffMember: userContext.email === observation.observedEmail
-      });
-      return false;
-    }
-
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening instructional round response doc:', docError);
-      return false;
-    }
-
-    let body;
-    try {
-      body = doc.getBody();
-    } catch (bodyError) {
-      console.error('Error accessing document body:', bodyError);
-      return false;
-    }
-
-    try {
-      console.log(`[Server] saveInstructionalRoundAnswerToDoc - Processing questionId: "${questionId}"`);
-
-      // Get the question text from the questions sheet
-      const questions = getStandardObservationQuestions();
-      const question = questions.find(q => q.questionId === questionId);
-      const questionText = question ? question.questionText : '';
-      console.log(`[Server] Found question definition: ${!!question}, questionText: "${questionText ? questionText.substring(0, 40) + '...' : '(empty)'}"`);
-
-      // Search for existing answer section
-      const searchPattern = `Question ${questionId}:`;
-      console.log(`[Server] Searching document for pattern: "${searchPattern}"`);
-      const searchResult = body.findText(searchPattern);
-      console.log(`[Server] Search result: ${searchResult ? 'FOUND - will update existing' : 'NOT FOUND - will append new section'}`);
-
-      if (searchResult) {
-        // Update existing answer
-        const element = searchResult.getElement();
-        const paragraph = element.getParent();
-
-        // Check if there's a question text paragraph after the question ID
-        let currentSibling = paragraph.getNextSibling();
-        let questionTextParagraph = null;
-        let answerParagraph = null;
-
-        // Look for the question text and answer paragraphs
-        if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH) {
-          const siblingText = currentSibling.asParagraph().getText();
-          // If it's italic, it's the question text
-          if (currentSibling.asParagraph().editAsText().isItalic()) {
-            questionTextParagraph = currentSibling.asParagraph();
-            currentSibling = currentSibling.getNextSibling();
-          }
-        }
-
-        // The next paragraph should be the answer
-        if (currentSibling && currentSibling.getType() === DocumentApp.ElementType.PARAGRAPH) {
-          answerParagraph = currentSibling.asParagraph();
-          answerParagraph.setText(answerText || '(No response provided)');
-        } else {
-          // Insert answer paragraph
-          const insertIndex = questionTextParagraph
-            ? body.getChildIndex(questionTextParagraph) + 1
-            : body.getChildIndex(paragraph) + 1;
-          answerParagraph = body.insertParagraph(insertIndex, answerText || '(No response provided)');
-          answerParagraph.setIndentFirstLine(20);
-        }
-
-        // Update question text if it exists and is different
-        if (questionText && questionTextParagraph) {
-          questionTextParagraph.setText(questionText);
-        } else if (questionText && !questionTextParagraph) {
-          // Insert question text paragraph after question ID
-          const insertIndex = body.getChildIndex(paragraph) + 1;
-          const newQuestionTextPara = body.insertParagraph(insertIndex, questionText);
-          newQuestionTextPara.setIndentFirstLine(20);
-          newQuestionTextPara.editAsText().setItalic(true);
-          newQuestionTextPara.editAsText().setForegroundColor('#6b7280');
-        }
-      } else {
-        // Add new question and answer at the end
-        body.appendParagraph('');
-        const questionParagraph = body.appendParagraph(`Question ${questionId}:`);
-        questionParagraph.editAsText().setBold(true);
-
-        // Add question text if available
-        if (questionText) {
-          const questionTextParagraph = body.appendParagraph(questionText);
-          questionTextParagraph.setIndentFirstLine(20);
-          questionTextParagraph.editAsText().setItalic(true);
-          questionTextParagraph.editAsText().setForegroundColor('#6b7280');
-        }
-
-        const answerParagraph = body.appendParagraph(answerText || '(No response provided)');
-        answerParagraph.setIndentFirstLine(20);
-      }
-
-      // Update or add timestamp
-      const timestampPattern = 'Last updated:';
-      const timestampSearch = body.findText(timestampPattern);
-
-      if (timestampSearch) {
-        const element = timestampSearch.getElement();
-        const paragraph = element.getParent();
-        paragraph.asParagraph().setText(`Last updated: ${new Date().toLocaleString()}`);
-      } else {
-        body.appendParagraph('');
-        body.appendParagraph(`Last updated: ${new Date().toLocaleString()}`);
-      }
-
-      if (doc) doc.saveAndClose();
-
-    } catch (editError) {
-      console.error('Error editing instructional round response doc content:', editError);
-      return false;
-    }
-
-    console.log(`Saved instructional round answer to doc for question ${questionId}`);
-    return true;
-
-  } catch (error) {
-    console.error('Critical error saving instructional round answer to doc:', error, {
-      observationId: observationId,
-      questionId: questionId,
-      operation: 'saveInstructionalRoundAnswerToDoc',
-      answerLength: answerText ? answerText.length : 0
-    });
-    return false;
-  } finally {
-    if (hasLock) {
-      lock.releaseLock();
-    }
-  }
-}
-
-/**
- * Gets instructional round answers from the response Google Doc.
- * @param {string} observationId The ID of the observation.
- * @returns {Array<Object>} Array of answer objects with questionId and answerText.
- */
-function getInstructionalRoundAnswersFromDoc(observationId) {
-  try {
-    const observations = _getObservationsDb();
-    const observation = observations.find(obs => obs.observationId === observationId);
-
-    if (!observation) {
-      console.log('Observation not found:', observationId);
-      return [];
-    }
-
-    const userContext = createUserContext();
-
-    // Find the response document
-    let docResult = findInstructionalRoundResponseDoc(observationId, observation.observedEmail, userContext.email);
-    if (!docResult) {
-      console.log('No response document found for observation:', observationId);
-
-      // Create doc proactively if user is the observed staff member
-      if (userContext.email === observation.observedEmail) {
-        console.log('[Parser] Creating new response document for staff member during load');
-        const newDocResult = createOrGetInstructionalRoundResponseDoc(
-          observationId,
-          observation.observedEmail,
-          observation.observerEmail
-        );
-
-        if (newDocResult) {
-          console.log('[Parser] Created new empty response document');
-          docResult = newDocResult;
-          // Doc is empty, so return empty array (but doc now exists for future saves)
-        } else {
-          console.error('[Parser] Failed to create response document during load');
-          return [];
-        }
-      } else {
-        // Peer evaluator can't create doc, return empty
-        return [];
-      }
-    }
-
-    // If still no document (creation failed), return empty
-    if (!docResult) {
-      return [];
-    }
-
-    let doc;
-    try {
-      doc = DocumentApp.openById(docResult.docId);
-    } catch (docError) {
-      console.error('Error opening instructional round response doc for reading:', docError);
-      return [];
-    }
-
-    const body = doc.getBody();
-    const text = body.getText();
-
-    // Parse questions and answers
-    const answers = [];
-    const lines = text.split('\n');
-    let currentQuestionId = null;
-    let currentAnswer = '';
-    let collectingAnswer = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      // Check if this is a question line
-      const questionMatch = line.match(/^Question\s+([^:]+):\s*$/);
-      if (questionMatch) {
-        // Save previous answer if we have one
-        if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-          answers.push({
-            questionId: currentQuestionId,
-            answerText: currentAnswer.trim()
-          });
-        }
-
-        // Start new question
-        currentQuestionId = questionMatch[1].trim();
-        currentAnswer = '';
-        collectingAnswer = true;
-        continue;
-      }
-
-      // Skip metadata lines and horizontal rules
-      if (line.startsWith('Last updated:') || line.startsWith('Observation ID:') ||
-          line.startsWith('Staff Member:') || line.startsWith('Peer Evaluator:') ||
-          line.startsWith('Generated:') || line === '' ||
-          line === 'Instructional Round Reflection Responses' ||
-          line.includes('---') || line.includes('___')) {
-        continue;
-      }
-
-      // Collect answer text
-      if (collectingAnswer && currentQuestionId) {
-        if (currentAnswer) currentAnswer += '\n';
-        currentAnswer += line;
-      }
-    }
-
-    // Save the last answer
-    if (currentQuestionId && currentAnswer.trim() && currentAnswer.trim() !== '(No response provided)') {
-      answers.push({
-        questionId: currentQuestionId,
-        answerText: currentAnswer.trim()
-      });
-    }
-
-    console.log(`Retrieved ${answers.length} instructional round answers from doc`);
-
-    // Deduplicate answers by questionId (keep last occurrence which has most recent content)
-    const deduplicatedAnswers = [];
-    const seenQuestions = new Set();
-
-    // Iterate backwards to keep LAST occurrence of each question
-    for (let i = answers.length - 1; i >= 0; i--) {
-      const answer = answers[i];
-      if (!seenQuestions.has(answer.questionId)) {
-        seenQuestions.add(answer.questionId);
-        deduplicatedAnswers.unshift(answer);  // Add to front to maintain order
-      } else {
-        console.warn(`[Parser] Duplicate question found: ${answer.questionId}, keeping last occurrence`);
-      }
-    }
-
-    console.log(`After deduplication: ${deduplicatedAnswers.length} unique answers`);
-    return deduplicatedAnswers;
-
-  } catch (error) {
-    console.error('Critical error getting instructional round answers from doc:', error, {
-      observationId: observationId,
-      currentUserEmail: userContext ? userContext.email : 'unknown',
-      observedEmail: observation ? observation.observedEmail : 'unknown',
-      operation: 'getInstructionalRoundAnswersFromDoc'
-    });
-    return [];
-  }
-}
-
-/**
- * TEMPORARY: Diagnostic function to debug Standard Observation button visibility.
- * Run this function from Apps Script Editor while logged in as the staff member.
- * Remove this function once issue is resolved.
- */
-function debugStandardObservationButton() {
-  const userEmail = Session.getActiveUser().getEmail();
-  console.log('Current user:', userEmail);
-
-  const observations = _getObservationsDb();
-  console.log('Total observations:', observations.length);
-
-  const userDrafts = observations.filter(obs => obs.observedEmail === userEmail && obs.status === 'Draft');
-  console.log('User draft observations:', userDrafts.length);
-
-  userDrafts.forEach(obs => {
-    console.log('Observation:', {
-      id: obs.observationId,
-      type: obs.Type,
-      observer: obs.observerEmail,
-      status: obs.status
-    });
-
-    const observer = getUserByEmail(obs.observerEmail);
-    console.log('Observer details:', observer);
-  });
-
-  const result = checkUserHasStandardObservationFromPeerEvaluator(userEmail);
-  console.log('Check result:', result);
-}
-
 /**
  * ============================================================================
  * SCRIPT CONTENT OVERFLOW STORAGE - Google Doc Storage for Large Scripts
@@ -0,0 +1,305 @@
+/**
+ * ObservationTypeService.js
+ * Registry of observation types. Each type names the WorkProductQuestions prefix its questions
+ * use, which roles may create it, whether the observed staff member answers those questions, the
+ * observation PDF section the answers appear in, and whether it is a full observation or a
+ * look-fors-only walkthrough. Types come from the Observation_Types sheet
+ * (see OBSERVATION_TYPES_SHEET_COLUMNS), so a district can add one without code changes; the
+ * built-in OBSERVATION_TYPES are always defined.
+ */
+
+/**
+ * Gets the observation type definitions from the Observation_Types sheet, or the built-in types
+ * when the spreadsheet has no such sheet.
+ * @return {Object} { types: Array<{type, questionPrefix, createdBy, staffResponds, pdfSection,
+ *     responseDocLabel, mode, row}>, source: 'sheet' or 'defaults', issues: Array<{type, message,
+ *     severity, row}>, lastUpdated }
+ */
+function getObservationTypesConfig() {
+  return ConfigSheetLoader.load(_observationTypesConfigSheet());
+}
+
+/**
+ * @return {Object} The Observation_Types sheet definition for ConfigSheetLoader.
+ * @private
+ */
+function _observationTypesConfigSheet() {
+  return {
+    cacheKey: 'observation_types_config',
+    sheetName: SHEET_NAMES.OBSERVATION_TYPES,
+    columnCount: OBSERVATION_TYPES_SHEET_HEADERS.length,
+    keyColumn: OBSERVATION_TYPES_SHEET_COLUMNS.TYPE,
+    keyField: 'type',
+    keyLabel: 'Type',
+    parseRow: _parseObservationTypesSheetRow,
+    defaults: () => [],
+    complete: _completeObservationTypesConfig
+  };
+}
+
+/**
+ * Reads one observation type from the Observation_Types sheet.
+ * @param {Array} row The sheet row.
+ * @param {string} type The type name.
+ * @param {function(string, string)} issue Records a problem with the row.
+ * @return {Object} The type's definition, apart from its name and row.
+ * @private
+ */
+function _parseObservationTypesSheetRow(row, type, issue) {
+  const defaults = _getDefaultObservationType(type);
+
+  const modeText = sanitizeText(row[OBSERVATION_TYPES_SHEET_COLUMNS.MODE]);
+  let mode = Object.values(OBSERVATION_TYPE_MODES).find(candidate => candidate.toLowerCase() === modeText.toLowerCase());
+  if (!mode) {
+    // A blank Mode keeps a built-in type's own mode
+    mode = defaults ? defaults.mode : OBSERVATION_TYPE_MODES.FULL;
+    if (modeText) {
+      issue(`Mode for "${type}" should be ${Object.values(OBSERVATION_TYPE_MODES).join(' or ')}, not "${modeText}"; it is treated as ${mode}.`, VALIDATION_SEVERITY.WARNING);
+    }
+  }
+
+  // Walkthroughs only tick look-fors, so they don't need questions
+  const questionPrefix = sanitizeText(row[OBSERVATION_TYPES_SHEET_COLUMNS.QUESTION_PREFIX]);
+  if (!questionPrefix && mode === OBSERVATION_TYPE_MODES.FULL) {
+    issue(`Type "${type}" has no Question Prefix, so it has no questions.`, VALIDATION_SEVERITY.WARNING);
+  }
+
+  const createdBy = parseMultilineCell(row[OBSERVATION_TYPES_SHEET_COLUMNS.CREATED_BY]).filter(role => {
+    if (isValidRole(role)) return true;
+    issue(`Created By for "${type}" names unknown role "${role}"; it is ignored.`, VALIDATION_SEVERITY.WARNING);
+    return false;
+  });
+
+  const staffResponds = sanitizeText(row[OBSERVATION_TYPES_SHEET_COLUMNS.STAFF_RESPONDS]).toLowerCase();
+  if (staffResponds && !['yes', 'no', 'true', 'false'].includes(staffResponds)) {
+    issue(`Staff Responds for "${type}" should be Yes or No, not "${row[OBSERVATION_TYPES_SHEET_COLUMNS.STAFF_RESPONDS]}".`, VALIDATION_SEVERITY.WARNING);
+  }
+
+  return {
+    questionPrefix: questionPrefix,
+    createdBy: createdBy.length > 0 ? createdBy : [SPECIAL_ROLES.PEER_EVALUATOR],
+    staffResponds: staffResponds === 'yes' || staffResponds === 'true',
+    pdfSection: sanitizeText(row[OBSERVATION_TYPES_SHEET_COLUMNS.PDF_SECTION]),
+    responseDocLabel: defaults ? defaults.responseDocLabel : type,
+    mode: mode
+  };
+}
+
+/**
+ * Adds the built-in OBSERVATION_TYPES missing from a types list: existing observations of those
+ * types must keep working.
+ * @param {Array<Object>} types Type definitions.
+ * @param {Array<Object>} issues Issues found so far; one is added per missing type when the
+ *     list came from the sheet.
+ * @param {string} source 'sheet' or 'defaults'.
+ * @return {Object} Observation types configuration.
+ * @private
+ */
+function _completeObservationTypesConfig(types, issues, source) {
+  Object.values(OBSERVATION_TYPES).forEach(builtInType => {
+    if (!types.some(entry => entry.type === builtInType)) {
+      types.push(_getDefaultObservationType(builtInType));
+      if (source === 'sheet') {
+        issues.push(ConfigSheetLoader.issue(SHEET_NAMES.OBSERVATION_TYPES, null, `Observation type "${builtInType}" is built in and was added with its default settings.`, VALIDATION_SEVERITY.WARNING));
+      }
+    }
+  });
+
+  return {
+    types: types,
+    source: source,
+    issues: issues,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * @param {string} type Type name.
+ * @return {Object|null} The built-in type's definition from OBSERVATION_TYPE_DEFAULTS, or null
+ *     for a type that isn't built in.
+ * @private
+ */
+function _getDefaultObservationType(type) {
+  const defaults = OBSERVATION_TYPE_DEFAULTS[type];
+  if (!defaults) return null;
+  return {
+    type: type,
+    questionPrefix: defaults.questionPrefix,
+    createdBy: defaults.createdBy.slice(),
+    staffResponds: defaults.staffResponds,
+    pdfSection: defaults.pdfSection,
+    responseDocLabel: defaults.responseDocLabel,
+    mode: defaults.mode,
+    row: null
+  };
+}
+
+/**
+ * Gets one observation type's definition. Observations saved before types existed have a blank
+ * Type and are Standard.
+ * @param {string} typeName Type name.
+ * @return {Object|null} { type, questionPrefix, createdBy, staffResponds, pdfSection,
+ *     responseDocLabel, mode, row }, or null for an unknown type.
+ */
+function getObservationTypeDefinition(typeName) {
+  const name = typeName || OBSERVATION_TYPES.STANDARD;
+  return getObservationTypesConfig().types.find(entry => entry.type === name) || null;
+}
+
+/**
+ * Checks whether an observation is a walkthrough: look-fors and a one-line note, without
+ * proficiency ratings.
+ * @param {Object} observation The observation.
+ * @return {boolean} True if the observation's type is in walkthrough mode.
+ */
+function isWalkthroughObservation(observation) {
+  if (!observation) return false;
+  const definition = getObservationTypeDefinition(observation.Type);
+  return !!definition && definition.mode === OBSERVATION_TYPE_MODES.WALKTHROUGH;
+}
+
+/**
+ * Gets the names of the types recorded as walkthroughs.
+ * @return {Array<string>} Type names, in sheet order.
+ */
+function getWalkthroughObservationTypes() {
+  return getObservationTypesConfig().types
+    .filter(entry => entry.mode === OBSERVATION_TYPE_MODES.WALKTHROUGH)
+    .map(entry => entry.type);
+}
+
+/**
+ * Checks whether a role may create observations of a type.
+ * @param {string} role The user's role.
+ * @param {string} typeName Type name.
+ * @return {boolean} True if the type exists and lists the role under Created By.
+ */
+function canCreateObservationType(role, typeName) {
+  const definition = getObservationTypeDefinition(typeName);
+  return !!definition && definition.createdBy.includes(role);
+}
+
+/**
+ * Gets the types, other than Standard, that a role may create. Standard observations have their
+ * own "Start New Observation" action.
+ * @param {string} role The user's role.
+ * @return {Array<Object>} Type definitions, in sheet order.
+ */
+function getCreatableObservationTypes(role) {
+  return getObservationTypesConfig().types.filter(entry =>
+    entry.type !== OBSERVATION_TYPES.STANDARD && entry.createdBy.includes(role)
+  );
+}
+
+/**
+ * Gets a type's questions from the WorkProductQuestions sheet. A question belongs to the longest
+ * configured prefix its ID starts with, so prefixes such as "OBS" and "OBSQ" don't overlap.
+ * @param {string} typeName Type name.
+ * @return {Array<Object>} Questions sorted by order: { questionId, questionText, order }.
+ */
+function getObservationTypeQuestions(typeName) {
+  try {
+    const definition = getObservationTypeDefinition(typeName);
+    if (!definition || !definition.questionPrefix) return [];
+
+    const prefix = definition.questionPrefix;
+    const cacheKey = 'observation_type_questions';
+    const cached = getCachedDataEnhanced(cacheKey, { prefix: prefix });
+    if (cached && cached.data) return cached.data;
+
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.WORK_PRODUCT_QUESTIONS);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+    if (hasSheetDataChanged(SHEET_NAMES.WORK_PRODUCT_QUESTIONS, values)) {
+      invalidateDependentCaches('observation_types_config');
+    }
+
+    const prefixes = getObservationTypesConfig().types
+      .map(entry => entry.questionPrefix)
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+    const questions = values
+      .filter(row => {
+        const questionId = row[0] ? row[0].toString() : '';
+        return questionId && prefixes.find(candidate => questionId.startsWith(candidate)) === prefix;
+      })
+      .map(row => ({
+        questionId: row[0],
+        questionText: row[1],
+        order: row[2] || 0
+      }))
+      .sort((a, b) => a.order - b.order);
+
+    debugLog('Loaded observation type questions', { type: definition.type, prefix: prefix, count: questions.length });
+
+    setCachedDataEnhanced(cacheKey, { prefix: prefix }, questions);
+    return questions;
+  } catch (error) {
+    console.error(`Error getting questions for observation type ${typeName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Gets the draft observation of a type that a staff member answers questions for.
+ * @param {string} staffEmail The observed staff member's email.
+ * @param {string} typeName Type name.
+ * @return {Object|null} The observation, or null when there is none or the type has no staff
+ *     responses.
+ */
+function getStaffResponseObservation(staffEmail, typeName) {
+  try {
+    const definition = getObservationTypeDefinition(typeName);
+    if (!staffEmail || !definition || !definition.staffResponds) return null;
+
+    return _getObservationsDb().find(obs =>
+      obs.observedEmail === staffEmail &&
+      (obs.Type || OBSERVATION_TYPES.STANDARD) === definition.type &&
+      obs.status === OBSERVATION_STATUS.DRAFT
+    ) || null;
+  } catch (error) {
+    console.error(`Error finding ${typeName} observation for ${staffEmail}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Gets the types a staff member currently has questions to answer for.
+ * @param {string} staffEmail The observed staff member's email.
+ * @return {Array<string>} Type names, in sheet order.
+ */
+function getStaffResponseObservationTypes(staffEmail) {
+  return getObservationTypesConfig().types
+    .filter(entry => entry.staffResponds && getStaffResponseObservation(staffEmail, entry.type))
+    .map(entry => entry.type);
+}
+
+/**
+ * Creates the Observation_Types sheet if needed. A new sheet is filled with the types currently
+ * in use; administrators then edit or add rows.
+ * @returns {Sheet} The observation types sheet
+ */
+function setupObservationTypesSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_TYPES);
+
+    if (!sheet) {
+      const types = getObservationTypesConfig().types;
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.OBSERVATION_TYPES);
+      sheet.getRange(1, 1, types.length + 1, OBSERVATION_TYPES_SHEET_HEADERS.length).setValues([OBSERVATION_TYPES_SHEET_HEADERS].concat(
+        types.map(entry => [entry.type, entry.questionPrefix, entry.createdBy.join('\n'),
+          entry.staffResponds ? 'Yes' : 'No', entry.pdfSection, entry.mode])
+      ));
+      sheet.setFrozenRows(1);
+      debugLog(`Created sheet: ${SHEET_NAMES.OBSERVATION_TYPES}`, { types: types.length });
+    }
+
+    ensureSheetHeaders(sheet, OBSERVATION_TYPES_SHEET_HEADERS);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up observation types sheet:', formatErrorMessage(error, 'setupObservationTypesSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.OBSERVATION_TYPES} sheet: ${error.message}`);
+  }
+}
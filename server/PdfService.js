@@ -27,7 +27,7 @@ const PdfService = (function() {
           if (observation.observerEmail !== userContext.email) {
               return { success: false, error: 'Permission denied. You did not create this observation.' };
           }
-          if (observation.status !== OBSERVATION_STATUS.FINALIZED) {
+          if (!FINALIZED_OBSERVATION_STATUSES.includes(observation.status)) {
               return { success: false, error: 'PDF can only be regenerated for finalized observations.' };
           }
 
@@ -56,78 +56,30 @@ const PdfService = (function() {
   }
 
   /**
-   * Generates and saves a PDF for an observation to Google Drive.
-   * This is a private helper function.
-   * @param {string} observationId The ID of the observation to export.
-   * @param {object} userContext The user context object.
-   * @returns {Object} A response object with success status and PDF URL.
+   * Records an observation's PDF status, and its URL when one was generated.
+   * @param {string} observationId The ID of the observation to update.
+   * @param {string} pdfStatus The new PDF status (e.g., 'generated', 'failed', 'outdated').
+   * @param {string} pdfUrl Optional. The generated PDF's URL.
+   * @returns {Object} A response object with success status.
    * @private
    */
   function _updatePdfStatusInSheet(observationId, pdfStatus, pdfUrl = null) {
       debugLog('Starting PDF status update in sheet', { observationId, pdfStatus, pdfUrl: pdfUrl ? 'provided' : 'null' });
 
       try {
-          const spreadsheet = openSpreadsheet();
-          const sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_DATA);
-          if (!sheet) {
-              console.error(`Sheet '${SHEET_NAMES.OBSERVATION_DATA}' not found. Cannot update PDF status.`);
-              return { success: false, error: 'Observation sheet not found' };
-          }
-
-          const row = findObservationRow(sheet, observationId);
-          if (row === -1) {
-              console.error(`Observation ${observationId} not found. Cannot update PDF status.`);
-              return { success: false, error: 'Observation not found in sheet' };
-          }
-
-          const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-          const pdfStatusCol = headers.indexOf('pdfStatus') + 1;
-          const pdfUrlCol = headers.indexOf('pdfUrl') + 1;
-          const lastModifiedCol = headers.indexOf('lastModifiedAt') + 1;
-
-          debugLog('PDF column positions found', {
-              observationId,
-              pdfStatusCol: pdfStatusCol > 0 ? pdfStatusCol : 'MISSING',
-              pdfUrlCol: pdfUrlCol > 0 ? pdfUrlCol : 'MISSING',
-              lastModifiedCol: lastModifiedCol > 0 ? lastModifiedCol : 'available'
-          });
-
-          // Check if required columns exist
-          if (pdfStatusCol === 0) {
-              console.error('pdfStatus column not found in observation sheet');
-              return { success: false, error: 'pdfStatus column missing from sheet' };
-          }
-          if (pdfUrl && pdfUrlCol === 0) {
-              console.error('pdfUrl column not found in observation sheet');
-              return { success: false, error: 'pdfUrl column missing from sheet' };
-          }
-
-          // Update the columns
-          let updatesCount = 0;
-          if (pdfStatusCol > 0) {
-              sheet.getRange(row, pdfStatusCol).setValue(pdfStatus);
-              updatesCount++;
+          const changes = { pdfStatus: pdfStatus };
+          if (pdfUrl) {
+              changes.pdfUrl = pdfUrl;
           }
-          if (pdfUrl && pdfUrlCol > 0) {
-              sheet.getRange(row, pdfUrlCol).setValue(pdfUrl);
-              updatesCount++;
-          }
-          if (lastModifiedCol > 0) {
-              sheet.getRange(row, lastModifiedCol).setValue(new Date().toISOString());
-              updatesCount++;
-          }
-
-          SpreadsheetApp.flush();
-          debugLog('PDF status update completed successfully', { observationId, updatesCount });
 
-          // Manually clear the observation cache since we updated the sheet directly
-          const cache = CacheService.getScriptCache();
-          if (cache) {
-              cache.remove('all_observations');
-              debugLog('Cleared all_observations cache after PDF status update.', { observationId });
+          const result = ObservationRepository.updateFields(observationId, changes);
+          if (!result.success) {
+              console.error(`Could not update PDF status for observation ${observationId}: ${result.error}`);
+              return { success: false, error: result.error };
           }
 
-          return { success: true, updatesCount };
+          debugLog('PDF status update completed successfully', { observationId, fields: Object.keys(changes) });
+          return { success: true };
       } catch (error) {
           console.error(`Error updating PDF status for observation ${observationId}:`, error);
           return { success: false, error: error.message };
@@ -149,7 +101,9 @@ const PdfService = (function() {
           const assignedSubdomains = getAssignedSubdomainsForRoleYear(observation.observedRole, observation.observedYear);
           debugLog('Retrieved assigned subdomains', { observationId, subdomainCount: assignedSubdomains ? assignedSubdomains.length : 'null' });
 
-          const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', assignedSubdomains);
+          // Finalized observations print the rubric text they were scored against
+          const rubricData = getAllDomainsData(observation.observedRole, observation.observedYear, 'full', assignedSubdomains,
+              getObservationRubricVersionId(observation));
 
           if (rubricData.isError) {
               debugLog('PDF generation failed: Rubric data error', { observationId, error: rubricData.errorMessage });
@@ -158,7 +112,8 @@ const PdfService = (function() {
 
           debugLog('Retrieved rubric data for PDF', { observationId, domainCount: rubricData.domains ? rubricData.domains.length : 'null' });
 
-          const docName = `Observation for ${observation.observedName} - ${new Date(observation.finalizedAt || Date.now()).toISOString().slice(0, 10)}`;
+          const docKind = isWalkthroughObservation(observation) ? 'Walkthrough' : 'Observation';
+          const docName = `${docKind} for ${observation.observedName} - ${new Date(observation.finalizedAt || Date.now()).toISOString().slice(0, 10)}`;
 
           // Generate PDF using DocumentApp for proper styling
           let pdfBlob;
@@ -223,14 +178,31 @@ const PdfService = (function() {
       // Clear any default content
       body.clear();
 
-      // Add document header
-      _addDocumentHeader(body, observation);
-
       // Track merge operations needed
       const mergeOperations = [];
 
-      // Add rubric content and collect merge operations
-      _addRubricContentWithMergeTracking(body, observation, rubricData, mergeOperations);
+      if (isWalkthroughObservation(observation)) {
+          // Walkthroughs have no ratings: a one-page summary of the note and look-fors
+          _addWalkthroughContent(body, observation, rubricData);
+      } else {
+          // Add document header
+          _addDocumentHeader(body, observation);
+
+          // Add domain and overall scores
+          _addScoreSection(body, observation, rubricData);
+
+          // Add rubric content and collect merge operations
+          _addRubricContentWithMergeTracking(body, observation, rubricData, mergeOperations);
+      }
+
+      // Add the staff member's growth goals this observation is evidence for
+      _addGrowthGoalsSection(body, getGrowthGoalsForObservation(observation), rubricData);
+
+      // Add the observed staff member's acknowledgement and responses
+      _addStaffResponseSection(body, observation, rubricData);
+
+      // Add the staff member's answers to the observation type's questions
+      _addObservationTypeAnswersSection(body, observation);
 
       // Save before applying merges
       doc.saveAndClose();
@@ -774,6 +746,277 @@ const PdfService = (function() {
   }
 
 
+  /**
+   * Adds a walkthrough's header, one-line note and the look-fors seen, grouped by component in
+   * rubric order.
+   * @param {Body} body The document body
+   * @param {Object} observation The walkthrough
+   * @param {Object} rubricData The rubric structure, used for component order and titles
+   */
+  function _addWalkthroughContent(body, observation, rubricData) {
+      const title = body.appendParagraph(`Walkthrough for ${observation.observedName}`);
+      title.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+      title.getChild(0).asText().setFontSize(16).setBold(true).setForegroundColor('#2d3748');
+
+      const date = observation.observationDate || observation.finalizedAt || observation.createdAt;
+      const details = body.appendParagraph(
+          `Role: ${observation.observedRole} | Year: ${observation.observedYear || 'N/A'}\n` +
+          `Observer: ${observation.observerEmail}\n` +
+          `Date: ${date ? new Date(date).toLocaleDateString() : 'N/A'}`
+      );
+      details.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+
+      if (observation.walkthroughNote) {
+          const note = body.appendParagraph(observation.walkthroughNote);
+          note.getChild(0).asText().setFontSize(11).setItalic(true).setForegroundColor('#2d3748');
+          note.setSpacingBefore(8);
+      }
+
+      const header = body.appendParagraph('Look-Fors Observed');
+      header.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      header.getChild(0).asText().setFontSize(13).setBold(true).setForegroundColor('#2d3748');
+
+      const observationData = observation.observationData || {};
+      const componentIds = [];
+      const titles = {};
+      (rubricData.domains || []).forEach(domain => {
+          (domain.components || []).forEach(component => {
+              componentIds.push(component.componentId);
+              titles[component.componentId] = component.title;
+          });
+      });
+      // Look-fors of components no longer in the rubric still count
+      Object.keys(observationData).forEach(componentId => {
+          if (!componentIds.includes(componentId)) componentIds.push(componentId);
+      });
+
+      let listed = 0;
+      componentIds.forEach(componentId => {
+          const lookFors = (observationData[componentId] || {}).lookfors;
+          if (!Array.isArray(lookFors) || lookFors.length === 0) return;
+
+          const componentTitle = body.appendParagraph(titles[componentId] || componentId);
+          componentTitle.getChild(0).asText().setFontSize(10).setBold(true).setForegroundColor('#2d3748');
+          componentTitle.setSpacingBefore(6).setSpacingAfter(2);
+
+          lookFors.forEach(lookFor => {
+              const item = body.appendParagraph(`• ${lookFor}`);
+              item.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+              item.setIndentFirstLine(20).setSpacingAfter(1);
+          });
+          listed++;
+      });
+
+      if (listed === 0) {
+          const none = body.appendParagraph('No look-fors were checked.');
+          none.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+      }
+  }
+
+  /**
+   * Adds a table of domain scores and the weighted overall score.
+   * Nothing is added when no component has been rated.
+   * @param {Body} body The document body
+   * @param {Object} observation The observation data
+   * @param {Object} rubricData The rubric structure, used for domain names
+   */
+  function _addScoreSection(body, observation, rubricData) {
+      const scores = calculateObservationScores(observation);
+      if (scores.overall === null) {
+          return;
+      }
+
+      const domainNames = {};
+      (rubricData.domains || []).forEach(domain => {
+          domainNames[domain.number] = domain.name;
+      });
+
+      const header = body.appendParagraph('Scores');
+      header.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      header.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+      const rows = [['Domain', 'Score', 'Weight']].concat(scores.domains.map(domain => [
+          domainNames[domain.number] || `Domain ${domain.number}`,
+          `${domain.score} / ${scores.scale.max}`,
+          String(domain.weight)
+      ]));
+      rows.push(['Overall (weighted)', `${scores.overall} / ${scores.scale.max}`, '']);
+
+      const table = body.appendTable(rows);
+      table.setBorderColor(COLORS.PROFICIENCY_HEADER_BG);
+      const headerRow = table.getRow(0);
+      for (let i = 0; i < headerRow.getNumCells(); i++) {
+          headerRow.getCell(i).setBackgroundColor(COLORS.DOMAIN_HEADER_BG)
+              .editAsText().setBold(true).setForegroundColor(COLORS.WHITE);
+      }
+      for (let r = 1; r < table.getNumRows(); r++) {
+          table.getRow(r).editAsText().setFontSize(10).setForegroundColor(COLORS.DARK_GRAY);
+      }
+      table.getRow(table.getNumRows() - 1).editAsText().setBold(true);
+
+      body.appendParagraph('').setSpacingAfter(10);
+  }
+
+  /**
+   * Adds a staff member's professional growth goals: each goal's SMART details, tagged
+   * components, status and evaluator comments. Nothing is added when there are no goals.
+   * @param {Body} body The document body
+   * @param {Array<Object>} goals The growth goals
+   * @param {Object} rubricData The rubric structure, used for component titles
+   */
+  function _addGrowthGoalsSection(body, goals, rubricData) {
+      if (!goals || goals.length === 0) {
+          return;
+      }
+
+      const componentTitles = {};
+      (rubricData.domains || []).forEach(domain => {
+          (domain.components || []).forEach(component => {
+              componentTitles[component.componentId] = component.title;
+          });
+      });
+
+      body.appendParagraph(''); // Empty line
+
+      const header = body.appendParagraph('Professional Growth Goals');
+      header.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      header.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+      goals.forEach(goal => {
+          const title = body.appendParagraph(goal.title);
+          title.getChild(0).asText().setFontSize(11).setBold(true).setForegroundColor('#2d3748');
+          title.setSpacingBefore(8).setSpacingAfter(2);
+
+          const details = body.appendParagraph(
+              `Status: ${goal.status} | Target date: ${new Date(goal.targetDate).toLocaleDateString()}\n` +
+              `Components: ${goal.componentIds.map(componentId => componentTitles[componentId] || componentId).join('; ')}`
+          );
+          details.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+
+          [['Specific', goal.specific], ['Measurable', goal.measurable], ['Achievable', goal.achievable], ['Relevant', goal.relevant]]
+              .filter(([, text]) => text)
+              .forEach(([label, text]) => {
+                  const item = body.appendParagraph(`${label}: ${text}`);
+                  item.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+                  item.setIndentFirstLine(20).setSpacingAfter(1);
+              });
+
+          goal.comments.forEach(comment => {
+              const item = body.appendParagraph(
+                  `${comment.authorName} (${new Date(comment.createdAt).toLocaleDateString()}): ${comment.text}`
+              );
+              item.getChild(0).asText().setFontSize(10).setItalic(true).setForegroundColor('#4a5568');
+              item.setIndentFirstLine(20).setSpacingAfter(1);
+          });
+      });
+  }
+
+  /**
+   * Adds the observed staff member's acknowledgement, signature, and written responses.
+   * Nothing is added until the staff member has acknowledged or responded.
+   * @param {Body} body The document body
+   * @param {Object} observation The observation data
+   * @param {Object} rubricData The rubric structure, used for component titles
+   */
+  function _addStaffResponseSection(body, observation, rubricData) {
+      const statusHistory = Array.isArray(observation.statusHistory) ? observation.statusHistory : [];
+      const acknowledged = statusHistory.filter(entry => entry.to === OBSERVATION_STATUS.ACKNOWLEDGED).pop();
+      const signed = statusHistory.filter(entry => entry.to === OBSERVATION_STATUS.SIGNED).pop();
+      const response = observation.staffResponse || {};
+      const componentResponses = response.components || {};
+      const componentIds = Object.keys(componentResponses);
+
+      if (!acknowledged && !signed && !response.reflection && componentIds.length === 0) {
+          return;
+      }
+
+      body.appendParagraph(''); // Empty line
+
+      const header = body.appendParagraph('Staff Response');
+      header.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      header.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+      if (acknowledged) {
+          const ackParagraph = body.appendParagraph(
+              `Acknowledged by ${observation.observedName} on ${new Date(acknowledged.at).toLocaleString()}`
+          );
+          ackParagraph.getChild(0).asText().setFontSize(11).setForegroundColor('#4a5568');
+      }
+      if (signed) {
+          const signedParagraph = body.appendParagraph(
+              `Signed: ${signed.signature} on ${new Date(signed.at).toLocaleString()}`
+          );
+          signedParagraph.getChild(0).asText().setFontSize(11).setBold(true).setForegroundColor('#2d3748');
+      }
+
+      const addResponse = (label, text) => {
+          const labelParagraph = body.appendParagraph(label);
+          labelParagraph.getChild(0).asText().setFontSize(11).setBold(true).setForegroundColor('#2d3748');
+          labelParagraph.setSpacingBefore(8).setSpacingAfter(2);
+
+          const textParagraph = body.appendParagraph(text);
+          textParagraph.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+      };
+
+      if (response.reflection) {
+          addResponse('Overall Reflection', response.reflection);
+      }
+
+      if (componentIds.length > 0) {
+          const componentTitles = {};
+          (rubricData.domains || []).forEach(domain => {
+              (domain.components || []).forEach(component => {
+                  componentTitles[component.componentId] = component.title;
+              });
+          });
+
+          componentIds.forEach(componentId => {
+              const item = componentResponses[componentId];
+              const kind = item.type === STAFF_RESPONSE_TYPES.REBUTTAL ? 'Rebuttal' : 'Reflection';
+              addResponse(`${componentTitles[componentId] || componentId} - ${kind}`, item.text);
+          });
+      }
+  }
+
+  /**
+   * Adds the observed staff member's answers to the observation type's questions, under the
+   * PDF Section heading configured for the type. Types without one, and observations with no
+   * answers, get no section.
+   * @param {Body} body The document body
+   * @param {Object} observation The observation data
+   */
+  function _addObservationTypeAnswersSection(body, observation) {
+      const definition = getObservationTypeDefinition(observation.Type);
+      if (!definition || !definition.staffResponds || !definition.pdfSection) {
+          return;
+      }
+
+      const answers = getObservationAnswersFromDoc(observation.observationId);
+      if (answers.length === 0) {
+          return;
+      }
+
+      const questionTexts = {};
+      getObservationTypeQuestions(definition.type).forEach(question => {
+          questionTexts[question.questionId] = question.questionText;
+      });
+
+      body.appendParagraph(''); // Empty line
+
+      const header = body.appendParagraph(definition.pdfSection);
+      header.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      header.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+      answers.forEach(answer => {
+          const questionParagraph = body.appendParagraph(questionTexts[answer.questionId] || `Question ${answer.questionId}`);
+          questionParagraph.getChild(0).asText().setFontSize(11).setBold(true).setForegroundColor('#2d3748');
+          questionParagraph.setSpacingBefore(8).setSpacingAfter(2);
+
+          const answerParagraph = body.appendParagraph(answer.answerText);
+          answerParagraph.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+      });
+  }
+
   /**
    * Adds a best practices section with royal blue styling.
    * @param {Body} body The document body
@@ -854,9 +1097,148 @@ const PdfService = (function() {
   }
 
 
+  /**
+   * Flags an observation's existing PDF as outdated, e.g. after the observed staff member
+   * responds. The observer's regenerate action replaces it with an up-to-date copy.
+   * @param {string} observationId The ID of the observation.
+   * @returns {Object} A response object with success status.
+   */
+  function markPdfOutdated(observationId) {
+      const observation = getObservationById(observationId);
+      if (!observation || !observation.pdfUrl) {
+          return { success: true };
+      }
+      return _updatePdfStatusInSheet(observationId, 'outdated');
+  }
+
+  /**
+   * Generates the PDF for a finalized summative evaluation and saves it to the staff member's
+   * Drive folder. The result is recorded on the summative evaluation row.
+   * @param {string} summativeId The ID of the summative evaluation.
+   * @returns {Object} A response object with success status and PDF URL.
+   */
+  function generateSummativePdf(summativeId) {
+      try {
+          const summative = getSummativeEvaluationById(summativeId);
+          if (!summative) {
+              return { success: false, error: 'Summative evaluation not found.' };
+          }
+          if (summative.status !== SUMMATIVE_STATUS.FINALIZED) {
+              return { success: false, error: 'PDF can only be generated for finalized summative evaluations.' };
+          }
+
+          const rollup = buildSummativeRollup(summative.staffEmail, summative.cycle, summative.observationIds);
+          if (!rollup) {
+              return { success: false, error: 'Staff member not found.' };
+          }
+
+          const docName = `Summative Evaluation for ${summative.staffName} - ${summative.cycle}`;
+          const doc = DocumentApp.create(docName);
+          const docId = doc.getId();
+          const body = doc.getBody();
+          body.clear();
+
+          _addSummativeContent(body, summative, rollup);
+
+          const rubricData = getAllDomainsData(rollup.staff.role, rollup.staff.year, VIEW_MODES.FULL);
+          _addGrowthGoalsSection(body, getGrowthGoals(summative.staffEmail, summative.cycle), rubricData.isError ? {} : rubricData);
+          doc.saveAndClose();
+
+          const pdfBlob = DriveApp.getFileById(docId).getBlob().getAs('application/pdf');
+          DriveApp.getFileById(docId).setTrashed(true);
+
+          const staffFolder = _getStaffFolder(summative.staffName, summative.staffEmail);
+          const pdfFile = staffFolder.createFile(pdfBlob).setName(docName + '.pdf');
+          const pdfUrl = `https://drive.google.com/file/d/${pdfFile.getId()}/view`;
+
+          updateSummativePdfStatus(summativeId, 'generated', pdfUrl);
+          debugLog('Summative PDF generated', { summativeId, pdfUrl });
+          return { success: true, pdfUrl: pdfUrl };
+      } catch (error) {
+          console.error(`Error generating summative PDF for ${summativeId}:`, error);
+          updateSummativePdfStatus(summativeId, 'failed');
+          return { success: false, error: 'An unexpected error occurred while generating the summative PDF: ' + error.message };
+      }
+  }
+
+  /**
+   * Adds the summative evaluation: header, included observations, and per domain the
+   * component proficiency history followed by the final rating and rationale.
+   * @param {Body} body The document body
+   * @param {Object} summative The summative evaluation
+   * @param {Object} rollup The rollup from buildSummativeRollup()
+   */
+  function _addSummativeContent(body, summative, rollup) {
+      const titleFor = key => PROFICIENCY_LEVELS.TITLES[PROFICIENCY_LEVELS.KEYS.indexOf(key)] || key;
+      const dateFor = iso => new Date(iso).toLocaleDateString();
+
+      const title = body.appendParagraph(`Summative Evaluation for ${summative.staffName}`);
+      title.setHeading(DocumentApp.ParagraphHeading.HEADING1);
+      title.getChild(0).asText().setFontSize(18).setBold(true).setForegroundColor('#2d3748');
+
+      const details = body.appendParagraph(
+          `Role: ${summative.staffRole} | Year: ${summative.staffYear || 'N/A'} | Cycle: ${summative.cycle}\n` +
+          `Evaluator: ${summative.evaluatorEmail}\n` +
+          `Finalized on: ${summative.finalizedAt ? new Date(summative.finalizedAt).toLocaleString() : 'N/A'}`
+      );
+      details.getChild(0).asText().setFontSize(11).setForegroundColor('#4a5568');
+
+      const observationsHeader = body.appendParagraph('Observations Included');
+      observationsHeader.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      observationsHeader.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+      rollup.observations.forEach(obs => {
+          const item = body.appendParagraph(`• ${dateFor(obs.date)} - ${obs.type}${obs.observationName ? ': ' + obs.observationName : ''}`);
+          item.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+          item.setIndentFirstLine(20).setSpacingAfter(2);
+      });
+
+      rollup.domains.forEach(domain => {
+          const domainHeader = body.appendParagraph(domain.name);
+          domainHeader.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+          domainHeader.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+          const rows = [['Component', 'Proficiency History']].concat(domain.components.map(component => [
+              component.title,
+              component.history.map(entry => `${dateFor(entry.date)} (${entry.type}): ${titleFor(entry.proficiency)}`).join('\n')
+          ]));
+          const table = body.appendTable(rows);
+          table.setBorderColor(COLORS.PROFICIENCY_HEADER_BG);
+          const headerRow = table.getRow(0);
+          for (let i = 0; i < headerRow.getNumCells(); i++) {
+              headerRow.getCell(i).setBackgroundColor(COLORS.DOMAIN_HEADER_BG)
+                  .editAsText().setBold(true).setForegroundColor(COLORS.WHITE);
+          }
+          for (let r = 1; r < table.getNumRows(); r++) {
+              table.getRow(r).editAsText().setFontSize(9).setForegroundColor(COLORS.DARK_GRAY);
+          }
+
+          const domainRating = summative.domainRatings[domain.number] || {};
+          const rating = body.appendParagraph(`Final Rating: ${domainRating.rating ? titleFor(domainRating.rating) : 'Not rated'}`);
+          rating.getChild(0).asText().setFontSize(11).setBold(true).setForegroundColor(COLORS.SELECTED_PROFICIENCY_TEXT);
+          rating.setSpacingBefore(6);
+
+          if (domainRating.rationale) {
+              const rationale = body.appendParagraph(domainRating.rationale);
+              rationale.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+          }
+      });
+
+      if (summative.summaryComments) {
+          const commentsHeader = body.appendParagraph('Summary Comments');
+          commentsHeader.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+          commentsHeader.getChild(0).asText().setFontSize(14).setBold(true).setForegroundColor('#2d3748');
+
+          const comments = body.appendParagraph(summative.summaryComments);
+          comments.getChild(0).asText().setFontSize(10).setForegroundColor('#4a5568');
+      }
+  }
+
   // Public API
   return {
     regenerateObservationPdf: regenerateObservationPdf,
-    processPdfForFinalization: processPdfForFinalization
+    processPdfForFinalization: processPdfForFinalization,
+    markPdfOutdated: markPdfOutdated,
+    generateSummativePdf: generateSummativePdf
   };
 })();
@@ -0,0 +1,55 @@
+/**
+ * ProviderRegistry.js
+ * Shared lookup for the services that talk to an outside vendor through a pluggable provider
+ * (transcription, tag suggestions). Each service has built-in providers created on demand, and
+ * other files can register more under a name, replacing a built-in one of the same name.
+ *
+ * Providers are grouped by kind, e.g. "transcription", which also names the service in messages.
+ * The provider interface itself is up to each service (see the top of its file).
+ */
+
+const ProviderRegistry = (function() {
+  'use strict';
+
+  /**
+   * Registered providers by kind, then name
+   * @type {Object<string, Object<string, Object>>}
+   */
+  const _registered = {};
+
+  /**
+   * Adds a provider, or replaces one of the same name.
+   * @param {string} kind The kind of provider.
+   * @param {string} name The provider name.
+   * @param {Object} provider The provider.
+   */
+  function register(kind, name, provider) {
+    _registered[kind] = _registered[kind] || {};
+    _registered[kind][name] = provider;
+  }
+
+  /**
+   * Gets a provider by name, preferring a registered one over a built-in one.
+   * @param {string} kind The kind of provider.
+   * @param {string} name The provider name.
+   * @param {Object<string, function(): Object>} builtIns Functions creating the built-in providers, keyed by name.
+   * @returns {Object|null} The provider, or null if no provider has that name.
+   */
+  function get(kind, name, builtIns) {
+    const registered = _registered[kind] && _registered[kind][name];
+    if (registered) {
+      return registered;
+    }
+    if (Object.prototype.hasOwnProperty.call(builtIns, name)) {
+      return builtIns[name]();
+    }
+    console.error(`Unknown ${kind} provider: ${name}`);
+    return null;
+  }
+
+  // Public API
+  return {
+    register: register,
+    get: get
+  };
+})();
@@ -0,0 +1,476 @@
+/**
+ * RubricService.js
+ * Role sheet rubrics: parses a role sheet into domains and components, and backs the in-app
+ * rubric editor for Full Access users.
+ *
+ * Role sheets use the marker layout (RUBRIC_LAYOUTS.MARKERS):
+ *   Row 1: title; row 2: subtitle
+ *   "Domain 1: Planning and Preparation"   starts a domain
+ *   "1a: Demonstrating Knowledge..."       a component of that domain, with the Developing,
+ *                                          Basic, Proficient and Distinguished descriptors in B-E
+ *   "Look-fors"                            look-fors of the component above, one per line in B
+ * Blank rows are ignored, so domains and components can be added anywhere. Sheets without any
+ * "Domain" row are read with the legacy fixed row ranges in DOMAIN_CONFIGS until the rubric
+ * editor saves them, which rewrites them in the marker layout.
+ *
+ * Component IDs are what observations, Settings assignments and growth goals store, so the editor
+ * never renumbers: a kept component keeps its ID wherever it is moved, and only added domains and
+ * components get new numbers and letters, after the highest ones in use.
+ */
+
+/**
+ * Parses a role sheet into rubric domains.
+ * @param {Array<Array>} values The role sheet values.
+ * @returns {Object} { layout, domains: [{ number, name, components }], issues } where components
+ *     match processDomainData()'s ({ title, developing, basic, proficient, distinguished,
+ *     bestPractices }) and issues are validation issues with the 1-based sheet row.
+ */
+function parseRubricSheet(values) {
+  const rows = Array.isArray(values) ? values : [];
+  const usesMarkers = rows.some((row, index) => index >= 2 && row && CONTENT_PATTERNS.DOMAIN_HEADER.test(sanitizeText(row[0])));
+  if (!usesMarkers) {
+    return { layout: RUBRIC_LAYOUTS.LEGACY, domains: processLegacyTeacherDomains(rows), issues: [] };
+  }
+
+  const domains = [];
+  const issues = [];
+  const componentIds = {};
+  const issue = (row, severity, message) => {
+    issues.push({ type: VALIDATION_ERROR_TYPES.DATA_CORRUPTION, severity: severity, row: row, message: `Row ${row}: ${message}` });
+  };
+  let domain = null;
+  let component = null;
+  let componentHasLookFors = false;
+
+  for (let index = 2; index < rows.length; index++) {
+    const row = rows[index] || [];
+    const label = sanitizeText(row[0]);
+    const rowNumber = index + 1;
+    if (!label) continue;
+
+    const domainMatch = label.match(CONTENT_PATTERNS.DOMAIN_HEADER);
+    const componentMatch = label.match(CONTENT_PATTERNS.COMPONENT_PATTERN);
+
+    if (domainMatch) {
+      const number = parseInt(domainMatch[1], 10);
+      component = null;
+      if (domains.some(existing => existing.number === number)) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, `Domain ${number} appears more than once.`);
+        domain = null;
+        continue;
+      }
+      domain = { number: number, name: label, components: [], row: rowNumber };
+      domains.push(domain);
+    } else if (componentMatch) {
+      const componentId = `${componentMatch[1]}${componentMatch[2].toLowerCase()}:`;
+      component = null;
+      if (!domain) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, `Component ${componentId} is not under a "Domain ${componentMatch[1]}:" row.`);
+        continue;
+      }
+      if (parseInt(componentMatch[1], 10) !== domain.number) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, `Component ${componentId} is under Domain ${domain.number}; its number must match its domain.`);
+        continue;
+      }
+      if (componentIds[componentId]) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, `Component ${componentId} already appears in row ${componentIds[componentId]}.`);
+        continue;
+      }
+      componentIds[componentId] = rowNumber;
+
+      component = {
+        title: componentId + label.slice(componentMatch[0].length),
+        bestPractices: []
+      };
+      PROFICIENCY_LEVELS.KEYS.forEach((level, levelIndex) => {
+        component[level] = sanitizeText(row[levelIndex + 1]);
+        if (!component[level]) {
+          issue(rowNumber, VALIDATION_SEVERITY.WARNING, `Component ${componentId} has no ${PROFICIENCY_LEVELS.TITLES[levelIndex]} descriptor.`);
+        }
+      });
+      componentHasLookFors = false;
+      domain.components.push(component);
+    } else if (CONTENT_PATTERNS.LOOK_FORS_HEADER.test(label)) {
+      if (!component) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, 'Look-fors row is not below a component.');
+      } else if (componentHasLookFors) {
+        issue(rowNumber, VALIDATION_SEVERITY.ERROR, `Component ${extractComponentId(component.title)} already has a look-fors row.`);
+      } else {
+        component.bestPractices = parseMultilineCell(row[1]);
+        componentHasLookFors = true;
+      }
+    } else {
+      issue(rowNumber, VALIDATION_SEVERITY.WARNING, `"${label}" is not a domain, component or look-fors row and was ignored.`);
+    }
+  }
+
+  domains.forEach(parsed => {
+    if (parsed.components.length === 0) {
+      issue(parsed.row, VALIDATION_SEVERITY.ERROR, `Domain ${parsed.number} has no components.`);
+    }
+    delete parsed.row;
+  });
+  domains.sort((a, b) => a.number - b.number);
+
+  return { layout: RUBRIC_LAYOUTS.MARKERS, domains: domains, issues: issues };
+}
+
+/**
+ * Renames domains with the Domain Names set for the role in the Roles sheet. Names without a
+ * "Domain N:" prefix get one.
+ * @param {Array<Object>} domains Domains from parseRubricSheet().
+ * @param {string} roleName The role the rubric belongs to.
+ * @returns {Array<Object>} The same domains, renamed where the Roles sheet names them.
+ */
+function applyRoleDomainNames(domains, roleName) {
+  const roleConfig = getRoleConfig(roleName);
+  if (!roleConfig || roleConfig.domainNames.length === 0) return domains;
+
+  domains.forEach((domain, index) => {
+    const name = roleConfig.domainNames[index];
+    if (!name) return;
+    domain.name = CONTENT_PATTERNS.DOMAIN_HEADER.test(name) ? name : `Domain ${domain.number}: ${name}`;
+  });
+  return domains;
+}
+
+/**
+ * Builds the editable rubric from a role sheet's values, using the same parser the rubric
+ * views use so the editor shows exactly what observers see.
+ * @param {Array<Array>} values The role sheet values.
+ * @returns {Object} { title, subtitle, layout, domains: [{ number, name, components }] }
+ */
+function readRubricFromSheetValues(values) {
+  const parsed = parseRubricSheet(values);
+
+  return {
+    title: values[0] ? sanitizeText(values[0][0]) : '',
+    subtitle: values[1] ? sanitizeText(values[1][0]) : '',
+    layout: parsed.layout,
+    domains: parsed.domains.map(domain => ({
+      number: domain.number,
+      name: domain.name.replace(CONTENT_PATTERNS.DOMAIN_HEADER, '').trim(),
+      components: domain.components.map(component => ({
+        componentId: extractComponentId(component.title),
+        name: component.title.replace(VALIDATION_PATTERNS.COMPONENT_ID, '').trim(),
+        developing: component.developing,
+        basic: component.basic,
+        proficient: component.proficient,
+        distinguished: component.distinguished,
+        lookFors: component.bestPractices.slice()
+      }))
+    }))
+  };
+}
+
+/**
+ * Cleans up an edited rubric from the client. Domains and components loaded from the sheet keep
+ * their number and ID; added ones (without a number or ID) get the next free ones.
+ * @param {Object} rubric The edited rubric.
+ * @returns {Object} The normalized rubric.
+ */
+function normalizeRubric(rubric) {
+  const domains = (rubric && Array.isArray(rubric.domains)) ? rubric.domains : [];
+
+  const keptNumbers = [];
+  domains.forEach(domain => {
+    const number = Number(domain.number);
+    if (Number.isInteger(number) && number > 0 && !keptNumbers.includes(number)) keptNumbers.push(number);
+  });
+  let nextNumber = Math.max(0, ...keptNumbers) + 1;
+  const usedNumbers = [];
+
+  return {
+    title: sanitizeText(rubric && rubric.title),
+    subtitle: sanitizeText(rubric && rubric.subtitle),
+    domains: domains.map(domain => {
+      let number = Number(domain.number);
+      if (!keptNumbers.includes(number) || usedNumbers.includes(number)) {
+        number = nextNumber++;
+      }
+      usedNumbers.push(number);
+
+      const components = Array.isArray(domain.components) ? domain.components : [];
+      const idPattern = new RegExp(`^${number}[a-z]:$`);
+      const keptIds = [];
+      components.forEach(component => {
+        const componentId = sanitizeText(component.componentId).toLowerCase();
+        if (idPattern.test(componentId) && !keptIds.includes(componentId)) keptIds.push(componentId);
+      });
+      const usedIds = [];
+
+      return {
+        number: number,
+        name: sanitizeText(domain.name).replace(CONTENT_PATTERNS.DOMAIN_HEADER, '').replace(/\s+/g, ' ').trim(),
+        components: components.map(component => {
+          let componentId = sanitizeText(component.componentId).toLowerCase();
+          if (!keptIds.includes(componentId) || usedIds.includes(componentId)) {
+            componentId = `${number}${_nextComponentLetter(keptIds.concat(usedIds))}:`;
+          }
+          usedIds.push(componentId);
+
+          const normalized = {
+            componentId: componentId,
+            name: sanitizeText(component.name).replace(/\s+/g, ' ')
+          };
+          PROFICIENCY_LEVELS.KEYS.forEach(level => {
+            normalized[level] = sanitizeText(component[level]);
+          });
+          const lookFors = Array.isArray(component.lookFors) ? component.lookFors : parseMultilineCell(component.lookFors);
+          normalized.lookFors = lookFors.map(sanitizeText).filter(Boolean);
+          return normalized;
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Picks the letter for a component added to a domain: the one after the highest letter in use, so
+ * a removed last component's letter is only reused once z is taken.
+ * @param {Array<string>} usedIds Component IDs in use in the domain, e.g. "1a:".
+ * @returns {string} The letter. Past z when all 26 are taken, which validateRubric() refuses.
+ * @private
+ */
+function _nextComponentLetter(usedIds) {
+  const used = usedIds.map(componentId => componentId.charCodeAt(componentId.length - 2) - 97);
+  const next = Math.max(-1, ...used) + 1;
+  if (next < 26) return String.fromCharCode(97 + next);
+  for (let index = 0; index < 26; index++) {
+    if (!used.includes(index)) return String.fromCharCode(97 + index);
+  }
+  return String.fromCharCode(97 + used.length);
+}
+
+/**
+ * Checks an edited rubric before it is written.
+ * @param {Object} rubric A rubric from normalizeRubric().
+ * @returns {Object} { isValid, errors: Array<string> }
+ */
+function validateRubric(rubric) {
+  const errors = [];
+
+  if (!rubric.title) errors.push('The rubric needs a title.');
+  if (rubric.domains.length === 0) errors.push('The rubric needs at least one domain.');
+
+  rubric.domains.forEach(domain => {
+    const label = `Domain ${domain.number}`;
+    if (!domain.name) errors.push(`${label} needs a name.`);
+    if (domain.components.length === 0) errors.push(`${label} needs at least one component.`);
+    if (domain.components.length > 26) errors.push(`${label} can hold at most 26 components (a-z).`);
+
+    domain.components.forEach(component => {
+      if (!component.name) errors.push(`${component.componentId} needs a name.`);
+      PROFICIENCY_LEVELS.KEYS.forEach((level, index) => {
+        if (!component[level]) {
+          errors.push(`${component.componentId} needs a ${PROFICIENCY_LEVELS.TITLES[index]} descriptor.`);
+        }
+      });
+    });
+  });
+
+  return { isValid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Lays a rubric out as role sheet values in the marker layout. The result covers at least the
+ * current sheet's size so rows and columns from the previous layout are cleared.
+ * @param {Array<Array>} values The current role sheet values.
+ * @param {Object} rubric A valid rubric from normalizeRubric().
+ * @returns {Array<Array>} The new sheet values.
+ */
+function buildRubricSheetValues(values, rubric) {
+  const rows = [[rubric.title], [rubric.subtitle]];
+  rubric.domains.forEach(domain => {
+    rows.push([]);
+    rows.push([`Domain ${domain.number}: ${domain.name}`]);
+    domain.components.forEach(component => {
+      rows.push([`${component.componentId} ${component.name}`].concat(PROFICIENCY_LEVELS.KEYS.map(level => component[level])));
+      if (component.lookFors.length > 0) {
+        rows.push(['Look-fors', component.lookFors.join('\n')]);
+      }
+    });
+  });
+
+  const height = Math.max(rows.length, values.length);
+  const width = Math.max(PROFICIENCY_LEVELS.KEYS.length + 1, ...values.map(row => row.length));
+  const result = [];
+  for (let i = 0; i < height; i++) {
+    const row = (rows[i] || []).slice();
+    while (row.length < width) row.push('');
+    result.push(row);
+  }
+  return result;
+}
+
+/**
+ * Lists what changed between two rubrics, component by component.
+ * @param {Object} before The rubric as it was.
+ * @param {Object} after The rubric as saved.
+ * @returns {Array<Object>} Changes: { componentId, field, before, after }.
+ */
+function diffRubrics(before, after) {
+  const changes = [];
+  ['title', 'subtitle'].forEach(field => {
+    if (before[field] !== after[field]) changes.push({ componentId: null, field: field, before: before[field], after: after[field] });
+  });
+  const domainName = (rubric, number) => {
+    const domain = rubric.domains.find(candidate => candidate.number === number);
+    return domain ? domain.name : null;
+  };
+  const domainNumbers = Array.from(new Set(before.domains.concat(after.domains).map(domain => domain.number))).sort((a, b) => a - b);
+  domainNumbers.forEach(number => {
+    const oldName = domainName(before, number);
+    const newName = domainName(after, number);
+    if (oldName !== newName) changes.push({ componentId: null, field: `domain ${number}`, before: oldName, after: newName });
+  });
+
+  const componentsById = rubric => {
+    const map = {};
+    rubric.domains.forEach(domain => domain.components.forEach(component => { map[component.componentId] = component; }));
+    return map;
+  };
+  const oldComponents = componentsById(before);
+  const newComponents = componentsById(after);
+  const ids = Array.from(new Set(Object.keys(oldComponents).concat(Object.keys(newComponents)))).sort();
+
+  ids.forEach(componentId => {
+    const oldComponent = oldComponents[componentId];
+    const newComponent = newComponents[componentId];
+    if (!oldComponent || !newComponent) {
+      changes.push({
+        componentId: componentId,
+        field: oldComponent ? 'removed' : 'added',
+        before: oldComponent ? oldComponent.name : null,
+        after: newComponent ? newComponent.name : null
+      });
+      return;
+    }
+    ['name'].concat(PROFICIENCY_LEVELS.KEYS).forEach(field => {
+      if (oldComponent[field] !== newComponent[field]) {
+        changes.push({ componentId: componentId, field: field, before: oldComponent[field], after: newComponent[field] });
+      }
+    });
+    if (oldComponent.lookFors.join('\n') !== newComponent.lookFors.join('\n')) {
+      changes.push({ componentId: componentId, field: 'lookFors', before: oldComponent.lookFors, after: newComponent.lookFors });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Checks that the user may edit rubrics and that the role has a rubric sheet.
+ * @param {Object} userContext The user's context.
+ * @param {string} roleName The role whose rubric is edited.
+ * @returns {Object} { sheet } or a failed response object.
+ * @private
+ */
+function _getEditableRubricSheet(userContext, roleName) {
+  if (!userContext || userContext.role !== SPECIAL_ROLES.FULL_ACCESS) {
+    return { success: false, error: ERROR_MESSAGES.PERMISSION_DENIED };
+  }
+  const roleConfig = getRoleConfig(roleName);
+  if (!roleConfig) {
+    return { success: false, error: `Unknown role: ${roleName}` };
+  }
+  const sheet = getSheetByName(openSpreadsheet(), roleConfig.sheetName);
+  if (!sheet) {
+    return { success: false, error: `The "${roleConfig.sheetName}" rubric sheet does not exist.` };
+  }
+  return { sheet: sheet };
+}
+
+/**
+ * Loads a role's rubric for editing.
+ * @param {Object} userContext The user's context (Full Access only).
+ * @param {string} roleName The role whose rubric is edited.
+ * @returns {Object} A response object with the rubric, the problems found in the sheet and the
+ *     sheet hash to send back on save.
+ */
+function getRubricForEditing(userContext, roleName) {
+  try {
+    const access = _getEditableRubricSheet(userContext, roleName);
+    if (!access.sheet) return access;
+
+    const values = access.sheet.getDataRange().getValues();
+    return {
+      success: true,
+      roleName: roleName,
+      rubric: readRubricFromSheetValues(values),
+      sheetIssues: parseRubricSheet(values).issues.map(issue => issue.message),
+      baseHash: generateDataHash(values)
+    };
+  } catch (error) {
+    console.error('Error in getRubricForEditing:', error);
+    return { success: false, error: 'Failed to load the rubric: ' + error.message };
+  }
+}
+
+/**
+ * Saves an edited rubric to its role sheet. The edit is refused when the sheet changed since
+ * it was loaded, when the rubric is incomplete, or when validateRoleSheetData() finds errors in
+ * the resulting sheet. Saved changes are passed to processRubricContentChange() to clear caches
+ * and record who changed what.
+ * @param {Object} userContext The user's context (Full Access only).
+ * @param {string} roleName The role whose rubric is edited.
+ * @param {Object} editedRubric The rubric from the editor.
+ * @param {string} baseHash The hash returned by getRubricForEditing().
+ * @returns {Object} A response object with the saved rubric, its new hash and the changes.
+ */
+function saveRubric(userContext, roleName, editedRubric, baseHash) {
+  try {
+    const access = _getEditableRubricSheet(userContext, roleName);
+    if (!access.sheet) return access;
+
+    const rubric = normalizeRubric(editedRubric);
+    const validation = validateRubric(rubric);
+    if (!validation.isValid) {
+      return { success: false, error: 'The rubric could not be saved. Fix the problems listed and try again.', errors: validation.errors };
+    }
+
+    const lock = ObservationRepository.getLock();
+    let changes;
+    let newValues;
+    let newHash;
+    try {
+      lock.waitLock(30000);
+      const sheet = access.sheet;
+      const values = sheet.getDataRange().getValues();
+      if (baseHash && generateDataHash(values) !== baseHash) {
+        return { success: false, error: 'This rubric was changed by someone else since you opened it. Reload it and make your changes again.', changedElsewhere: true };
+      }
+
+      newValues = buildRubricSheetValues(values, rubric);
+      const sheetValidation = validateRoleSheetData({ roleName: roleName, data: newValues });
+      const problems = sheetValidation.issues.filter(issue =>
+        issue.severity === VALIDATION_SEVERITY.ERROR || issue.severity === VALIDATION_SEVERITY.CRITICAL);
+      if (!sheetValidation.isValid || problems.length > 0) {
+        return { success: false, error: 'The rubric could not be saved. Fix the problems listed and try again.', errors: problems.map(issue => issue.message) };
+      }
+
+      changes = diffRubrics(readRubricFromSheetValues(values), readRubricFromSheetValues(newValues));
+      if (changes.length > 0) {
+        sheet.getRange(1, 1, newValues.length, newValues[0].length).setValues(newValues);
+      }
+      newHash = generateDataHash(sheet.getDataRange().getValues());
+    } finally {
+      lock.releaseLock();
+    }
+
+    if (changes.length > 0) {
+      processRubricContentChange(roleName, null, null, null, null, generateUniqueId('rubric_editor'), changes);
+    }
+
+    return {
+      success: true,
+      roleName: roleName,
+      rubric: readRubricFromSheetValues(newValues),
+      baseHash: newHash,
+      changes: changes
+    };
+  } catch (error) {
+    console.error('Error in saveRubric:', error);
+    return { success: false, error: 'Failed to save the rubric: ' + error.message };
+  }
+}
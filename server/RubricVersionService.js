@@ -0,0 +1,183 @@
+/**
+ * RubricVersionService.js
+ * Immutable copies of a role's rubric text, so finalized observations keep rendering against
+ * the descriptors that were in force when they were scored. A version is recorded whenever an
+ * observation is created or finalized and the rubric changed since the role's last version;
+ * its ID is stored in the observation's rubricVersionId column.
+ *
+ * The Rubric_Versions sheet holds one row per component so no cell comes near the sheet's
+ * size limit.
+ */
+
+const RUBRIC_VERSION_HEADERS = [
+  'versionId', 'roleName', 'createdAt', 'createdBy', 'contentHash', 'title', 'subtitle',
+  'domainNumber', 'domainName', 'component'
+];
+
+/**
+ * Gets the Rubric_Versions sheet, creating it with headers if needed.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+ * @private
+ */
+function _getRubricVersionsSheet() {
+  const spreadsheet = openSpreadsheet();
+  let sheet = getSheetByName(spreadsheet, SHEET_NAMES.RUBRIC_VERSIONS);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAMES.RUBRIC_VERSIONS);
+    sheet.getRange(1, 1, 1, RUBRIC_VERSION_HEADERS.length).setValues([RUBRIC_VERSION_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Reads a role's current rubric as it is rendered.
+ * @param {string} roleName The role.
+ * @returns {Object|null} { roleName, title, subtitle, domains, contentHash }, or null when the
+ *     role sheet can't be used.
+ * @private
+ */
+function _getCurrentRubricContent(roleName) {
+  const roleSheetData = getRoleSheetData(roleName);
+  if (!roleSheetData || (roleSheetData.validation && roleSheetData.validation.isErrorData)) {
+    return null;
+  }
+
+  const content = {
+    roleName: roleSheetData.roleName,
+    title: roleSheetData.title,
+    subtitle: roleSheetData.subtitle,
+    domains: applyRoleDomainNames(parseRubricSheet(roleSheetData.data).domains, roleSheetData.roleName)
+  };
+  content.contentHash = generateDataHash([content.title, content.subtitle, content.domains]);
+  return content;
+}
+
+/**
+ * Returns the ID of the rubric version matching a role's current rubric, recording a new version
+ * if the rubric changed since the last one. Errors are logged rather than thrown so versioning
+ * never blocks creating or finalizing an observation.
+ * @param {string} roleName The role whose rubric is versioned.
+ * @returns {string|null} The version ID, or null when the rubric couldn't be read or saved.
+ */
+function ensureRubricVersion(roleName) {
+  try {
+    const content = _getCurrentRubricContent(roleName);
+    if (!content) {
+      console.warn(`No rubric version recorded for ${roleName}: the role sheet could not be read.`);
+      return null;
+    }
+
+    const properties = PropertiesService.getScriptProperties();
+    const propertyKey = RUBRIC_VERSION_SETTINGS.LATEST_PROPERTY_PREFIX + content.roleName;
+    const latest = JSON.parse(properties.getProperty(propertyKey) || 'null');
+    if (latest && latest.contentHash === content.contentHash) {
+      return latest.versionId;
+    }
+
+    const lock = ObservationRepository.getLock();
+    lock.waitLock(30000);
+    try {
+      const sheet = _getRubricVersionsSheet();
+      const values = sheet.getDataRange().getValues();
+      const headers = values[0];
+      const roleCol = headers.indexOf('roleName');
+      const hashCol = headers.indexOf('contentHash');
+
+      // Another execution may have recorded this content already
+      const existing = values.slice(1).reverse().find(row => row[roleCol] === content.roleName);
+      let versionId;
+      if (existing && existing[hashCol] === content.contentHash) {
+        versionId = existing[headers.indexOf('versionId')];
+      } else {
+        versionId = generateUniqueId('rubric');
+        const createdAt = new Date().toISOString();
+        const createdBy = Session.getActiveUser().getEmail();
+        const rows = [];
+        content.domains.forEach(domain => {
+          domain.components.forEach(component => {
+            rows.push([versionId, content.roleName, createdAt, createdBy, content.contentHash, content.title,
+              content.subtitle, domain.number, domain.name, JSON.stringify(component)]);
+          });
+        });
+        if (rows.length > 0) {
+          sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, RUBRIC_VERSION_HEADERS.length).setValues(rows);
+        }
+        debugLog('Recorded rubric version', { versionId: versionId, roleName: content.roleName, components: rows.length });
+      }
+
+      properties.setProperty(propertyKey, JSON.stringify({ versionId: versionId, contentHash: content.contentHash }));
+      return versionId;
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    console.error(`Error recording rubric version for ${roleName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Loads a rubric version.
+ * @param {string} versionId The version ID.
+ * @returns {Object|null} { versionId, roleName, createdAt, title, subtitle, domains } with domains
+ *     shaped like parseRubricSheet()'s, or null if the version doesn't exist.
+ */
+function getRubricVersion(versionId) {
+  if (!versionId) return null;
+
+  try {
+    const cache = CacheService.getScriptCache();
+    const cacheKey = RUBRIC_VERSION_SETTINGS.CACHE_KEY_PREFIX + versionId;
+    const cached = cache.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.RUBRIC_VERSIONS);
+    if (!sheet || sheet.getLastRow() < 2) return null;
+
+    const values = sheet.getDataRange().getValues();
+    const headers = values[0];
+    const column = name => headers.indexOf(name);
+    const rows = values.slice(1).filter(row => row[column('versionId')] === versionId);
+    if (rows.length === 0) return null;
+
+    const version = {
+      versionId: versionId,
+      roleName: rows[0][column('roleName')],
+      createdAt: rows[0][column('createdAt')],
+      title: rows[0][column('title')],
+      subtitle: rows[0][column('subtitle')],
+      domains: []
+    };
+    rows.forEach(row => {
+      const number = Number(row[column('domainNumber')]);
+      let domain = version.domains.find(candidate => candidate.number === number);
+      if (!domain) {
+        domain = { number: number, name: row[column('domainName')], components: [] };
+        version.domains.push(domain);
+      }
+      domain.components.push(JSON.parse(row[column('component')]));
+    });
+
+    try {
+      cache.put(cacheKey, JSON.stringify(version), RUBRIC_VERSION_SETTINGS.CACHE_TTL);
+    } catch (cacheError) {
+      debugLog('Rubric version too large to cache', { versionId: versionId });
+    }
+    return version;
+  } catch (error) {
+    console.error(`Error loading rubric version ${versionId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Gets the rubric version an observation renders against: the one stored on it once it is
+ * finalized. Drafts and observations from before rubric versioning use the live rubric.
+ * @param {Object} observation The observation.
+ * @returns {string|null} The version ID, or null for the live rubric.
+ */
+function getObservationRubricVersionId(observation) {
+  if (!observation || !observation.rubricVersionId) return null;
+  return FINALIZED_OBSERVATION_STATUSES.includes(observation.status) ? observation.rubricVersionId : null;
+}
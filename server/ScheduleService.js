@@ -0,0 +1,349 @@
+/**
+ * ScheduleService.js
+ * Observation scheduling: each plan pairs an evaluator and a staff member with a
+ * pre-conference, the observation itself, and a post-conference. Events are tracked
+ * as Scheduled, Completed or Cancelled, flagged when overdue, and exported as .ics.
+ */
+
+/**
+ * Checks whether a scheduled event has ended without being completed or cancelled.
+ * @param {Object} event The scheduled event.
+ * @param {Date} now Optional. The current time.
+ * @returns {boolean} True if the event is overdue.
+ */
+function isScheduleEventOverdue(event, now = new Date()) {
+  if (!event || event.status !== SCHEDULE_STATUS.SCHEDULED) return false;
+  const endsAt = new Date(event.scheduledAt).getTime() + event.durationMinutes * 60000;
+  return endsAt < now.getTime();
+}
+
+/**
+ * Reads all scheduled events. A blank duration reads as the default.
+ * @returns {Array<Object>} Records keyed by header, each with its 1-based sheet row in `_row`.
+ * @private
+ */
+function _getScheduleRecords() {
+  return SheetRecordStore.getRecords(SHEET_RECORD_SCHEMAS.OBSERVATION_SCHEDULE).map(_withDefaultDuration);
+}
+
+/**
+ * @param {Object} record A scheduled event record.
+ * @returns {Object} The record, with the default duration if it has none.
+ * @private
+ */
+function _withDefaultDuration(record) {
+  record.durationMinutes = Number(record.durationMinutes) || SCHEDULE_SETTINGS.DEFAULT_DURATION_MINUTES;
+  return record;
+}
+
+/**
+ * Strips sheet bookkeeping from a record and adds the computed overdue flag.
+ * @param {Object} record A record from _getScheduleRecords().
+ * @param {Date} now Optional. The current time.
+ * @returns {Object} The scheduled event.
+ * @private
+ */
+function _toScheduleEvent(record, now = new Date()) {
+  if (!record) return null;
+  const event = Object.assign({}, record);
+  delete event._row;
+  event.isOverdue = isScheduleEventOverdue(event, now);
+  return event;
+}
+
+/**
+ * Retrieves a scheduled event by ID.
+ * @param {string} scheduleId The event ID.
+ * @returns {Object|null} The event, or null if not found.
+ */
+function getScheduleEventById(scheduleId) {
+  return _toScheduleEvent(_getScheduleRecords().find(record => record.scheduleId === scheduleId));
+}
+
+/**
+ * Lists scheduled events, oldest first.
+ * @param {{evaluatorEmail?: string, staffEmail?: string, includeCancelled?: boolean}} criteria
+ *     Optional. Restrict to an evaluator and/or staff member.
+ * @returns {Array<Object>} Matching events.
+ */
+function getScheduleEvents(criteria = {}) {
+  const now = new Date();
+  return _getScheduleRecords()
+    .filter(record => !criteria.evaluatorEmail || record.evaluatorEmail === criteria.evaluatorEmail)
+    .filter(record => !criteria.staffEmail || record.staffEmail === criteria.staffEmail)
+    .filter(record => criteria.includeCancelled || record.status !== SCHEDULE_STATUS.CANCELLED)
+    .map(record => _toScheduleEvent(record, now))
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+}
+
+/**
+ * Builds an evaluator's schedule: all events plus the upcoming and overdue lists.
+ * @param {string} evaluatorEmail The evaluator's email.
+ * @param {Date} now Optional. The current time.
+ * @returns {Object} { events, upcoming, overdue }
+ */
+function getScheduleOverview(evaluatorEmail, now = new Date()) {
+  const events = getScheduleEvents({ evaluatorEmail: evaluatorEmail });
+  const windowEnd = now.getTime() + SCHEDULE_SETTINGS.UPCOMING_DAYS * 24 * 60 * 60 * 1000;
+
+  return {
+    events: events,
+    upcoming: events.filter(event => {
+      const start = new Date(event.scheduledAt).getTime();
+      return event.status === SCHEDULE_STATUS.SCHEDULED && start >= now.getTime() && start <= windowEnd;
+    }),
+    overdue: events.filter(event => isScheduleEventOverdue(event, now))
+  };
+}
+
+/**
+ * Validates and normalizes the editable fields of a scheduled event.
+ * @param {Object} input { scheduledAt, durationMinutes, location, notes }; missing fields are skipped.
+ * @returns {Object} { fields } or { error }
+ * @private
+ */
+function _normalizeScheduleFields(input) {
+  const fields = {};
+
+  if (input.scheduledAt !== undefined) {
+    const date = new Date(input.scheduledAt);
+    if (!input.scheduledAt || isNaN(date.getTime())) {
+      return { error: 'A valid date and time is required.' };
+    }
+    fields.scheduledAt = date.toISOString();
+  }
+
+  if (input.durationMinutes !== undefined && input.durationMinutes !== '') {
+    const duration = Number(input.durationMinutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > SCHEDULE_SETTINGS.MAX_DURATION_MINUTES) {
+      return { error: `Duration must be between 1 and ${SCHEDULE_SETTINGS.MAX_DURATION_MINUTES} minutes.` };
+    }
+    fields.durationMinutes = duration;
+  }
+
+  if (input.location !== undefined) {
+    fields.location = sanitizeText(input.location);
+    if (fields.location.length > INPUT_LIMITS.scheduleLocation) {
+      return { error: `Location must be ${INPUT_LIMITS.scheduleLocation} characters or fewer.` };
+    }
+  }
+
+  if (input.notes !== undefined) {
+    fields.notes = sanitizeText(input.notes);
+    if (fields.notes.length > INPUT_LIMITS.scheduleNotes) {
+      return { error: `Notes must be ${INPUT_LIMITS.scheduleNotes} characters or fewer.` };
+    }
+  }
+
+  return { fields: fields };
+}
+
+/**
+ * Schedules a pre-conference, observation and/or post-conference for a staff member.
+ * @param {string} evaluatorEmail The evaluator creating the plan.
+ * @param {string} staffEmail The staff member being observed.
+ * @param {Array<{eventType: string, scheduledAt: string, durationMinutes?: number, location?: string, notes?: string}>} events
+ *     At most one event per SCHEDULE_EVENT_TYPES value, in chronological order.
+ * @returns {Object} A response object with the planId and created events.
+ */
+function createObservationPlan(evaluatorEmail, staffEmail, events) {
+  if (!evaluatorEmail || !staffEmail) {
+    return { success: false, error: 'Evaluator and staff emails are required.' };
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return { success: false, error: 'Schedule at least one event.' };
+  }
+
+  const staff = getUserByEmail(staffEmail);
+  if (!staff) {
+    return { success: false, error: 'Staff member not found.' };
+  }
+
+  const eventOrder = Object.values(SCHEDULE_EVENT_TYPES);
+  const planId = generateUniqueId('plan');
+  const now = new Date().toISOString();
+  const newEvents = [];
+
+  for (let i = 0; i < events.length; i++) {
+    const input = events[i] || {};
+    if (!eventOrder.includes(input.eventType)) {
+      return { success: false, error: `Unknown event type: ${input.eventType}` };
+    }
+    if (newEvents.some(event => event.eventType === input.eventType)) {
+      return { success: false, error: `Only one ${input.eventType} can be scheduled per plan.` };
+    }
+
+    const normalized = _normalizeScheduleFields({
+      scheduledAt: input.scheduledAt || '',
+      durationMinutes: input.durationMinutes,
+      location: input.location || '',
+      notes: input.notes || ''
+    });
+    if (normalized.error) {
+      return { success: false, error: `${input.eventType}: ${normalized.error}` };
+    }
+
+    newEvents.push(Object.assign({
+      scheduleId: generateUniqueId('sched'),
+      planId: planId,
+      evaluatorEmail: evaluatorEmail,
+      staffEmail: staffEmail,
+      staffName: staff.name,
+      eventType: input.eventType,
+      durationMinutes: SCHEDULE_SETTINGS.DEFAULT_DURATION_MINUTES,
+      status: SCHEDULE_STATUS.SCHEDULED,
+      completedAt: '',
+      observationId: '',
+      createdAt: now,
+      lastModifiedAt: now
+    }, normalized.fields));
+  }
+
+  // Events must follow pre-conference -> observation -> post-conference
+  const ordered = newEvents.slice().sort((a, b) => eventOrder.indexOf(a.eventType) - eventOrder.indexOf(b.eventType));
+  for (let i = 1; i < ordered.length; i++) {
+    if (new Date(ordered[i].scheduledAt) < new Date(ordered[i - 1].scheduledAt)) {
+      return { success: false, error: `The ${ordered[i].eventType} must be after the ${ordered[i - 1].eventType}.` };
+    }
+  }
+
+  setupScheduleSheet();
+  SheetRecordStore.append(SHEET_RECORD_SCHEMAS.OBSERVATION_SCHEDULE, ordered);
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.SCHEDULE_CREATED, {
+      planId: planId,
+      evaluatorEmail: evaluatorEmail,
+      staffEmail: staffEmail,
+      eventTypes: ordered.map(event => event.eventType)
+    });
+  }
+
+  debugLog('Observation plan scheduled', { planId, staffEmail, eventCount: ordered.length });
+  return { success: true, planId: planId, events: ordered.map(event => _toScheduleEvent(event)) };
+}
+
+/**
+ * Reschedules, annotates or changes the status of a scheduled event.
+ * @param {string} scheduleId The event ID.
+ * @param {{scheduledAt?: string, durationMinutes?: number, location?: string, notes?: string,
+ *     status?: string, observationId?: string}} updates Fields to change.
+ * @param {string} requestingUserEmail Must be the evaluator who scheduled the event.
+ * @returns {Object} A response object with the updated event.
+ */
+function updateScheduleEvent(scheduleId, updates, requestingUserEmail) {
+  const input = updates || {};
+  const normalized = _normalizeScheduleFields(input);
+  if (normalized.error) {
+    return { success: false, error: normalized.error };
+  }
+  const fields = normalized.fields;
+
+  if (input.status !== undefined) {
+    if (!Object.values(SCHEDULE_STATUS).includes(input.status)) {
+      return { success: false, error: `Unknown schedule status: ${input.status}` };
+    }
+    fields.status = input.status;
+    fields.completedAt = input.status === SCHEDULE_STATUS.COMPLETED ? new Date().toISOString() : '';
+  }
+  if (input.observationId !== undefined) {
+    fields.observationId = sanitizeText(input.observationId);
+  }
+
+  let rejection = null;
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.OBSERVATION_SCHEDULE, scheduleId, record => {
+    if (record.evaluatorEmail !== requestingUserEmail) {
+      rejection = { success: false, error: 'Only the evaluator who scheduled this event can change it.' };
+      return null;
+    }
+    return fields;
+  });
+  if (rejection) return rejection;
+  if (!result.success) return result;
+  const event = _toScheduleEvent(_withDefaultDuration(result.record));
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.SCHEDULE_UPDATED, { scheduleId, changedFields: Object.keys(fields), status: event.status });
+  }
+
+  return { success: true, event: event };
+}
+
+/**
+ * Escapes a value for an iCalendar TEXT property (RFC 5545 3.3.11).
+ * @param {string} text The value.
+ * @returns {string} The escaped value.
+ * @private
+ */
+function _escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20250915T133000Z.
+ * @param {Date|string} date The date.
+ * @returns {string} The formatted date-time.
+ * @private
+ */
+function _formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line to 75 characters, continuing with a leading space (RFC 5545 3.1).
+ * @param {string} line The unfolded line.
+ * @returns {string} The folded line.
+ * @private
+ */
+function _foldIcsLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += (i === 0 ? 75 : 74)) {
+    parts.push((i === 0 ? '' : ' ') + line.substr(i, i === 0 ? 75 : 74));
+  }
+  return parts.join('\r\n');
+}
+
+/**
+ * Builds an iCalendar file for scheduled events. Cancelled events are exported with
+ * STATUS:CANCELLED so calendars that imported them earlier drop them.
+ * @param {Array<Object>} events Scheduled events.
+ * @param {string} calendarName The calendar name shown by the importing application.
+ * @returns {string} The .ics file contents.
+ */
+function buildScheduleIcs(events, calendarName) {
+  const stamp = _formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${SCHEDULE_SETTINGS.ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${_escapeIcsText(calendarName)}`
+  ];
+
+  (events || []).forEach(event => {
+    const start = new Date(event.scheduledAt);
+    const end = new Date(start.getTime() + event.durationMinutes * 60000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.scheduleId}@${SCHEDULE_SETTINGS.ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${_formatIcsDate(start)}`,
+      `DTEND:${_formatIcsDate(end)}`,
+      `SUMMARY:${_escapeIcsText(`${event.eventType}: ${event.staffName}`)}`,
+      `STATUS:${event.status === SCHEDULE_STATUS.CANCELLED ? 'CANCELLED' : 'CONFIRMED'}`,
+      `ORGANIZER:mailto:${event.evaluatorEmail}`,
+      `ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${event.staffEmail}`
+    );
+    if (event.location) lines.push(`LOCATION:${_escapeIcsText(event.location)}`);
+    if (event.notes) lines.push(`DESCRIPTION:${_escapeIcsText(event.notes)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(_foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,118 @@
+/**
+ * ScoringService.js
+ * Numeric scores for proficiency selections: per-domain averages and a weighted
+ * overall score, using the points and domain weights from the Settings sheet.
+ */
+
+/**
+ * Gets the domain weights for a role, falling back to the "Default" row.
+ * @param {string} role The observed staff member's role.
+ * @param {Object} scoringConfig Scoring configuration from getScoringConfig().
+ * @returns {Object<number, number>} Weights keyed by domain number. Domains without one weigh
+ *     SCORING_DEFAULTS.DOMAIN_WEIGHT.
+ */
+function getDomainWeightsForRole(role, scoringConfig) {
+  const weights = (scoringConfig && scoringConfig.domainWeights) || {};
+  return weights[role] || weights[SCORING_DEFAULTS.DEFAULT_WEIGHTS_LABEL] || {};
+}
+
+/**
+ * Rounds a score for display and storage.
+ * @param {number} value The raw score.
+ * @returns {number} The rounded score.
+ * @private
+ */
+function _roundScore(value) {
+  const factor = Math.pow(10, SCORING_DEFAULTS.DECIMALS);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calculates domain and overall scores for an observation's proficiency selections.
+ * A domain score is the average points of its rated components; the overall score is
+ * the weighted average of the rated domains, so unrated domains don't pull it down.
+ * @param {Object} observation The observation (needs observationData and observedRole).
+ * @param {Object} scoringConfig Optional. Scoring configuration; read from Settings when omitted.
+ * @returns {Object} { domains: [{number, score, ratedCount, weight}], overall, ratedCount, scale: {min, max} }
+ */
+function calculateObservationScores(observation, scoringConfig = null) {
+  const config = scoringConfig || getScoringConfig();
+  const points = config.points;
+  const weights = getDomainWeightsForRole(observation && observation.observedRole, config);
+  const pointValues = PROFICIENCY_LEVELS.KEYS.map(key => points[key]);
+
+  const totals = {};
+  const observationData = (observation && observation.observationData) || {};
+  Object.keys(observationData).forEach(componentId => {
+    const proficiency = observationData[componentId] && observationData[componentId].proficiency;
+    const match = String(componentId).match(/^(\d+)[a-z]/i);
+    if (!match || !proficiency || !Object.prototype.hasOwnProperty.call(points, proficiency)) return;
+
+    const domainNumber = parseInt(match[1], 10);
+    if (!totals[domainNumber]) totals[domainNumber] = { sum: 0, count: 0 };
+    totals[domainNumber].sum += points[proficiency];
+    totals[domainNumber].count++;
+  });
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  let ratedCount = 0;
+  const domains = Object.keys(totals)
+    .map(number => parseInt(number, 10))
+    .sort((a, b) => a - b)
+    .map(number => {
+      const score = totals[number].sum / totals[number].count;
+      const weight = weights[number] !== undefined ? weights[number] : SCORING_DEFAULTS.DOMAIN_WEIGHT;
+      weightedSum += score * weight;
+      weightTotal += weight;
+      ratedCount += totals[number].count;
+      return { number: number, score: _roundScore(score), ratedCount: totals[number].count, weight: weight };
+    });
+
+  return {
+    domains: domains,
+    overall: weightTotal > 0 ? _roundScore(weightedSum / weightTotal) : null,
+    ratedCount: ratedCount,
+    scale: { min: Math.min.apply(null, pointValues), max: Math.max.apply(null, pointValues) }
+  };
+}
+
+/**
+ * Averages the overall scores of each staff member's finalized observations in a cycle,
+ * for the administrator staff list.
+ * @param {Array<string>} staffEmails The staff members to summarize.
+ * @param {string} cycle Optional. The school year, e.g. "2025-2026"; defaults to the current one.
+ * @returns {Object} { email: { overall, observationCount } } for staff with at least one scored observation.
+ */
+function getStaffScoreSummaries(staffEmails, cycle = null) {
+  const summaries = {};
+  if (!Array.isArray(staffEmails) || staffEmails.length === 0) return summaries;
+
+  try {
+    const targetCycle = cycle || getSchoolYearCycle();
+    const scoringConfig = getScoringConfig();
+    const scoresByEmail = {};
+
+    _getObservationsDb()
+      .filter(obs => staffEmails.includes(obs.observedEmail))
+      .filter(obs => FINALIZED_OBSERVATION_STATUSES.includes(obs.status))
+      .filter(obs => getSchoolYearCycle(_getObservationEffectiveDate(obs)) === targetCycle)
+      .forEach(obs => {
+        const overall = calculateObservationScores(obs, scoringConfig).overall;
+        if (overall === null) return;
+        (scoresByEmail[obs.observedEmail] = scoresByEmail[obs.observedEmail] || []).push(overall);
+      });
+
+    Object.keys(scoresByEmail).forEach(email => {
+      const scores = scoresByEmail[email];
+      summaries[email] = {
+        overall: _roundScore(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+        observationCount: scores.length
+      };
+    });
+  } catch (error) {
+    console.error('Error in getStaffScoreSummaries:', error);
+  }
+
+  return summaries;
+}
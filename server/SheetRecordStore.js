@@ -0,0 +1,236 @@
+/**
+ * SheetRecordStore.js
+ * Shared storage for the services that keep one record per row in their own sheet (growth goals,
+ * summatives, schedules, snapshots, transcription jobs). Reads rows into records keyed by
+ * header and writes changes under the script lock as one range, like ObservationRepository.
+ *
+ * Each service describes its sheet with a schema:
+ *   {
+ *     sheetName: string,          // From SHEET_NAMES
+ *     idField: string,            // Column holding the record ID
+ *     label: string,              // Record name for messages, e.g. "goal"
+ *     jsonDefaults: Object,       // Optional. JSON columns, with the value a blank or unreadable cell is read as
+ *     numberFields: Array<string> // Optional. Columns read as numbers (blank is 0)
+ *   }
+ */
+
+const SheetRecordStore = (function() {
+  'use strict';
+
+  const LOCK_TIMEOUT_MS = 30000;
+
+  /**
+   * @param {*} value A default value.
+   * @returns {*} A copy, so records never share a default object.
+   * @private
+   */
+  function _copyDefault(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Converts a cell value for a record. Dates become ISO strings, which unlike Date objects can
+   * be returned to the client.
+   * @param {Object} schema The sheet schema.
+   * @param {string} header The column header.
+   * @param {*} value The cell value.
+   * @param {number} row The 1-based sheet row, for warnings.
+   * @returns {*} The record value.
+   * @private
+   */
+  function _deserialize(schema, header, value, row) {
+    const jsonDefaults = schema.jsonDefaults || {};
+    if (header in jsonDefaults) {
+      if (value === '' || value === null || value === undefined) {
+        return _copyDefault(jsonDefaults[header]);
+      }
+      try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (e) {
+        console.warn(`Could not parse ${header} in ${schema.sheetName} row ${row}. Data: ${value}`);
+        return _copyDefault(jsonDefaults[header]);
+      }
+    }
+    if ((schema.numberFields || []).includes(header)) {
+      return Number(value) || 0;
+    }
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  /**
+   * Converts a record value for a cell. Objects in JSON columns are serialized; strings are
+   * written as they are, so callers can pass JSON they serialized themselves.
+   * @param {Object} schema The sheet schema.
+   * @param {string} header The column header.
+   * @param {*} value The record value.
+   * @returns {*} The cell value.
+   * @private
+   */
+  function _serialize(schema, header, value) {
+    if (value === null || value === undefined) return '';
+    if (header in (schema.jsonDefaults || {}) && typeof value === 'object') {
+      return JSON.stringify(value, null, 2);
+    }
+    return value;
+  }
+
+  /**
+   * @param {Object} schema The sheet schema.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it doesn't exist yet.
+   * @private
+   */
+  function _getSheet(schema) {
+    return getSheetByName(openSpreadsheet(), schema.sheetName);
+  }
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+   * @returns {{headers: Array<string>, rows: Array<Array>}} The trimmed headers and the data rows.
+   * @private
+   */
+  function _readSheet(sheet) {
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    return { headers: values[0].map(header => header.toString().trim()), rows: values.slice(1) };
+  }
+
+  /**
+   * @param {Object} schema The sheet schema.
+   * @param {Array<string>} headers The sheet's headers.
+   * @param {Array} row The row values.
+   * @param {number} rowNumber The 1-based sheet row.
+   * @returns {Object} The record, with its sheet row in `_row`.
+   * @private
+   */
+  function _toRecord(schema, headers, row, rowNumber) {
+    const record = { _row: rowNumber };
+    headers.forEach((header, col) => {
+      record[header] = _deserialize(schema, header, row[col], rowNumber);
+    });
+    return record;
+  }
+
+  /**
+   * Reads the records in a sheet, in sheet order.
+   * @param {Object} schema The sheet schema.
+   * @param {Object} match Optional. Only rows whose cells equal these values, keyed by header.
+   *     Compared before JSON columns are parsed, so large sheets are cheap to filter.
+   * @returns {Array<Object>} Records keyed by header, each with its 1-based sheet row in `_row`.
+   */
+  function getRecords(schema, match = null) {
+    const sheet = _getSheet(schema);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const { headers, rows } = _readSheet(sheet);
+    const matchColumns = Object.keys(match || {}).map(header => [headers.indexOf(header), match[header]]);
+
+    const records = [];
+    rows.forEach((row, index) => {
+      if (matchColumns.some(([col, value]) => row[col] !== value)) return;
+      records.push(_toRecord(schema, headers, row, index + 2));
+    });
+    return records;
+  }
+
+  /**
+   * Reads one record.
+   * @param {Object} schema The sheet schema.
+   * @param {string} id The record ID.
+   * @returns {Object|null} The record, with its sheet row in `_row`, or null if not found.
+   */
+  function findById(schema, id) {
+    return getRecords(schema, { [schema.idField]: id })[0] || null;
+  }
+
+  /**
+   * Appends records to a sheet under the script lock. Columns a record doesn't set are left blank.
+   * @param {Object} schema The sheet schema.
+   * @param {Array<Object>} records The records, keyed by header.
+   */
+  function append(schema, records) {
+    const lock = ObservationRepository.getLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+      const sheet = _getSheet(schema);
+      if (!sheet) throw new Error(`Sheet "${schema.sheetName}" not found.`);
+
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      records.forEach(record => {
+        sheet.appendRow(headers.map(header => _serialize(schema, header, record[header])));
+      });
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Reads a record and writes the fields updateFn returns, all under the script lock, so the
+   * changes are based on the record as it is now rather than as it was read earlier. The changed
+   * fields and lastModifiedAt are written as one range.
+   * @param {Object} schema The sheet schema.
+   * @param {string} id The record ID.
+   * @param {function(Object): Object|null} updateFn Receives the current record and returns the
+   *     changed fields keyed by header, or null to write nothing.
+   * @returns {{success: boolean, record?: Object, error?: string}} The updated record, without `_row`.
+   */
+  function update(schema, id, updateFn) {
+    const lock = ObservationRepository.getLock();
+    lock.waitLock(LOCK_TIMEOUT_MS);
+    try {
+      const sheet = _getSheet(schema);
+      const { headers, rows } = sheet && sheet.getLastRow() >= 2 ? _readSheet(sheet) : { headers: [], rows: [] };
+      const index = rows.findIndex(row => row[headers.indexOf(schema.idField)] === id);
+      if (index === -1) {
+        return { success: false, error: `${schema.label.charAt(0).toUpperCase()}${schema.label.slice(1)} not found.` };
+      }
+
+      const record = _toRecord(schema, headers, rows[index], index + 2);
+      const changes = updateFn(record);
+      if (!changes) {
+        return { success: false, error: 'No changes were made.' };
+      }
+
+      const writes = Object.assign({}, changes, { lastModifiedAt: new Date().toISOString() });
+      delete writes[schema.idField];
+      delete writes._row;
+
+      const skipped = Object.keys(writes).filter(field => !headers.includes(field));
+      if (skipped.length > 0) {
+        console.warn(`Columns missing from ${schema.sheetName} - values not saved: ${skipped.join(', ')}`);
+      }
+      const columns = Object.keys(writes).map(field => headers.indexOf(field)).filter(col => col !== -1);
+
+      const updated = Object.assign({}, record, writes);
+      delete updated._row;
+      if (columns.length > 0) {
+        const first = Math.min.apply(null, columns);
+        const last = Math.max.apply(null, columns);
+        // Cells between the changed ones are written back as they were read
+        const span = rows[index].slice(first, last + 1);
+        Object.keys(writes).forEach(field => {
+          const col = headers.indexOf(field);
+          if (col !== -1) span[col - first] = _serialize(schema, field, writes[field]);
+        });
+        sheet.getRange(record._row, first + 1, 1, span.length).setValues([span]);
+        SpreadsheetApp.flush();
+      }
+
+      return { success: true, record: updated };
+    } catch (error) {
+      console.error(`Error updating ${schema.label} ${id}:`, error);
+      return { success: false, error: `An unexpected error occurred while saving the ${schema.label}.` };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  // Public API
+  return {
+    getRecords: getRecords,
+    findById: findById,
+    append: append,
+    update: update
+  };
+})();
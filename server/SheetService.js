@@ -230,7 +230,7 @@ function getStaffData() {
         return;
       }
       
-      if (!user.role || !AVAILABLE_ROLES.includes(user.role)) {
+      if (!user.role || !isValidRole(user.role)) {
         console.warn(`Invalid role in Staff sheet row ${rowNumber}:`, user.role);
         user.role = 'Teacher'; // Set default role
       }
@@ -324,75 +324,47 @@ function getSettingsData() {
     const roleYearMappings = {};
     
     // Process data from the Settings sheet.
-    // The sheet is expected to have a role name in the first column (defined by SETTINGS_COLUMNS.ROLE).
-    // The row containing the role name is the first of 4 consecutive rows used for data; this role row contains data for Domain 1.
-    // The next three rows contain data for Domains 2, 3, and 4, respectively.
-    // Columns B, C, D (defined by SETTINGS_COLUMNS.YEAR_1, YEAR_2, YEAR_3) in these 4 data rows
-    // contain the specific items/subdomains for that Domain for Year 1, Year 2, and Year 3 respectively.
-    // The parser actively looks for role names and processes these 4 rows (the role name row plus the next three).
+    // A role's block starts at the row with its name in the first column (SETTINGS_COLUMNS.ROLE)
+    // and runs until the next role name: the role row for Domain 1 and one row for each further
+    // domain. Columns B-G (SETTINGS_COLUMNS.YEAR_1 to PROB_3) of these rows list the assigned
+    // components for Years 1-3 and Probationary Years 1-3. Components are assigned to the domain
+    // their ID names (see getAssignedSubdomainsForRoleYear), so a role may have any number of rows.
     // Blank rows between role definitions are skipped.
+    const yearColumns = {
+      year1: SETTINGS_COLUMNS.YEAR_1,
+      year2: SETTINGS_COLUMNS.YEAR_2,
+      year3: SETTINGS_COLUMNS.YEAR_3,
+      prob1: SETTINGS_COLUMNS.PROB_1,
+      prob2: SETTINGS_COLUMNS.PROB_2,
+      prob3: SETTINGS_COLUMNS.PROB_3
+    };
     for (let i = 0; i < values.length; i++) {
-      const row = values[i];
-      // Potential start of a role definition
-      const roleName = sanitizeText(row[SETTINGS_COLUMNS.ROLE]); // Column A
-      
+      const roleName = sanitizeText(values[i][SETTINGS_COLUMNS.ROLE]); // Column A
+
       // Skip empty rows
       if (!roleName) {
         continue;
       }
-      
+
       // Check if this is a valid role
-      if (!AVAILABLE_ROLES.includes(roleName)) {
+      if (!isValidRole(roleName)) {
         console.warn(`Unknown role in Settings sheet row ${i + 2}:`, roleName);
         continue;
       }
-      
-      // Ensure there are enough rows for a complete 4-domain definition for this role.
-      if (i + 3 >= values.length) {
-        console.warn(`Incomplete data for role ${roleName} starting at settings sheet row ${i + 2}. Expected 4 data rows, found fewer.`);
-        continue; // Skip to the next row to find a new role
+
+      let blockEnd = i + 1;
+      while (blockEnd < values.length && !sanitizeText(values[blockEnd][SETTINGS_COLUMNS.ROLE])) {
+        blockEnd++;
       }
+      const blockRows = values.slice(i, blockEnd);
 
       roleYearMappings[roleName] = {
-        year1: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.YEAR_1]),    // Domain 1, Year 1 data from current role row
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.YEAR_1]),  // Domain 2, Year 1 data from next row
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.YEAR_1]),  // Domain 3, Year 1 data from row after next
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.YEAR_1])   // Domain 4, Year 1 data from row 3 after role row
-        ],
-        year2: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.YEAR_2]),    // Domain 1, Year 2
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.YEAR_2]),  // Domain 2, Year 2
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.YEAR_2]),  // Domain 3, Year 2
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.YEAR_2])   // Domain 4, Year 2
-        ],
-        year3: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.YEAR_3]),    // Domain 1, Year 3
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.YEAR_3]),  // Domain 2, Year 3
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.YEAR_3]),  // Domain 3, Year 3
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.YEAR_3])   // Domain 4, Year 3
-        ],
-        prob1: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.PROB_1]),    // Domain 1, Probationary Year 1
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.PROB_1]),  // Domain 2, Probationary Year 1
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.PROB_1]),  // Domain 3, Probationary Year 1
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.PROB_1])   // Domain 4, Probationary Year 1
-        ],
-        prob2: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.PROB_2]),    // Domain 1, Probationary Year 2
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.PROB_2]),  // Domain 2, Probationary Year 2
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.PROB_2]),  // Domain 3, Probationary Year 2
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.PROB_2])   // Domain 4, Probationary Year 2
-        ],
-        prob3: [
-          sanitizeText(values[i][SETTINGS_COLUMNS.PROB_3]),    // Domain 1, Probationary Year 3
-          sanitizeText(values[i+1][SETTINGS_COLUMNS.PROB_3]),  // Domain 2, Probationary Year 3
-          sanitizeText(values[i+2][SETTINGS_COLUMNS.PROB_3]),  // Domain 3, Probationary Year 3
-          sanitizeText(values[i+3][SETTINGS_COLUMNS.PROB_3])   // Domain 4, Probationary Year 3
-        ],
         startRow: i + 2 // For debugging, refers to the 1-based sheet row number for the roleName
       };
-      
+      Object.keys(yearColumns).forEach(yearKey => {
+        roleYearMappings[roleName][yearKey] = blockRows.map(row => sanitizeText(row[yearColumns[yearKey]]));
+      });
+
       debugLog(`Settings loaded for role: ${roleName}`, {
         year1Domains: roleYearMappings[roleName].year1,
         year2Domains: roleYearMappings[roleName].year2,
@@ -401,9 +373,8 @@ function getSettingsData() {
         prob2Domains: roleYearMappings[roleName].prob2,
         prob3Domains: roleYearMappings[roleName].prob3
       });
-      // Advance the index by 3 to account for the 3 additional rows just processed for the current role.
-      // The loop's i++ will then move to the next row, effectively skipping the 4 processed data rows.
-      i += 3; // Advance index past the 3 additional data rows just processed. Loop's i++ handles the first.
+      // Continue from the next role name; the loop's i++ moves onto it
+      i = blockEnd - 1;
     }
     
     const settingsData = {
@@ -434,6 +405,200 @@ function getSettingsData() {
   }
 }
 
+/**
+ * Gets the role definitions from the Roles sheet (see ROLES_SHEET_COLUMNS), or DEFAULT_ROLES
+ * when the spreadsheet has no Roles sheet. Teacher (the fallback role) and the SPECIAL_ROLES are
+ * always defined because permission checks refer to them by name; they are added with their
+ * defaults when the sheet leaves them out.
+ * @return {Object} { roles: Array<{role, sheetName, title, subtitle, domainNames, hasSpecialAccess,
+ *     row}>, source: 'sheet' or 'defaults', issues: Array<{type, message, severity, row}>, lastUpdated }
+ */
+function getRolesConfigData() {
+  return ConfigSheetLoader.load(_rolesConfigSheet());
+}
+
+/**
+ * @return {Object} The Roles sheet definition for ConfigSheetLoader.
+ * @private
+ */
+function _rolesConfigSheet() {
+  return {
+    cacheKey: 'roles_config',
+    sheetName: SHEET_NAMES.ROLES,
+    columnCount: ROLES_SHEET_HEADERS.length,
+    keyColumn: ROLES_SHEET_COLUMNS.ROLE,
+    keyField: 'role',
+    keyLabel: 'Role',
+    parseRow: _parseRolesSheetRow,
+    defaults: () => DEFAULT_ROLES.map(_getDefaultRoleConfig),
+    complete: _completeRolesConfig
+  };
+}
+
+/**
+ * Reads one role from the Roles sheet.
+ * @param {Array} row The sheet row.
+ * @param {string} role The role name.
+ * @param {function(string, string)} issue Records a problem with the row.
+ * @return {Object} The role's definition, apart from its name and row.
+ * @private
+ */
+function _parseRolesSheetRow(row, role, issue) {
+  const specialAccess = sanitizeText(row[ROLES_SHEET_COLUMNS.SPECIAL_ACCESS]).toLowerCase();
+  if (specialAccess && !['yes', 'no', 'true', 'false'].includes(specialAccess)) {
+    issue(`Special Access for "${role}" should be Yes or No, not "${row[ROLES_SHEET_COLUMNS.SPECIAL_ACCESS]}".`, VALIDATION_SEVERITY.WARNING);
+  }
+
+  return {
+    sheetName: sanitizeText(row[ROLES_SHEET_COLUMNS.SHEET_NAME]) || role,
+    title: sanitizeText(row[ROLES_SHEET_COLUMNS.TITLE]),
+    subtitle: sanitizeText(row[ROLES_SHEET_COLUMNS.SUBTITLE]),
+    domainNames: parseMultilineCell(row[ROLES_SHEET_COLUMNS.DOMAIN_NAMES]),
+    hasSpecialAccess: specialAccess === 'yes' || specialAccess === 'true'
+  };
+}
+
+/**
+ * Adds Teacher and the SPECIAL_ROLES to a roles list that is missing them.
+ * @param {Array<Object>} roles Role definitions.
+ * @param {Array<Object>} issues Issues found so far; one is added per missing role.
+ * @param {string} source 'sheet' or 'defaults'.
+ * @return {Object} Roles configuration.
+ * @private
+ */
+function _completeRolesConfig(roles, issues, source) {
+  ['Teacher'].concat(Object.values(SPECIAL_ROLES)).forEach(requiredRole => {
+    if (!roles.some(entry => entry.role === requiredRole)) {
+      roles.push(_getDefaultRoleConfig(requiredRole));
+      issues.push(ConfigSheetLoader.issue(SHEET_NAMES.ROLES, null, `Role "${requiredRole}" is required and was added with its default settings.`, VALIDATION_SEVERITY.WARNING));
+    }
+  });
+
+  return {
+    roles: roles,
+    source: source,
+    issues: issues,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * @param {string} role Role name.
+ * @return {Object} The role's definition when it isn't in the Roles sheet: a rubric sheet named
+ *     after the role, the sheet's own heading and domain names, and special access for
+ *     SPECIAL_ACCESS_ROLES.
+ * @private
+ */
+function _getDefaultRoleConfig(role) {
+  return {
+    role: role,
+    sheetName: role,
+    title: '',
+    subtitle: '',
+    domainNames: [],
+    hasSpecialAccess: SPECIAL_ACCESS_ROLES.includes(role),
+    row: null
+  };
+}
+
+/**
+ * Gets one role's definition.
+ * @param {string} roleName Role name.
+ * @return {Object|null} { role, sheetName, title, subtitle, domainNames, hasSpecialAccess, row },
+ *     or null for an unknown role.
+ */
+function getRoleConfig(roleName) {
+  if (!roleName || typeof roleName !== 'string') return null;
+  return getRolesConfigData().roles.find(entry => entry.role === roleName) || null;
+}
+
+/**
+ * Gets the roles whose rubric lives on a sheet; several roles may share one sheet.
+ * @param {string} sheetName Sheet name.
+ * @return {Array<string>} Role names.
+ */
+function getRolesForSheet(sheetName) {
+  return getRolesConfigData().roles
+    .filter(entry => entry.sheetName === sheetName)
+    .map(entry => entry.role);
+}
+
+/**
+ * Reads the scoring table from the Settings sheet (see SETTINGS_SCORING_COLUMNS).
+ * Rows that are missing or invalid fall back to SCORING_DEFAULTS, so a scoring
+ * configuration is always returned.
+ * Domains a weights row has no column for weigh SCORING_DEFAULTS.DOMAIN_WEIGHT.
+ * @return {Object} { points: {proficiencyKey: number}, domainWeights: {roleOrDefault: {domainNumber: number}} }
+ */
+function getScoringConfig() {
+  const defaultPoints = {};
+  PROFICIENCY_LEVELS.KEYS.forEach((key, index) => { defaultPoints[key] = SCORING_DEFAULTS.POINTS[index]; });
+  const scoringConfig = {
+    points: defaultPoints,
+    domainWeights: {},
+    lastUpdated: new Date().toISOString()
+  };
+
+  try {
+    const cachedData = getCachedDataEnhanced('scoring_config');
+    if (cachedData && cachedData.data) {
+      debugLog('Scoring config retrieved from enhanced cache');
+      return cachedData.data;
+    }
+
+    const spreadsheet = openSpreadsheet();
+    const sheet = getSheetByName(spreadsheet, SHEET_NAMES.SETTINGS);
+    if (!sheet) {
+      console.warn(ERROR_MESSAGES.SETTINGS_SHEET_MISSING);
+      return scoringConfig;
+    }
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow >= 2) {
+      const width = Math.max(sheet.getLastColumn() - SETTINGS_SCORING_COLUMNS.LABEL, PROFICIENCY_LEVELS.KEYS.length + 1);
+      const values = sheet.getRange(2, SETTINGS_SCORING_COLUMNS.LABEL + 1, lastRow - 1, width).getValues();
+      const isBlank = value => value === '' || value === null;
+
+      values.forEach((row, index) => {
+        const label = sanitizeText(row[0]);
+        if (!label) return;
+
+        // Trailing blank cells are columns this row doesn't use, e.g. a domain the rubric doesn't have
+        const cells = row.slice(SETTINGS_SCORING_COLUMNS.FIRST_VALUE - SETTINGS_SCORING_COLUMNS.LABEL);
+        while (cells.length > 0 && isBlank(cells[cells.length - 1])) cells.pop();
+        const numbers = cells.map(value => isBlank(value) ? NaN : Number(value));
+        const minimumCount = label === SCORING_DEFAULTS.POINTS_LABEL ? PROFICIENCY_LEVELS.KEYS.length : 1;
+        if (numbers.length < minimumCount || numbers.some(value => !isFinite(value) || value < 0)) {
+          console.warn(`Invalid scoring values in Settings sheet row ${index + 2} for "${label}". Using defaults.`);
+          return;
+        }
+
+        if (label === SCORING_DEFAULTS.POINTS_LABEL) {
+          PROFICIENCY_LEVELS.KEYS.forEach((key, keyIndex) => { scoringConfig.points[key] = numbers[keyIndex]; });
+        } else if (label === SCORING_DEFAULTS.DEFAULT_WEIGHTS_LABEL || isValidRole(label)) {
+          if (numbers.every(value => value === 0)) {
+            console.warn(`Domain weights for "${label}" in Settings sheet row ${index + 2} are all zero. Using defaults.`);
+            return;
+          }
+          const weights = {};
+          numbers.forEach((weight, domainIndex) => { weights[domainIndex + 1] = weight; });
+          scoringConfig.domainWeights[label] = weights;
+        } else {
+          console.warn(`Unknown scoring label in Settings sheet row ${index + 2}:`, label);
+        }
+      });
+    }
+
+    setCachedDataEnhanced('scoring_config', {}, scoringConfig, CACHE_SETTINGS.SHEET_DATA_TTL);
+    debugLog('Scoring config loaded', scoringConfig);
+    return scoringConfig;
+
+  } catch (error) {
+    console.error('Error reading scoring config:', formatErrorMessage(error, 'getScoringConfig'));
+    return scoringConfig;
+  }
+}
+
 /**
  * REPLACE THIS FUNCTION in SheetService.js
  * Enhanced getRoleSheetData function with comprehensive validation and fallback
@@ -479,6 +644,9 @@ function getRoleSheetData(roleName) {
       }
     }
 
+    // The Roles sheet names the rubric sheet and may override its heading
+    const roleConfig = getRoleConfig(roleName);
+
     // Check enhanced cache with role-specific parameters
     const cacheParams = { role: roleName };
     const cachedData = getCachedDataEnhanced('role_sheet', cacheParams);
@@ -509,7 +677,7 @@ function getRoleSheetData(roleName) {
     let spreadsheet, sheet;
     try {
       spreadsheet = openSpreadsheet();
-      sheet = getSheetByName(spreadsheet, roleName);
+      sheet = getSheetByName(spreadsheet, roleConfig ? roleConfig.sheetName : roleName);
     } catch (accessError) {
       console.error('Spreadsheet access error', {
         error: accessError.message,
@@ -612,8 +780,8 @@ function getRoleSheetData(roleName) {
       rowCount: lastRow,
       columnCount: lastColumn,
       lastUpdated: new Date().toISOString(),
-      title: values[0] ? sanitizeText(values[0][0]) : '',
-      subtitle: values[1] ? sanitizeText(values[1][0]) : '',
+      title: (roleConfig && roleConfig.title) || (values[0] ? sanitizeText(values[0][0]) : ''),
+      subtitle: (roleConfig && roleConfig.subtitle) || (values[1] ? sanitizeText(values[1][0]) : ''),
       dataHash: generateDataHash(values),
       operationId: operationId,
       validation: {
@@ -627,6 +795,18 @@ function getRoleSheetData(roleName) {
     const dataValidation = validateRoleSheetData(roleSheetData);
     roleSheetData.validation = dataValidation;
 
+    if (dataValidation.hasLayoutErrors) {
+      // Rendering a half-parsed rubric would silently drop components; show the problems instead
+      console.warn('Role sheet layout has errors', {
+        roleName: roleName,
+        issues: dataValidation.issues,
+        operationId: operationId
+      });
+      return createErrorRoleSheetData(roleName, {
+        issues: dataValidation.issues.filter(issue => issue.severity === VALIDATION_SEVERITY.ERROR)
+      }, operationId);
+    }
+
     if (!dataValidation.isValid) {
       console.warn('Loaded role sheet data has validation issues', {
         roleName: roleName,
@@ -701,7 +881,7 @@ function createErrorRoleSheetData(roleName, validationResult, operationId) {
     roleName: roleName,
     sheetName: 'ERROR',
     data: createErrorSheetContent(roleName, validationResult),
-    rowCount: 3,
+    rowCount: Math.max(3, (validationResult.issues || []).length + 2),
     columnCount: 5,
     lastUpdated: new Date().toISOString(),
     title: `Error: ${roleName} Framework Not Available`,
@@ -743,7 +923,7 @@ function createErrorSheetContent(roleName, validationResult) {
       'to set up the role-specific rubric.',
       'Teacher rubric will be used as fallback.'
     ]
-  ];
+  ].concat(issues.slice(1).map(issue => ['', issue.message])); // One row per further issue
 }
 
 /**
@@ -807,7 +987,7 @@ function validateRoleSheetData(roleSheetData) {
         message: 'Role sheet missing title',
         severity: VALIDATION_SEVERITY.WARNING
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
     }
 
     // Count components (cells that match component pattern)
@@ -828,14 +1008,23 @@ function validateRoleSheetData(roleSheetData) {
         message: 'Role sheet contains no valid components (no cells matching pattern like "1a:", "2b:", etc.)',
         severity: VALIDATION_SEVERITY.ERROR
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.ERROR);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.ERROR);
     } else if (componentCount < 10) {
       result.issues.push({
         type: VALIDATION_ERROR_TYPES.DATA_CORRUPTION,
         message: `Role sheet has only ${componentCount} components (expected 15-25 for complete rubric)`,
         severity: VALIDATION_SEVERITY.WARNING
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
+    }
+
+    // Layout problems found by the rubric parser, each naming its sheet row
+    const parsed = parseRubricSheet(data);
+    result.layout = parsed.layout;
+    result.issues = result.issues.concat(parsed.issues);
+    result.hasLayoutErrors = parsed.issues.some(issue => issue.severity === VALIDATION_SEVERITY.ERROR);
+    if (result.hasLayoutErrors) {
+      result.severity = VALIDATION_SEVERITY.ERROR;
     }
 
     // Overall validation
@@ -926,9 +1115,9 @@ function detectAvailableRoleSheets() {
     const allSheets = getAllSheetsInfo();
     const sheetNames = allSheets.map(sheet => sheet.name);
     
-    const availableRoles = AVAILABLE_ROLES.filter(role => 
-      sheetNames.includes(role)
-    );
+    const availableRoles = getRolesConfigData().roles
+      .filter(entry => sheetNames.includes(entry.sheetName))
+      .map(entry => entry.role);
     
     debugLog('Available role sheets detected', {
       allSheets: sheetNames,
@@ -951,9 +1140,11 @@ function clearAllSheetCache() {
     // Clear specific caches
     clearCachedData('staff_data');
     clearCachedData('settings_data');
+    ConfigSheetLoader.clear('roles_config');
+    ConfigSheetLoader.clear('observation_types_config');
     
     // Clear role sheet caches
-    AVAILABLE_ROLES.forEach(role => {
+    getAvailableRoles().forEach(role => {
       clearCachedData(`role_sheet_${role}`);
     });
     
@@ -969,53 +1160,293 @@ function clearAllSheetCache() {
  */
 
 function setupObservationSheet() {
+  try {
+    // The repository owns the observation columns and migrates rows written under older schemas
+    ObservationRepository.ensureSchema();
+  } catch (error) {
+    console.error('Error setting up observation sheet:', formatErrorMessage(error, 'setupObservationSheet'));
+    // Throwing the error might be better to halt execution if the sheet is critical
+    throw new Error(`Could not initialize the Observation_Data sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the header row to an empty sheet, or appends any missing headers to an existing one.
+ * Existing columns are never moved, so code must look columns up by header name.
+ * @param {Sheet} sheet The sheet to check
+ * @param {Array<string>} requiredHeaders Headers the sheet must contain
+ */
+function ensureSheetHeaders(sheet, requiredHeaders) {
+  const sheetName = sheet.getName();
+
+  // Check if headers are already present
+  if (sheet.getLastRow() === 0) {
+    // New sheet - add all headers
+    sheet.appendRow(requiredHeaders);
+    debugLog(`Headers written to ${sheetName}`);
+  } else {
+    // Existing sheet - check for missing columns and add them
+    const existingHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const missingHeaders = requiredHeaders.filter(header => !existingHeaders.includes(header));
+
+    if (missingHeaders.length > 0) {
+      debugLog(`Adding missing columns to ${sheetName}: ${missingHeaders.join(', ')}`);
+
+      // Add missing headers to the end
+      const startColumn = sheet.getLastColumn() + 1;
+      const headerRange = sheet.getRange(1, startColumn, 1, missingHeaders.length);
+      headerRange.setValues([missingHeaders]);
+
+      debugLog(`Added ${missingHeaders.length} missing columns to ${sheetName}`);
+    }
+  }
+}
+
+/**
+ * Creates the Summative_Evaluations sheet if needed and ensures all columns exist.
+ * @returns {Sheet} The summative evaluations sheet
+ */
+function setupSummativeSheet() {
   try {
     const spreadsheet = openSpreadsheet();
-    const sheetName = "Observation_Data";
-    let sheet = getSheetByName(spreadsheet, sheetName);
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.SUMMATIVE_EVALUATIONS);
 
     if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      debugLog(`Created sheet: ${sheetName}`);
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.SUMMATIVE_EVALUATIONS);
+      debugLog(`Created sheet: ${SHEET_NAMES.SUMMATIVE_EVALUATIONS}`);
     }
 
-    // Define the required headers with legacy columns removed and PDF columns added
-    const requiredHeaders = [
-      "observationId", "observerEmail", "observedEmail", "observedName",
-      "observedRole", "observedYear", "status", "createdAt",
-      "lastModifiedAt", "finalizedAt", "observationData", "evidenceLinks",
-      "scriptContent", "componentTags", "observationName", "observationDate",
-      "pdfUrl", "pdfStatus", "scriptPdfUrl", "folderUrl", "Type"
-    ];
-
-    // Check if headers are already present
-    if (sheet.getLastRow() === 0) {
-      // New sheet - add all headers
-      sheet.appendRow(requiredHeaders);
-      debugLog(`Headers written to ${sheetName}`);
-    } else {
-      // Existing sheet - check for missing columns and add them
-      const existingHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-      const missingHeaders = requiredHeaders.filter(header => !existingHeaders.includes(header));
-      
-      if (missingHeaders.length > 0) {
-        debugLog(`Adding missing columns to ${sheetName}: ${missingHeaders.join(', ')}`);
-        
-        // Add missing headers to the end
-        const startColumn = sheet.getLastColumn() + 1;
-        const headerRange = sheet.getRange(1, startColumn, 1, missingHeaders.length);
-        headerRange.setValues([missingHeaders]);
-        
-        debugLog(`Added ${missingHeaders.length} missing columns to ${sheetName}`);
-      }
+    ensureSheetHeaders(sheet, [
+      "summativeId", "staffEmail", "staffName", "staffRole", "staffYear", "cycle",
+      "evaluatorEmail", "status", "createdAt", "lastModifiedAt", "finalizedAt",
+      "observationIds", "domainRatings", "summaryComments", "pdfUrl", "pdfStatus"
+    ]);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up summative sheet:', formatErrorMessage(error, 'setupSummativeSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.SUMMATIVE_EVALUATIONS} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Observation_Schedule sheet if needed and ensures all columns exist.
+ * @returns {Sheet} The observation schedule sheet
+ */
+function setupScheduleSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_SCHEDULE);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.OBSERVATION_SCHEDULE);
+      debugLog(`Created sheet: ${SHEET_NAMES.OBSERVATION_SCHEDULE}`);
     }
+
+    ensureSheetHeaders(sheet, [
+      "scheduleId", "planId", "evaluatorEmail", "staffEmail", "staffName", "eventType",
+      "scheduledAt", "durationMinutes", "location", "notes", "status", "completedAt",
+      "observationId", "createdAt", "lastModifiedAt"
+    ]);
+    return sheet;
   } catch (error) {
-    console.error('Error setting up observation sheet:', formatErrorMessage(error, 'setupObservationSheet'));
-    // Throwing the error might be better to halt execution if the sheet is critical
-    throw new Error(`Could not initialize the Observation_Data sheet: ${error.message}`);
+    console.error('Error setting up schedule sheet:', formatErrorMessage(error, 'setupScheduleSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.OBSERVATION_SCHEDULE} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Growth_Goals sheet if needed and ensures all columns exist.
+ * @returns {Sheet} The growth goals sheet
+ */
+function setupGrowthGoalsSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.GROWTH_GOALS);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.GROWTH_GOALS);
+      debugLog(`Created sheet: ${SHEET_NAMES.GROWTH_GOALS}`);
+    }
+
+    ensureSheetHeaders(sheet, [
+      "goalId", "staffEmail", "staffName", "cycle", "title", "specific", "measurable",
+      "achievable", "relevant", "targetDate", "componentIds", "status", "comments",
+      "createdAt", "lastModifiedAt"
+    ]);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up growth goals sheet:', formatErrorMessage(error, 'setupGrowthGoalsSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.GROWTH_GOALS} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Transcription_Jobs sheet if needed. Each row is one queued, running or finished
+ * transcription job.
+ * @returns {Sheet} The transcription jobs sheet
+ */
+function setupTranscriptionJobsSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.TRANSCRIPTION_JOBS);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.TRANSCRIPTION_JOBS);
+      debugLog(`Created sheet: ${SHEET_NAMES.TRANSCRIPTION_JOBS}`);
+    }
+
+    ensureSheetHeaders(sheet, [
+      "jobId", "observationId", "filename", "fileId", "fileSizeMB", "status", "provider",
+      "providerJobName", "attempts", "error", "prompt", "createdBy", "createdAt", "submittedAt",
+      "completedAt", "transcriptionUrl", "inputTokens", "outputTokens", "estimatedCost",
+      "cancelledBy", "lastModifiedAt"
+    ]);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up transcription jobs sheet:', formatErrorMessage(error, 'setupTranscriptionJobsSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.TRANSCRIPTION_JOBS} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Observation_Snapshots sheet if needed. Each row is one point-in-time copy of an
+ * observation's content fields, stored as JSON.
+ * @returns {Sheet} The snapshots sheet
+ */
+function setupSnapshotSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.OBSERVATION_SNAPSHOTS);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.OBSERVATION_SNAPSHOTS);
+      debugLog(`Created sheet: ${SHEET_NAMES.OBSERVATION_SNAPSHOTS}`);
+    }
+
+    ensureSheetHeaders(sheet, [
+      "snapshotId", "observationId", "createdAt", "createdBy", "reason", "contentHash",
+      "observationData", "observationNotes", "componentTags", "scriptContent", "omittedFields"
+    ]);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up snapshot sheet:', formatErrorMessage(error, 'setupSnapshotSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.OBSERVATION_SNAPSHOTS} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the Compliance_Requirements sheet if needed. Administrators fill in one row per
+ * requirement, e.g. "Teacher | P1 | Standard | 3 | 5/1".
+ * @returns {Sheet} The compliance requirements sheet
+ */
+function setupComplianceRequirementsSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.COMPLIANCE_REQUIREMENTS);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.COMPLIANCE_REQUIREMENTS);
+      debugLog(`Created sheet: ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS}`);
+    }
+
+    ensureSheetHeaders(sheet, ["Role", "Year", "Observation Type", "Required", "Due Date"]);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up compliance requirements sheet:', formatErrorMessage(error, 'setupComplianceRequirementsSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} sheet: ${error.message}`);
   }
 }
 
+/**
+ * Creates the Roles sheet if needed. A new sheet is filled with the roles currently in use, so
+ * creating it doesn't change anyone's access; administrators then edit or add rows.
+ * @returns {Sheet} The roles sheet
+ */
+function setupRolesSheet() {
+  try {
+    const spreadsheet = openSpreadsheet();
+    let sheet = getSheetByName(spreadsheet, SHEET_NAMES.ROLES);
+
+    if (!sheet) {
+      const roles = getRolesConfigData().roles;
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.ROLES);
+      sheet.getRange(1, 1, roles.length + 1, ROLES_SHEET_HEADERS.length).setValues([ROLES_SHEET_HEADERS].concat(
+        roles.map(entry => [entry.role, entry.sheetName, entry.title, entry.subtitle,
+          entry.domainNames.join('\n'), entry.hasSpecialAccess ? 'Yes' : 'No'])
+      ));
+      sheet.setFrozenRows(1);
+      debugLog(`Created sheet: ${SHEET_NAMES.ROLES}`, { roles: roles.length });
+    }
+
+    ensureSheetHeaders(sheet, ROLES_SHEET_HEADERS);
+    return sheet;
+  } catch (error) {
+    console.error('Error setting up roles sheet:', formatErrorMessage(error, 'setupRolesSheet'));
+    throw new Error(`Could not initialize the ${SHEET_NAMES.ROLES} sheet: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the observation requirements from the Compliance_Requirements sheet.
+ * Role and Year may be "All" (or blank) to match every staff member. Due Date is a month and
+ * day ("5/1" or a date cell; the year is ignored) applied to each school year.
+ * @returns {Array<{role: string|null, year: number|null, observationType: string, required: number,
+ *     dueMonth: number, dueDay: number}>} Valid requirements; invalid rows are skipped with a warning.
+ */
+function getComplianceRequirements() {
+  const requirements = [];
+
+  try {
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.COMPLIANCE_REQUIREMENTS);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return requirements;
+    }
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues();
+    values.forEach((row, index) => {
+      const rowNumber = index + 2;
+      if (row.every(cell => cell === '' || cell === null)) return;
+
+      const isAll = value => !sanitizeText(value) || sanitizeText(value).toLowerCase() === COMPLIANCE_SETTINGS.ALL_LABEL.toLowerCase();
+      const role = isAll(row[0]) ? null : sanitizeText(row[0]);
+      const year = isAll(row[1]) ? null : parseYearValue(row[1]);
+      const observationType = sanitizeText(row[2]);
+      const required = Number(row[3]);
+
+      let dueMonth = null;
+      let dueDay = null;
+      if (row[4] instanceof Date && !isNaN(row[4].getTime())) {
+        dueMonth = row[4].getMonth() + 1;
+        dueDay = row[4].getDate();
+      } else {
+        const match = String(row[4] || '').trim().match(/^(\d{1,2})[\/-](\d{1,2})$/);
+        if (match) {
+          dueMonth = parseInt(match[1], 10);
+          dueDay = parseInt(match[2], 10);
+        }
+      }
+
+      if (role && !isValidRole(role)) {
+        console.warn(`Unknown role in ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} row ${rowNumber}:`, role);
+      } else if (!isAll(row[1]) && year === null) {
+        console.warn(`Invalid year in ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} row ${rowNumber}:`, row[1]);
+      } else if (!observationType || !getObservationTypeDefinition(observationType)) {
+        console.warn(`Unknown observation type in ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} row ${rowNumber}:`, observationType);
+      } else if (!Number.isInteger(required) || required < 1) {
+        console.warn(`Invalid required count in ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} row ${rowNumber}:`, row[3]);
+      } else if (!dueMonth || dueMonth > 12 || !dueDay || dueDay > 31) {
+        console.warn(`Invalid due date in ${SHEET_NAMES.COMPLIANCE_REQUIREMENTS} row ${rowNumber}:`, row[4]);
+      } else {
+        requirements.push({ role, year, observationType, required, dueMonth, dueDay });
+      }
+    });
+  } catch (error) {
+    console.error('Error reading compliance requirements:', formatErrorMessage(error, 'getComplianceRequirements'));
+  }
+
+  return requirements;
+}
+
 function testSheetConnectivity() {
   const results = {
     spreadsheet: { accessible: false, error: null },
@@ -1058,7 +1489,7 @@ function testSheetConnectivity() {
     availableRoles.forEach(role => {
       if (!criticalSheets.includes(role)) {
         results.summary.total++;
-        const validation = validateSheetExists(role);
+        const validation = validateSheetExists(getRoleConfig(role).sheetName);
         results.sheets[role] = validation;
         
         if (validation.exists) {
@@ -0,0 +1,455 @@
+/**
+ * SnapshotService.js
+ * Point-in-time snapshots of an observation's content. A snapshot is taken automatically
+ * before an observer edits a draft (at most once per SNAPSHOT_SETTINGS.MIN_INTERVAL_MINUTES),
+ * and observers can compare any snapshot with the current observation side by side and
+ * restore it.
+ */
+
+/**
+ * Reads the snapshots of one observation.
+ * @param {string} observationId The observation ID.
+ * @returns {Array<Object>} Records keyed by header with JSON fields parsed, oldest first,
+ *     each with its 1-based sheet row in `_row`.
+ * @private
+ */
+function _getSnapshotRecords(observationId) {
+  return SheetRecordStore.getRecords(SHEET_RECORD_SCHEMAS.OBSERVATION_SNAPSHOTS, { observationId: observationId })
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Strips the content fields and sheet bookkeeping from a snapshot record.
+ * @param {Object} record A record from _getSnapshotRecords().
+ * @returns {Object} { snapshotId, observationId, createdAt, createdBy, reason, omittedFields }
+ * @private
+ */
+function _toSnapshotSummary(record) {
+  return {
+    snapshotId: record.snapshotId,
+    observationId: record.observationId,
+    createdAt: record.createdAt,
+    createdBy: record.createdBy,
+    reason: record.reason,
+    omittedFields: record.omittedFields
+  };
+}
+
+/**
+ * Collects the snapshot fields of an observation. Scripts stored in a Google Doc are read
+ * back from the Doc; any field too large for a sheet cell is left out.
+ * @param {Object} observation The observation.
+ * @returns {Object} { content: {field: value}, serialized: {field: string}, omittedFields: Array<string> }
+ * @private
+ */
+function _getSnapshotContent(observation) {
+  const content = {};
+  const serialized = {};
+  const omittedFields = [];
+
+  SNAPSHOT_SETTINGS.SNAPSHOT_FIELDS.forEach(field => {
+    let value = observation[field] || null;
+    if (field === 'scriptContent' && !value && observation.scriptStorageMethod === 'doc') {
+      value = getScriptContentFromDoc(observation.observationId);
+    }
+
+    const json = value ? JSON.stringify(value) : '';
+    if (json.length > SNAPSHOT_SETTINGS.MAX_CELL_CHARS) {
+      omittedFields.push(field);
+      content[field] = null;
+      serialized[field] = '';
+    } else {
+      content[field] = value;
+      serialized[field] = json;
+    }
+  });
+
+  return { content: content, serialized: serialized, omittedFields: omittedFields };
+}
+
+/**
+ * Hashes serialized snapshot fields so unchanged content isn't stored twice.
+ * @param {Object} serialized The serialized fields from _getSnapshotContent().
+ * @returns {string} A base64 MD5 digest.
+ * @private
+ */
+function _hashSnapshotContent(serialized) {
+  const text = SNAPSHOT_SETTINGS.SNAPSHOT_FIELDS.map(field => serialized[field]).join('\u0000');
+  return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text));
+}
+
+/**
+ * Takes a snapshot of an editable observation. Automatic snapshots are skipped when one was
+ * taken in the last SNAPSHOT_SETTINGS.MIN_INTERVAL_MINUTES; no snapshot is stored when the
+ * content matches the latest one. Errors are logged rather than thrown so a failed snapshot
+ * never blocks the save that triggered it.
+ * @param {string} observationId The observation ID.
+ * @param {string} userEmail The user taking the snapshot.
+ * @param {string} reason Optional. A value from SNAPSHOT_REASONS; defaults to AUTO.
+ * @returns {Object} A response object; `created` is false when the snapshot was skipped.
+ */
+function captureObservationSnapshot(observationId, userEmail, reason = SNAPSHOT_REASONS.AUTO) {
+  try {
+    const cache = CacheService.getScriptCache();
+    const cacheKey = SNAPSHOT_SETTINGS.CACHE_KEY_PREFIX + observationId;
+    if (reason === SNAPSHOT_REASONS.AUTO && cache.get(cacheKey)) {
+      return { success: true, created: false };
+    }
+
+    const observation = getObservationById(observationId);
+    if (!observation) {
+      return { success: false, error: 'Observation not found.' };
+    }
+    if (!EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+      return { success: true, created: false };
+    }
+
+    const { serialized, omittedFields } = _getSnapshotContent(observation);
+    const contentHash = _hashSnapshotContent(serialized);
+    const existing = _getSnapshotRecords(observationId);
+    const latest = existing[existing.length - 1];
+    cache.put(cacheKey, '1', SNAPSHOT_SETTINGS.MIN_INTERVAL_MINUTES * 60);
+
+    if (latest && latest.contentHash === contentHash) {
+      return { success: true, created: false, snapshot: _toSnapshotSummary(latest) };
+    }
+
+    const snapshot = {
+      snapshotId: generateUniqueId('snap'),
+      observationId: observationId,
+      createdAt: new Date().toISOString(),
+      createdBy: userEmail,
+      reason: reason,
+      contentHash: contentHash,
+      omittedFields: omittedFields
+    };
+
+    const lock = ObservationRepository.getLock();
+    lock.waitLock(30000);
+    try {
+      const sheet = setupSnapshotSheet();
+      SheetRecordStore.append(SHEET_RECORD_SCHEMAS.OBSERVATION_SNAPSHOTS, [Object.assign({}, snapshot, serialized)]);
+
+      // Prune the oldest snapshots, bottom-up so row numbers stay valid
+      const records = _getSnapshotRecords(observationId);
+      const excess = records.length - SNAPSHOT_SETTINGS.MAX_PER_OBSERVATION;
+      if (excess > 0) {
+        records.slice(0, excess)
+          .map(record => record._row)
+          .sort((a, b) => b - a)
+          .forEach(row => sheet.deleteRow(row));
+      }
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+
+    debugLog('Observation snapshot created', { observationId, snapshotId: snapshot.snapshotId, reason });
+    return { success: true, created: true, snapshot: _toSnapshotSummary(snapshot) };
+  } catch (error) {
+    console.error(`Error creating snapshot for observation ${observationId}:`, error);
+    return { success: false, error: 'Failed to create the snapshot: ' + error.message };
+  }
+}
+
+/**
+ * Loads an observation for its observer's history panel.
+ * @param {string} observationId The observation ID.
+ * @param {string} userEmail The requesting user's email.
+ * @returns {Object} { observation } or { error }
+ * @private
+ */
+function _getSnapshotObservation(observationId, userEmail) {
+  const observation = getObservationById(observationId);
+  if (!observation) {
+    return { error: 'Observation not found.' };
+  }
+  if (observation.observerEmail !== userEmail) {
+    return { error: 'Permission denied. You did not create this observation.' };
+  }
+  return { observation: observation };
+}
+
+/**
+ * Lists an observation's snapshots for its observer, newest first.
+ * @param {string} observationId The observation ID.
+ * @param {string} userEmail The requesting user's email.
+ * @returns {Object} A response object with the snapshot summaries and whether the
+ *     observation can still be restored.
+ */
+function getObservationSnapshots(observationId, userEmail) {
+  try {
+    const { observation, error } = _getSnapshotObservation(observationId, userEmail);
+    if (error) {
+      return { success: false, error: error };
+    }
+
+    return {
+      success: true,
+      editable: EDITABLE_OBSERVATION_STATUSES.includes(observation.status),
+      snapshots: _getSnapshotRecords(observationId).map(_toSnapshotSummary).reverse()
+    };
+  } catch (error) {
+    console.error(`Error listing snapshots for observation ${observationId}:`, error);
+    return { success: false, error: 'Failed to load the observation history: ' + error.message };
+  }
+}
+
+/**
+ * Converts stored rich text to plain lines: notes HTML or a Quill Delta.
+ * @param {string|Object} value HTML string or Quill Delta ({ ops }).
+ * @returns {Array<string>} Non-empty trimmed lines.
+ * @private
+ */
+function _toSnapshotTextLines(value) {
+  let text = '';
+  if (value && Array.isArray(value.ops)) {
+    text = value.ops.map(op => (typeof op.insert === 'string' ? op.insert : '')).join('');
+  } else if (typeof value === 'string') {
+    text = stripHtml(value.replace(/<br\s*\/?>|<\/(p|li|h1|h2)>/gi, '\n'))
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+  }
+  return text.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+/**
+ * Diffs two lists of lines into side-by-side rows. Removed lines followed by added lines are
+ * paired as "changed" rows; runs of unchanged lines beyond SNAPSHOT_SETTINGS.DIFF_CONTEXT_LINES
+ * around a change are collapsed into a "skipped" row.
+ * @param {Array<string>} beforeLines The earlier lines.
+ * @param {Array<string>} afterLines The later lines.
+ * @returns {Array<Object>} Rows of { type: 'same'|'changed'|'removed'|'added', before, after }
+ *     or { type: 'skipped', count }; empty when the lines are identical.
+ */
+function diffTextLines(beforeLines, afterLines) {
+  const a = beforeLines || [];
+  const b = afterLines || [];
+  const ops = [];
+
+  if (a.length > SNAPSHOT_SETTINGS.MAX_DIFF_LINES || b.length > SNAPSHOT_SETTINGS.MAX_DIFF_LINES) {
+    if (a.join('\n') === b.join('\n')) return [];
+    a.forEach(line => ops.push({ type: 'removed', line: line }));
+    b.forEach(line => ops.push({ type: 'added', line: line }));
+  } else {
+    // Longest common subsequence, filled from the end so the walk below runs forwards
+    const lcs = [];
+    for (let i = a.length; i >= 0; i--) {
+      lcs[i] = new Array(b.length + 1).fill(0);
+      if (i === a.length) continue;
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: 'same', line: a[i] });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: 'removed', line: a[i++] });
+      } else {
+        ops.push({ type: 'added', line: b[j++] });
+      }
+    }
+    if (ops.every(op => op.type === 'same')) return [];
+  }
+
+  // Pair each block of removed lines with the added lines that follow it
+  const rows = [];
+  for (let k = 0; k < ops.length;) {
+    if (ops[k].type === 'same') {
+      rows.push({ type: 'same', before: ops[k].line, after: ops[k].line });
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].line);
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].line);
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const before = n < removed.length ? removed[n] : null;
+      const after = n < added.length ? added[n] : null;
+      rows.push({ type: before === null ? 'added' : (after === null ? 'removed' : 'changed'), before: before, after: after });
+    }
+  }
+
+  const context = SNAPSHOT_SETTINGS.DIFF_CONTEXT_LINES;
+  const keep = rows.map((row, index) => row.type !== 'same' ||
+    rows.slice(Math.max(0, index - context), index + context + 1).some(near => near.type !== 'same'));
+  const collapsed = [];
+  rows.forEach((row, index) => {
+    if (keep[index]) {
+      collapsed.push(row);
+    } else if (collapsed.length && collapsed[collapsed.length - 1].type === 'skipped') {
+      collapsed[collapsed.length - 1].count++;
+    } else {
+      collapsed.push({ type: 'skipped', count: 1 });
+    }
+  });
+  return collapsed;
+}
+
+/**
+ * Compares the content of two snapshots (or a snapshot and the current observation).
+ * @param {Object} before Content with observationData, observationNotes, componentTags,
+ *     scriptContent and optionally omittedFields.
+ * @param {Object} after Content in the same shape.
+ * @returns {Array<Object>} One entry per changed field:
+ *     { componentId (null for the script), field: 'proficiency'|'lookfors'|'notes'|'tags'|'script', rows }
+ */
+function diffObservationSnapshots(before, after) {
+  const changes = [];
+  const addChange = (componentId, field, beforeLines, afterLines) => {
+    const rows = diffTextLines(beforeLines, afterLines);
+    if (rows.length > 0) {
+      changes.push({ componentId: componentId, field: field, rows: rows });
+    }
+  };
+  const componentIds = (content) => Object.keys(content.observationData || {})
+    .concat(Object.keys(content.observationNotes || {}), Object.keys(content.componentTags || {}));
+
+  const ids = Array.from(new Set(componentIds(before).concat(componentIds(after)))).sort();
+  ids.forEach(componentId => {
+    const sides = [before, after].map(content => {
+      const data = (content.observationData || {})[componentId] || {};
+      const legacyNotes = (content.observationNotes || {})[componentId];
+      const tags = (content.componentTags || {})[componentId];
+      return {
+        proficiency: data.proficiency ? [data.proficiency] : [],
+        lookfors: (data.lookfors || []).slice().sort(),
+        notes: _toSnapshotTextLines(data.notes || legacyNotes || ''),
+        tags: Array.isArray(tags) ? tags.map(tag => (tag.text || '').trim()).filter(text => text) : []
+      };
+    });
+    ['proficiency', 'lookfors', 'notes', 'tags'].forEach(field => addChange(componentId, field, sides[0][field], sides[1][field]));
+  });
+
+  const scriptOmitted = (before.omittedFields || []).concat(after.omittedFields || []).includes('scriptContent');
+  if (!scriptOmitted) {
+    addChange(null, 'script', _toSnapshotTextLines(before.scriptContent), _toSnapshotTextLines(after.scriptContent));
+  }
+  return changes;
+}
+
+/**
+ * Compares a snapshot with the observation's current content.
+ * @param {string} observationId The observation ID.
+ * @param {string} snapshotId The snapshot ID.
+ * @param {string} userEmail The requesting user's email.
+ * @returns {Object} A response object with the snapshot summary and its changes
+ *     (snapshot on the "before" side, current observation on the "after" side).
+ */
+function compareObservationSnapshot(observationId, snapshotId, userEmail) {
+  try {
+    const { observation, error } = _getSnapshotObservation(observationId, userEmail);
+    if (error) {
+      return { success: false, error: error };
+    }
+    const snapshot = _getSnapshotRecords(observationId).find(record => record.snapshotId === snapshotId);
+    if (!snapshot) {
+      return { success: false, error: 'Snapshot not found.' };
+    }
+
+    const current = _getSnapshotContent(observation);
+    const after = Object.assign({ omittedFields: current.omittedFields }, current.content);
+    return {
+      success: true,
+      snapshot: _toSnapshotSummary(snapshot),
+      changes: diffObservationSnapshots(snapshot, after)
+    };
+  } catch (error) {
+    console.error(`Error comparing snapshot ${snapshotId}:`, error);
+    return { success: false, error: 'Failed to compare the snapshot: ' + error.message };
+  }
+}
+
+/**
+ * Restores an observation's content from a snapshot. The current content is snapshotted
+ * first, so a restore can itself be undone. Fields left out of the snapshot are not touched.
+ * @param {string} observationId The observation ID.
+ * @param {string} snapshotId The snapshot ID.
+ * @param {string} userEmail The observer's email.
+ * @returns {Object} A response object with the restored fields.
+ */
+function restoreObservationSnapshot(observationId, snapshotId, userEmail) {
+  try {
+    const { observation, error } = _getSnapshotObservation(observationId, userEmail);
+    if (error) {
+      return { success: false, error: error };
+    }
+    if (!EDITABLE_OBSERVATION_STATUSES.includes(observation.status)) {
+      return { success: false, error: `This observation is ${observation.status} and can no longer be changed.` };
+    }
+    const snapshot = _getSnapshotRecords(observationId).find(record => record.snapshotId === snapshotId);
+    if (!snapshot) {
+      return { success: false, error: 'Snapshot not found.' };
+    }
+
+    const backup = captureObservationSnapshot(observationId, userEmail, SNAPSHOT_REASONS.BEFORE_RESTORE);
+    if (!backup.success) {
+      return { success: false, error: 'Could not save the current version before restoring: ' + backup.error };
+    }
+
+    const restoredFields = SNAPSHOT_SETTINGS.SNAPSHOT_FIELDS.filter(field => !snapshot.omittedFields.includes(field));
+    // Applied to the observation as it is under the lock, so concurrent auto-saves to other
+    // columns aren't overwritten
+    const result = ObservationRepository.update(observationId, (latest, now) => {
+      const changes = {};
+      restoredFields.forEach(field => {
+        changes[field] = snapshot[field] || (field === 'scriptContent' ? null : {});
+      });
+      if (restoredFields.includes('scriptContent')) {
+        changes.scriptDocUrl = null;
+        changes.scriptStorageMethod = 'sheet';
+      }
+      // Saves made against the pre-restore version now conflict instead of overwriting it
+      changes.fieldTimestamps = Object.assign({}, latest.fieldTimestamps, { [OBSERVATION_FIELD_KEYS.ALL]: now });
+      return changes;
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    CacheService.getScriptCache().remove(SNAPSHOT_SETTINGS.CACHE_KEY_PREFIX + observationId);
+    if (typeof auditLog === 'function') {
+      auditLog(AUDIT_ACTIONS.OBSERVATION_SNAPSHOT_RESTORED, {
+        observationId: observationId,
+        snapshotId: snapshotId,
+        snapshotCreatedAt: snapshot.createdAt,
+        restoredFields: restoredFields
+      });
+    }
+
+    return { success: true, restoredFields: restoredFields, backupSnapshotId: backup.snapshot ? backup.snapshot.snapshotId : null };
+  } catch (error) {
+    console.error(`Error restoring snapshot ${snapshotId}:`, error);
+    return { success: false, error: 'Failed to restore the snapshot: ' + error.message };
+  }
+}
+
+/**
+ * Deletes all snapshots of an observation, e.g. when the observation itself is deleted.
+ * @param {string} observationId The observation ID.
+ * @returns {number} The number of snapshots deleted.
+ */
+function deleteObservationSnapshots(observationId) {
+  const lock = ObservationRepository.getLock();
+  try {
+    lock.waitLock(30000);
+    const rows = _getSnapshotRecords(observationId).map(record => record._row).sort((a, b) => b - a);
+    if (rows.length > 0) {
+      const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.OBSERVATION_SNAPSHOTS);
+      rows.forEach(row => sheet.deleteRow(row));
+      SpreadsheetApp.flush();
+    }
+    return rows.length;
+  } catch (error) {
+    console.error(`Error deleting snapshots for observation ${observationId}:`, error);
+    return 0;
+  } finally {
+    lock.releaseLock();
+  }
+}
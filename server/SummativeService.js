@@ -0,0 +1,364 @@
+/**
+ * SummativeService.js
+ * Summative evaluation records: rolls up every finalized observation for a staff member
+ * in one school-year cycle and stores the evaluator's final rating per domain.
+ */
+
+/**
+ * Strips sheet bookkeeping from a summative record before it leaves the service.
+ * @param {Object} record A record from SheetRecordStore.getRecords().
+ * @returns {Object} The summative evaluation.
+ * @private
+ */
+function _toSummative(record) {
+  if (!record) return null;
+  const summative = Object.assign({}, record);
+  delete summative._row;
+  return summative;
+}
+
+/**
+ * Finds the summative evaluation for a staff member and cycle.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @returns {Object|null} The summative evaluation, or null if none exists.
+ */
+function getSummativeEvaluation(staffEmail, cycle) {
+  const record = SheetRecordStore.getRecords(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, { staffEmail, cycle })[0];
+  return _toSummative(record);
+}
+
+/**
+ * Retrieves a summative evaluation by ID.
+ * @param {string} summativeId The summative evaluation ID.
+ * @returns {Object|null} The summative evaluation, or null if not found.
+ */
+function getSummativeEvaluationById(summativeId) {
+  const record = SheetRecordStore.findById(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, summativeId);
+  return _toSummative(record);
+}
+
+/**
+ * Returns the date used to place an observation in a cycle: the observation date if one was
+ * entered, otherwise when it was finalized or created.
+ * @param {Object} observation The observation.
+ * @returns {Date} The observation's effective date.
+ * @private
+ */
+function _getObservationEffectiveDate(observation) {
+  return new Date(observation.observationDate || observation.finalizedAt || observation.createdAt);
+}
+
+/**
+ * Gets the finalized observations that count toward a staff member's summative evaluation.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {Array<string>|null} observationIds Optional. Restrict to these observations (used once
+ *     a summative is finalized so later observations don't change it).
+ * @returns {Array<Object>} Full observation objects, oldest first.
+ */
+function getSummativeObservations(staffEmail, cycle, observationIds = null) {
+  return _getObservationsDb()
+    .filter(obs => obs.observedEmail === staffEmail)
+    .filter(obs => FINALIZED_OBSERVATION_STATUSES.includes(obs.status))
+    .filter(obs => SUMMATIVE_OBSERVATION_TYPES.includes(obs.Type || OBSERVATION_TYPES.STANDARD))
+    .filter(obs => observationIds ? observationIds.includes(obs.observationId) : getSchoolYearCycle(_getObservationEffectiveDate(obs)) === cycle)
+    .sort((a, b) => _getObservationEffectiveDate(a) - _getObservationEffectiveDate(b));
+}
+
+/**
+ * Lists the cycles in which a staff member has finalized observations, plus the current cycle.
+ * @param {string} staffEmail The staff member's email.
+ * @returns {Array<string>} Cycles, newest first.
+ */
+function getSummativeCyclesForStaff(staffEmail) {
+  const cycles = new Set([getSchoolYearCycle()]);
+  _getObservationsDb()
+    .filter(obs => obs.observedEmail === staffEmail && FINALIZED_OBSERVATION_STATUSES.includes(obs.status))
+    .forEach(obs => {
+      const cycle = getSchoolYearCycle(_getObservationEffectiveDate(obs));
+      if (cycle) cycles.add(cycle);
+    });
+  return Array.from(cycles).sort().reverse();
+}
+
+/**
+ * Builds the evidence rollup for a summative evaluation: the included observations and the
+ * proficiency history of every rated component, grouped by domain in rubric order.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {Array<string>|null} observationIds Optional. Restrict to these observations.
+ * @returns {Object|null} The rollup, or null if the staff member is unknown.
+ */
+function buildSummativeRollup(staffEmail, cycle, observationIds = null) {
+  const staff = getUserByEmail(staffEmail);
+  if (!staff) {
+    return null;
+  }
+
+  const observations = getSummativeObservations(staffEmail, cycle, observationIds);
+
+  // Component titles and domain names come from the staff member's rubric when available
+  const rubricData = getAllDomainsData(staff.role, staff.year, VIEW_MODES.FULL);
+  const domainsByNumber = {};
+  const componentOrder = [];
+  if (!rubricData.isError) {
+    (rubricData.domains || []).forEach(domain => {
+      domainsByNumber[domain.number] = { number: domain.number, name: domain.name, components: [] };
+      (domain.components || []).forEach(component => {
+        componentOrder.push({ componentId: component.componentId, title: component.title, domain: domain.number });
+      });
+    });
+  }
+
+  const history = {};
+  observations.forEach(obs => {
+    const observationData = obs.observationData || {};
+    Object.keys(observationData).forEach(componentId => {
+      const proficiency = observationData[componentId] && observationData[componentId].proficiency;
+      if (!proficiency) return;
+
+      if (!history[componentId]) history[componentId] = [];
+      history[componentId].push({
+        observationId: obs.observationId,
+        observationName: obs.observationName || null,
+        type: obs.Type || OBSERVATION_TYPES.STANDARD,
+        date: _getObservationEffectiveDate(obs).toISOString(),
+        proficiency: proficiency
+      });
+    });
+  });
+
+  // Components missing from the rubric (e.g. renamed since) still appear, after the known ones
+  Object.keys(history).sort().forEach(componentId => {
+    if (!componentOrder.some(item => item.componentId === componentId)) {
+      componentOrder.push({ componentId: componentId, title: componentId, domain: parseInt(componentId, 10) || 0 });
+    }
+  });
+
+  componentOrder.forEach(item => {
+    if (!history[item.componentId]) return;
+    if (!domainsByNumber[item.domain]) {
+      domainsByNumber[item.domain] = { number: item.domain, name: `Domain ${item.domain}`, components: [] };
+    }
+    const ratingCounts = {};
+    history[item.componentId].forEach(entry => {
+      ratingCounts[entry.proficiency] = (ratingCounts[entry.proficiency] || 0) + 1;
+    });
+    domainsByNumber[item.domain].components.push({
+      componentId: item.componentId,
+      title: item.title,
+      history: history[item.componentId],
+      ratingCounts: ratingCounts
+    });
+  });
+
+  return {
+    staff: { email: staff.email, name: staff.name, role: staff.role, year: staff.year },
+    cycle: cycle,
+    observations: observations.map(obs => ({
+      observationId: obs.observationId,
+      observationName: obs.observationName || null,
+      type: obs.Type || OBSERVATION_TYPES.STANDARD,
+      date: _getObservationEffectiveDate(obs).toISOString(),
+      observerEmail: obs.observerEmail,
+      status: obs.status
+    })),
+    domains: Object.keys(domainsByNumber)
+      .map(number => domainsByNumber[number])
+      .filter(domain => domain.components.length > 0)
+      .sort((a, b) => a.number - b.number)
+  };
+}
+
+/**
+ * Returns the staff member's summative evaluation for a cycle, creating a draft if none exists.
+ * @param {string} staffEmail The staff member's email.
+ * @param {string} cycle The school year, e.g. "2025-2026".
+ * @param {string} evaluatorEmail The evaluator creating the record.
+ * @returns {Object} A response object with the summative evaluation.
+ */
+function getOrCreateSummativeEvaluation(staffEmail, cycle, evaluatorEmail) {
+  if (!staffEmail || !cycle || !evaluatorEmail) {
+    return { success: false, error: 'Staff email, cycle, and evaluator email are required.' };
+  }
+
+  const staff = getUserByEmail(staffEmail);
+  if (!staff) {
+    return { success: false, error: 'Staff member not found.' };
+  }
+
+  setupSummativeSheet();
+  const lock = ObservationRepository.getLock();
+  lock.waitLock(30000); // Only one summative per staff member and cycle
+
+  const now = new Date().toISOString();
+  const summative = {
+    summativeId: generateUniqueId('sum'),
+    staffEmail: staffEmail,
+    staffName: staff.name,
+    staffRole: staff.role,
+    staffYear: staff.year,
+    cycle: cycle,
+    evaluatorEmail: evaluatorEmail,
+    status: SUMMATIVE_STATUS.DRAFT,
+    createdAt: now,
+    lastModifiedAt: now,
+    finalizedAt: '',
+    observationIds: [],
+    domainRatings: {},
+    summaryComments: '',
+    pdfUrl: '',
+    pdfStatus: ''
+  };
+
+  try {
+    const existing = getSummativeEvaluation(staffEmail, cycle);
+    if (existing) {
+      return { success: true, summative: existing };
+    }
+
+    SheetRecordStore.append(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, [summative]);
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.SUMMATIVE_CREATED, { summativeId: summative.summativeId, staffEmail, cycle, evaluatorEmail });
+  }
+
+  debugLog('Summative evaluation created', { summativeId: summative.summativeId, staffEmail, cycle });
+  return { success: true, summative: summative };
+}
+
+/**
+ * Saves domain ratings and summary comments on a draft summative evaluation.
+ * @param {string} summativeId The summative evaluation ID.
+ * @param {{domainRatings?: Object<string, {rating: string, rationale?: string}>, summaryComments?: string}} updates
+ *     Domain ratings keyed by domain number. Ratings must be PROFICIENCY_LEVELS keys; an empty
+ *     rating clears the domain.
+ * @param {string} evaluatorEmail The user saving the changes.
+ * @returns {Object} A response object with the updated summative evaluation.
+ */
+function saveSummativeEvaluation(summativeId, updates, evaluatorEmail) {
+  const summative = getSummativeEvaluationById(summativeId);
+  if (!summative) {
+    return { success: false, error: 'Summative evaluation not found.' };
+  }
+  if (summative.evaluatorEmail !== evaluatorEmail) {
+    return { success: false, error: 'Permission denied. You did not create this summative evaluation.' };
+  }
+  if (summative.status !== SUMMATIVE_STATUS.DRAFT) {
+    return { success: false, error: 'This summative evaluation has been finalized and can no longer be edited.' };
+  }
+
+  const input = updates || {};
+  const fields = {};
+
+  try {
+    if (input.domainRatings) {
+      const domainRatings = Object.assign({}, summative.domainRatings);
+      Object.keys(input.domainRatings).forEach(domain => {
+        const entry = input.domainRatings[domain] || {};
+        const rating = sanitizeText(entry.rating).toLowerCase();
+        const rationale = sanitizeText(entry.rationale);
+        validateInputLength('summativeComment', rationale);
+
+        if (!rating) {
+          delete domainRatings[domain];
+          return;
+        }
+        if (!PROFICIENCY_LEVELS.KEYS.includes(rating)) {
+          throw new Error(`Invalid rating "${entry.rating}" for domain ${domain}.`);
+        }
+        domainRatings[domain] = { rating: rating, rationale: rationale };
+      });
+      fields.domainRatings = domainRatings;
+    }
+
+    if (input.summaryComments !== undefined) {
+      fields.summaryComments = sanitizeText(input.summaryComments);
+      validateInputLength('summativeComment', fields.summaryComments);
+    }
+  } catch (validationError) {
+    return { success: false, error: validationError.message };
+  }
+
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, summativeId, () => fields);
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.SUMMATIVE_UPDATED, { summativeId, updatedBy: evaluatorEmail });
+  }
+  return { success: true, summative: getSummativeEvaluationById(summativeId) };
+}
+
+/**
+ * Finalizes a summative evaluation. Every domain with evidence must have a final rating.
+ * The included observations are recorded so the rollup no longer changes.
+ * @param {string} summativeId The summative evaluation ID.
+ * @param {string} evaluatorEmail The user finalizing.
+ * @returns {Object} A response object with the finalized summative evaluation.
+ */
+function finalizeSummativeEvaluation(summativeId, evaluatorEmail) {
+  const summative = getSummativeEvaluationById(summativeId);
+  if (!summative) {
+    return { success: false, error: 'Summative evaluation not found.' };
+  }
+  if (summative.evaluatorEmail !== evaluatorEmail) {
+    return { success: false, error: 'Permission denied. You did not create this summative evaluation.' };
+  }
+  if (summative.status !== SUMMATIVE_STATUS.DRAFT) {
+    return { success: false, error: 'This summative evaluation has already been finalized.' };
+  }
+
+  const rollup = buildSummativeRollup(summative.staffEmail, summative.cycle);
+  if (!rollup || rollup.observations.length === 0) {
+    return { success: false, error: 'There are no finalized observations in this cycle to summarize.' };
+  }
+
+  const unrated = rollup.domains.filter(domain => !summative.domainRatings[domain.number]);
+  if (unrated.length > 0) {
+    return {
+      success: false,
+      error: `Please set a final rating for: ${unrated.map(domain => domain.name).join(', ')}.`
+    };
+  }
+
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, summativeId, () => ({
+    status: SUMMATIVE_STATUS.FINALIZED,
+    finalizedAt: new Date().toISOString(),
+    observationIds: rollup.observations.map(obs => obs.observationId)
+  }));
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.SUMMATIVE_FINALIZED, {
+      summativeId,
+      staffEmail: summative.staffEmail,
+      cycle: summative.cycle,
+      finalizedBy: evaluatorEmail,
+      observationCount: rollup.observations.length
+    });
+  }
+
+  debugLog('Summative evaluation finalized', { summativeId, observationCount: rollup.observations.length });
+  return { success: true, summative: getSummativeEvaluationById(summativeId) };
+}
+
+/**
+ * Records the PDF generation result on a summative evaluation.
+ * @param {string} summativeId The summative evaluation ID.
+ * @param {string} pdfStatus 'generated' or 'failed'.
+ * @param {string|null} pdfUrl The PDF URL, if generated.
+ * @returns {Object} A response object with success status.
+ */
+function updateSummativePdfStatus(summativeId, pdfStatus, pdfUrl = null) {
+  const fields = { pdfStatus: pdfStatus };
+  if (pdfUrl) fields.pdfUrl = pdfUrl;
+  return SheetRecordStore.update(SHEET_RECORD_SCHEMAS.SUMMATIVE_EVALUATIONS, summativeId, () => fields);
+}
@@ -0,0 +1,402 @@
+/**
+ * TagSuggestionService.js
+ * Suggests rubric components for the sentences of an observation script, for the evaluator to
+ * accept or reject in the script editor before pushing tagged evidence to notes.
+ *
+ * Each sentence is scored against every component's title, descriptors and look-fors (from
+ * getAllDomainsData()): shared words count more when they come from a look-for and when few other
+ * components use them, and two-word phrases shared with a look-for add a bonus. When the
+ * TAG_SUGGESTION_PROVIDER script property names a model provider, its suggestions are merged in.
+ *
+ * A model provider is an object with:
+ *   - name {string}
+ *   - isConfigured() {boolean}
+ *   - suggest(sentences, components) {{success: boolean, suggestions?: Array, error?: string}}
+ *     sentences are [{index, text}], components are [{componentId, title, proficient, lookFors}],
+ *     and suggestions are [{index, componentId, reason}].
+ */
+
+const GEMINI_TAG_SUGGESTION_MODEL = 'gemini-flash-lite-latest';
+
+/**
+ * Words too common in scripts and rubric text to say anything about a component
+ */
+const TAG_SUGGESTION_STOP_WORDS = new Set([
+  'the', 'and', 'are', 'but', 'for', 'not', 'with', 'that', 'this', 'these', 'those', 'from', 'into',
+  'onto', 'about', 'their', 'there', 'they', 'them', 'then', 'than', 'have', 'has', 'had', 'was', 'were',
+  'will', 'would', 'could', 'should', 'can', 'may', 'might', 'all', 'any', 'each', 'some', 'most',
+  'other', 'such', 'only', 'also', 'very', 'what', 'when', 'where', 'which', 'who', 'whom', 'why', 'how',
+  'you', 'your', 'our', 'ours', 'his', 'her', 'its', 'she', 'him', 'one', 'two', 'yes', 'okay', 'well',
+  'just', 'like', 'does', 'did', 'doing', 'done', 'being', 'been', 'let', 'get', 'got', 'going', 'out',
+  'over', 'under', 'again', 'more', 'less', 'many', 'much', 'both', 'either', 'neither', 'own', 'same',
+  'through', 'during', 'before', 'after', 'while', 'because', 'if', 'so', 'now', 'here', 'few',
+  'teacher', 'student', 'speaker', 'class', 'lesson'
+]);
+
+/**
+ * Adds a model provider for tag suggestions, or replaces a built-in one of the same name. Set the
+ * TAG_SUGGESTION_PROVIDER script property to its name to use it.
+ * @param {string} name The provider name.
+ * @param {Object} provider The provider (see the interface at the top of this file).
+ */
+function registerTagSuggestionProvider(name, provider) {
+  ProviderRegistry.register('tag suggestion', name, provider);
+}
+
+/**
+ * Gets the model provider named by the TAG_SUGGESTION_PROVIDER script property.
+ * @returns {Object|null} The provider, or null when none is set, the name is unknown or the
+ *     provider isn't configured.
+ */
+function getTagSuggestionProvider() {
+  const name = PropertiesService.getScriptProperties().getProperty(TAG_SUGGESTION_SETTINGS.PROVIDER_PROPERTY);
+  if (!name) return null;
+
+  const provider = ProviderRegistry.get('tag suggestion', name, {
+    [TAG_SUGGESTION_PROVIDERS.GEMINI]: _createGeminiTagSuggestionProvider
+  });
+  return provider && provider.isConfigured() ? provider : null;
+}
+
+/**
+ * Suggests components for the sentences of a script.
+ * @param {string} text The script text, as the editor's getText() returns it.
+ * @param {Array<Object>} components Components from getAllDomainsData() to suggest from.
+ * @param {Object} options Optional. useModel: false skips the model provider.
+ * @returns {Object} {suggestions, modelProvider, modelError}. Each suggestion has start and length
+ *     (character offsets into text), text, componentId, componentTitle, score, sources (the
+ *     TAG_SUGGESTION_SOURCES that suggested it), matchedTerms, lookFor and reason.
+ */
+function suggestComponentTags(text, components, options = {}) {
+  const sentences = splitScriptSentences(text);
+  const profiles = _buildComponentProfiles(components);
+  const byKey = {};
+  let suggestions = [];
+
+  sentences.forEach((sentence, index) => {
+    _scoreSentence(sentence, profiles)
+      .slice(0, TAG_SUGGESTION_SETTINGS.MAX_PER_SENTENCE)
+      .forEach(match => {
+        const suggestion = _toTagSuggestion(sentence, index, match.profile, [TAG_SUGGESTION_SOURCES.KEYWORD]);
+        suggestion.score = Math.round(match.score * 10) / 10;
+        suggestion.matchedTerms = match.matchedTerms;
+        suggestion.lookFor = match.lookFor;
+        byKey[`${index}|${suggestion.componentId}`] = suggestion;
+        suggestions.push(suggestion);
+      });
+  });
+
+  // Keep the strongest keyword matches, then let the model add to them
+  suggestions.sort((a, b) => b.score - a.score);
+  suggestions.slice(TAG_SUGGESTION_SETTINGS.MAX_SUGGESTIONS).forEach(dropped => {
+    delete byKey[`${dropped.sentenceIndex}|${dropped.componentId}`];
+  });
+  suggestions = suggestions.slice(0, TAG_SUGGESTION_SETTINGS.MAX_SUGGESTIONS);
+
+  const provider = options.useModel === false ? null : getTagSuggestionProvider();
+  let modelError = null;
+  if (provider && sentences.length > 0) {
+    const modelResult = _getModelTagSuggestions(provider, sentences, profiles);
+    if (modelResult.success) {
+      modelResult.suggestions.forEach(item => {
+        const key = `${item.index}|${item.componentId}`;
+        if (byKey[key]) {
+          byKey[key].sources.push(TAG_SUGGESTION_SOURCES.MODEL);
+          byKey[key].reason = item.reason;
+        } else {
+          const profile = profiles.find(entry => entry.componentId === item.componentId);
+          const suggestion = _toTagSuggestion(sentences[item.index], item.index, profile, [TAG_SUGGESTION_SOURCES.MODEL]);
+          suggestion.reason = item.reason;
+          byKey[key] = suggestion;
+          suggestions.push(suggestion);
+        }
+      });
+    } else {
+      modelError = modelResult.error;
+      console.error('Tag suggestion provider failed:', modelError);
+    }
+  }
+
+  suggestions.sort((a, b) => a.start - b.start || (b.score || 0) - (a.score || 0));
+  suggestions.forEach(suggestion => delete suggestion.sentenceIndex);
+  return {
+    suggestions: suggestions,
+    modelProvider: provider ? provider.name : null,
+    modelError: modelError
+  };
+}
+
+/**
+ * Splits script text into sentences, keeping their positions. Lines are split at sentence
+ * punctuation; sentences under TAG_SUGGESTION_SETTINGS.MIN_SENTENCE_WORDS words are left out.
+ * @param {string} text The script text.
+ * @returns {Array<{start: number, length: number, text: string}>} The sentences.
+ */
+function splitScriptSentences(text) {
+  const sentences = [];
+  let lineStart = 0;
+
+  String(text || '').split('\n').forEach(line => {
+    const pattern = /[^.!?]+[.!?]*/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      const leading = match[0].length - match[0].trimStart().length;
+      const sentenceText = match[0].trim();
+      if (sentenceText.split(/\s+/).filter(word => /[a-z]/i.test(word)).length >= TAG_SUGGESTION_SETTINGS.MIN_SENTENCE_WORDS) {
+        sentences.push({ start: lineStart + match.index + leading, length: sentenceText.length, text: sentenceText });
+      }
+    }
+    lineStart += line.length + 1;
+  });
+  return sentences;
+}
+
+/**
+ * Splits text into stemmed words, leaving out stop words and numbers.
+ * @param {string} text The text.
+ * @returns {Array<{word: string, stem: string}>} The words in order.
+ * @private
+ */
+function _tokenizeForTagSuggestions(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !/^\d+$/.test(word))
+    .map(word => ({ word: word, stem: _stemForTagSuggestions(word) }))
+    .filter(token => !TAG_SUGGESTION_STOP_WORDS.has(token.word) && !TAG_SUGGESTION_STOP_WORDS.has(token.stem));
+}
+
+/**
+ * A light suffix stemmer, enough for "questions", "questioning" and "questioned" to match.
+ * @param {string} word A lowercase word.
+ * @returns {string} The stem.
+ * @private
+ */
+function _stemForTagSuggestions(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 5 && word.endsWith('ly')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * @param {Array<{stem: string}>} tokens Tokens in order.
+ * @returns {Set<string>} Adjacent stem pairs.
+ * @private
+ */
+function _tagSuggestionBigrams(tokens) {
+  const bigrams = new Set();
+  for (let i = 1; i < tokens.length; i++) {
+    bigrams.add(`${tokens[i - 1].stem} ${tokens[i].stem}`);
+  }
+  return bigrams;
+}
+
+/**
+ * Builds the vocabulary of each component, and how rare each word is across components.
+ * @param {Array<Object>} components Components from getAllDomainsData().
+ * @returns {Array<Object>} Profiles with componentId, title, termWeights (stem → weight, already
+ *     multiplied by rarity), lookFors ({text, stems, bigrams}) and the component itself.
+ * @private
+ */
+function _buildComponentProfiles(components) {
+  const profiles = (components || []).map(component => {
+    const weights = new Map();
+    const addTerms = (text, weight) => {
+      _tokenizeForTagSuggestions(text).forEach(token => {
+        weights.set(token.stem, Math.max(weights.get(token.stem) || 0, weight));
+      });
+    };
+
+    const title = String(component.title || '').replace(/^\s*\d+[a-z]:\s*/i, '');
+    addTerms(title, TAG_SUGGESTION_SETTINGS.DESCRIPTOR_TERM_WEIGHT);
+    PROFICIENCY_LEVELS.KEYS.forEach(level => addTerms(component[level], TAG_SUGGESTION_SETTINGS.DESCRIPTOR_TERM_WEIGHT));
+
+    const lookFors = (component.bestPractices || component.lookFors || []).map(lookFor => {
+      const tokens = _tokenizeForTagSuggestions(lookFor);
+      addTerms(lookFor, TAG_SUGGESTION_SETTINGS.LOOK_FOR_TERM_WEIGHT);
+      return { text: lookFor, stems: new Set(tokens.map(token => token.stem)), bigrams: _tagSuggestionBigrams(tokens) };
+    });
+
+    return { componentId: component.componentId, title: component.title, component: component, termWeights: weights, lookFors: lookFors };
+  });
+
+  const documentFrequency = new Map();
+  profiles.forEach(profile => {
+    profile.termWeights.forEach((weight, stem) => documentFrequency.set(stem, (documentFrequency.get(stem) || 0) + 1));
+  });
+  profiles.forEach(profile => {
+    profile.termWeights.forEach((weight, stem) => {
+      profile.termWeights.set(stem, weight * Math.log(1 + profiles.length / documentFrequency.get(stem)));
+    });
+  });
+  return profiles;
+}
+
+/**
+ * Scores a sentence against every component.
+ * @param {Object} sentence A sentence from splitScriptSentences().
+ * @param {Array<Object>} profiles Profiles from _buildComponentProfiles().
+ * @returns {Array<Object>} Matches above the thresholds, best first: {profile, score, matchedTerms, lookFor}.
+ * @private
+ */
+function _scoreSentence(sentence, profiles) {
+  const tokens = _tokenizeForTagSuggestions(sentence.text);
+  const wordsByStem = new Map();
+  tokens.forEach(token => {
+    if (!wordsByStem.has(token.stem)) wordsByStem.set(token.stem, token.word);
+  });
+  const bigrams = _tagSuggestionBigrams(tokens);
+
+  const matches = [];
+  profiles.forEach(profile => {
+    let score = 0;
+    const matchedTerms = [];
+    wordsByStem.forEach((word, stem) => {
+      if (profile.termWeights.has(stem)) {
+        score += profile.termWeights.get(stem);
+        matchedTerms.push(word);
+      }
+    });
+    if (matchedTerms.length === 0) return;
+
+    let phraseMatches = 0;
+    let bestLookFor = null;
+    let bestOverlap = 0;
+    profile.lookFors.forEach(lookFor => {
+      bigrams.forEach(bigram => {
+        if (lookFor.bigrams.has(bigram)) phraseMatches++;
+      });
+      let overlap = 0;
+      wordsByStem.forEach((word, stem) => {
+        if (lookFor.stems.has(stem)) overlap++;
+      });
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestLookFor = lookFor.text;
+      }
+    });
+    score += phraseMatches * TAG_SUGGESTION_SETTINGS.PHRASE_WEIGHT;
+
+    if (score >= TAG_SUGGESTION_SETTINGS.MIN_SCORE &&
+        (matchedTerms.length >= TAG_SUGGESTION_SETTINGS.MIN_MATCHED_TERMS || phraseMatches > 0)) {
+      matches.push({ profile: profile, score: score, matchedTerms: matchedTerms, lookFor: bestLookFor });
+    }
+  });
+
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {Object} sentence A sentence from splitScriptSentences().
+ * @param {number} sentenceIndex Its index.
+ * @param {Object} profile The suggested component's profile.
+ * @param {Array<string>} sources The TAG_SUGGESTION_SOURCES that suggested it.
+ * @returns {Object} A suggestion (see suggestComponentTags()).
+ * @private
+ */
+function _toTagSuggestion(sentence, sentenceIndex, profile, sources) {
+  return {
+    sentenceIndex: sentenceIndex,
+    start: sentence.start,
+    length: sentence.length,
+    text: sentence.text,
+    componentId: profile.componentId,
+    componentTitle: profile.title,
+    score: null,
+    sources: sources,
+    matchedTerms: [],
+    lookFor: null,
+    reason: null
+  };
+}
+
+/**
+ * Asks a model provider for suggestions and drops any for unknown sentences or components.
+ * @param {Object} provider The model provider.
+ * @param {Array<Object>} sentences Sentences from splitScriptSentences().
+ * @param {Array<Object>} profiles Profiles from _buildComponentProfiles().
+ * @returns {{success: boolean, suggestions?: Array, error?: string}} The suggestions.
+ * @private
+ */
+function _getModelTagSuggestions(provider, sentences, profiles) {
+  try {
+    const result = provider.suggest(
+      sentences.slice(0, TAG_SUGGESTION_SETTINGS.MAX_MODEL_SENTENCES).map((sentence, index) => ({ index: index, text: sentence.text })),
+      profiles.map(profile => ({
+        componentId: profile.componentId,
+        title: profile.title,
+        proficient: profile.component.proficient || '',
+        lookFors: profile.lookFors.map(lookFor => lookFor.text)
+      }))
+    );
+    if (!result || !result.success) {
+      return { success: false, error: (result && result.error) || 'No suggestions received' };
+    }
+
+    const componentIds = new Set(profiles.map(profile => profile.componentId));
+    const seen = new Set();
+    const suggestions = (result.suggestions || []).filter(item => {
+      const index = Number(item.index);
+      const key = `${index}|${item.componentId}`;
+      if (!Number.isInteger(index) || !sentences[index] || !componentIds.has(item.componentId) || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    }).map(item => ({ index: Number(item.index), componentId: item.componentId, reason: item.reason ? String(item.reason) : null }));
+    return { success: true, suggestions: suggestions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Creates the Gemini model provider. Uses the GEMINI_API_KEY script property.
+ * @returns {Object} The provider.
+ * @private
+ */
+function _createGeminiTagSuggestionProvider() {
+  const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
+
+  return {
+    name: TAG_SUGGESTION_PROVIDERS.GEMINI,
+    isConfigured: () => !!apiKey,
+
+    suggest(sentences, components) {
+      const prompt = 'You help an instructional coach tag classroom observation evidence to rubric components.\n' +
+        'For each numbered sentence that is clear evidence of a component, return that component. ' +
+        'Skip sentences that are not evidence. Reply with a JSON array of ' +
+        '{"index": <sentence number>, "componentId": "<id such as 3b:>", "reason": "<one short sentence>"}.\n\n' +
+        'COMPONENTS:\n' + JSON.stringify(components) + '\n\n' +
+        'SENTENCES:\n' + sentences.map(sentence => `${sentence.index}. ${sentence.text}`).join('\n');
+
+      const response = UrlFetchApp.fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TAG_SUGGESTION_MODEL}:generateContent`, {
+          method: 'post',
+          contentType: 'application/json',
+          muteHttpExceptions: true,
+          headers: { 'x-goog-api-key': apiKey },
+          payload: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature: 0.1, responseMimeType: 'application/json' }
+          })
+        });
+
+      if (response.getResponseCode() !== 200) {
+        return { success: false, error: `Gemini error ${response.getResponseCode()}: ${response.getContentText()}` };
+      }
+      const json = JSON.parse(response.getContentText());
+      const candidate = json.candidates && json.candidates[0];
+      const text = candidate && candidate.content && candidate.content.parts && candidate.content.parts[0].text;
+      if (!text) {
+        return { success: false, error: 'Gemini returned no suggestions' };
+      }
+      const parsed = JSON.parse(text);
+      return { success: true, suggestions: Array.isArray(parsed) ? parsed : [] };
+    }
+  };
+}
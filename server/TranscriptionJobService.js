@@ -0,0 +1,356 @@
+/**
+ * TranscriptionJobService.js
+ * The transcription job store, one row per job in the Transcription_Jobs sheet, and the
+ * administrator's job dashboard: manual retry and cancel, pruning of finished jobs and the
+ * estimated monthly cost. processTranscriptionQueue() in Code.js works through the pending and
+ * processing rows.
+ */
+
+/**
+ * Reads all transcription job records, oldest first.
+ * @returns {Array<Object>} Records keyed by header, each with its 1-based sheet row in `_row`.
+ * @private
+ */
+function _getTranscriptionJobRecords() {
+  return SheetRecordStore.getRecords(SHEET_RECORD_SCHEMAS.TRANSCRIPTION_JOBS).filter(record => record.jobId);
+}
+
+/**
+ * Strips sheet bookkeeping from a job record before it leaves the service.
+ * @param {Object} record A record from _getTranscriptionJobRecords().
+ * @returns {Object} The job.
+ * @private
+ */
+function _toTranscriptionJob(record) {
+  if (!record) return null;
+  const job = Object.assign({}, record);
+  delete job._row;
+  return job;
+}
+
+/**
+ * Retrieves a transcription job by ID.
+ * @param {string} jobId The job ID.
+ * @returns {Object|null} The job, or null if not found.
+ */
+function getTranscriptionJob(jobId) {
+  return _toTranscriptionJob(_getTranscriptionJobRecords().find(record => record.jobId === jobId));
+}
+
+/**
+ * Lists transcription jobs in the order they were created.
+ * @param {Array<string>} statuses Optional. Only jobs with one of these TRANSCRIPTION_JOB_STATUS values.
+ * @returns {Array<Object>} The jobs.
+ */
+function getTranscriptionJobs(statuses = null) {
+  return _getTranscriptionJobRecords()
+    .filter(record => !statuses || statuses.includes(record.status))
+    .map(_toTranscriptionJob);
+}
+
+/**
+ * Adds a job to the Transcription_Jobs sheet.
+ * @param {Object} job The job, keyed by column. Columns it doesn't set are left blank.
+ */
+function saveNewTranscriptionJob(job) {
+  setupTranscriptionJobsSheet();
+  SheetRecordStore.append(SHEET_RECORD_SCHEMAS.TRANSCRIPTION_JOBS,
+    [Object.assign({}, job, { lastModifiedAt: new Date().toISOString() })]);
+}
+
+/**
+ * Writes fields of a job row under the script lock and bumps lastModifiedAt.
+ * @param {string} jobId The job ID.
+ * @param {Object} fields Column values keyed by header.
+ * @param {Array<string>} expectedStatuses Optional. Only update a job that is still in one of these
+ *     statuses, so a job cancelled while the queue was polling it stays cancelled.
+ * @returns {{success: boolean, job?: Object, error?: string}} The updated job.
+ */
+function updateTranscriptionJob(jobId, fields, expectedStatuses = null) {
+  let rejection = null;
+  const result = SheetRecordStore.update(SHEET_RECORD_SCHEMAS.TRANSCRIPTION_JOBS, jobId, record => {
+    if (expectedStatuses && !expectedStatuses.includes(record.status)) {
+      rejection = { success: false, error: `The job is ${record.status}.` };
+      return null;
+    }
+    return fields;
+  });
+  if (rejection) return rejection;
+  return result.success ? { success: true, job: result.record } : result;
+}
+
+/**
+ * Moves jobs queued before the Transcription_Jobs sheet existed out of Script Properties. Does
+ * nothing once they have been moved.
+ * @returns {number} The number of jobs moved.
+ */
+function migrateTranscriptionJobProperties() {
+  const properties = PropertiesService.getScriptProperties();
+  const prefix = TRANSCRIPTION_JOB_SETTINGS.LEGACY_JOB_PROPERTY_PREFIX;
+  const keys = properties.getKeys().filter(key => key.indexOf(prefix) === 0);
+  if (keys.length === 0 && properties.getProperty(TRANSCRIPTION_JOB_SETTINGS.LEGACY_QUEUE_PROPERTY) === null) {
+    return 0;
+  }
+
+  const lock = ObservationRepository.getLock();
+  lock.waitLock(30000);
+
+  try {
+    const existingIds = getTranscriptionJobs().map(job => job.jobId);
+    let moved = 0;
+
+    keys.forEach(key => {
+      let jobData;
+      try {
+        jobData = JSON.parse(properties.getProperty(key));
+      } catch (err) {
+        console.error('Malformed JSON for legacy transcription job:', key, err);
+        return;
+      }
+
+      const jobId = jobData.jobId || key.slice(prefix.length);
+      if (!existingIds.includes(jobId)) {
+        // Jobs queued before providers existed only have a Gemini batchJobName
+        const providerJobName = jobData.providerJobName || jobData.batchJobName || '';
+        saveNewTranscriptionJob({
+          jobId: jobId,
+          observationId: jobData.observationId,
+          filename: jobData.filename,
+          fileId: jobData.fileId,
+          fileSizeMB: Number(jobData.fileSizeMB) || 0,
+          status: jobData.status,
+          provider: jobData.provider || (providerJobName ? TRANSCRIPTION_PROVIDERS.GEMINI_BATCH : ''),
+          providerJobName: providerJobName,
+          attempts: jobData.attempts || 0,
+          error: jobData.error,
+          prompt: jobData.prompt,
+          createdBy: jobData.createdBy,
+          createdAt: jobData.createdAt,
+          submittedAt: jobData.submittedAt,
+          completedAt: jobData.completedAt,
+          transcriptionUrl: jobData.transcriptionUrl
+        });
+        moved++;
+      }
+      properties.deleteProperty(key);
+    });
+    properties.deleteProperty(TRANSCRIPTION_JOB_SETTINGS.LEGACY_QUEUE_PROPERTY);
+
+    debugLog('Transcription jobs moved to sheet', { moved });
+    return moved;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Deletes complete and cancelled jobs last changed more than TRANSCRIPTION_JOB_SETTINGS.RETENTION_DAYS
+ * ago. Their cost stays in the monthly ledger. Failed jobs are kept until they are retried or cancelled.
+ * @param {Date} now Optional. The current time.
+ * @returns {number} The number of jobs deleted.
+ */
+function pruneTranscriptionJobs(now = new Date()) {
+  const cutoff = now.getTime() - TRANSCRIPTION_JOB_SETTINGS.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const lock = ObservationRepository.getLock();
+  lock.waitLock(30000);
+
+  try {
+    const sheet = getSheetByName(openSpreadsheet(), SHEET_NAMES.TRANSCRIPTION_JOBS);
+    if (!sheet) return 0;
+
+    const expired = _getTranscriptionJobRecords().filter(record =>
+      (record.status === TRANSCRIPTION_JOB_STATUS.COMPLETE || record.status === TRANSCRIPTION_JOB_STATUS.CANCELLED) &&
+      new Date(record.lastModifiedAt || record.createdAt).getTime() < cutoff);
+
+    // Bottom-up, so earlier row numbers stay valid
+    expired.sort((a, b) => b._row - a._row).forEach(record => sheet.deleteRow(record._row));
+    if (expired.length > 0) {
+      SpreadsheetApp.flush();
+      debugLog('Pruned transcription jobs', { count: expired.length });
+    }
+    return expired.length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * =================================================================
+ * COST ACCOUNTING
+ * =================================================================
+ */
+
+/**
+ * Estimates what a finished job cost. Uses the provider's reported token usage when there is
+ * one; otherwise the audio tokens are estimated from the file size and the output tokens from
+ * the transcript length.
+ * @param {Object} jobData The job.
+ * @param {{text?: string, usage?: {inputTokens: number, outputTokens: number}}} transcript The
+ *     provider's fetchResult().
+ * @param {Object} provider The provider the job ran on. Its optional pricing is
+ *     {inputPerMillionTokens, outputPerMillionTokens}; without one the job is free.
+ * @returns {{inputTokens: number, outputTokens: number, estimatedCost: number}} The estimate.
+ */
+function estimateTranscriptionCost(jobData, transcript, provider) {
+  const usage = (transcript && transcript.usage) || {};
+  const audioSeconds = (Number(jobData.fileSizeMB) || 0) * 1024 * 1024 / TRANSCRIPTION_COST_SETTINGS.ASSUMED_AUDIO_BYTES_PER_SECOND;
+  const inputTokens = Number(usage.inputTokens) || Math.round(audioSeconds * TRANSCRIPTION_COST_SETTINGS.AUDIO_TOKENS_PER_SECOND);
+  const outputTokens = Number(usage.outputTokens) ||
+    Math.ceil(String((transcript && transcript.text) || '').length / TRANSCRIPTION_COST_SETTINGS.CHARS_PER_TOKEN);
+
+  const pricing = provider && provider.pricing;
+  const cost = pricing
+    ? (inputTokens * pricing.inputPerMillionTokens + outputTokens * pricing.outputPerMillionTokens) / 1000000
+    : 0;
+
+  return {
+    inputTokens: inputTokens,
+    outputTokens: outputTokens,
+    estimatedCost: Math.round(cost * 10000) / 10000
+  };
+}
+
+/**
+ * Reads the monthly cost ledger.
+ * @returns {Object} Totals keyed by "yyyy-MM": {jobs, audioMB, estimatedCost}.
+ * @private
+ */
+function _getTranscriptionCostLedger() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(TRANSCRIPTION_JOB_SETTINGS.COST_LEDGER_PROPERTY) || '{}');
+  } catch (error) {
+    console.error('Malformed transcription cost ledger:', error);
+    return {};
+  }
+}
+
+/**
+ * Adds a completed job to the month it completed in. The ledger keeps the totals after the job
+ * itself has been pruned.
+ * @param {Object} job The completed job.
+ */
+function recordTranscriptionCost(job) {
+  const month = Utilities.formatDate(new Date(job.completedAt), Session.getScriptTimeZone(), 'yyyy-MM');
+  const ledger = _getTranscriptionCostLedger();
+  const totals = ledger[month] || { jobs: 0, audioMB: 0, estimatedCost: 0 };
+
+  totals.jobs++;
+  totals.audioMB = Math.round((totals.audioMB + (Number(job.fileSizeMB) || 0)) * 100) / 100;
+  totals.estimatedCost = Math.round((totals.estimatedCost + (Number(job.estimatedCost) || 0)) * 10000) / 10000;
+  ledger[month] = totals;
+
+  Object.keys(ledger).sort().reverse().slice(TRANSCRIPTION_JOB_SETTINGS.MAX_COST_MONTHS)
+    .forEach(oldMonth => delete ledger[oldMonth]);
+  PropertiesService.getScriptProperties().setProperty(TRANSCRIPTION_JOB_SETTINGS.COST_LEDGER_PROPERTY, JSON.stringify(ledger));
+}
+
+/**
+ * Lists the estimated transcription cost of each month, newest first.
+ * @returns {Array<{month: string, jobs: number, audioMB: number, estimatedCost: number}>} The months.
+ */
+function getTranscriptionCostsByMonth() {
+  const ledger = _getTranscriptionCostLedger();
+  return Object.keys(ledger).sort().reverse()
+    .map(month => Object.assign({ month: month }, ledger[month]));
+}
+
+/**
+ * =================================================================
+ * JOB DASHBOARD
+ * =================================================================
+ */
+
+/**
+ * Whether a user may see and manage every transcription job.
+ * @param {Object} userContext The user's context.
+ * @returns {boolean} True for administrators and Full Access users.
+ */
+function canManageTranscriptionJobs(userContext) {
+  return userContext.role === SPECIAL_ROLES.ADMINISTRATOR || userContext.role === SPECIAL_ROLES.FULL_ACCESS;
+}
+
+/**
+ * Loads the job dashboard: every job, newest first, with its processing time, and the cost by month.
+ * @returns {Object} The dashboard.
+ */
+function getTranscriptionJobDashboard() {
+  migrateTranscriptionJobProperties();
+
+  const summary = {};
+  Object.values(TRANSCRIPTION_JOB_STATUS).forEach(status => { summary[status] = 0; });
+
+  const jobs = getTranscriptionJobs().reverse().map(job => {
+    summary[job.status] = (summary[job.status] || 0) + 1;
+    const row = Object.assign({}, job, { processingTime: calculateProcessingTime(job) });
+    delete row.prompt;
+    return row;
+  });
+
+  return {
+    jobs: jobs,
+    summary: summary,
+    monthlyCosts: getTranscriptionCostsByMonth(),
+    currency: TRANSCRIPTION_COST_SETTINGS.CURRENCY,
+    retentionDays: TRANSCRIPTION_JOB_SETTINGS.RETENTION_DAYS
+  };
+}
+
+/**
+ * Puts a failed or cancelled job back in the queue as if it were new.
+ * @param {string} jobId The job ID.
+ * @param {string} requestingEmail The administrator retrying it.
+ * @returns {Object} A response object with the updated job.
+ */
+function retryTranscriptionJob(jobId, requestingEmail) {
+  const result = updateTranscriptionJob(jobId, {
+    status: TRANSCRIPTION_JOB_STATUS.PENDING,
+    attempts: 0,
+    error: '',
+    provider: '',
+    providerJobName: '',
+    submittedAt: '',
+    completedAt: '',
+    cancelledBy: ''
+  }, [TRANSCRIPTION_JOB_STATUS.FAILED, TRANSCRIPTION_JOB_STATUS.CANCELLED]);
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.TRANSCRIPTION_JOB_RETRIED, { jobId, observationId: result.job.observationId, requestedBy: requestingEmail });
+  }
+  return result;
+}
+
+/**
+ * Cancels a pending or processing job. A submitted job is also cancelled at its provider when the
+ * provider supports it; otherwise its result is ignored when it finishes.
+ * @param {string} jobId The job ID.
+ * @param {string} requestingEmail The administrator cancelling it.
+ * @returns {Object} A response object with the updated job.
+ */
+function cancelTranscriptionJob(jobId, requestingEmail) {
+  const job = getTranscriptionJob(jobId);
+  if (job && job.status === TRANSCRIPTION_JOB_STATUS.PROCESSING && job.providerJobName) {
+    const provider = getTranscriptionProvider(job.provider);
+    if (provider && typeof provider.cancel === 'function') {
+      const cancelled = provider.cancel(job.providerJobName);
+      if (!cancelled.success) {
+        console.warn(`Could not cancel ${job.providerJobName} at ${job.provider}:`, cancelled.error);
+      }
+    }
+  }
+
+  const result = updateTranscriptionJob(jobId, {
+    status: TRANSCRIPTION_JOB_STATUS.CANCELLED,
+    cancelledBy: requestingEmail
+  }, [TRANSCRIPTION_JOB_STATUS.PENDING, TRANSCRIPTION_JOB_STATUS.PROCESSING]);
+  if (!result.success) {
+    return result;
+  }
+
+  if (typeof auditLog === 'function') {
+    auditLog(AUDIT_ACTIONS.TRANSCRIPTION_JOB_CANCELLED, { jobId, observationId: result.job.observationId, requestedBy: requestingEmail });
+  }
+  return result;
+}
@@ -0,0 +1,506 @@
+/**
+ * TranscriptionService.js
+ * Speech-to-text providers for the batch transcription queue (processTranscriptionQueue() in
+ * Code.js). The queue only talks to a provider through submit, poll and fetchResult, so another
+ * vendor or an internal service can be plugged in without touching the queue.
+ *
+ * The TRANSCRIPTION_PROVIDER script property names the provider new jobs are submitted to
+ * (default: the Gemini Batch API). A job keeps the provider it was submitted to until it finishes.
+ *
+ * A provider is an object with:
+ *   - name {string}
+ *   - maxFileSizeBytes {number} Largest audio file it accepts
+ *   - isConfigured() {boolean} Whether it has the credentials it needs
+ *   - submit(jobId, jobData) {{success: boolean, providerJobName?: string, error?: string}}
+ *   - poll(providerJobName) {{state: string, error?: string}} state is a TRANSCRIPTION_JOB_STATES value
+ *   - fetchResult(providerJobName, pollResult) {{success: boolean, text?: string, segments?: Array,
+ *     usage?: {inputTokens: number, outputTokens: number}, error?: string}}
+ *     Providers that diarize return segments ({start, end, speakerLabel, text}, times in seconds);
+ *     otherwise the text is split into segments by parseTranscriptSegments().
+ *   - cancel(providerJobName) {{success: boolean, error?: string}} Optional
+ *   - pricing {{inputPerMillionTokens: number, outputPerMillionTokens: number}} Optional. Used for
+ *     the estimated cost on the job dashboard (see TranscriptionJobService.js)
+ */
+
+const GEMINI_TRANSCRIPTION_MODEL = 'gemini-flash-lite-latest';
+const MAX_BATCH_FILE_SIZE_BYTES = 37 * 1024 * 1024;
+
+/**
+ * Appended to every queued job's prompt so the transcript can be split into segments
+ */
+const TRANSCRIPT_FORMAT_INSTRUCTIONS = '\n=== OUTPUT FORMAT ===\n' +
+  'Start every speaker turn on a new line as "[MM:SS] Speaker: words", where MM:SS is when the turn ' +
+  'starts in the recording (use [H:MM:SS] past one hour). Do not put anything else before the transcript.\n';
+
+/**
+ * Adds a transcription provider, or replaces a built-in one of the same name. Call it from a
+ * file that loads after ProviderRegistry.js, then set the TRANSCRIPTION_PROVIDER script property
+ * to its name.
+ * @param {string} name The provider name.
+ * @param {Object} provider The provider (see the interface at the top of this file).
+ */
+function registerTranscriptionProvider(name, provider) {
+  ProviderRegistry.register('transcription', name, provider);
+}
+
+/**
+ * Gets the name of the provider new jobs are submitted to.
+ * @returns {string} The TRANSCRIPTION_PROVIDER script property, or TRANSCRIPTION_SETTINGS.DEFAULT_PROVIDER.
+ */
+function getTranscriptionProviderName() {
+  return PropertiesService.getScriptProperties().getProperty(TRANSCRIPTION_SETTINGS.PROVIDER_PROPERTY) ||
+    TRANSCRIPTION_SETTINGS.DEFAULT_PROVIDER;
+}
+
+/**
+ * Gets a transcription provider by name.
+ * @param {string} name Optional. Defaults to getTranscriptionProviderName().
+ * @returns {Object|null} The provider, or null if no provider has that name.
+ */
+function getTranscriptionProvider(name = null) {
+  return ProviderRegistry.get('transcription', name || getTranscriptionProviderName(), {
+    [TRANSCRIPTION_PROVIDERS.GEMINI_BATCH]: _createGeminiBatchTranscriptionProvider,
+    [TRANSCRIPTION_PROVIDERS.MOCK]: _createMockTranscriptionProvider
+  });
+}
+
+/**
+ * =================================================================
+ * GEMINI BATCH API PROVIDER
+ * =================================================================
+ */
+
+/**
+ * Creates the Gemini Batch API provider. Uses the GEMINI_API_KEY script property.
+ * @returns {Object} The provider.
+ * @private
+ */
+function _createGeminiBatchTranscriptionProvider() {
+  const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
+
+  return {
+    name: TRANSCRIPTION_PROVIDERS.GEMINI_BATCH,
+    maxFileSizeBytes: MAX_BATCH_FILE_SIZE_BYTES,
+    isConfigured: () => !!apiKey,
+    submit: (jobId, jobData) => submitToBatchAPI(jobId, jobData, apiKey),
+    poll: providerJobName => checkBatchJobStatus(providerJobName, apiKey),
+    fetchResult: (providerJobName, pollResult) => _extractBatchTranscription(pollResult),
+    cancel: providerJobName => cancelBatchJob(providerJobName, apiKey),
+    pricing: {
+      inputPerMillionTokens: TRANSCRIPTION_COST_SETTINGS.GEMINI_BATCH_INPUT_PER_MILLION_TOKENS,
+      outputPerMillionTokens: TRANSCRIPTION_COST_SETTINGS.GEMINI_BATCH_OUTPUT_PER_MILLION_TOKENS
+    }
+  };
+}
+
+/**
+ * Submits a transcription job to Gemini Batch API
+ */
+function submitToBatchAPI(jobId, jobData, apiKey) {
+  try {
+    const audioFile = DriveApp.getFileById(jobData.fileId);
+    const audioBlob = audioFile.getBlob();
+    const audioBytes = audioBlob.getBytes();
+    const base64Audio = Utilities.base64Encode(audioBytes);
+    const mimeType = audioFile.getMimeType();
+
+    const model = GEMINI_TRANSCRIPTION_MODEL;
+    const batchApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchGenerateContent`;
+
+    const payload = {
+      batch: {
+        display_name: `transcription-${jobId}`,
+        input_config: {
+          requests: {
+            requests: [
+              {
+                request: {
+                  contents: [{
+                    parts: [
+                      { text: jobData.prompt },
+                      {
+                        inline_data: {
+                          mime_type: mimeType,
+                          data: base64Audio
+                        }
+                      }
+                    ]
+                  }],
+                  generationConfig: {
+                    temperature: 0.2,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens: 8192
+                  }
+                },
+                metadata: {
+                  key: `transcription-${jobId}`
+                }
+              }
+            ]
+          }
+        }
+      }
+    };
+
+    const options = {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true,
+      headers: {
+        'x-goog-api-key': apiKey
+      }
+    };
+
+    debugLog('Submitting to Gemini Batch API', {
+      jobId: jobId,
+      model: model,
+      filename: jobData.filename,
+      audioSize: audioBytes.length
+    });
+
+    const response = UrlFetchApp.fetch(batchApiUrl, options);
+    const responseCode = response.getResponseCode();
+    const responseText = response.getContentText();
+
+    if (responseCode !== 200 && responseCode !== 201) {
+      console.error('Batch API submission error:', responseCode, responseText);
+      return {
+        success: false,
+        error: `Batch API error ${responseCode}: ${responseText}`
+      };
+    }
+
+    const jsonResponse = JSON.parse(responseText);
+    const batchJobName = jsonResponse.name;
+
+    if (!batchJobName) {
+      return {
+        success: false,
+        error: 'Batch API did not return job name'
+      };
+    }
+
+    return {
+      success: true,
+      providerJobName: batchJobName
+    };
+
+  } catch (error) {
+    console.error('Error submitting to Batch API:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Checks the status of a Gemini Batch API job
+ */
+function checkBatchJobStatus(batchJobName, apiKey) {
+  try {
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/${batchJobName}`;
+
+    const options = {
+      method: 'get',
+      muteHttpExceptions: true,
+      headers: {
+        'x-goog-api-key': apiKey
+      }
+    };
+
+    const response = UrlFetchApp.fetch(apiUrl, options);
+    const responseCode = response.getResponseCode();
+    const responseText = response.getContentText();
+
+    if (responseCode !== 200) {
+      console.error('Batch status check error:', responseCode, responseText);
+      return {
+        state: TRANSCRIPTION_JOB_STATES.UNKNOWN,
+        error: `Status check error: ${responseCode}`
+      };
+    }
+
+    const jsonResponse = JSON.parse(responseText);
+
+    return {
+      state: jsonResponse.state,
+      metadata: jsonResponse.metadata,
+      results: jsonResponse.results,
+      error: jsonResponse.error
+    };
+
+  } catch (error) {
+    console.error('Error checking batch status:', error);
+    return {
+      state: TRANSCRIPTION_JOB_STATES.UNKNOWN,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Cancels a Gemini Batch API job
+ */
+function cancelBatchJob(batchJobName, apiKey) {
+  try {
+    const response = UrlFetchApp.fetch(`https://generativelanguage.googleapis.com/v1beta/${batchJobName}:cancel`, {
+      method: 'post',
+      muteHttpExceptions: true,
+      headers: {
+        'x-goog-api-key': apiKey
+      }
+    });
+
+    if (response.getResponseCode() !== 200) {
+      return { success: false, error: `Batch cancel error ${response.getResponseCode()}: ${response.getContentText()}` };
+    }
+    return { success: true };
+
+  } catch (error) {
+    console.error('Error cancelling batch job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pulls the transcript text and token usage out of a finished Gemini batch job.
+ * @param {Object} batchResult The status from checkBatchJobStatus().
+ * @returns {{success: boolean, text?: string, usage?: Object, error?: string}} The transcript.
+ * @private
+ */
+function _extractBatchTranscription(batchResult) {
+  if (!batchResult.results || batchResult.results.length === 0) {
+    return { success: false, error: 'No results in batch response' };
+  }
+
+  const result = batchResult.results[0];
+  if (!result.response || !result.response.candidates || result.response.candidates.length === 0) {
+    return { success: false, error: 'No transcription in batch result' };
+  }
+
+  const text = result.response.candidates[0].content.parts[0].text;
+  if (!text) {
+    return { success: false, error: 'Empty transcription received' };
+  }
+
+  const usageMetadata = result.response.usageMetadata || {};
+  return {
+    success: true,
+    text: text,
+    usage: {
+      inputTokens: usageMetadata.promptTokenCount || 0,
+      outputTokens: usageMetadata.candidatesTokenCount || 0
+    }
+  };
+}
+
+/**
+ * =================================================================
+ * MOCK PROVIDER
+ * =================================================================
+ */
+
+/**
+ * Creates the mock provider, which makes no network calls. Each job reports RUNNING until it has
+ * been polled TRANSCRIPTION_SETTINGS.MOCK_POLLS_UNTIL_DONE times, then returns a transcript built
+ * from the filename. Files whose name contains TRANSCRIPTION_SETTINGS.MOCK_FAIL_MARKER fail
+ * instead. Its job state lives in Script Properties, so it survives between trigger runs.
+ * @returns {Object} The provider.
+ * @private
+ */
+function _createMockTranscriptionProvider() {
+  const properties = PropertiesService.getScriptProperties();
+  const stateKey = providerJobName => TRANSCRIPTION_SETTINGS.MOCK_STATE_PROPERTY_PREFIX + providerJobName;
+  const readState = providerJobName => JSON.parse(properties.getProperty(stateKey(providerJobName)) || 'null');
+
+  return {
+    name: TRANSCRIPTION_PROVIDERS.MOCK,
+    maxFileSizeBytes: MAX_BATCH_FILE_SIZE_BYTES,
+    isConfigured: () => true,
+    pricing: { inputPerMillionTokens: 0, outputPerMillionTokens: 0 },
+
+    submit(jobId, jobData) {
+      const providerJobName = `mock/${jobId}`;
+      properties.setProperty(stateKey(providerJobName), JSON.stringify({ filename: jobData.filename, polls: 0 }));
+      return { success: true, providerJobName: providerJobName };
+    },
+
+    poll(providerJobName) {
+      const state = readState(providerJobName);
+      if (!state) {
+        return { state: TRANSCRIPTION_JOB_STATES.FAILED, error: `Mock job not found: ${providerJobName}` };
+      }
+      state.polls++;
+      properties.setProperty(stateKey(providerJobName), JSON.stringify(state));
+
+      if (state.polls < TRANSCRIPTION_SETTINGS.MOCK_POLLS_UNTIL_DONE) {
+        return { state: TRANSCRIPTION_JOB_STATES.RUNNING };
+      }
+      if (String(state.filename).includes(TRANSCRIPTION_SETTINGS.MOCK_FAIL_MARKER)) {
+        properties.deleteProperty(stateKey(providerJobName));
+        return { state: TRANSCRIPTION_JOB_STATES.FAILED, error: 'Mock transcription failed' };
+      }
+      return { state: TRANSCRIPTION_JOB_STATES.SUCCEEDED };
+    },
+
+    cancel(providerJobName) {
+      properties.deleteProperty(stateKey(providerJobName));
+      return { success: true };
+    },
+
+    fetchResult(providerJobName) {
+      const state = readState(providerJobName);
+      if (!state) {
+        return { success: false, error: `Mock job not found: ${providerJobName}` };
+      }
+      properties.deleteProperty(stateKey(providerJobName));
+      return {
+        success: true,
+        text: [
+          `[00:00] Teacher: Good morning, everyone. (Mock transcript of ${state.filename})`,
+          '[00:06] Student 1: Good morning.',
+          '[00:09] Teacher: Who can tell me what a denominator is?',
+          '[00:14] Student 2: The bottom number.',
+          'It says how many parts.'
+        ].join('\n')
+      };
+    }
+  };
+}
+
+/**
+ * =================================================================
+ * TRANSCRIPT SEGMENTS
+ * =================================================================
+ */
+
+/**
+ * Splits a transcript into speaker turns. A turn starts at a line with a timestamp ("[12:05]",
+ * "1:02:30 -") and/or a speaker label ("Speaker 1:"); other lines continue the previous turn.
+ * @param {string} text The transcript text.
+ * @param {string} teacherName The observed staff member's name, whose turns are the teacher's.
+ * @returns {Array<Object>} Segments with start and end (seconds, or null when the transcript has no
+ *     timestamps), speaker (a TRANSCRIPT_SPEAKERS value), speakerLabel and text.
+ */
+function parseTranscriptSegments(text, teacherName) {
+  const segments = [];
+  let current = null;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    let line = rawLine.replace(/\*\*/g, '').trim();
+    if (!line) return;
+
+    let start = null;
+    const timeMatch = line.match(/^\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?(?:\s*[-–]\s*|\s+|$)/);
+    if (timeMatch) {
+      start = _parseTranscriptTimestamp(timeMatch[1]);
+      line = line.slice(timeMatch[0].length);
+    }
+
+    let speakerLabel = null;
+    // A label is a short name before a colon, so "The answer is: four" stays part of the turn
+    const speakerMatch = line.match(/^([^:\[\]]{1,60}):\s*(.*)$/);
+    if (speakerMatch && speakerMatch[1].trim().split(/\s+/).length <= 3) {
+      speakerLabel = speakerMatch[1].trim();
+      line = speakerMatch[2];
+    }
+
+    if (start === null && speakerLabel === null && current) {
+      current.text = current.text ? `${current.text}\n${line}` : line;
+      return;
+    }
+
+    current = { start: start, end: null, speakerLabel: speakerLabel || '', text: line };
+    segments.push(current);
+  });
+
+  return _normalizeTranscriptSegments(segments, teacherName);
+}
+
+/**
+ * Cleans segments from parseTranscriptSegments() or a provider: fills in the speaker role and
+ * each segment's end from the next segment's start, and drops empty segments.
+ * @param {Array<Object>} segments The segments.
+ * @param {string} teacherName The observed staff member's name.
+ * @returns {Array<Object>} The segments.
+ * @private
+ */
+function _normalizeTranscriptSegments(segments, teacherName) {
+  const teacher = String(teacherName || '').trim().toLowerCase();
+  const toSeconds = value => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  const cleaned = (segments || [])
+    .map(segment => {
+      const speakerLabel = String(segment.speakerLabel || '').trim();
+      const label = speakerLabel.toLowerCase();
+      let speaker = TRANSCRIPT_SPEAKERS.UNKNOWN;
+      if (label) {
+        speaker = (label === teacher || label.includes('teacher')) ? TRANSCRIPT_SPEAKERS.TEACHER : TRANSCRIPT_SPEAKERS.STUDENT;
+      }
+      return {
+        start: toSeconds(segment.start),
+        end: toSeconds(segment.end),
+        speaker: speaker,
+        speakerLabel: speakerLabel,
+        text: String(segment.text || '').trim()
+      };
+    })
+    .filter(segment => segment.text);
+
+  cleaned.forEach((segment, index) => {
+    const next = cleaned[index + 1];
+    if (segment.end === null && segment.start !== null && next && next.start !== null && next.start >= segment.start) {
+      segment.end = next.start;
+    }
+  });
+  return cleaned;
+}
+
+/**
+ * @param {string} timestamp "MM:SS" or "H:MM:SS".
+ * @returns {number} Seconds.
+ * @private
+ */
+function _parseTranscriptTimestamp(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Formats a segment start for display.
+ * @param {number} seconds Seconds into the recording.
+ * @returns {string} "MM:SS", or "H:MM:SS" past one hour.
+ */
+function formatTranscriptTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${pad(minutes)}:${pad(total % 60)}`;
+}
+
+/**
+ * Writes a transcript's segments to a JSON file in the observation folder. They can be larger
+ * than a sheet cell, so the observation's transcripts column only keeps the file ID.
+ * @param {GoogleAppsScript.Drive.Folder} folder The observation folder.
+ * @param {string} audioFilename The source audio file name.
+ * @param {Array<Object>} segments The segments.
+ * @returns {GoogleAppsScript.Drive.File} The JSON file.
+ */
+function saveTranscriptSegmentsFile(folder, audioFilename, segments) {
+  const blob = Utilities.newBlob(JSON.stringify({ audioFilename: audioFilename, segments: segments }),
+    'application/json', `${TRANSCRIPTION_SETTINGS.SEGMENTS_FILE_PREFIX}${audioFilename}.json`);
+  return folder.createFile(blob);
+}
+
+/**
+ * Reads the segments of one of an observation's transcripts.
+ * @param {Object} transcript An entry of the observation's transcripts column.
+ * @returns {Array<Object>} The segments.
+ */
+function getTranscriptSegments(transcript) {
+  const file = DriveApp.getFileById(transcript.segmentsFileId);
+  return JSON.parse(file.getBlob().getDataAsString()).segments || [];
+}
@@ -21,11 +21,16 @@ const UiService = (function() {
       htmlTemplate.probYear1 = PROB_YEAR_1;
       htmlTemplate.probYear2 = PROB_YEAR_2;
       htmlTemplate.probYear3 = PROB_YEAR_3;
-      htmlTemplate.availableRoles = AVAILABLE_ROLES;
+      htmlTemplate.availableRoles = getAvailableRoles();
       htmlTemplate.availableYears = OBSERVATION_YEARS;
       htmlTemplate.requestId = requestId;
       htmlTemplate.scriptEditorSettings = SCRIPT_EDITOR_SETTINGS;
-      htmlTemplate.showWorkProductButton = (userContext.role === SPECIAL_ROLES.PEER_EVALUATOR);
+      htmlTemplate.creatableObservationTypes = getCreatableObservationTypes(userContext.role).map(entry => entry.type);
+      htmlTemplate.staffResponseObservationTypes = getObservationTypesConfig().types
+        .filter(entry => entry.staffResponds)
+        .map(entry => entry.type);
+      htmlTemplate.walkthroughObservationTypes = getWalkthroughObservationTypes();
+      htmlTemplate.walkthroughNoteMaxLength = WALKTHROUGH_SETTINGS.NOTE_MAX_LENGTH;
 
       const htmlOutput = htmlTemplate.evaluate()
         .setTitle(`${userContext.role} - Filter View`)
@@ -0,0 +1,323 @@
+/**
+ * UploadService.js
+ * Chunked, resumable uploads into an observation folder, for recordings and media too large to
+ * send through google.script.run as one base64 string.
+ *
+ * The client starts an upload, then sends CHUNKED_UPLOAD_SETTINGS.CHUNK_BYTES parts in order.
+ * Each part goes straight to a Drive resumable upload session, so nothing is assembled in script
+ * memory and Drive creates the file in the observation folder once the last part arrives. If a
+ * request is dropped, getChunkedUploadStatus() asks Drive how much it has and the client carries
+ * on from there, also after a page reload, for as long as Drive keeps the session.
+ *
+ * Upload state lives in the uploader's User Properties, keyed by upload ID.
+ */
+
+/**
+ * Reads an upload's state.
+ * @param {string} uploadId The upload ID.
+ * @returns {Object|null} The state, or null if there is no such upload.
+ * @private
+ */
+function _getChunkedUpload(uploadId) {
+  const value = PropertiesService.getUserProperties().getProperty(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX + uploadId);
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`Malformed chunked upload state for ${uploadId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} upload The upload state.
+ * @private
+ */
+function _saveChunkedUpload(upload) {
+  PropertiesService.getUserProperties().setProperty(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX + upload.uploadId, JSON.stringify(upload));
+}
+
+/**
+ * Forgets uploads older than Drive keeps their sessions, finished or not.
+ * @private
+ */
+function _pruneChunkedUploads() {
+  const properties = PropertiesService.getUserProperties();
+  const cutoff = Date.now() - CHUNKED_UPLOAD_SETTINGS.SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  properties.getKeys()
+    .filter(key => key.indexOf(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX) === 0)
+    .forEach(key => {
+      const upload = _getChunkedUpload(key.slice(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX.length));
+      if (!upload || new Date(upload.createdAt).getTime() < cutoff) {
+        properties.deleteProperty(key);
+      }
+    });
+}
+
+/**
+ * Reads how many bytes Drive has received from a resumable session response.
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response A 308 response.
+ * @returns {number} The bytes received, from its "Range: bytes=0-N" header.
+ * @private
+ */
+function _getUploadedByteCount(response) {
+  const headers = response.getHeaders() || {};
+  const rangeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'range');
+  const match = rangeHeader ? String(headers[rangeHeader]).match(/bytes=0-(\d+)/) : null;
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+/**
+ * Starts a chunked upload to an observation's folder. Only the observer can upload.
+ * @param {string} observationId The observation ID.
+ * @param {{fileName: string, mimeType: string, totalBytes: number, purpose: string,
+ *     componentId?: string}} request The file. purpose is a CHUNKED_UPLOAD_PURPOSES value;
+ *     evidence uploads name the component to link the file to.
+ * @returns {Object} A response object with the uploadId and the chunk size to send.
+ */
+function startChunkedUpload(observationId, request) {
+  const access = _getObservationForObserver(observationId);
+  if (access.error) {
+    return { success: false, error: access.error };
+  }
+
+  const fileRequest = request || {};
+  const fileName = sanitizeText(fileRequest.fileName);
+  const mimeType = sanitizeText(fileRequest.mimeType) || 'application/octet-stream';
+  const totalBytes = Number(fileRequest.totalBytes);
+
+  if (!fileName) {
+    return { success: false, error: 'Missing required parameters for upload.' };
+  }
+  if (!Object.values(CHUNKED_UPLOAD_PURPOSES).includes(fileRequest.purpose)) {
+    return { success: false, error: `Unknown upload purpose: ${fileRequest.purpose}` };
+  }
+  if (fileRequest.purpose === CHUNKED_UPLOAD_PURPOSES.EVIDENCE && !isValidComponentId(fileRequest.componentId)) {
+    return { success: false, error: 'Evidence uploads need a rubric component.' };
+  }
+  if (!(totalBytes > 0)) {
+    return { success: false, error: 'The file is empty.' };
+  }
+  if (totalBytes > MAX_FILE_SIZE) {
+    return { success: false, error: `File is too large. Maximum size is ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))}MB.` };
+  }
+
+  try {
+    _pruneChunkedUploads();
+
+    const folder = getOrCreateObservationFolder(observationId);
+    const response = UrlFetchApp.fetch(CHUNKED_UPLOAD_SETTINGS.DRIVE_UPLOAD_URL, {
+      method: 'post',
+      contentType: 'application/json; charset=UTF-8',
+      payload: JSON.stringify({ name: fileName, mimeType: mimeType, parents: [folder.getId()] }),
+      muteHttpExceptions: true,
+      headers: {
+        Authorization: 'Bearer ' + ScriptApp.getOAuthToken(),
+        'X-Upload-Content-Type': mimeType,
+        'X-Upload-Content-Length': String(totalBytes)
+      }
+    });
+
+    const headers = response.getHeaders() || {};
+    const locationHeader = Object.keys(headers).find(name => name.toLowerCase() === 'location');
+    if (response.getResponseCode() !== 200 || !locationHeader) {
+      console.error('Drive upload session error:', response.getResponseCode(), response.getContentText());
+      return { success: false, error: `Drive could not start the upload (${response.getResponseCode()}).` };
+    }
+
+    const upload = {
+      uploadId: Utilities.getUuid(),
+      observationId: observationId,
+      fileName: fileName,
+      mimeType: mimeType,
+      totalBytes: totalBytes,
+      receivedBytes: 0,
+      purpose: fileRequest.purpose,
+      componentId: fileRequest.componentId || null,
+      sessionUri: headers[locationHeader],
+      createdBy: access.observation.observerEmail,
+      createdAt: new Date().toISOString(),
+      result: null
+    };
+    _saveChunkedUpload(upload);
+
+    debugLog('Chunked upload started', { uploadId: upload.uploadId, observationId, fileName, totalBytes, purpose: upload.purpose });
+    return {
+      success: true,
+      uploadId: upload.uploadId,
+      chunkBytes: CHUNKED_UPLOAD_SETTINGS.CHUNK_BYTES,
+      receivedBytes: 0,
+      totalBytes: totalBytes
+    };
+  } catch (error) {
+    console.error('Error starting chunked upload:', error);
+    return { success: false, error: 'Failed to start upload: ' + error.message };
+  }
+}
+
+/**
+ * Sends one part of a chunked upload to Drive. A part that doesn't start where Drive left off
+ * isn't sent; the response says where to continue from instead.
+ * @param {string} uploadId The upload ID.
+ * @param {number} offset The byte offset of the part in the file.
+ * @param {string} base64Data The part, base64 encoded. Every part but the last is
+ *     CHUNKED_UPLOAD_SETTINGS.CHUNK_BYTES long.
+ * @returns {Object} A response object with receivedBytes, and complete plus the file details
+ *     once Drive has the whole file.
+ */
+function uploadChunk(uploadId, offset, base64Data) {
+  const upload = _getChunkedUpload(uploadId);
+  if (!upload) {
+    return { success: false, error: 'Upload not found. Please upload the file again.' };
+  }
+  if (upload.result) {
+    return upload.result;
+  }
+  if (Number(offset) !== upload.receivedBytes) {
+    return getChunkedUploadStatus(uploadId);
+  }
+
+  try {
+    const bytes = Utilities.base64Decode(base64Data || '');
+    const end = upload.receivedBytes + bytes.length;
+    if (bytes.length === 0 || end > upload.totalBytes ||
+        (end < upload.totalBytes && bytes.length !== CHUNKED_UPLOAD_SETTINGS.CHUNK_BYTES)) {
+      return { success: false, error: 'The upload part has the wrong size.' };
+    }
+
+    const response = UrlFetchApp.fetch(upload.sessionUri, {
+      method: 'put',
+      contentType: upload.mimeType,
+      payload: bytes,
+      muteHttpExceptions: true,
+      headers: { 'Content-Range': `bytes ${upload.receivedBytes}-${end - 1}/${upload.totalBytes}` }
+    });
+    return _handleDriveUploadResponse(upload, response);
+  } catch (error) {
+    console.error(`Error uploading part of ${uploadId}:`, error);
+    return { success: false, error: 'Failed to upload part: ' + error.message, receivedBytes: upload.receivedBytes };
+  }
+}
+
+/**
+ * Asks Drive how much of an upload it has, e.g. after a dropped request or a page reload.
+ * @param {string} uploadId The upload ID.
+ * @returns {Object} The same response as uploadChunk().
+ */
+function getChunkedUploadStatus(uploadId) {
+  const upload = _getChunkedUpload(uploadId);
+  if (!upload) {
+    return { success: false, error: 'Upload not found. Please upload the file again.' };
+  }
+  if (upload.result) {
+    return upload.result;
+  }
+
+  try {
+    const response = UrlFetchApp.fetch(upload.sessionUri, {
+      method: 'put',
+      muteHttpExceptions: true,
+      headers: { 'Content-Range': `bytes */${upload.totalBytes}` }
+    });
+    return _handleDriveUploadResponse(upload, response);
+  } catch (error) {
+    console.error(`Error checking upload ${uploadId}:`, error);
+    return { success: false, error: 'Failed to check the upload: ' + error.message, receivedBytes: upload.receivedBytes };
+  }
+}
+
+/**
+ * Abandons an upload and discards what Drive has received.
+ * @param {string} uploadId The upload ID.
+ * @returns {Object} A response object with success status.
+ */
+function cancelChunkedUpload(uploadId) {
+  const upload = _getChunkedUpload(uploadId);
+  if (!upload) {
+    return { success: true };
+  }
+
+  try {
+    if (!upload.result) {
+      UrlFetchApp.fetch(upload.sessionUri, { method: 'delete', muteHttpExceptions: true });
+    }
+  } catch (error) {
+    console.warn(`Could not cancel the Drive session for ${uploadId}:`, error);
+  }
+  PropertiesService.getUserProperties().deleteProperty(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX + uploadId);
+  return { success: true };
+}
+
+/**
+ * Records Drive's answer to a part or a status check, and finishes the upload when Drive has
+ * created the file.
+ * @param {Object} upload The upload state.
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response Drive's response.
+ * @returns {Object} The same response as uploadChunk().
+ * @private
+ */
+function _handleDriveUploadResponse(upload, response) {
+  const code = response.getResponseCode();
+
+  if (code === 308) {
+    upload.receivedBytes = _getUploadedByteCount(response);
+    _saveChunkedUpload(upload);
+    return { success: true, complete: false, receivedBytes: upload.receivedBytes, totalBytes: upload.totalBytes };
+  }
+  if (code === 200 || code === 201) {
+    const driveFile = JSON.parse(response.getContentText());
+    return _finishChunkedUpload(upload, driveFile.id);
+  }
+  if (code === 404 || code === 410) {
+    PropertiesService.getUserProperties().deleteProperty(CHUNKED_UPLOAD_SETTINGS.STATE_PROPERTY_PREFIX + upload.uploadId);
+    return { success: false, error: 'The upload expired. Please upload the file again.' };
+  }
+
+  console.error('Drive upload error:', code, response.getContentText());
+  return { success: false, error: `Drive upload error ${code}. Please try again.`, receivedBytes: upload.receivedBytes };
+}
+
+/**
+ * Does what the upload was for once Drive has the file, and remembers the result so a repeated
+ * request for the last part gets the same answer. Evidence that can no longer be linked is
+ * trashed rather than left in the observation folder.
+ * @param {Object} upload The upload state.
+ * @param {string} fileId The Drive file ID.
+ * @returns {Object} A response object with the file details.
+ * @private
+ */
+function _finishChunkedUpload(upload, fileId) {
+  const file = DriveApp.getFileById(fileId);
+  const fileUrl = file.getUrl();
+
+  if (upload.purpose === CHUNKED_UPLOAD_PURPOSES.EVIDENCE) {
+    // The observation may have been submitted since the upload began
+    const linked = _linkMediaEvidence(upload.observationId, upload.componentId, fileUrl, upload.fileName);
+    if (!linked.success) {
+      file.setTrashed(true);
+      upload.result = { success: false, error: linked.error };
+      _saveChunkedUpload(upload);
+      debugLog('Chunked upload not linked', { uploadId: upload.uploadId, observationId: upload.observationId, fileId, error: linked.error });
+      return upload.result;
+    }
+  } else if (upload.purpose === CHUNKED_UPLOAD_PURPOSES.RECORDING) {
+    file.addEditor(upload.createdBy);
+  }
+
+  upload.receivedBytes = upload.totalBytes;
+  upload.result = {
+    success: true,
+    complete: true,
+    receivedBytes: upload.totalBytes,
+    totalBytes: upload.totalBytes,
+    fileUrl: fileUrl,
+    fileId: fileId,
+    fileName: upload.fileName,
+    fileType: upload.mimeType,
+    uploadedAt: new Date().toISOString()
+  };
+  _saveChunkedUpload(upload);
+
+  debugLog('Chunked upload complete', { uploadId: upload.uploadId, observationId: upload.observationId, fileId, purpose: upload.purpose });
+  return upload.result;
+}
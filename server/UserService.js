@@ -98,7 +98,7 @@ function getUserByEmail(email) {
  */
 function getUserRole(email) {
   const user = getUserByEmail(email);
-  if (user && user.role && AVAILABLE_ROLES.includes(user.role)) {
+  if (user && user.role && isValidRole(user.role)) {
     debugLog('User role determined', { email: email, role: user.role });
     return user.role;
   }
@@ -240,7 +240,7 @@ function validateUserAccess(email) {
       result.year = (user.year !== null && user.year !== undefined) ? user.year : 1;
     }
 
-    result.validation.roleValid = AVAILABLE_ROLES.includes(result.role);
+    result.validation.roleValid = isValidRole(result.role);
 
     // Validate role and role sheet
     const roleValidation = validateRole(result.role);
@@ -427,8 +427,7 @@ function createUserContext(email = null) {
     context.permissions.canSeeAllDomains = false; // Authenticated users see role-specific content
 
     // Determine special access levels
-    const specialRolesArray = Object.values(SPECIAL_ROLES);
-    context.hasSpecialAccess = specialRolesArray.includes(context.role);
+    context.hasSpecialAccess = hasSpecialAccessRole(context.role);
     context.canFilter = context.hasSpecialAccess;
 
     // Set special role type for different filtering behaviors
@@ -601,11 +600,11 @@ function refreshUserData(email) {
 }
 
 /**
- * Gets all available roles in the system
+ * Gets all available roles in the system (see getRolesConfigData)
  * @return {Array<string>} Array of available role names
  */
 function getAvailableRoles() {
-  return [...AVAILABLE_ROLES]; // Return a copy to prevent modification
+  return getRolesConfigData().roles.map(entry => entry.role);
 }
 
 /**
@@ -614,7 +613,17 @@ function getAvailableRoles() {
  * @return {boolean} True if role is valid
  */
 function isValidRole(role) {
-  return role && AVAILABLE_ROLES.includes(role);
+  return !!getRoleConfig(role);
+}
+
+/**
+ * Checks if a role has special access (the filter interface and the full rubric)
+ * @param {string} role - Role name
+ * @return {boolean} True if the Roles sheet grants the role special access
+ */
+function hasSpecialAccessRole(role) {
+  const roleConfig = getRoleConfig(role);
+  return !!roleConfig && roleConfig.hasSpecialAccess;
 }
 
 /**
@@ -712,7 +721,7 @@ function clearCachedData(key) {
 /**
  * Check if a component should be visible based on assigned subdomains
  * @param {string} componentId - Component ID like "1a:", "2b:", etc.
- * @param {Object} assignedSubdomains - Object with domain1, domain2, domain3, domain4 arrays
+ * @param {Object} assignedSubdomains - Component ID arrays keyed by domain (domain1, domain2, ...)
  * @return {boolean} True if component should be visible
  */
 function isComponentAssigned(componentId, assignedSubdomains) {
@@ -721,7 +730,7 @@ function isComponentAssigned(componentId, assignedSubdomains) {
   }
 
   // Determine which domain this component belongs to
-  const domainNumber = componentId.charAt(0);
+  const domainNumber = parseInt(componentId, 10);
   const domainKey = `domain${domainNumber}`;
 
   if (!assignedSubdomains[domainKey]) {
@@ -741,8 +750,7 @@ function isComponentAssigned(componentId, assignedSubdomains) {
 function createFilteredUserContext(targetEmail, requestingRole) {
   try {
     // Verify requesting user has permission
-    const specialRolesArray = Object.values(SPECIAL_ROLES);
-    if (!specialRolesArray.includes(requestingRole)) {
+    if (!hasSpecialAccessRole(requestingRole)) {
       console.warn('Unauthorized filter request from role:', requestingRole);
       return null;
     }
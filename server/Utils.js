@@ -680,20 +680,21 @@ function parseSubdomainList(subdomainString) {
  * Get assigned subdomains for a specific role and year
  * @param {string} role - User's role
  * @param {number|string} year - User's year (1, 2, 3, or 'Probationary')
- * @return {Object} Object with domain arrays
+ * @return {Object} Assigned component IDs keyed by domain number, e.g.
+ *     { domain1: ['1a:', '1c:'], domain5: ['5b:'] }. Domains without assignments are left out.
  */
 function getAssignedSubdomainsForRoleYear(role, year) {
   try {
     const settingsData = getSettingsData();
     if (!settingsData || !settingsData.roleYearMappings) {
       debugLog('No settings data available for subdomain assignment');
-      return { domain1: [], domain2: [], domain3: [], domain4: [] };
+      return {};
     }
 
     const roleMapping = settingsData.roleYearMappings[role];
     if (!roleMapping) {
       debugLog('No mapping found for role', { role: role });
-      return { domain1: [], domain2: [], domain3: [], domain4: [] };
+      return {};
     }
 
     // Determine the year key based on the year value
@@ -713,27 +714,36 @@ function getAssignedSubdomainsForRoleYear(role, year) {
         yearKey = 'prob1';
       } else {
         debugLog('Invalid year value', { role: role, year: year });
-        return { domain1: [], domain2: [], domain3: [], domain4: [] };
+        return {};
       }
     }
 
     const yearData = roleMapping[yearKey];
 
-    if (!yearData || !Array.isArray(yearData) || yearData.length < 4) {
+    if (!yearData || !Array.isArray(yearData)) {
       debugLog('Invalid year data for role', { role: role, year: year, yearKey: yearKey });
-      return { domain1: [], domain2: [], domain3: [], domain4: [] };
+      return {};
     }
 
-    return {
-      domain1: parseSubdomainList(yearData[0]),
-      domain2: parseSubdomainList(yearData[1]),
-      domain3: parseSubdomainList(yearData[2]),
-      domain4: parseSubdomainList(yearData[3])
-    };
+    // Each component goes to the domain its ID names, whichever row of the role's block lists it
+    const assignedSubdomains = {};
+    yearData.forEach(cell => {
+      parseSubdomainList(cell).forEach(componentId => {
+        const domainNumber = parseInt(componentId, 10);
+        if (isNaN(domainNumber)) {
+          debugLog('Ignoring assigned component without a domain number', { role: role, componentId: componentId });
+          return;
+        }
+        const domainKey = `domain${domainNumber}`;
+        if (!assignedSubdomains[domainKey]) assignedSubdomains[domainKey] = [];
+        assignedSubdomains[domainKey].push(componentId);
+      });
+    });
+    return assignedSubdomains;
 
   } catch (error) {
     console.error('Error getting assigned subdomains:', error);
-    return { domain1: [], domain2: [], domain3: [], domain4: [] };
+    return {};
   }
 }
 
@@ -921,6 +931,21 @@ function isSummativeYear(value) {
     return value === true || value === 'TRUE';
 }
 
+/**
+ * Returns the school year (summative cycle) a date falls in, e.g. "2025-2026".
+ * School years start on the first day of SCHOOL_YEAR_START_MONTH.
+ * @param {Date|string|number} date The date to classify (defaults to now)
+ * @returns {string|null} The school year label, or null for an invalid date
+ */
+function getSchoolYearCycle(date = new Date()) {
+    const value = date instanceof Date ? date : new Date(date);
+    if (isNaN(value.getTime())) {
+        return null;
+    }
+    const startYear = value.getMonth() + 1 >= SCHOOL_YEAR_START_MONTH ? value.getFullYear() : value.getFullYear() - 1;
+    return `${startYear}-${startYear + 1}`;
+}
+
 /**
  * Parses a building string into an array of individual buildings
  * Supports both single building (e.g., "High School") and comma-separated buildings (e.g., "High School, Special Services")
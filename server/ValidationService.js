@@ -17,6 +17,15 @@
 //   TIMEOUT_ERROR: 'timeout_error'
 // };
 
+/**
+ * Get the more severe of two validation severities
+ * @param {string} current - VALIDATION_SEVERITY value so far
+ * @param {string} severity - VALIDATION_SEVERITY value of a new issue
+ * @return {string} Whichever ranks higher in VALIDATION_SEVERITY_ORDER
+ */
+function maxValidationSeverity(current, severity) {
+  return VALIDATION_SEVERITY_ORDER.indexOf(severity) > VALIDATION_SEVERITY_ORDER.indexOf(current) ? severity : current;
+}
 
 /**
  * Comprehensive role validation
@@ -54,40 +63,43 @@ function validateRole(role) {
     }
 
     // Check if role is in available roles list
-    if (!AVAILABLE_ROLES.includes(role)) {
+    const roleConfig = getRoleConfig(role);
+    if (!roleConfig) {
       result.issues.push({
         type: VALIDATION_ERROR_TYPES.INVALID_ROLE,
-        message: `Role "${role}" is not in AVAILABLE_ROLES list`,
+        message: `Role "${role}" is not defined in the ${SHEET_NAMES.ROLES} sheet`,
         severity: VALIDATION_SEVERITY.ERROR,
         details: {
           providedRole: role,
-          availableRoles: AVAILABLE_ROLES
+          availableRoles: getAvailableRoles()
         }
       });
       result.severity = VALIDATION_SEVERITY.ERROR;
       result.fallbackRole = findClosestRole(role) || 'Teacher';
-      result.recommendedActions.push(`Add "${role}" to AVAILABLE_ROLES in Constants.js`);
+      result.recommendedActions.push(`Add "${role}" to the ${SHEET_NAMES.ROLES} sheet`);
       result.recommendedActions.push(`Or use fallback role: ${result.fallbackRole}`);
     }
 
     // Check if role sheet exists
-    const sheetValidation = validateSheetExists(role);
+    const sheetName = roleConfig ? roleConfig.sheetName : role;
+    result.sheetName = sheetName;
+    const sheetValidation = validateSheetExists(sheetName);
     result.sheetExists = sheetValidation.exists;
     result.sheetAccessible = sheetValidation.exists && sheetValidation.errors.length === 0;
 
     if (!result.sheetExists) {
       result.issues.push({
         type: VALIDATION_ERROR_TYPES.MISSING_SHEET,
-        message: `Sheet "${role}" does not exist`,
+        message: `Sheet "${sheetName}" does not exist`,
         severity: VALIDATION_SEVERITY.CRITICAL,
         details: {
-          sheetName: role,
+          sheetName: sheetName,
           errors: sheetValidation.errors
         }
       });
       result.severity = VALIDATION_SEVERITY.CRITICAL;
       result.fallbackRole = 'Teacher';
-      result.recommendedActions.push(`Create sheet tab named "${role}"`);
+      result.recommendedActions.push(`Create sheet tab named "${sheetName}"`);
       result.recommendedActions.push('Or copy existing role sheet and rename it');
       result.recommendedActions.push('Use Teacher role as fallback');
     }
@@ -99,22 +111,21 @@ function validateRole(role) {
       if (!result.hasContent) {
         result.issues.push({
           type: VALIDATION_ERROR_TYPES.DATA_CORRUPTION,
-          message: `Sheet "${role}" exists but appears to be empty`,
+          message: `Sheet "${sheetName}" exists but appears to be empty`,
           severity: VALIDATION_SEVERITY.ERROR,
           details: {
             rowCount: sheetValidation.rowCount,
             columnCount: sheetValidation.columnCount
           }
         });
-        result.severity = Math.max(result.severity, VALIDATION_SEVERITY.ERROR);
-        result.recommendedActions.push(`Add content to "${role}" sheet`);
+        result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.ERROR);
+        result.recommendedActions.push(`Add content to "${sheetName}" sheet`);
         result.recommendedActions.push('Copy content from Teacher sheet');
       }
     }
 
     // Overall validation result
-    result.isValid = result.sheetExists && result.sheetAccessible && result.hasContent &&
-                    AVAILABLE_ROLES.includes(role);
+    result.isValid = result.sheetExists && result.sheetAccessible && result.hasContent && !!roleConfig;
 
     if (result.isValid) {
       result.severity = VALIDATION_SEVERITY.INFO;
@@ -162,7 +173,8 @@ function findClosestRole(invalidRole) {
   const lowerInvalid = invalidRole.toLowerCase();
 
   // Direct substring matches
-  const substringMatch = AVAILABLE_ROLES.find(role =>
+  const availableRoles = getAvailableRoles();
+  const substringMatch = availableRoles.find(role =>
     role.toLowerCase().includes(lowerInvalid) ||
     lowerInvalid.includes(role.toLowerCase())
   );
@@ -192,7 +204,7 @@ function findClosestRole(invalidRole) {
   };
 
   const mapping = roleMappings[lowerInvalid];
-  if (mapping && AVAILABLE_ROLES.includes(mapping)) {
+  if (mapping && availableRoles.includes(mapping)) {
     return mapping;
   }
 
@@ -255,17 +267,17 @@ function validateUserData(user) {
         message: 'Missing role',
         severity: VALIDATION_SEVERITY.ERROR
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.ERROR);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.ERROR);
       sanitizedUser.role = 'Teacher';
       result.recommendedActions.push('Set role to Teacher as default');
-    } else if (!AVAILABLE_ROLES.includes(sanitizedUser.role)) {
+    } else if (!isValidRole(sanitizedUser.role)) {
       result.issues.push({
         type: VALIDATION_ERROR_TYPES.INVALID_ROLE,
         message: `Invalid role: ${sanitizedUser.role}`,
         severity: VALIDATION_SEVERITY.ERROR,
-        details: { role: sanitizedUser.role, availableRoles: AVAILABLE_ROLES }
+        details: { role: sanitizedUser.role, availableRoles: getAvailableRoles() }
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.ERROR);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.ERROR);
       const fallbackRole = findClosestRole(sanitizedUser.role) || 'Teacher';
       sanitizedUser.role = fallbackRole;
       result.recommendedActions.push(`Role changed to: ${fallbackRole}`);
@@ -279,7 +291,7 @@ function validateUserData(user) {
         severity: VALIDATION_SEVERITY.WARNING,
         details: { year: sanitizedUser.year, validYears: OBSERVATION_YEARS }
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
       sanitizedUser.year = 1;
       result.recommendedActions.push('Year set to 1 as default');
     }
@@ -291,7 +303,7 @@ function validateUserData(user) {
         message: 'Missing user name',
         severity: VALIDATION_SEVERITY.WARNING
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
       sanitizedUser.name = sanitizedUser.email ? sanitizedUser.email.split('@')[0] : 'Unknown User';
       result.recommendedActions.push('Name derived from email');
     }
@@ -384,25 +396,74 @@ function validateSystemConfiguration() {
           message: `Required sheet "${sheetName}" not found`,
           severity: sheetName === SHEET_NAMES.TEACHER ? VALIDATION_SEVERITY.CRITICAL : VALIDATION_SEVERITY.ERROR
         });
-        result.severity = Math.max(result.severity,
+        result.severity = maxValidationSeverity(result.severity,
           sheetName === SHEET_NAMES.TEACHER ? VALIDATION_SEVERITY.CRITICAL : VALIDATION_SEVERITY.ERROR);
         result.recommendedActions.push(`Create "${sheetName}" sheet`);
       }
     });
 
+    // Test the Roles sheet; without one the default roles are used
+    const rolesConfig = getRolesConfigData();
+    result.systemHealth.rolesSource = rolesConfig.source;
+    rolesConfig.issues.forEach(issue => {
+      result.issues.push(issue);
+      result.severity = maxValidationSeverity(result.severity, issue.severity);
+    });
+    if (rolesConfig.issues.length > 0) {
+      result.recommendedActions.push(`Review the ${SHEET_NAMES.ROLES} sheet`);
+    }
+
     // Test role sheets
-    AVAILABLE_ROLES.forEach(role => {
-      const validation = validateSheetExists(role);
+    rolesConfig.roles.forEach(roleConfig => {
+      const role = roleConfig.role;
+      const validation = validateSheetExists(roleConfig.sheetName);
       result.systemHealth.roleSheets[role] = validation.exists;
 
       if (!validation.exists && role !== 'Teacher') {
         result.issues.push({
           type: VALIDATION_ERROR_TYPES.MISSING_SHEET,
-          message: `Role sheet "${role}" not found`,
+          message: `Role sheet "${roleConfig.sheetName}" for ${role} not found`,
+          severity: VALIDATION_SEVERITY.WARNING
+        });
+        result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
+        result.recommendedActions.push(`Create "${roleConfig.sheetName}" sheet or ${role} users will see Teacher rubric`);
+      }
+    });
+
+    // Permission checks refer to these roles by name, so they should keep their special access
+    Object.values(SPECIAL_ROLES).forEach(role => {
+      if (!hasSpecialAccessRole(role)) {
+        result.issues.push({
+          type: VALIDATION_ERROR_TYPES.CONFIGURATION_ERROR,
+          message: `${role} does not have Special Access in the ${SHEET_NAMES.ROLES} sheet`,
+          severity: VALIDATION_SEVERITY.WARNING
+        });
+        result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
+        result.recommendedActions.push(`Set Special Access to Yes for ${role}`);
+      }
+    });
+
+    // Test the Observation_Types sheet; without one the built-in types are used
+    const observationTypesConfig = getObservationTypesConfig();
+    result.systemHealth.observationTypesSource = observationTypesConfig.source;
+    observationTypesConfig.issues.forEach(issue => {
+      result.issues.push(issue);
+      result.severity = maxValidationSeverity(result.severity, issue.severity);
+    });
+    if (observationTypesConfig.issues.length > 0) {
+      result.recommendedActions.push(`Review the ${SHEET_NAMES.OBSERVATION_TYPES} sheet`);
+    }
+
+    // Staff can't answer a type whose prefix matches no questions
+    observationTypesConfig.types.forEach(definition => {
+      if (definition.staffResponds && getObservationTypeQuestions(definition.type).length === 0) {
+        result.issues.push({
+          type: VALIDATION_ERROR_TYPES.CONFIGURATION_ERROR,
+          message: `No ${SHEET_NAMES.WORK_PRODUCT_QUESTIONS} questions start with "${definition.questionPrefix}" for ${definition.type} observations`,
           severity: VALIDATION_SEVERITY.WARNING
         });
-        result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
-        result.recommendedActions.push(`Create "${role}" sheet or users will see Teacher rubric`);
+        result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
+        result.recommendedActions.push(`Add ${definition.type} questions to the ${SHEET_NAMES.WORK_PRODUCT_QUESTIONS} sheet`);
       }
     });
 
@@ -427,7 +488,7 @@ function validateSystemConfiguration() {
         message: 'Cache system not working: ' + error.message,
         severity: VALIDATION_SEVERITY.ERROR
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.ERROR);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.ERROR);
       result.recommendedActions.push('Check Phase 1 implementation');
     }
 
@@ -443,7 +504,7 @@ function validateSystemConfiguration() {
             message: 'Auto-trigger system not installed',
             severity: VALIDATION_SEVERITY.WARNING
           });
-          result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+          result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
           result.recommendedActions.push('Run installRoleChangeAutoTrigger()');
         }
       } else {
@@ -460,7 +521,7 @@ function validateSystemConfiguration() {
         message: 'Error checking trigger system: ' + error.message,
         severity: VALIDATION_SEVERITY.WARNING
       });
-      result.severity = Math.max(result.severity, VALIDATION_SEVERITY.WARNING);
+      result.severity = maxValidationSeverity(result.severity, VALIDATION_SEVERITY.WARNING);
     }
 
     // Overall system health
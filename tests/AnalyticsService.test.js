@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+const { finalizedObservation } = require('./support/observations');
+
+/**
+ * Sandbox with two finalized observations in different buildings and one draft.
+ * @return {Object} Sandbox
+ */
+function analyticsSandbox() {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  finalizedObservation(sandbox, {
+    ratings: { '1a:': 'proficient', '2b:': 'basic' },
+    lookFors: { '1a:': ['Uses data', 'Sets goals'] }
+  });
+  finalizedObservation(sandbox, {
+    observedEmail: 'other@school.org',
+    ratings: { '1a:': 'distinguished' },
+    lookFors: { '1a:': ['Uses data'] }
+  });
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  sandbox.call('_saveProficiencySelection', observationId, '3a:', 'developing'); // draft, excluded
+  return sandbox;
+}
+
+const ADMIN_ALL_BUILDINGS = { email: 'admin@school.org', role: 'Administrator', building: '' };
+
+test('getProficiencyAnalytics aggregates finalized ratings by building, role, year and component', () => {
+  const sandbox = analyticsSandbox();
+  const result = sandbox.plain(sandbox.call('getProficiencyAnalytics', ADMIN_ALL_BUILDINGS));
+  assert.strictEqual(result.success, true, result.error);
+
+  const analytics = result.analytics;
+  assert.deepStrictEqual(analytics.totals, { observations: 2, staff: 2, ratings: 3 });
+  assert.deepStrictEqual(analytics.distribution, { developing: 0, basic: 1, proficient: 1, distinguished: 1 });
+  assert.deepStrictEqual(analytics.byBuilding.map(group => [group.key, group.total]), [['High School', 2], ['Middle School', 1]]);
+  assert.deepStrictEqual(analytics.byRole.map(group => [group.key, group.total]), [['Teacher', 3]]);
+  assert.deepStrictEqual(analytics.byYear.map(group => [group.key, group.total]), [['1', 1], ['2', 2]]);
+
+  assert.deepStrictEqual(analytics.mostRated.map(component => [component.componentId, component.total]), [['1a:', 2], ['2b:', 1]]);
+  assert.deepStrictEqual(analytics.leastRated, [], 'both rated components are already most rated');
+  assert.deepStrictEqual(analytics.lookFors.map(item => [item.lookFor, item.count]), [['Uses data', 2], ['Sets goals', 1]]);
+  assert.deepStrictEqual(result.filterOptions.buildings, ['High School', 'Middle School']);
+});
+
+test('least rated components include components never rated and none of the most rated', () => {
+  const sandbox = analyticsSandbox();
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  const analytics = sandbox.plain(sandbox.call('getProficiencyAnalytics', ADMIN_ALL_BUILDINGS)).analytics;
+
+  assert.deepStrictEqual(analytics.mostRated.map(component => component.componentId), ['1a:', '2b:']);
+  assert.deepStrictEqual(analytics.leastRated.map(component => [component.componentId, component.total]),
+    [['1b:', 0], ['1c:', 0], ['1d:', 0], ['1e:', 0], ['1f:', 0]]);
+  assert.strictEqual(analytics.leastRated[0].title, '1b: Component 1b:');
+  assert.deepStrictEqual(analytics.leastRated[0].counts, { developing: 0, basic: 0, proficient: 0, distinguished: 0 });
+});
+
+test('getProficiencyAnalytics applies filters and limits administrators to their building', () => {
+  const sandbox = analyticsSandbox();
+
+  const filtered = sandbox.plain(sandbox.call('getProficiencyAnalytics', ADMIN_ALL_BUILDINGS, { building: 'Middle School' }));
+  assert.deepStrictEqual(filtered.analytics.totals, { observations: 1, staff: 1, ratings: 1 });
+
+  const highSchoolAdmin = { email: 'admin@school.org', role: 'Administrator', building: 'High School' };
+  const scoped = sandbox.plain(sandbox.call('getProficiencyAnalytics', highSchoolAdmin));
+  assert.deepStrictEqual(scoped.analytics.totals, { observations: 1, staff: 1, ratings: 2 });
+  assert.deepStrictEqual(scoped.filterOptions.buildings, ['High School']);
+});
+
+test('getProficiencyAnalytics is limited to administrators', () => {
+  const sandbox = analyticsSandbox();
+  const result = sandbox.call('getProficiencyAnalytics', { email: 'pe@school.org', role: 'Peer Evaluator', building: 'High School' });
+  assert.strictEqual(result.success, false);
+});
+
+/**
+ * Creates a finalized walkthrough with the given look-fors.
+ * @param {Object} sandbox - Sandbox
+ * @param {string} observedEmail - Observed staff member
+ * @param {Object} lookFors - { componentId: [look-for, ...] }
+ * @param {string} note - One-line note
+ * @return {string} Observation ID
+ */
+function finalizedWalkthrough(sandbox, observedEmail, lookFors, note = '') {
+  const { observationId } = sandbox.call('createTypedObservation', 'pe@school.org', observedEmail, 'Walkthrough');
+  Object.keys(lookFors).forEach(componentId => {
+    lookFors[componentId].forEach(lookFor => sandbox.call('_saveLookForSelection', observationId, componentId, lookFor, true));
+  });
+  if (note) sandbox.call('_saveWalkthroughNote', observationId, note);
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Finalized', 'admin@school.org');
+  return observationId;
+}
+
+test('getWalkthroughReport counts look-fors per teacher and building, and analytics leaves walkthroughs out', () => {
+  const sandbox = analyticsSandbox();
+  finalizedWalkthrough(sandbox, 'teacher@school.org', { '1a:': ['Uses data'], '2b:': ['Routines'] }, 'Busy room');
+  finalizedWalkthrough(sandbox, 'teacher@school.org', { '1a:': ['Uses data'] });
+  finalizedWalkthrough(sandbox, 'other@school.org', { '1a:': ['Sets goals'] });
+  sandbox.call('createTypedObservation', 'pe@school.org', 'other@school.org', 'Walkthrough'); // draft, excluded
+
+  const result = sandbox.plain(sandbox.call('getWalkthroughReport', ADMIN_ALL_BUILDINGS));
+  assert.strictEqual(result.success, true, result.error);
+  const report = result.report;
+  assert.deepStrictEqual(report.totals, { walkthroughs: 3, staff: 2, lookFors: 4 });
+  assert.deepStrictEqual(report.byBuilding.map(group => [group.building, group.walkthroughs, group.staff]),
+    [['High School', 2, 1], ['Middle School', 1, 1]]);
+  assert.deepStrictEqual(report.byBuilding[0].lookFors.map(item => [item.lookFor, item.count, item.percent]),
+    [['Uses data', 2, 100], ['Routines', 1, 50]]);
+
+  const teacher = report.byTeacher.find(entry => entry.email === 'teacher@school.org');
+  assert.strictEqual(teacher.walkthroughs, 2);
+  assert.strictEqual(teacher.lookFors[0].lookFor, 'Uses data');
+
+  const highSchoolAdmin = { email: 'admin@school.org', role: 'Administrator', building: 'High School' };
+  assert.strictEqual(sandbox.call('getWalkthroughReport', highSchoolAdmin).report.totals.walkthroughs, 2);
+  assert.strictEqual(sandbox.call('getWalkthroughReport', { email: 'teacher@school.org', role: 'Teacher' }).success, false);
+
+  // The proficiency dashboard still counts only the two rated observations
+  const analytics = sandbox.plain(sandbox.call('getProficiencyAnalytics', ADMIN_ALL_BUILDINGS)).analytics;
+  assert.strictEqual(analytics.totals.observations, 2);
+});
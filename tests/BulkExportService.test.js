@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+const { finalizedObservation, setObservationField } = require('./support/observations');
+
+/**
+ * Sandbox with staff and an initialized Observation_Data sheet.
+ * @return {Object} Sandbox
+ */
+function exportSandbox() {
+  return createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF, observationSheet: true });
+}
+
+/**
+ * Creates a finalized observation of the fixture teacher with a PDF and one evidence file in Drive.
+ * @param {Object} sandbox - Sandbox
+ * @param {boolean} withPdf - Whether the observation has a generated PDF
+ * @return {string} Observation ID
+ */
+function exportableObservation(sandbox, withPdf = true) {
+  const drive = sandbox.gas.DriveApp;
+  const blob = (content, type, name) => sandbox.gas.Utilities.newBlob(content, type, name);
+  const evidence = drive.createFile(blob('photo', 'image/jpeg', 'board.jpg'));
+
+  const observationId = finalizedObservation(sandbox, {
+    date: '2025-10-01',
+    fields: { evidenceLinks: JSON.stringify({ '1a:': [{ url: evidence.getUrl(), name: 'board.jpg' }] }) }
+  });
+  // Set after finalizing so the status change doesn't try to generate a real PDF
+  if (withPdf) setObservationField(sandbox, observationId, 'pdfUrl', drive.createFile(blob('%PDF', 'application/pdf', 'observation.pdf')).getUrl());
+  return observationId;
+}
+
+test('createBulkExportJob checks the scope against the administrator\'s building', () => {
+  const sandbox = exportSandbox();
+  exportableObservation(sandbox);
+  const admin = sandbox.call('createUserContext', 'admin@school.org');
+
+  const otherBuilding = sandbox.call('createBulkExportJob', admin, { building: 'Middle School' });
+  assert.match(otherBuilding.error, /your own building/);
+
+  const otherStaff = sandbox.call('createBulkExportJob', admin, { staffEmails: ['other@school.org'] });
+  assert.match(otherStaff.error, /not in your building/);
+
+  const empty = sandbox.call('createBulkExportJob', admin, { building: 'High School', cycle: '2024-2025' });
+  assert.match(empty.error, /No finalized observations/);
+
+  const queued = sandbox.call('createBulkExportJob', admin, { building: 'High School', cycle: '2025-2026' });
+  assert.strictEqual(queued.success, true, queued.error);
+  assert.strictEqual(queued.job.status, 'pending');
+  assert.strictEqual(queued.job.total, 1);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getBulkExportJobs', 'admin@school.org').map(job => job.jobId)), [queued.job.jobId]);
+
+  const denied = sandbox.call('createBulkExportJob', sandbox.call('createUserContext', 'pe@school.org'), { building: 'High School' });
+  assert.strictEqual(denied.success, false);
+});
+
+test('processBulkExportQueue collects files, zips them with a manifest and notifies the requester', () => {
+  const sandbox = exportSandbox();
+  const withPdf = exportableObservation(sandbox);
+  const withoutPdf = exportableObservation(sandbox, false);
+  const admin = sandbox.call('createUserContext', 'admin@school.org');
+  const { job } = sandbox.call('createBulkExportJob', admin, { staffEmails: ['teacher@school.org'], includeEvidence: true });
+
+  sandbox.call('processBulkExportQueue');
+
+  const done = sandbox.call('getBulkExportJob', job.jobId);
+  assert.strictEqual(done.status, 'complete', done.error);
+  assert.deepStrictEqual(sandbox.plain(done.counts), { included: 3, missing: 1, failed: 0 });
+  assert.strictEqual(done.zipFiles.length, 1);
+  assert.match(done.zipFiles[0].name, /^Observation Export - 1 staff member - All Years - \d{4}-\d{2}-\d{2}\.zip$/);
+
+  const folder = sandbox.gas.DriveApp.getFolderById(done.folderId);
+  const names = [];
+  const files = folder.getFiles();
+  while (files.hasNext()) names.push(files.next().getName());
+  assert.deepStrictEqual(names.sort(), [done.zipFiles[0].name, 'manifest.csv'].sort());
+  assert.strictEqual(sandbox.gas.DriveApp.getFolderById(done.stagingFolderId).isTrashed(), true);
+
+  const zipListing = folder.getFilesByName(done.zipFiles[0].name).next().getBlob().getDataAsString();
+  assert.ok(zipListing.includes(`Terry Teacher - 2025-10-01 - Standard - ${withPdf}.pdf`));
+  assert.ok(zipListing.includes(`Evidence 1a 1 - board.jpg`));
+  assert.ok(zipListing.includes('manifest.csv'));
+
+  const manifest = folder.getFilesByName('manifest.csv').next().getBlob().getDataAsString().trim().split('\r\n');
+  assert.strictEqual(manifest.length, 5);
+  assert.ok(manifest.some(line => line.startsWith(withoutPdf) && line.endsWith('Missing: no PDF has been generated')));
+
+  assert.strictEqual(sandbox.call('_getBulkExportIds', 'pdf_export_queue').length, 0);
+  assert.match(sandbox.gas.MailApp.sent[sandbox.gas.MailApp.sent.length - 1].subject, /Observation Export Ready/);
+});
+
+test('planZipParts splits files at the size limit', () => {
+  const sandbox = createSandbox();
+  const mb = 1024 * 1024;
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('planZipParts', [10 * mb, 20 * mb, 15 * mb, 50 * mb, 1 * mb])), [[0, 1], [2], [3], [4]]);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('planZipParts', [])), []);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+
+test('generateCacheKey is stable regardless of parameter order', () => {
+  const sandbox = createSandbox();
+  const a = sandbox.call('generateCacheKey', 'user', { email: 'a@school.org', role: 'Teacher' });
+  const b = sandbox.call('generateCacheKey', 'user', { role: 'Teacher', email: 'a@school.org' });
+  const c = sandbox.call('generateCacheKey', 'user', { email: 'b@school.org', role: 'Teacher' });
+
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(a, c);
+  assert.ok(a.startsWith('user_'));
+  assert.ok(!a.includes('a@school.org'), 'parameters must be hashed, not embedded');
+});
+
+test('generateCacheKey initializes the security salt on first use', () => {
+  const sandbox = createSandbox();
+  const properties = sandbox.gas.PropertiesService.getScriptProperties();
+  const saltProperty = sandbox.run('CACHE_SALT_PROPERTY');
+
+  assert.strictEqual(properties.getProperty(saltProperty), null);
+  sandbox.call('generateCacheKey', 'settings_data');
+  assert.ok(properties.getProperty(saltProperty));
+});
+
+test('setCachedDataEnhanced and getCachedDataEnhanced round-trip through the user cache', () => {
+  const sandbox = createSandbox();
+  sandbox.call('setCachedDataEnhanced', 'staff_data', {}, { users: [{ email: 'a@school.org' }] }, 60);
+
+  const entry = sandbox.call('getCachedDataEnhanced', 'staff_data');
+  assert.deepStrictEqual(sandbox.plain(entry.data), { users: [{ email: 'a@school.org' }] });
+  assert.strictEqual(entry.baseKey, 'staff_data');
+  assert.strictEqual(sandbox.gas.CacheService.caches.script.keys().length, 0);
+  assert.strictEqual(sandbox.gas.CacheService.caches.user.keys().length, 1);
+});
+
+test('setCachedDataEnhanced caps the TTL at one hour', () => {
+  const sandbox = createSandbox();
+  sandbox.call('setCachedDataEnhanced', 'staff_data', {}, { ok: true }, 7200);
+
+  const key = sandbox.call('generateCacheKey', 'staff_data', {});
+  assert.strictEqual(sandbox.gas.CacheService.caches.user.ttlOf(key), 3600);
+});
+
+test('cached entries expire after their TTL', () => {
+  const sandbox = createSandbox();
+  sandbox.call('setCachedDataEnhanced', 'staff_data', {}, { ok: true }, 60);
+
+  sandbox.gas.clock.advance(61);
+  assert.strictEqual(sandbox.call('getCachedDataEnhanced', 'staff_data'), null);
+});
+
+test('incrementMasterCacheVersion invalidates every versioned key', () => {
+  const sandbox = createSandbox({ scriptProperties: { MASTER_CACHE_VERSION: 'v_initial' } });
+  sandbox.call('setCachedDataEnhanced', 'user', { email: 'a@school.org' }, { role: 'Teacher' }, 60);
+  assert.ok(sandbox.call('getCachedDataEnhanced', 'user', { email: 'a@school.org' }));
+
+  assert.strictEqual(sandbox.call('incrementMasterCacheVersion'), true);
+
+  assert.strictEqual(sandbox.call('getCachedDataEnhanced', 'user', { email: 'a@school.org' }), null);
+  assert.notStrictEqual(sandbox.gas.PropertiesService.getScriptProperties().getProperty('MASTER_CACHE_VERSION'), 'v_initial');
+});
+
+test('invalidateDependentCaches bumps the master version for wildcard dependents', () => {
+  const sandbox = createSandbox({ scriptProperties: { MASTER_CACHE_VERSION: 'v_initial' } });
+  sandbox.call('setCachedDataEnhanced', 'user', { email: 'a@school.org' }, { role: 'Teacher' }, 60);
+
+  // staff_data -> user_* (wildcard), so every user entry must go stale
+  sandbox.call('invalidateDependentCaches', 'staff_data');
+
+  assert.strictEqual(sandbox.call('getCachedDataEnhanced', 'user', { email: 'a@school.org' }), null);
+});
+
+test('invalidateDependentCaches leaves caches alone for keys without dependents', () => {
+  const sandbox = createSandbox({ scriptProperties: { MASTER_CACHE_VERSION: 'v_initial' } });
+  sandbox.call('setCachedDataEnhanced', 'user', { email: 'a@school.org' }, { role: 'Teacher' }, 60);
+
+  sandbox.call('invalidateDependentCaches', 'role_sheet_*');
+
+  assert.ok(sandbox.call('getCachedDataEnhanced', 'user', { email: 'a@school.org' }));
+  assert.strictEqual(sandbox.gas.PropertiesService.getScriptProperties().getProperty('MASTER_CACHE_VERSION'), 'v_initial');
+});
+
+test('hasSheetDataChanged reports new and changed data only', () => {
+  const sandbox = createSandbox();
+  const data = [['Teacher', '1a']];
+
+  assert.strictEqual(sandbox.call('hasSheetDataChanged', 'Settings', data), true);
+  assert.strictEqual(sandbox.call('hasSheetDataChanged', 'Settings', data), false);
+  assert.strictEqual(sandbox.call('hasSheetDataChanged', 'Settings', [['Teacher', '1b']]), true);
+});
+
+test('forceCleanAllCaches clears stored sheet hashes', () => {
+  const sandbox = createSandbox();
+  sandbox.call('hasSheetDataChanged', 'Staff', [['x']]);
+  sandbox.call('forceCleanAllCaches');
+
+  const keys = sandbox.gas.PropertiesService.getScriptProperties().getKeys();
+  assert.ok(!keys.some(key => key.startsWith('SHEET_HASH_')));
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+const { finalizedObservation, setObservationField } = require('./support/observations');
+
+const REQUIREMENT_HEADERS = ['Role', 'Year', 'Observation Type', 'Required', 'Due Date'];
+
+/**
+ * Sandbox with staff, observations and the given Compliance_Requirements rows.
+ * @param {Array<Array>} rows - Requirement rows
+ * @return {Object} Sandbox
+ */
+function complianceSandbox(rows) {
+  const sandbox = createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Compliance_Requirements', [REQUIREMENT_HEADERS].concat(rows));
+  return sandbox;
+}
+
+/**
+ * Creates an observation of the fixture teacher dated in the 2025-2026 school year.
+ * @param {Object} sandbox - Sandbox
+ * @param {string} type - Observation type
+ * @param {boolean} finalize - Whether to finalize it
+ * @return {string} Observation ID
+ */
+function teacherObservation(sandbox, type, finalize = true) {
+  if (finalize) {
+    return finalizedObservation(sandbox, { type: type, date: '2025-10-01' });
+  }
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org', type);
+  setObservationField(sandbox, observationId, 'observationDate', '2025-10-01');
+  return observationId;
+}
+
+test('getComplianceRequirements parses requirement rows and skips invalid ones', () => {
+  const sandbox = complianceSandbox([]);
+  sandbox.gas.spreadsheet.addSheet('Compliance_Requirements', [REQUIREMENT_HEADERS,
+    ['Teacher', 'P1', 'Standard', 3, '5/1'],
+    ['All', '', 'Work Product', 1, sandbox.run('new Date(2026, 2, 15)')], // a date cell
+    ['Coach', 2, 'Standard', 1, '5/1'],
+    ['Teacher', 2, 'Coaching Visit', 1, '5/1'],
+    ['Teacher', 2, 'Standard', 0, '5/1'],
+    ['Teacher', 2, 'Standard', 1, 'May']
+  ]);
+
+  const requirements = sandbox.plain(sandbox.call('getComplianceRequirements'));
+  assert.deepStrictEqual(requirements, [
+    { role: 'Teacher', year: 4, observationType: 'Standard', required: 3, dueMonth: 5, dueDay: 1 },
+    { role: null, year: null, observationType: 'Work Product', required: 1, dueMonth: 3, dueDay: 15 }
+  ]);
+  assert.strictEqual(sandbox.messages('warn').filter(message => message.includes('Compliance_Requirements row')).length, 4);
+});
+
+test('buildComplianceReport flags requirements as on track, at risk or overdue', () => {
+  const sandbox = complianceSandbox([]);
+  const staff = [{ name: 'Terry Teacher', email: 'teacher@school.org', role: 'Teacher', year: 2, building: 'High School' }];
+  const observations = [
+    { observedEmail: 'teacher@school.org', Type: 'Standard', status: 'Finalized', observationDate: '2025-10-01' },
+    { observedEmail: 'teacher@school.org', Type: 'Standard', status: 'Draft', observationDate: '2025-10-02' },
+    { observedEmail: 'teacher@school.org', Type: 'Standard', status: 'Finalized', observationDate: '2024-10-01' }
+  ];
+  const requirements = [
+    { role: 'Teacher', year: 2, observationType: 'Standard', required: 2, dueMonth: 5, dueDay: 1 },
+    { role: null, year: null, observationType: 'Work Product', required: 2, dueMonth: 12, dueDay: 1 }
+  ];
+  const report = at => sandbox.plain(sandbox.call('buildComplianceReport', staff, observations, requirements, '2025-2026', new Date(at)));
+
+  const early = report('2025-10-15T12:00:00');
+  assert.deepStrictEqual(early.staff[0].requirements.map(r => [r.completed, r.inProgress, r.status]), [
+    [1, 1, 'On Track'],
+    [0, 0, 'At Risk'] // behind pace: over half the time to December has passed without one
+  ]);
+  assert.strictEqual(early.staff[0].status, 'At Risk');
+
+  const late = report('2025-12-15T12:00:00');
+  assert.strictEqual(late.staff[0].requirements[1].status, 'Overdue');
+  assert.strictEqual(late.staff[0].status, 'Overdue');
+  assert.deepStrictEqual(late.summary, { 'On Track': 0, 'At Risk': 0, Overdue: 1 });
+
+  const otherRole = sandbox.call('buildComplianceReport', [{ name: 'Coach', email: 'c@school.org', role: 'Coach', year: 1 }],
+    [], [requirements[0]], '2025-2026', new Date('2025-10-15T12:00:00'));
+  assert.strictEqual(otherRole.staff.length, 0);
+});
+
+test('exportComplianceReport writes the administrator\'s staff to a report sheet', () => {
+  const sandbox = complianceSandbox([['All', 'All', 'Standard', 1, '5/1']]);
+  teacherObservation(sandbox, 'Standard');
+  const admin = sandbox.call('createUserContext', 'admin@school.org');
+
+  const result = sandbox.call('getComplianceReport', admin, '2025-2026', new Date('2025-11-01T12:00:00'));
+  assert.strictEqual(result.success, true, result.error);
+  // other@school.org is in another building; pe@school.org has no observations yet
+  assert.deepStrictEqual(sandbox.plain(result.report.staff.map(member => [member.email, member.status])), [
+    ['pe@school.org', 'On Track'],
+    ['teacher@school.org', 'On Track']
+  ]);
+
+  const exported = sandbox.call('exportComplianceReport', admin, '2025-2026');
+  assert.strictEqual(exported.success, true, exported.error);
+  assert.strictEqual(exported.sheetName, 'Compliance Report 2025-2026');
+  const rows = sandbox.sheet('Compliance Report 2025-2026').dump();
+  assert.strictEqual(rows.length, 3);
+  assert.deepStrictEqual(rows[2].slice(0, 8), ['Terry Teacher', 'teacher@school.org', 'Teacher', '2', 'High School', 'Standard', 1, 1]);
+
+  const denied = sandbox.call('getComplianceReport', sandbox.call('createUserContext', 'pe@school.org'));
+  assert.strictEqual(denied.success, false);
+});
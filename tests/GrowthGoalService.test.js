@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+const { finalizedObservation } = require('./support/observations');
+
+/**
+ * Sandbox with staff, the Teacher rubric and an initialized Observation_Data sheet.
+ * @param {string} activeUserEmail - Signed-in user
+ * @return {Object} Sandbox
+ */
+function goalSandbox(activeUserEmail = 'teacher@school.org') {
+  const sandbox = createSandbox({ activeUserEmail, staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  return sandbox;
+}
+
+const GOAL = {
+  title: 'Use questioning to deepen discussion',
+  specific: 'Plan three higher-order questions per lesson.',
+  targetDate: '2026-05-01',
+  componentIds: ['3b:'],
+  cycle: '2025-2026'
+};
+
+test('staff members write SMART goals tagged to components of their own rubric', () => {
+  const sandbox = goalSandbox();
+
+  assert.strictEqual(sandbox.call('saveGrowthGoalFromClient', null, Object.assign({}, GOAL, { componentIds: [] })).error,
+    'Tag the goal to at least one rubric component.');
+  assert.strictEqual(sandbox.call('saveGrowthGoalFromClient', null, Object.assign({}, GOAL, { componentIds: ['9z:'] })).error,
+    'Unknown rubric component: 9z:');
+  assert.strictEqual(sandbox.call('saveGrowthGoalFromClient', null, Object.assign({}, GOAL, { targetDate: 'soon' })).error,
+    'Please enter a valid target date.');
+
+  const created = sandbox.call('saveGrowthGoalFromClient', null, GOAL);
+  assert.strictEqual(created.success, true, created.error);
+  assert.strictEqual(created.goal.status, 'In Progress');
+  assert.strictEqual(created.goal.staffName, 'Terry Teacher');
+
+  const updated = sandbox.call('saveGrowthGoalFromClient', created.goal.goalId, { status: 'Met', componentIds: ['3b:', '3c:', '3b:'] });
+  assert.strictEqual(updated.success, true, updated.error);
+  assert.deepStrictEqual(sandbox.plain(updated.goal.componentIds), ['3b:', '3c:']);
+  assert.strictEqual(sandbox.call('saveGrowthGoalFromClient', created.goal.goalId, { status: 'Done' }).error, 'Unknown goal status: Done');
+
+  // Nobody else edits or deletes it
+  sandbox.gas.Session.activeUserEmail = 'other@school.org';
+  assert.strictEqual(sandbox.call('saveGrowthGoalFromClient', created.goal.goalId, { title: 'Mine now' }).error,
+    'Only the staff member who wrote this goal can change it.');
+  assert.strictEqual(sandbox.call('deleteGrowthGoalFromClient', created.goal.goalId).success, false);
+  assert.strictEqual(sandbox.call('getGrowthGoalsForClient', 'teacher@school.org').error, sandbox.run('ERROR_MESSAGES.PERMISSION_DENIED'));
+
+  sandbox.gas.Session.activeUserEmail = 'teacher@school.org';
+  assert.strictEqual(sandbox.call('deleteGrowthGoalFromClient', created.goal.goalId).success, true);
+  assert.strictEqual(sandbox.call('getGrowthGoals', 'teacher@school.org').length, 0);
+});
+
+test('evaluators comment on goals, and observations on tagged components show up as evidence', () => {
+  const sandbox = goalSandbox();
+  const { goal } = sandbox.call('saveGrowthGoalFromClient', null, GOAL);
+
+  const evidence = finalizedObservation(sandbox, { date: '2025-10-15', ratings: { '3b:': 'basic', '1a:': 'proficient' } });
+  finalizedObservation(sandbox, { date: '2025-11-20', ratings: { '1a:': 'proficient' } }); // other components only
+  finalizedObservation(sandbox, { date: '2024-10-01', ratings: { '3b:': 'developing' } }); // previous cycle
+
+  // Staff members can't comment on their own goals
+  assert.strictEqual(sandbox.call('addGrowthGoalCommentFromClient', goal.goalId, 'Going well').error,
+    sandbox.run('ERROR_MESSAGES.PERMISSION_DENIED'));
+
+  sandbox.gas.Session.activeUserEmail = 'pe@school.org';
+  assert.strictEqual(sandbox.call('addGrowthGoalCommentFromClient', goal.goalId, '  ').error, 'Please enter a comment.');
+  const commented = sandbox.call('addGrowthGoalCommentFromClient', goal.goalId, 'Questions were stronger in October.');
+  assert.strictEqual(commented.success, true, commented.error);
+
+  const result = sandbox.plain(sandbox.call('getGrowthGoalsForClient', 'teacher@school.org', '2025-2026'));
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.canEdit, false);
+  assert.strictEqual(result.canComment, true);
+  assert.strictEqual(result.goals.length, 1);
+  assert.deepStrictEqual(result.goals[0].comments.map(comment => [comment.authorEmail, comment.text]),
+    [['pe@school.org', 'Questions were stronger in October.']]);
+  assert.deepStrictEqual(result.goals[0].evidence.map(item => item.observationId), [evidence]);
+  assert.deepStrictEqual(result.goals[0].evidence[0].components,
+    [{ componentId: '3b:', proficiency: 'basic', lookFors: [], taggedSections: 0 }]);
+
+  // The observation PDF lists the goals it is evidence for
+  const observation = sandbox.call('getObservationById', evidence);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getGrowthGoalsForObservation', observation)).map(item => item.goalId), [goal.goalId]);
+
+  // A goal with comments is kept
+  sandbox.gas.Session.activeUserEmail = 'teacher@school.org';
+  assert.match(sandbox.call('deleteGrowthGoalFromClient', goal.goalId).error, /can't be deleted/);
+});
+
+test('a comment saved while another is being added is kept', () => {
+  const sandbox = goalSandbox();
+  const { goal } = sandbox.call('saveGrowthGoalFromClient', null, GOAL);
+
+  // Another evaluator's comment lands after this one was prepared but before it is saved
+  const getUserByEmail = sandbox.context.getUserByEmail;
+  let interleaved = false;
+  sandbox.context.getUserByEmail = email => {
+    if (!interleaved) {
+      interleaved = true;
+      sandbox.call('addGrowthGoalComment', goal.goalId, 'Seen in the March walkthrough.', 'admin@school.org');
+    }
+    return getUserByEmail(email);
+  };
+
+  const result = sandbox.plain(sandbox.call('addGrowthGoalComment', goal.goalId, 'Questions were stronger in October.', 'pe@school.org'));
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.goal.comments.map(comment => comment.authorEmail), ['admin@school.org', 'pe@school.org']);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getGrowthGoalById', goal.goalId)).comments.map(comment => comment.text),
+    ['Seen in the March walkthrough.', 'Questions were stronger in October.']);
+  assert.strictEqual(sandbox.call('addGrowthGoalComment', 'missing', 'Hello', 'pe@school.org').error, 'Goal not found.');
+});
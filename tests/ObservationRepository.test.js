@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+
+/**
+ * Sandbox with staff and an initialized Observation_Data sheet.
+ * @return {Object} Sandbox
+ */
+function repositorySandbox() {
+  return createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+}
+
+/**
+ * Records every setValue/setValues call made through the sheet's ranges.
+ * @param {Object} sheet - Fake sheet
+ * @return {Array<Array<number>>} getRange arguments of each write, filled in as writes happen
+ */
+function recordWrites(sheet) {
+  const writes = [];
+  const getRange = sheet.getRange.bind(sheet);
+  sheet.getRange = (...args) => {
+    const range = getRange(...args);
+    ['setValue', 'setValues'].forEach(method => {
+      const original = range[method].bind(range);
+      range[method] = value => {
+        writes.push(args);
+        return original(value);
+      };
+    });
+    return range;
+  };
+  return writes;
+}
+
+test('update writes all changed fields with one range call under the script lock', () => {
+  const sandbox = repositorySandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const sheet = sandbox.sheet('Observation_Data');
+  const headers = sheet.dump()[0];
+  const writes = recordWrites(sheet);
+
+  const result = sandbox.run('ObservationRepository').update(observationId, observation => ({
+    pdfStatus: 'generated',
+    pdfUrl: 'https://drive.google.com/file/d/pdf/view',
+    evidenceLinks: { '1a:': [{ url: 'u', name: 'n' }] },
+    notAColumn: 'ignored'
+  }));
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(writes.length, 1);
+  assert.deepStrictEqual(writes[0], [2, headers.indexOf('lastModifiedAt') + 1, 1, headers.indexOf('pdfStatus') - headers.indexOf('lastModifiedAt') + 1]);
+
+  const observation = sandbox.call('getObservationById', observationId);
+  assert.strictEqual(observation.pdfStatus, 'generated');
+  assert.strictEqual(observation.lastModifiedAt, result.modifiedAt);
+  assert.deepStrictEqual(sandbox.plain(observation.evidenceLinks), { '1a:': [{ url: 'u', name: 'n' }] });
+  assert.strictEqual(observation.status, 'Draft', 'cells inside the written span keep their values');
+
+  const lock = sandbox.gas.LockService.locks.script;
+  assert.strictEqual(lock.acquisitions, 1);
+  assert.strictEqual(lock.hasLock(), false);
+});
+
+test('getLock is re-entrant, so updates inside a held lock do not wait on themselves', () => {
+  const sandbox = repositorySandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const repository = sandbox.run('ObservationRepository');
+  const scriptLock = sandbox.gas.LockService.locks.script;
+
+  const outer = repository.getLock();
+  outer.waitLock(30000);
+  assert.strictEqual(repository.updateFields(observationId, { observationName: 'Inside the lock' }).success, true);
+  assert.strictEqual(scriptLock.hasLock(), true, 'the inner update leaves the outer lock held');
+  outer.releaseLock();
+  outer.releaseLock();
+
+  assert.strictEqual(scriptLock.hasLock(), false);
+  assert.strictEqual(scriptLock.acquisitions, 1);
+  assert.strictEqual(sandbox.call('getObservationById', observationId).observationName, 'Inside the lock');
+});
+
+test('the row index survives rows moving under it and is shared through the script cache', () => {
+  const sandbox = repositorySandbox();
+  const first = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org').observationId;
+  const second = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org').observationId;
+  const repository = sandbox.run('ObservationRepository');
+  const sheet = sandbox.sheet('Observation_Data');
+
+  assert.strictEqual(repository.findRow(sheet, second), 3);
+  assert.deepStrictEqual(JSON.parse(sandbox.gas.CacheService.getScriptCache().get('observation_row_index')), { [first]: 2, [second]: 3 });
+
+  // Another execution deleting a row doesn't update this one's index
+  sheet.deleteRow(2);
+  assert.strictEqual(repository.findRow(sheet, second), 2);
+  assert.strictEqual(repository.findRow(sheet, first), -1);
+  assert.strictEqual(sandbox.call('getObservationById', second).observationId, second);
+
+  assert.strictEqual(sandbox.call('deleteObservationRecord', second, 'pe@school.org').success, true);
+  assert.strictEqual(sandbox.call('getObservationById', second), null);
+  assert.strictEqual(sheet.getLastRow(), 1);
+});
+
+test('setupObservationSheet adds missing columns and migrates rows written under the old schema', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF });
+  sandbox.gas.spreadsheet.addSheet('Observation_Data', [
+    ['observationId', 'observerEmail', 'observedEmail', 'status', 'observationData'],
+    ['obs_old', 'pe@school.org', 'teacher@school.org', 'Finalized', '{"1a:":{"proficiency":"basic"}}'],
+    ['obs_blank', 'pe@school.org', 'teacher@school.org', 'Draft', '']
+  ]);
+
+  sandbox.call('setupObservationSheet');
+
+  const repository = sandbox.run('ObservationRepository');
+  assert.strictEqual(repository.getSchemaVersion(), repository.SCHEMA_VERSION);
+
+  const values = sandbox.sheet('Observation_Data').dump();
+  const column = header => values[0].indexOf(header);
+  assert.ok(column('componentTags') > 4 && column('fieldTimestamps') > 4);
+  assert.strictEqual(values[1][column('Type')], 'Standard');
+  assert.deepStrictEqual(JSON.parse(values[2][column('observationData')]), {});
+  assert.deepStrictEqual(JSON.parse(values[1][column('observationData')]), { '1a:': { proficiency: 'basic' } });
+  assert.strictEqual(values[1][column('scriptContent')], '', 'columns without a stored default stay blank');
+
+  const old = sandbox.call('getObservationById', 'obs_old');
+  assert.deepStrictEqual(sandbox.plain(old.statusHistory), []);
+  assert.deepStrictEqual(sandbox.plain(old.componentTags), {});
+  assert.strictEqual(old.scriptContent, null);
+
+  // Later saves to the migrated rows work like saves to new ones
+  const saved = sandbox.call('_saveProficiencySelection', 'obs_blank', '1a:', 'proficient');
+  assert.strictEqual(saved.success, true, saved.error);
+  assert.strictEqual(sandbox.call('getObservationById', 'obs_blank').observationData['1a:'].proficiency, 'proficient');
+});
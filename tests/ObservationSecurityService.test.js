@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+
+/**
+ * Builds a minimal observation owned by the fixture Peer Evaluator.
+ * @param {string} status - Observation status
+ * @return {Object} Observation
+ */
+function observation(status) {
+  return {
+    observationId: 'obs_1',
+    observerEmail: 'pe@school.org',
+    observedEmail: 'teacher@school.org',
+    status
+  };
+}
+
+/**
+ * @param {Object} sandbox - Sandbox
+ * @return {Array<string>} Audit actions written to the console
+ */
+function auditedActions(sandbox) {
+  return sandbox.messages('log')
+    .filter(message => message.startsWith('AUDIT:'))
+    .map(message => JSON.parse(message.slice('AUDIT:'.length)).action);
+}
+
+test('canAccessObservation lets the creator see drafts and finalized observations', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Draft'), 'pe@school.org'), true);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Finalized'), 'pe@school.org'), true);
+});
+
+test('canAccessObservation only shows the observed staff member finalized observations', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Draft'), 'teacher@school.org'), false);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Finalized'), 'teacher@school.org'), true);
+});
+
+test('canAccessObservation grants Administrator and Full Access roles with an audit entry', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Draft'), 'admin@school.org'), true);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Draft'), 'full@school.org'), true);
+
+  assert.deepStrictEqual(auditedActions(sandbox), ['ADMIN_OBSERVATION_ACCESS', 'FULL_ACCESS_OBSERVATION_VIEW']);
+});
+
+test('canAccessObservation denies unrelated staff and audits the attempt', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'other@school.org', staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Finalized'), 'other@school.org'), false);
+  assert.deepStrictEqual(auditedActions(sandbox), ['UNAUTHORIZED_ACCESS_ATTEMPT']);
+});
+
+test('canAccessObservation denies users missing from the Staff sheet', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Finalized'), 'stranger@school.org'), false);
+});
+
+test('canAccessObservation fails closed on missing arguments', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', null, 'pe@school.org'), false);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Finalized'), ''), false);
+});
+
+test('canAccessObservation lets the observed staff member see acknowledged and signed observations', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Submitted'), 'teacher@school.org'), false);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Acknowledged'), 'teacher@school.org'), true);
+  assert.strictEqual(sandbox.call('canAccessObservation', observation('Signed'), 'teacher@school.org'), true);
+});
+
+test('canEditObservation allows the creator to edit draft and returned observations only', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  assert.strictEqual(sandbox.call('canEditObservation', observation('Draft'), 'pe@school.org'), true);
+  assert.strictEqual(sandbox.call('canEditObservation', observation('Returned'), 'pe@school.org'), true);
+  assert.strictEqual(sandbox.call('canEditObservation', observation('Submitted'), 'pe@school.org'), false);
+});
+
+test('canTransitionObservationStatus assigns each transition to its actor', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  const can = (status, to, email) => sandbox.call('canTransitionObservationStatus', observation(status), to, email);
+
+  assert.strictEqual(can('Draft', 'Submitted', 'pe@school.org'), true);
+  assert.strictEqual(can('Submitted', 'Returned', 'admin@school.org'), true);
+  assert.strictEqual(can('Submitted', 'Finalized', 'admin@school.org'), true);
+  assert.strictEqual(can('Finalized', 'Acknowledged', 'teacher@school.org'), true);
+  assert.strictEqual(can('Acknowledged', 'Signed', 'teacher@school.org'), true);
+
+  assert.strictEqual(can('Draft', 'Finalized', 'pe@school.org'), false);
+  assert.strictEqual(can('Submitted', 'Finalized', 'pe@school.org'), false); // Observers can't approve their own work
+  assert.strictEqual(can('Finalized', 'Acknowledged', 'pe@school.org'), false);
+  assert.strictEqual(can('Signed', 'Draft', 'admin@school.org'), false);
+});
+
+test('canTransitionObservationStatus audits denied actors', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'other@school.org', staff: STAFF });
+  assert.strictEqual(sandbox.call('canTransitionObservationStatus', observation('Submitted'), 'Returned', 'other@school.org'), false);
+  assert.deepStrictEqual(auditedActions(sandbox), ['STATUS_CHANGE_DENIED']);
+});
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+const { finalizedObservation } = require('./support/observations');
+
+/**
+ * Sandbox with staff and an initialized Observation_Data sheet.
+ * @return {Object} Sandbox
+ */
+function observationSandbox() {
+  return createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+}
+
+/**
+ * Reads a data row from Observation_Data as a header-keyed object.
+ * @param {Object} sandbox - Sandbox
+ * @param {number} row - 1-based sheet row
+ * @return {Object} Row values by header
+ */
+function readRow(sandbox, row) {
+  const values = sandbox.sheet('Observation_Data').dump();
+  const headers = values[0];
+  const record = {};
+  headers.forEach((header, index) => { record[header] = values[row - 1][index]; });
+  return record;
+}
+
+test('createNewObservation appends a Draft row populated from the Staff sheet', () => {
+  const sandbox = observationSandbox();
+  const observation = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org', 'Work Product');
+
+  assert.ok(observation.observationId.startsWith('obs'));
+  assert.strictEqual(sandbox.sheet('Observation_Data').getLastRow(), 2);
+
+  const row = readRow(sandbox, 2);
+  assert.strictEqual(row.observationId, observation.observationId);
+  assert.strictEqual(row.observerEmail, 'pe@school.org');
+  assert.strictEqual(row.observedName, 'Terry Teacher');
+  assert.strictEqual(row.observedRole, 'Teacher');
+  assert.strictEqual(row.observedYear, 2);
+  assert.strictEqual(row.status, 'Draft');
+  assert.strictEqual(row.Type, 'Work Product');
+  assert.deepStrictEqual(JSON.parse(row.observationData), {});
+  assert.strictEqual(row.finalizedAt, '');
+});
+
+test('createNewObservation defaults to the Standard type', () => {
+  const sandbox = observationSandbox();
+  const observation = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  assert.strictEqual(observation.Type, 'Standard');
+});
+
+test('createNewObservation rejects missing emails and unknown staff', () => {
+  const sandbox = observationSandbox();
+
+  assert.strictEqual(sandbox.call('createNewObservation', 'pe@school.org', ''), null);
+  assert.strictEqual(sandbox.call('createNewObservation', 'pe@school.org', 'nobody@school.org'), null);
+  assert.strictEqual(sandbox.sheet('Observation_Data').getLastRow(), 1);
+});
+
+test('_updateObservationJsonData applies the update under the script lock', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const lock = sandbox.gas.LockService.locks.script;
+  const before = readRow(sandbox, 2).lastModifiedAt;
+
+  const result = sandbox.call('_updateObservationJsonData', observationId, 'observationData', data => {
+    data['1a:'] = { lookfors: [], proficiency: 'proficient', notes: '' };
+    return data;
+  });
+
+  assert.deepStrictEqual(sandbox.plain(result), { success: true, modifiedAt: readRow(sandbox, 2).lastModifiedAt, version: 1 });
+  assert.deepStrictEqual(JSON.parse(readRow(sandbox, 2).observationData), {
+    '1a:': { lookfors: [], proficiency: 'proficient', notes: '' }
+  });
+  assert.ok(readRow(sandbox, 2).lastModifiedAt >= before);
+  assert.strictEqual(lock.acquisitions, 1);
+  assert.strictEqual(lock.hasLock(), false);
+});
+
+test('_updateObservationJsonData starts from an empty object when the cell is not valid JSON', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const dataCol = sandbox.sheet('Observation_Data').dump()[0].indexOf('componentTags') + 1;
+  sandbox.sheet('Observation_Data').getRange(2, dataCol).setValue('{not json');
+
+  const result = sandbox.call('_updateObservationJsonData', observationId, 'componentTags', data => {
+    data['1a:'] = ['tag'];
+    return data;
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(JSON.parse(readRow(sandbox, 2).componentTags), { '1a:': ['tag'] });
+});
+
+test('_updateObservationJsonData reports unknown observations and columns and releases the lock', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const lock = sandbox.gas.LockService.locks.script;
+
+  const missing = sandbox.call('_updateObservationJsonData', 'obs_missing', 'observationData', data => data);
+  assert.deepStrictEqual(sandbox.plain(missing), { success: false, error: 'Observation not found.' });
+
+  const badColumn = sandbox.call('_updateObservationJsonData', observationId, 'noSuchColumn', data => data);
+  assert.strictEqual(badColumn.success, false);
+  assert.match(badColumn.error, /noSuchColumn/);
+
+  assert.strictEqual(lock.releases, 2);
+  assert.strictEqual(lock.hasLock(), false);
+});
+
+test('_updateObservationJsonData validates its arguments before locking', () => {
+  const sandbox = observationSandbox();
+  const result = sandbox.call('_updateObservationJsonData', 'obs_1', 'observationData', null);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(sandbox.gas.LockService.locks.script.acquisitions, 0);
+});
+
+test('proficiency and look-for selections are visible through getObservationById', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+
+  sandbox.call('_saveProficiencySelection', observationId, '1a:', 'distinguished');
+  sandbox.call('_saveLookForSelection', observationId, '1a:', 'Uses data', true);
+  sandbox.call('_saveLookForSelection', observationId, '1a:', 'Sets goals', true);
+  sandbox.call('_saveLookForSelection', observationId, '1a:', 'Uses data', false);
+
+  const observation = sandbox.call('getObservationById', observationId);
+  assert.deepStrictEqual(sandbox.plain(observation.observationData['1a:']), {
+    lookfors: ['Sets goals'],
+    notes: '',
+    proficiency: 'distinguished'
+  });
+});
+
+test('field saves record per-field timestamps and reject writes based on an older version', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const stale = '2020-01-01T00:00:00.000Z';
+
+  const first = sandbox.call('_saveProficiencySelection', observationId, '1a:', 'basic', stale);
+  assert.strictEqual(first.success, true, 'no timestamp recorded yet, so nothing to conflict with');
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).fieldTimestamps)['proficiency:1a:'], first.modifiedAt);
+
+  const conflict = sandbox.call('_saveProficiencySelection', observationId, '1a:', 'distinguished', stale);
+  assert.strictEqual(conflict.success, false);
+  assert.deepStrictEqual(sandbox.plain(conflict.conflict), { fieldKey: 'proficiency:1a:', serverValue: 'basic', serverModifiedAt: first.modifiedAt });
+
+  // Other fields and up-to-date writes go through
+  assert.strictEqual(sandbox.call('_saveObservationNotes', observationId, '1a:', 'Notes', stale).success, true);
+  assert.strictEqual(sandbox.call('_saveLookForSelection', observationId, '1a:', 'Look-for', true).success, true);
+  assert.strictEqual(sandbox.call('_saveProficiencySelection', observationId, '1a:', 'proficient', first.modifiedAt).success, true);
+  assert.strictEqual(sandbox.call('getObservationById', observationId).observationData['1a:'].proficiency, 'proficient');
+
+  const script = sandbox.call('updateObservationScript', observationId, { ops: [{ insert: 'Hello\n' }] });
+  assert.strictEqual(script.success, true, script.error);
+  const staleScript = sandbox.call('updateObservationScript', observationId, { ops: [{ insert: 'Old\n' }] }, stale);
+  assert.strictEqual(staleScript.conflict.fieldKey, 'scriptContent');
+  assert.deepStrictEqual(sandbox.plain(staleScript.conflict.serverValue), { ops: [{ insert: 'Hello\n' }] });
+});
+
+test('content saves bump the observation version and report changes made elsewhere', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  assert.strictEqual(sandbox.call('getObservationById', observationId).version, 0);
+
+  const first = sandbox.call('_saveProficiencySelection', observationId, '1a:', 'basic', null, 0);
+  assert.strictEqual(first.version, 1);
+  assert.strictEqual(first.changedElsewhere, undefined);
+
+  // Evidence and PDF bookkeeping don't count as changes to the observation
+  sandbox.call('updateObservationPdfUrl', observationId, 'https://drive.google.com/file/d/pdf/view');
+  assert.strictEqual(sandbox.call('getObservationById', observationId).version, 1);
+
+  // Another window saved since version 0 was loaded: the save merges but is flagged
+  const second = sandbox.call('_saveObservationNotes', observationId, '1b:', 'Notes', null, 0);
+  assert.strictEqual(second.success, true, second.error);
+  assert.strictEqual(second.version, 2);
+  assert.strictEqual(second.changedElsewhere, true);
+
+  // Whole-record writes from a stale read are refused
+  const staleCopy = sandbox.call('getObservationById', observationId);
+  sandbox.call('_saveLookForSelection', observationId, '1a:', 'Look-for', true, 2);
+  staleCopy.observationName = 'Renamed';
+  const rejected = sandbox.call('updateObservationInSheet', staleCopy);
+  assert.strictEqual(rejected.success, false);
+  assert.strictEqual(rejected.changedElsewhere, true);
+  assert.notStrictEqual(sandbox.call('getObservationById', observationId).observationName, 'Renamed');
+});
+
+test('updateObservationStatus walks the review workflow and records each step in statusHistory', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+
+  const steps = [
+    ['Submitted', 'pe@school.org', {}],
+    ['Returned', 'admin@school.org', { comment: 'Add evidence for 1a.' }],
+    ['Submitted', 'pe@school.org', {}],
+    ['Finalized', 'admin@school.org', {}],
+    ['Acknowledged', 'teacher@school.org', {}],
+    ['Signed', 'teacher@school.org', { signatureName: 'Terry Teacher' }]
+  ];
+  steps.forEach(([status, email, details]) => {
+    const result = sandbox.call('updateObservationStatus', observationId, status, email, details);
+    assert.strictEqual(result.success, true, `${status}: ${result.error}`);
+  });
+
+  const row = readRow(sandbox, 2);
+  assert.strictEqual(row.status, 'Signed');
+  assert.ok(row.finalizedAt);
+
+  const history = JSON.parse(row.statusHistory);
+  assert.deepStrictEqual(history.map(entry => `${entry.from}->${entry.to}`), [
+    'Draft->Submitted', 'Submitted->Returned', 'Returned->Submitted',
+    'Submitted->Finalized', 'Finalized->Acknowledged', 'Acknowledged->Signed'
+  ]);
+  assert.strictEqual(history[1].by, 'admin@school.org');
+  assert.strictEqual(history[1].comment, 'Add evidence for 1a.');
+  assert.strictEqual(history[5].signature, 'Terry Teacher');
+});
+
+test('updateObservationStatus rejects transitions the user may not make and leaves the row untouched', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+
+  const skipped = sandbox.call('updateObservationStatus', observationId, 'Finalized', 'admin@school.org');
+  assert.strictEqual(skipped.success, false);
+  assert.match(skipped.error, /from "Draft" to "Finalized"/);
+
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  const selfReturn = sandbox.call('updateObservationStatus', observationId, 'Returned', 'pe@school.org', { comment: 'x' });
+  assert.strictEqual(selfReturn.success, false);
+
+  assert.strictEqual(readRow(sandbox, 2).status, 'Submitted');
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).statusHistory).length, 1);
+  assert.strictEqual(sandbox.gas.LockService.locks.script.hasLock(), false);
+});
+
+test('observation content can only be saved by its observer while Draft or Returned', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const saves = () => [
+    sandbox.call('saveProficiencySelection', observationId, '1a:', 'basic'),
+    sandbox.call('saveLookForSelection', observationId, '1a:', 'Uses data', true),
+    sandbox.call('saveObservationNotes', observationId, '1a:', 'Notes'),
+    sandbox.call('updateObservationScript', observationId, { ops: [{ insert: 'Hello\n' }] }),
+    sandbox.call('saveComponentTags', observationId, { 0: '1a:' }),
+    sandbox.call('uploadMediaEvidence', observationId, '1a:', 'aGVsbG8=', 'board.png', 'image/png')
+  ];
+  saves().forEach(result => assert.strictEqual(result.success, true, result.error));
+
+  sandbox.gas.Session.activeUserEmail = 'admin@school.org';
+  saves().forEach(result => assert.strictEqual(result.success, false));
+
+  sandbox.gas.Session.activeUserEmail = 'pe@school.org';
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  saves().forEach(result => assert.strictEqual(result.error, 'This observation is Submitted and can no longer be edited.'));
+
+  sandbox.call('updateObservationStatus', observationId, 'Returned', 'admin@school.org', { comment: 'Add evidence.' });
+  assert.strictEqual(sandbox.call('saveProficiencySelection', observationId, '1a:', 'proficient').success, true);
+
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Finalized', 'admin@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Acknowledged', 'teacher@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Signed', 'teacher@school.org', { signatureName: 'Terry Teacher' });
+  saves().forEach(result => assert.strictEqual(result.error, 'This observation is Signed and can no longer be edited.'));
+
+  // Checked again under the lock, for saves that got past the wrapper before the status changed
+  assert.strictEqual(sandbox.call('_saveProficiencySelection', observationId, '1a:', 'basic').success, false);
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).observationData)['1a:'].proficiency, 'proficient');
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).evidenceLinks)['1a:'].length, 1, 'only the upload by the observer on the draft is linked');
+});
+
+test('observers can delete their Draft and Returned observations, not submitted ones', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+
+  const submitted = sandbox.call('deleteObservationRecord', observationId, 'pe@school.org');
+  assert.strictEqual(submitted.error, 'Action denied. Only Draft or Returned observations can be deleted with this function, but this observation has status "Submitted".');
+
+  sandbox.call('updateObservationStatus', observationId, 'Returned', 'admin@school.org', { comment: 'Start over.' });
+  assert.strictEqual(sandbox.call('deleteObservationRecord', observationId, 'admin@school.org').success, false);
+  assert.strictEqual(sandbox.call('deleteObservationRecord', observationId, 'pe@school.org').success, true);
+  assert.strictEqual(sandbox.call('getObservationById', observationId), null);
+});
+
+test('updateObservationStatus requires comments to return and a typed name to sign', () => {
+  const sandbox = observationSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+
+  const noComment = sandbox.call('updateObservationStatus', observationId, 'Returned', 'admin@school.org', { comment: '   ' });
+  assert.match(noComment.error, /Comments are required/);
+
+  const noSignature = sandbox.call('updateObservationStatus', observationId, 'Signed', 'teacher@school.org');
+  assert.match(noSignature.error, /type your full name/);
+
+  const unknown = sandbox.call('updateObservationStatus', observationId, 'Archived', 'pe@school.org');
+  assert.match(unknown.error, /Unknown observation status/);
+});
+
+test('saveStaffResponse stores a reflection and per-component rebuttals for rated components', () => {
+  const sandbox = observationSandbox();
+  const observationId = finalizedObservation(sandbox, { ratings: { '1a:': 'proficient' } });
+
+  const result = sandbox.call('saveStaffResponse', observationId, 'teacher@school.org', {
+    reflection: '  Thanks for the feedback.  ',
+    components: {
+      '1a:': { type: 'rebuttal', text: 'The unit plan was shared in advance.' },
+      '2b:': { type: 'reflection', text: 'Not rated, so ignored.' }
+    }
+  });
+  assert.strictEqual(result.success, true, result.error);
+
+  const stored = JSON.parse(readRow(sandbox, 2).staffResponse);
+  assert.strictEqual(stored.reflection, 'Thanks for the feedback.');
+  assert.deepStrictEqual(stored.components, {
+    '1a:': { type: 'rebuttal', text: 'The unit plan was shared in advance.' }
+  });
+  assert.strictEqual(stored.updatedBy, 'teacher@school.org');
+
+  const summary = sandbox.plain(sandbox.call('getObservationsForUser', 'teacher@school.org'))[0];
+  assert.deepStrictEqual(summary.ratedComponentIds, ['1a:']);
+  assert.strictEqual(summary.staffResponse.reflection, 'Thanks for the feedback.');
+});
+
+test('saveStaffResponse is limited to the observed staff member until the observation is signed', () => {
+  const sandbox = observationSandbox();
+  const observationId = finalizedObservation(sandbox, { ratings: { '1a:': 'proficient' } });
+
+  const byObserver = sandbox.call('saveStaffResponse', observationId, 'pe@school.org', { reflection: 'x' });
+  assert.strictEqual(byObserver.success, false);
+
+  sandbox.call('updateObservationStatus', observationId, 'Acknowledged', 'teacher@school.org');
+  assert.strictEqual(sandbox.call('saveStaffResponse', observationId, 'teacher@school.org', { reflection: 'Edited' }).success, true);
+
+  sandbox.call('updateObservationStatus', observationId, 'Signed', 'teacher@school.org', { signatureName: 'Terry Teacher' });
+  const afterSigning = sandbox.call('saveStaffResponse', observationId, 'teacher@school.org', { reflection: 'Too late' });
+  assert.strictEqual(afterSigning.success, false);
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).staffResponse).reflection, 'Edited');
+});
+
+test('acknowledgeObservation saves the response only when the observation can be acknowledged', () => {
+  const sandbox = observationSandbox();
+  const observationId = finalizedObservation(sandbox, { ratings: { '1a:': 'proficient' } });
+  sandbox.gas.Session.activeUserEmail = 'teacher@school.org';
+
+  const acknowledged = sandbox.call('acknowledgeObservation', observationId, { reflection: 'Received.' });
+  assert.strictEqual(acknowledged.success, true, acknowledged.error);
+
+  const again = sandbox.call('acknowledgeObservation', observationId, { reflection: 'Changed.' });
+  assert.match(again.error, /from "Acknowledged" to "Acknowledged"/);
+  assert.strictEqual(JSON.parse(readRow(sandbox, 2).staffResponse).reflection, 'Received.');
+});
+
+test('walkthroughs save look-fors and a one-line note but no proficiency ratings', () => {
+  const sandbox = observationSandbox();
+  const walkthrough = sandbox.call('createTypedObservation', 'pe@school.org', 'teacher@school.org', 'Walkthrough');
+  const standard = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  assert.strictEqual(sandbox.call('isWalkthroughObservation', walkthrough), true);
+  assert.strictEqual(sandbox.call('isWalkthroughObservation', standard), false);
+
+  assert.strictEqual(sandbox.call('saveLookForSelection', walkthrough.observationId, '1a:', 'Uses data', true).success, true);
+  const rating = sandbox.call('saveProficiencySelection', walkthrough.observationId, '1a:', 'proficient');
+  assert.strictEqual(rating.success, false);
+  assert.match(rating.error, /look-fors only/);
+
+  const saved = sandbox.call('saveWalkthroughNote', walkthrough.observationId, '  Students\nworking in pairs  ' + 'x'.repeat(400));
+  assert.strictEqual(saved.success, true, saved.error);
+  const stored = sandbox.call('getObservationById', walkthrough.observationId);
+  assert.strictEqual(stored.walkthroughNote.length, 280);
+  assert.ok(stored.walkthroughNote.startsWith('Students working in pairs x'));
+  assert.deepStrictEqual(sandbox.plain(stored.observationData['1a:'].lookfors), ['Uses data']);
+
+  // A note written elsewhere since the client loaded it is a conflict
+  const conflict = sandbox.call('saveWalkthroughNote', walkthrough.observationId, 'Older note', '2000-01-01T00:00:00.000Z');
+  assert.strictEqual(conflict.conflict.fieldKey, 'walkthroughNote');
+  assert.strictEqual(sandbox.call('saveWalkthroughNote', standard.observationId, 'Note').error, 'Only walkthroughs have a one-line note.');
+
+  // Only the observer may write the note, and only while it is editable
+  sandbox.gas.Session.activeUserEmail = 'admin@school.org';
+  assert.strictEqual(sandbox.call('saveWalkthroughNote', walkthrough.observationId, 'Note').success, false);
+});
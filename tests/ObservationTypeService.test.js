@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+const TYPES_HEADER = ['Type', 'Question Prefix', 'Created By', 'Staff Responds', 'PDF Section', 'Mode'];
+
+const QUESTION_ROWS = [
+  ['ID', 'Question', 'Order'],
+  ['WPQ2', 'What would you change?', 2],
+  ['WPQ1', 'Describe the work product.', 1],
+  ['OBSQ1', 'How did the lesson go?', 1],
+  ['CCQ1', 'What is your coaching goal?', 1],
+  ['CCQX1', 'What did you notice on the walkthrough?', 1]
+];
+
+test('without an Observation_Types sheet the built-in types are used, and setupObservationTypesSheet writes them out', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  sandbox.gas.spreadsheet.addSheet('WorkProductQuestions', QUESTION_ROWS);
+
+  const config = sandbox.plain(sandbox.call('getObservationTypesConfig'));
+  assert.strictEqual(config.source, 'defaults');
+  assert.deepStrictEqual(config.issues, []);
+  assert.deepStrictEqual(config.types.map(entry => entry.type), ['Standard', 'Work Product', 'Instructional Round', 'Walkthrough']);
+  assert.strictEqual(sandbox.call('getObservationTypeDefinition', '').type, 'Standard');
+  assert.strictEqual(sandbox.call('getObservationTypeDefinition', 'Learning Walk'), null);
+
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getObservationTypeQuestions', 'Work Product')).map(q => q.questionId), ['WPQ1', 'WPQ2']);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getObservationTypeQuestions', 'Instructional Round')).map(q => q.questionId), ['OBSQ1']);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getCreatableObservationTypes', 'Peer Evaluator')).map(entry => entry.type),
+    ['Work Product', 'Instructional Round', 'Walkthrough']);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getCreatableObservationTypes', 'Administrator')).map(entry => entry.type), ['Walkthrough']);
+
+  sandbox.call('setupObservationTypesSheet');
+  const rows = sandbox.sheet('Observation_Types').dump();
+  assert.deepStrictEqual(rows[0], TYPES_HEADER);
+  assert.deepStrictEqual(rows[1], ['Standard', 'OBSQ', 'Peer Evaluator\nAdministrator', 'No', '', 'Full']);
+  assert.deepStrictEqual(rows[2], ['Work Product', 'WPQ', 'Peer Evaluator', 'Yes', '', 'Full']);
+  assert.deepStrictEqual(rows[4], ['Walkthrough', '', 'Peer Evaluator\nAdministrator', 'No', '', 'Walkthrough']);
+});
+
+test('a type added in the Observation_Types sheet gets its own questions, permissions and staff responses', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  sandbox.gas.spreadsheet.addSheet('WorkProductQuestions', QUESTION_ROWS);
+  sandbox.gas.spreadsheet.addSheet('Observation_Types', [
+    TYPES_HEADER,
+    ['Coaching Cycle', 'CCQ', 'Administrator\nCoach', 'Yes', 'Coaching Reflection', ''],
+    ['Learning Walk', 'CCQX', '', 'Sometimes', '', 'Quick'],
+    ['Coaching Cycle', 'CCX', '', 'No', '', ''],
+    ['Work Product', 'WPQ', 'Peer Evaluator', 'Yes', 'Work Product Reflection', '']
+  ]);
+
+  const config = sandbox.plain(sandbox.call('getObservationTypesConfig'));
+  assert.strictEqual(config.source, 'sheet');
+  assert.deepStrictEqual(config.types.map(entry => entry.type),
+    ['Coaching Cycle', 'Learning Walk', 'Work Product', 'Standard', 'Instructional Round', 'Walkthrough']);
+  assert.deepStrictEqual(config.issues.map(issue => issue.message), [
+    'Observation_Types row 2: Created By for "Coaching Cycle" names unknown role "Coach"; it is ignored.',
+    'Observation_Types row 3: Mode for "Learning Walk" should be Full or Walkthrough, not "Quick"; it is treated as Full.',
+    'Observation_Types row 3: Staff Responds for "Learning Walk" should be Yes or No, not "Sometimes".',
+    'Observation_Types row 4: Type "Coaching Cycle" is already defined above; this row is ignored.',
+    'Observation type "Standard" is built in and was added with its default settings.',
+    'Observation type "Instructional Round" is built in and was added with its default settings.',
+    'Observation type "Walkthrough" is built in and was added with its default settings.'
+  ]);
+
+  // The configuration check reports the sheet's worst issue, the duplicate type
+  sandbox.seedSettings([]);
+  const validation = sandbox.plain(sandbox.call('validateSystemConfiguration'));
+  assert.strictEqual(validation.systemHealth.observationTypesSource, 'sheet');
+  assert.strictEqual(validation.severity, 'error');
+
+  const coaching = sandbox.plain(sandbox.call('getObservationTypeDefinition', 'Coaching Cycle'));
+  assert.deepStrictEqual(coaching.createdBy, ['Administrator']);
+  assert.strictEqual(coaching.responseDocLabel, 'Coaching Cycle');
+  assert.strictEqual(coaching.pdfSection, 'Coaching Reflection');
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getObservationTypeDefinition', 'Learning Walk').createdBy), ['Peer Evaluator']);
+  assert.strictEqual(sandbox.call('getObservationTypeDefinition', 'Work Product').responseDocLabel, 'Work Product');
+
+  // The longest matching prefix wins, so CCQX questions aren't Coaching Cycle questions
+  const questions = sandbox.call('getObservationTypeQuestionsForClient', 'Coaching Cycle');
+  assert.strictEqual(questions.success, true);
+  assert.deepStrictEqual(sandbox.plain(questions.questions).map(q => q.questionId), ['CCQ1']);
+  assert.strictEqual(sandbox.call('getObservationTypeQuestionsForClient', 'Unknown').success, false);
+
+  // Created By decides who may start one
+  const created = sandbox.call('createTypedObservationForEvaluator', 'teacher@school.org', 'Coaching Cycle');
+  assert.strictEqual(created.success, true, created.error);
+  assert.strictEqual(created.observation.Type, 'Coaching Cycle');
+  assert.strictEqual(created.rubricData.isError, undefined);
+  assert.strictEqual(sandbox.call('createTypedObservationForEvaluator', 'teacher@school.org', 'Work Product').error,
+    sandbox.run('ERROR_MESSAGES.PERMISSION_DENIED'));
+
+  sandbox.gas.Session.activeUserEmail = 'teacher@school.org';
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getStaffResponseObservationTypes', 'teacher@school.org')), ['Coaching Cycle']);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getStaffResponseObservationTypes', 'other@school.org')), []);
+  assert.strictEqual(sandbox.call('createTypedObservationForEvaluator', 'other@school.org', 'Coaching Cycle').success, false);
+
+  // Only the observed staff member answers, and only for types with staff responses
+  sandbox.gas.Session.activeUserEmail = 'other@school.org';
+  assert.strictEqual(sandbox.call('saveObservationAnswerFromClient', created.observation.observationId, 'CCQ1', 'Goal').error,
+    'Access denied to this observation.');
+  assert.strictEqual(sandbox.call('getObservationAnswersForClient', created.observation.observationId).error,
+    'Access denied to this observation.');
+
+  sandbox.gas.Session.activeUserEmail = 'admin@school.org';
+  const standard = sandbox.call('createNewObservation', 'admin@school.org', 'other@school.org');
+  sandbox.gas.Session.activeUserEmail = 'other@school.org';
+  assert.strictEqual(sandbox.call('saveObservationAnswerFromClient', standard.observationId, 'OBSQ1', 'Fine').error,
+    'Standard observations have no staff questions.');
+  assert.strictEqual(sandbox.call('getCurrentUserObservationIdForType', 'Standard').success, false);
+});
+
+test('editing the Observation_Types or WorkProductQuestions sheet takes effect without waiting for the cache to expire', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  sandbox.gas.spreadsheet.addSheet('WorkProductQuestions', QUESTION_ROWS);
+  sandbox.gas.spreadsheet.addSheet('Observation_Types', [TYPES_HEADER, ['Learning Walk', 'WPQ', '', 'No', '', '']]);
+  assert.strictEqual(sandbox.call('getObservationTypeDefinition', 'Learning Walk').questionPrefix, 'WPQ');
+  assert.strictEqual(sandbox.call('getObservationTypeQuestions', 'Learning Walk').length, 2);
+
+  const types = sandbox.sheet('Observation_Types');
+  types.getRange(2, 2).setValue('OBSQ');
+  sandbox.call('onEditTrigger', { range: types.getRange(2, 2), value: 'OBSQ', oldValue: 'WPQ' });
+  assert.strictEqual(sandbox.call('getObservationTypeDefinition', 'Learning Walk').questionPrefix, 'OBSQ');
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getObservationTypeQuestions', 'Learning Walk')).map(q => q.questionId), ['OBSQ1']);
+
+  const questions = sandbox.sheet('WorkProductQuestions');
+  questions.getRange(7, 1, 1, 3).setValues([['OBSQ2', 'What will you try next?', 2]]);
+  sandbox.call('onEditTrigger', { range: questions.getRange(7, 1), value: 'OBSQ2', oldValue: '' });
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getObservationTypeQuestions', 'Learning Walk')).map(q => q.questionId), ['OBSQ1', 'OBSQ2']);
+});
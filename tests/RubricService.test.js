@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+/**
+ * Role sheet rows in the marker layout.
+ * @param {Array<Array<string>>} body - Rows after the title and subtitle
+ * @return {Array<Array<string>>} Sheet rows
+ */
+function markerRows(body) {
+  return [['Nurse Rubric'], ['Standards for school nurses']].concat(body);
+}
+
+/**
+ * A marker-layout component row with generated descriptors.
+ * @param {string} id - Component ID, e.g. "1a:"
+ * @return {Array<string>} Row, columns A-E
+ */
+function componentRow(id) {
+  return [`${id} Component ${id}`, `${id} developing`, `${id} basic`, `${id} proficient`, `${id} distinguished`];
+}
+
+/**
+ * Sandbox signed in as the Full Access user, with a Teacher rubric sheet.
+ * @param {string} email - Signed-in user
+ * @return {Object} Sandbox
+ */
+function rubricSandbox(email = 'full@school.org') {
+  const sandbox = createSandbox({ activeUserEmail: email, staff: STAFF });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  return sandbox;
+}
+
+test('getRubricForEditing reads the role sheet through the rubric parser', () => {
+  const sandbox = rubricSandbox();
+  const result = sandbox.call('getRubricForEditingFromClient', 'Teacher');
+  assert.strictEqual(result.success, true, result.error);
+
+  const rubric = sandbox.plain(result.rubric);
+  assert.strictEqual(rubric.title, 'Teacher Rubric');
+  assert.strictEqual(rubric.layout, 'legacy');
+  assert.deepStrictEqual(rubric.domains.map(domain => [domain.name, domain.components.length]), [
+    ['Planning and Preparation', 6], ['The Classroom Environment', 5], ['Instruction', 5], ['Professional Responsibilities', 6]
+  ]);
+  assert.deepStrictEqual(rubric.domains[0].components[1], {
+    componentId: '1b:', name: 'Component 1b:', developing: '1b: developing', basic: '1b: basic',
+    proficient: '1b: proficient', distinguished: '1b: distinguished', lookFors: ['1b: look-for one', '1b: look-for two']
+  });
+
+  assert.strictEqual(rubricSandbox('admin@school.org').call('getRubricForEditingFromClient', 'Teacher').success, false);
+});
+
+test('parseRubricSheet reads any number of domains and components from marker rows', () => {
+  const sandbox = createSandbox();
+  const parsed = sandbox.plain(sandbox.call('parseRubricSheet', markerRows([
+    [],
+    ['Domain 1: Planning'],
+    componentRow('1a:'),
+    ['Look-fors', 'First\nSecond'],
+    componentRow('1g:'),
+    ['Domain 5: Community'],
+    componentRow('5a:'),
+    ['Best Practices', 'Partners with families']
+  ])));
+
+  assert.strictEqual(parsed.layout, 'markers');
+  assert.deepStrictEqual(parsed.issues, []);
+  assert.deepStrictEqual(parsed.domains.map(domain => [domain.number, domain.name, domain.components.map(component => component.title)]), [
+    [1, 'Domain 1: Planning', ['1a: Component 1a:', '1g: Component 1g:']],
+    [5, 'Domain 5: Community', ['5a: Component 5a:']]
+  ]);
+  assert.deepStrictEqual(parsed.domains[0].components[0].bestPractices, ['First', 'Second']);
+  assert.deepStrictEqual(parsed.domains[0].components[1].bestPractices, []);
+  assert.strictEqual(parsed.domains[1].components[0].proficient, '5a: proficient');
+});
+
+test('role sheets with layout errors are reported row by row instead of rendered', () => {
+  const sandbox = rubricSandbox();
+  sandbox.gas.spreadsheet.addSheet('Nurse', markerRows([
+    componentRow('1a:'),
+    ['Domain 1: Planning'],
+    componentRow('1b:'),
+    componentRow('2a:'),
+    componentRow('1b:'),
+    ['Domain 2: Environment'],
+    ['Look-fors', 'Orphaned'],
+    ['Notes about the rubric']
+  ]));
+
+  const issues = sandbox.plain(sandbox.call('parseRubricSheet', sandbox.sheet('Nurse').dump()).issues);
+  assert.deepStrictEqual(issues.map(issue => [issue.severity, issue.message]), [
+    ['error', 'Row 3: Component 1a: is not under a "Domain 1:" row.'],
+    ['error', 'Row 6: Component 2a: is under Domain 1; its number must match its domain.'],
+    ['error', 'Row 7: Component 1b: already appears in row 5.'],
+    ['error', 'Row 9: Look-fors row is not below a component.'],
+    ['warning', 'Row 10: "Notes about the rubric" is not a domain, component or look-fors row and was ignored.'],
+    ['error', 'Row 8: Domain 2 has no components.']
+  ]);
+
+  const roleSheet = sandbox.call('getRoleSheetData', 'Nurse');
+  assert.strictEqual(roleSheet.validation.isErrorData, true);
+  assert.deepStrictEqual(sandbox.plain(roleSheet.data.slice(2).map(row => row[1])), issues.filter(issue => issue.severity === 'error').map(issue => issue.message));
+
+  const view = sandbox.call('getAllDomainsData', 'Nurse');
+  assert.strictEqual(view.isError, true);
+  assert.match(view.errorMessage, /^Row 3: Component 1a: .* Row 8: Domain 2 has no components\.$/);
+  assert.deepStrictEqual(sandbox.plain(view.domains), []);
+});
+
+test('saveRubric reorders, removes and edits components, keeping their IDs, and the rubric views pick them up', () => {
+  const sandbox = rubricSandbox();
+  const loaded = sandbox.call('getRubricForEditingFromClient', 'Teacher');
+  const rubric = sandbox.plain(loaded.rubric);
+  const domain1 = rubric.domains[0].components;
+  domain1.splice(0, 2, domain1[1], domain1[0]);   // swap 1a and 1b
+  domain1.pop();                                    // remove 1f
+  domain1[0].proficient = 'Edited proficient';
+  domain1[0].lookFors = ['Only look-for'];
+
+  const saved = sandbox.call('saveRubricFromClient', 'Teacher', rubric, loaded.baseHash);
+  assert.strictEqual(saved.success, true, saved.error || JSON.stringify(saved.errors));
+  assert.deepStrictEqual(sandbox.plain(saved.changes.map(change => [change.componentId, change.field])), [
+    ['1b:', 'proficient'], ['1b:', 'lookFors'], ['1f:', 'removed']
+  ]);
+
+  const parsed = sandbox.call('parseRubricSheet', sandbox.sheet('Teacher').dump());
+  assert.strictEqual(parsed.layout, 'markers', 'saving converts a legacy sheet to the marker layout');
+  assert.deepStrictEqual(sandbox.plain(parsed.issues), []);
+  const components = parsed.domains[0].components;
+  assert.deepStrictEqual(sandbox.plain(components.map(component => component.title)),
+    ['1b: Component 1b:', '1a: Component 1a:', '1c: Component 1c:', '1d: Component 1d:', '1e: Component 1e:']);
+  assert.strictEqual(components[0].proficient, 'Edited proficient');
+  assert.deepStrictEqual(sandbox.plain(components[0].bestPractices), ['Only look-for']);
+  assert.deepStrictEqual(sandbox.plain(components[1].bestPractices), ['1a: look-for one', '1a: look-for two']);
+
+  const audit = sandbox.messages('log').find(message => message.includes('"action":"RUBRIC_EDITED"'));
+  assert.ok(audit && audit.includes('full@school.org'), 'the edit is audited with the editor');
+
+  // The hash from the save lets the editor keep saving; the one it replaced doesn't
+  assert.strictEqual(sandbox.call('saveRubricFromClient', 'Teacher', rubric, saved.baseHash).success, true);
+  const stale = sandbox.call('saveRubricFromClient', 'Teacher', rubric, loaded.baseHash);
+  assert.strictEqual(stale.changedElsewhere, true);
+});
+
+test('removing a component keeps draft ratings on the components after it', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  sandbox.call('_saveProficiencySelection', observationId, '1b:', 'proficient');
+
+  sandbox.gas.Session.activeUserEmail = 'full@school.org';
+  const loaded = sandbox.call('getRubricForEditingFromClient', 'Teacher');
+  const rubric = sandbox.plain(loaded.rubric);
+  rubric.domains[0].components.shift();   // remove 1a
+  rubric.domains[0].components.push({ name: 'Added', developing: 'd', basic: 'b', proficient: 'p', distinguished: 'x', lookFors: [] });
+  const saved = sandbox.call('saveRubricFromClient', 'Teacher', rubric, loaded.baseHash);
+  assert.strictEqual(saved.success, true, saved.error || JSON.stringify(saved.errors));
+  assert.deepStrictEqual(sandbox.plain(saved.changes.map(change => [change.componentId, change.field])), [['1a:', 'removed'], ['1g:', 'added']]);
+
+  const observation = sandbox.plain(sandbox.call('getObservationById', observationId));
+  assert.strictEqual(observation.observationData['1b:'].proficiency, 'proficient');
+  const rated = sandbox.plain(sandbox.call('getAllDomainsData', 'Teacher').domains[0].components)
+    .find(component => component.componentId === '1b:');
+  assert.strictEqual(rated.title, '1b: Component 1b:');
+});
+
+test('saveRubric refuses incomplete rubrics and leaves the sheet untouched', () => {
+  const sandbox = rubricSandbox();
+  const loaded = sandbox.call('getRubricForEditingFromClient', 'Teacher');
+  const rubric = sandbox.plain(loaded.rubric);
+  rubric.domains[1].components[0].basic = '  ';
+  rubric.domains[2].components = [];
+  rubric.domains.push({ name: '', components: [] });
+  const before = sandbox.sheet('Teacher').dump();
+
+  const result = sandbox.call('saveRubricFromClient', 'Teacher', rubric, loaded.baseHash);
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(sandbox.plain(result.errors), [
+    '2a: needs a Basic descriptor.',
+    'Domain 3 needs at least one component.',
+    'Domain 5 needs a name.',
+    'Domain 5 needs at least one component.'
+  ]);
+  assert.deepStrictEqual(sandbox.sheet('Teacher').dump(), before);
+});
+
+test('the rubric editor can add components past the legacy layout and new domains', () => {
+  const sandbox = rubricSandbox();
+  const loaded = sandbox.call('getRubricForEditingFromClient', 'Teacher');
+  const rubric = sandbox.plain(loaded.rubric);
+  const extra = { name: 'Extra', developing: 'd', basic: 'b', proficient: 'p', distinguished: 'x', lookFors: ['One'] };
+  rubric.domains[0].components.push(extra);
+  rubric.domains.push({ name: 'Domain 9: Community Partnerships', components: [extra] });
+
+  const saved = sandbox.call('saveRubricFromClient', 'Teacher', rubric, loaded.baseHash);
+  assert.strictEqual(saved.success, true, saved.error || JSON.stringify(saved.errors));
+  assert.deepStrictEqual(sandbox.plain(saved.changes.map(change => [change.componentId, change.field, change.after])), [
+    [null, 'domain 5', 'Community Partnerships'], ['1g:', 'added', 'Extra'], ['5a:', 'added', 'Extra']
+  ]);
+
+  const view = sandbox.call('getAllDomainsData', 'Teacher');
+  assert.strictEqual(view.isError, undefined, view.errorMessage);
+  assert.deepStrictEqual(sandbox.plain(view.domains.map(domain => domain.name)), [
+    'Domain 1: Planning and Preparation', 'Domain 2: The Classroom Environment', 'Domain 3: Instruction',
+    'Domain 4: Professional Responsibilities', 'Domain 5: Community Partnerships'
+  ]);
+  const added = sandbox.plain(view.domains[0].components[6]);
+  assert.deepStrictEqual([added.title, added.proficient, added.bestPractices], ['1g: Extra', 'p', ['One']]);
+  assert.strictEqual(view.domains[4].components[0].componentId, '5a:');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+/**
+ * Changes 1a's Proficient descriptor the way an edit in Sheets would, including the
+ * onEdit trigger's cache clearing.
+ * @param {Object} sandbox - Sandbox
+ * @param {string} text - New descriptor
+ */
+function editProficient1a(sandbox, text) {
+  const cell = sandbox.sheet('Teacher').getRange(3, 4);
+  const oldValue = cell.getValue();
+  cell.setValue(text);
+  sandbox.call('processRubricContentChange', 'Teacher', 3, 4, text, oldValue, 'test_trigger');
+}
+
+/**
+ * @param {Object} rubricData - getAllDomainsData() result
+ * @return {string} 1a's Proficient descriptor
+ */
+function proficient1a(rubricData) {
+  return rubricData.domains[0].components[0].proficient;
+}
+
+test('finalized observations render against the rubric version in force when they were finalized', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+
+  const finalized = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const draft = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  assert.ok(finalized.rubricVersionId);
+  assert.strictEqual(draft.rubricVersionId, finalized.rubricVersionId, 'an unchanged rubric reuses its version');
+  assert.strictEqual(sandbox.sheet('Rubric_Versions').getLastRow(), 1 + 22, 'one row per component');
+
+  editProficient1a(sandbox, 'Scored against this');
+  sandbox.call('updateObservationStatus', finalized.observationId, 'Submitted', 'pe@school.org');
+  assert.strictEqual(sandbox.call('updateObservationStatus', finalized.observationId, 'Finalized', 'admin@school.org').success, true);
+  const pinned = sandbox.call('getObservationById', finalized.observationId);
+  assert.notStrictEqual(pinned.rubricVersionId, finalized.rubricVersionId, 'finalizing records the current rubric');
+
+  editProficient1a(sandbox, 'Edited after finalization');
+
+  const pinnedVersion = sandbox.call('getObservationRubricVersionId', pinned);
+  assert.strictEqual(pinnedVersion, pinned.rubricVersionId);
+  assert.strictEqual(proficient1a(sandbox.call('getAllDomainsData', 'Teacher', null, 'full', null, pinnedVersion)), 'Scored against this');
+  assert.strictEqual(proficient1a(sandbox.call('getAllDomainsData', 'Teacher')), 'Edited after finalization');
+
+  const viewed = sandbox.call('loadFinalizedObservationForViewing', finalized.observationId);
+  assert.strictEqual(viewed.success, true, viewed.error);
+  assert.strictEqual(proficient1a(viewed.rubricData), 'Scored against this');
+  assert.strictEqual(viewed.rubricData.domains[0].components[0].componentId, '1a:');
+
+  // Drafts keep following the live rubric
+  const liveDraft = sandbox.call('getObservationById', draft.observationId);
+  assert.strictEqual(sandbox.call('getObservationRubricVersionId', liveDraft), null);
+});
+
+test('a missing rubric version falls back to the live rubric', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+
+  const rubricData = sandbox.call('getAllDomainsData', 'Teacher', null, 'full', null, 'rubric_missing');
+  assert.strictEqual(proficient1a(rubricData), '1a: proficient');
+  assert.strictEqual(rubricData.rubricVersionId, undefined);
+  assert.ok(sandbox.messages('warn').some(message => message.includes('rubric_missing')));
+});
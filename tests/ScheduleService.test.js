@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+
+/**
+ * Sandbox with staff for the peer evaluator.
+ * @return {Object} Sandbox
+ */
+function scheduleSandbox() {
+  return createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF });
+}
+
+/**
+ * Schedules a full pre-conference, observation and post-conference plan for the fixture teacher.
+ * @param {Object} sandbox - Sandbox
+ * @return {Object} createObservationPlan result
+ */
+function fullPlan(sandbox) {
+  return sandbox.call('createObservationPlan', 'pe@school.org', 'teacher@school.org', [
+    { eventType: 'Observation', scheduledAt: '2025-09-17T14:00:00Z', durationMinutes: 50, location: 'Room 12' },
+    { eventType: 'Pre-Conference', scheduledAt: '2025-09-15T14:00:00Z' },
+    { eventType: 'Post-Conference', scheduledAt: '2025-09-19T14:00:00Z', notes: 'Bring lesson plan' }
+  ]);
+}
+
+test('createObservationPlan stores events in conference order and rejects out-of-order plans', () => {
+  const sandbox = scheduleSandbox();
+  const plan = fullPlan(sandbox);
+  assert.strictEqual(plan.success, true, plan.error);
+  assert.deepStrictEqual(sandbox.plain(plan.events.map(event => event.eventType)), ['Pre-Conference', 'Observation', 'Post-Conference']);
+  assert.strictEqual(plan.events[0].durationMinutes, 30);
+  assert.strictEqual(plan.events[0].staffName, 'Terry Teacher');
+
+  const rows = sandbox.sheet('Observation_Schedule').dump();
+  assert.strictEqual(rows.length, 4);
+  assert.ok(rows.slice(1).every(row => row[rows[0].indexOf('planId')] === plan.planId));
+
+  const outOfOrder = sandbox.call('createObservationPlan', 'pe@school.org', 'teacher@school.org', [
+    { eventType: 'Pre-Conference', scheduledAt: '2025-09-20T14:00:00Z' },
+    { eventType: 'Observation', scheduledAt: '2025-09-17T14:00:00Z' }
+  ]);
+  assert.match(outOfOrder.error, /Observation must be after the Pre-Conference/);
+
+  const badDuration = sandbox.call('createObservationPlan', 'pe@school.org', 'teacher@school.org', [
+    { eventType: 'Observation', scheduledAt: '2025-09-17T14:00:00Z', durationMinutes: 0 }
+  ]);
+  assert.match(badDuration.error, /Duration/);
+});
+
+test('updateScheduleEvent is limited to the evaluator and tracks completion', () => {
+  const sandbox = scheduleSandbox();
+  const observation = fullPlan(sandbox).events[1];
+
+  const otherUser = sandbox.call('updateScheduleEvent', observation.scheduleId, { status: 'Cancelled' }, 'admin@school.org');
+  assert.match(otherUser.error, /Only the evaluator/);
+
+  const completed = sandbox.call('updateScheduleEvent', observation.scheduleId, { status: 'Completed', observationId: 'obs-1' }, 'pe@school.org');
+  assert.strictEqual(completed.success, true, completed.error);
+  assert.ok(completed.event.completedAt);
+  assert.strictEqual(sandbox.call('getScheduleEventById', observation.scheduleId).observationId, 'obs-1');
+
+  const reopened = sandbox.call('updateScheduleEvent', observation.scheduleId, { status: 'Scheduled' }, 'pe@school.org');
+  assert.strictEqual(reopened.event.completedAt, '');
+
+  const invalid = sandbox.call('updateScheduleEvent', observation.scheduleId, { status: 'Done' }, 'pe@school.org');
+  assert.match(invalid.error, /Unknown schedule status/);
+});
+
+test('getScheduleOverview separates upcoming and overdue events', () => {
+  const sandbox = scheduleSandbox();
+  const events = fullPlan(sandbox).events;
+  sandbox.call('updateScheduleEvent', events[0].scheduleId, { status: 'Completed' }, 'pe@school.org');
+
+  const overview = sandbox.call('getScheduleOverview', 'pe@school.org', new Date('2025-09-18T12:00:00Z'));
+  assert.strictEqual(overview.events.length, 3);
+  assert.deepStrictEqual(sandbox.plain(overview.overdue.map(event => event.eventType)), ['Observation']);
+  assert.deepStrictEqual(sandbox.plain(overview.upcoming.map(event => event.eventType)), ['Post-Conference']);
+
+  sandbox.call('updateScheduleEvent', events[2].scheduleId, { status: 'Cancelled' }, 'pe@school.org');
+  assert.strictEqual(sandbox.call('getScheduleEvents', { staffEmail: 'teacher@school.org' }).length, 2);
+  assert.strictEqual(sandbox.call('getScheduleEvents', { staffEmail: 'teacher@school.org', includeCancelled: true }).length, 3);
+});
+
+test('buildScheduleIcs escapes text, marks cancellations and folds long lines', () => {
+  const sandbox = scheduleSandbox();
+  const ics = sandbox.call('buildScheduleIcs', [{
+    scheduleId: 'sched-1',
+    eventType: 'Observation',
+    staffName: 'Terry Teacher',
+    staffEmail: 'teacher@school.org',
+    evaluatorEmail: 'pe@school.org',
+    scheduledAt: '2025-09-17T14:00:00.000Z',
+    durationMinutes: 50,
+    status: 'Cancelled',
+    location: 'Room 12, East wing',
+    notes: 'Line one\nLine two; ' + 'x'.repeat(100)
+  }], 'Observation Schedule');
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+  assert.ok(ics.includes('DTSTART:20250917T140000Z\r\nDTEND:20250917T145000Z'));
+  assert.ok(ics.includes('STATUS:CANCELLED'));
+  assert.ok(ics.includes('LOCATION:Room 12\\, East wing'));
+  assert.ok(ics.split('\r\n').every(line => line.length <= 75));
+
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes('DESCRIPTION:Line one\\nLine two\\; ' + 'x'.repeat(100)));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, SETTINGS_ROWS } = require('./support/fixtures');
+const { finalizedObservation } = require('./support/observations');
+
+const CONFIG = {
+  points: { developing: 1, basic: 2, proficient: 3, distinguished: 4 },
+  domainWeights: { Default: { 1: 1, 2: 1, 3: 1, 4: 1 }, Teacher: { 1: 1, 2: 3, 3: 1, 4: 1 } }
+};
+
+/**
+ * @param {string} role - Observed role
+ * @param {Object} ratings - Proficiency by component ID
+ * @return {Object} Minimal observation
+ */
+function observation(role, ratings) {
+  const observationData = {};
+  Object.keys(ratings).forEach(componentId => {
+    observationData[componentId] = { lookfors: [], notes: '', proficiency: ratings[componentId] };
+  });
+  return { observedRole: role, observationData };
+}
+
+test('calculateObservationScores averages each domain and weights the overall score by role', () => {
+  const sandbox = createSandbox();
+  const scores = sandbox.plain(sandbox.call('calculateObservationScores',
+    observation('Teacher', { '1a:': 'basic', '1b:': 'proficient', '2a:': 'distinguished' }), CONFIG));
+
+  assert.deepStrictEqual(scores.domains, [
+    { number: 1, score: 2.5, ratedCount: 2, weight: 1 },
+    { number: 2, score: 4, ratedCount: 1, weight: 3 }
+  ]);
+  assert.strictEqual(scores.overall, 3.63); // (2.5 * 1 + 4 * 3) / 4
+  assert.strictEqual(scores.ratedCount, 3);
+  assert.deepStrictEqual(scores.scale, { min: 1, max: 4 });
+
+  const defaultWeights = sandbox.call('calculateObservationScores',
+    observation('Counselor', { '1a:': 'basic', '1b:': 'proficient', '2a:': 'distinguished' }), CONFIG);
+  assert.strictEqual(defaultWeights.overall, 3.25);
+});
+
+test('calculateObservationScores ignores unrated and unrecognized selections', () => {
+  const sandbox = createSandbox();
+  const obs = observation('Teacher', { '1a:': 'excellent', 'q1': 'proficient' });
+  obs.observationData['1b:'] = { lookfors: ['Uses data'], notes: '' };
+
+  const scores = sandbox.plain(sandbox.call('calculateObservationScores', obs, CONFIG));
+  assert.deepStrictEqual(scores.domains, []);
+  assert.strictEqual(scores.overall, null);
+});
+
+test('getObservationsForUser and getStaffScoreSummaries include computed scores', () => {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  ['proficient', 'distinguished'].forEach(proficiency => finalizedObservation(sandbox, { ratings: { '1a:': proficiency } }));
+  sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org'); // unscored draft
+
+  const summaries = sandbox.plain(sandbox.call('getObservationsForUser', 'teacher@school.org'));
+  assert.deepStrictEqual(summaries.map(summary => summary.scores.overall).sort(), [3, 4, null].sort());
+
+  const staffScores = sandbox.plain(sandbox.call('getStaffScoreSummaries', ['teacher@school.org', 'other@school.org']));
+  assert.deepStrictEqual(staffScores, { 'teacher@school.org': { overall: 3.5, observationCount: 2 } });
+});
+
+test('a fifth domain is assigned and weighted by its domain number', () => {
+  // The Teacher block gets a fifth row, and the Teacher weights a fifth column (N)
+  const settingsRows = SETTINGS_ROWS.concat([['', '5a', '5b', '5a, 5b', '5a', '5b', '5c']]);
+  settingsRows[0] = settingsRows[0].concat(['', 'Teacher', 1, 1, 1, 1, 3]);
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true, settingsRows });
+  const rubricRows = [['Teacher Rubric'], ['']];
+  [1, 2, 3, 4, 5].forEach(number => {
+    rubricRows.push([`Domain ${number}: Domain ${number}`]);
+    ['a', 'b'].forEach(letter => rubricRows.push([`${number}${letter}: Component`, 'developing', 'basic', 'proficient', 'distinguished']));
+  });
+  sandbox.gas.spreadsheet.addSheet('Teacher', rubricRows);
+
+  const assigned = sandbox.plain(sandbox.call('getAssignedSubdomainsForRoleYear', 'Teacher', 2));
+  assert.deepStrictEqual(assigned, { domain1: ['1b:'], domain2: ['2b:'], domain3: ['3b:'], domain4: ['4b:'], domain5: ['5b:'] });
+
+  const rubric = sandbox.plain(sandbox.call('getAllDomainsData', 'Teacher', 2, 'assigned', assigned));
+  assert.deepStrictEqual(rubric.domains[4].components.map(component => [component.componentId, component.isAssigned]), [['5a:', false], ['5b:', true]]);
+  assert.strictEqual(rubric.assignmentMetadata.assignmentsByDomain.domain5.assigned, 1);
+
+  const config = sandbox.plain(sandbox.call('getScoringConfig'));
+  assert.deepStrictEqual(config.domainWeights.Teacher, { 1: 1, 2: 1, 3: 1, 4: 1, 5: 3 });
+
+  const observationId = finalizedObservation(sandbox, { ratings: { '1a:': 'basic', '5b:': 'distinguished' } });
+  const scores = sandbox.plain(sandbox.call('calculateObservationScores', sandbox.call('getObservationById', observationId)));
+  assert.deepStrictEqual(scores.domains.map(domain => [domain.number, domain.score, domain.weight]), [[1, 2, 1], [5, 4, 3]]);
+  assert.strictEqual(scores.overall, 3.5); // (2 * 1 + 4 * 3) / 4
+
+  // Domains a weights row has no column for weigh the default
+  const fourWeights = sandbox.call('calculateObservationScores', observation('Teacher', { '1a:': 'basic', '5b:': 'distinguished' }), CONFIG);
+  assert.strictEqual(fourWeights.overall, 3);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, SETTINGS_ROWS, legacyRubricRows } = require('./support/fixtures');
+
+const ROLES_HEADER = ['Role', 'Sheet Name', 'Title', 'Subtitle', 'Domain Names', 'Special Access'];
+
+test('getSettingsData maps each role block to per-year domain rows', () => {
+  const sandbox = createSandbox({ settingsRows: SETTINGS_ROWS });
+  const settings = sandbox.plain(sandbox.call('getSettingsData'));
+
+  assert.strictEqual(settings.rolesConfigured, 1);
+  assert.deepStrictEqual(settings.roleYearMappings.Teacher.year1, ['1a, 1c', '2a', '3a', '4a']);
+  assert.deepStrictEqual(settings.roleYearMappings.Teacher.year3, ['1a, 1b, 1c', '2a, 2b', '3a, 3b', '4a, 4b']);
+  assert.deepStrictEqual(settings.roleYearMappings.Teacher.prob3, ['1c', '2c', '3c', '4c']);
+  assert.strictEqual(settings.roleYearMappings.Teacher.startRow, 2);
+});
+
+test('getSettingsData skips unknown roles and reads role blocks of any length', () => {
+  const sandbox = createSandbox({
+    settingsRows: [
+      ['Astronaut', '1a', '', '', '', '', ''],
+      ...SETTINGS_ROWS,
+      ['Counselor', '1a, 2b', '1b', '1c', '', '', '']
+    ]
+  });
+  const settings = sandbox.plain(sandbox.call('getSettingsData'));
+
+  assert.deepStrictEqual(Object.keys(settings.roleYearMappings), ['Teacher', 'Counselor']);
+  assert.deepStrictEqual(settings.roleYearMappings.Teacher.year1, ['1a, 1c', '2a', '3a', '4a']);
+  assert.deepStrictEqual(settings.roleYearMappings.Counselor.year1, ['1a, 2b']);
+  assert.ok(sandbox.messages('warn').some(message => message.includes('Unknown role') && message.includes('Astronaut')));
+
+  // Components go to the domain their ID names, not the row they are listed in
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getAssignedSubdomainsForRoleYear', 'Counselor', 1)),
+    { domain1: ['1a:'], domain2: ['2b:'] });
+});
+
+test('getSettingsData serves repeat calls from the cache', () => {
+  const sandbox = createSandbox({ settingsRows: SETTINGS_ROWS });
+  sandbox.call('getSettingsData');
+
+  sandbox.sheet('Settings').getRange(2, 2).setValue('1f');
+  const settings = sandbox.plain(sandbox.call('getSettingsData'));
+
+  assert.strictEqual(settings.roleYearMappings.Teacher.year1[0], '1a, 1c');
+});
+
+test('getSettingsData handles a missing or empty Settings sheet', () => {
+  const missing = createSandbox();
+  assert.strictEqual(missing.call('getSettingsData'), null);
+
+  const empty = createSandbox({ settingsRows: [] });
+  assert.deepStrictEqual(empty.plain(empty.call('getSettingsData')).roleYearMappings, {});
+});
+
+test('setupObservationSheet writes headers once and backfills missing columns', () => {
+  const sandbox = createSandbox();
+  sandbox.call('setupObservationSheet');
+  const headers = sandbox.sheet('Observation_Data').dump()[0];
+  assert.strictEqual(headers[0], 'observationId');
+  assert.ok(headers.includes('Type'));
+
+  sandbox.gas.spreadsheet.addSheet('Observation_Data', [['observationId', 'status']]);
+  sandbox.call('setupObservationSheet');
+  const backfilled = sandbox.sheet('Observation_Data').dump()[0];
+  assert.deepStrictEqual(backfilled.slice(0, 2), ['observationId', 'status']);
+  assert.strictEqual(backfilled.filter(header => header === 'status').length, 1);
+  assert.ok(backfilled.includes('observerEmail'));
+});
+
+/**
+ * Places a scoring table row in columns I-M next to the role blocks.
+ * @param {Array} row - Settings row (columns A-G)
+ * @param {Array} scoring - Label and its values
+ * @return {Array} Combined row
+ */
+function withScoring(row, scoring) {
+  return row.concat([''], scoring);
+}
+
+test('getScoringConfig reads points and per-role domain weights from the Settings sheet', () => {
+  const sandbox = createSandbox({
+    settingsRows: [
+      withScoring(SETTINGS_ROWS[0], ['Points', 0, 1, 2, 3]),
+      withScoring(SETTINGS_ROWS[1], ['Default', 1, 2, 2, 1]),
+      withScoring(SETTINGS_ROWS[2], ['Teacher', 1, 3, 3, 1]),
+      withScoring(SETTINGS_ROWS[3], ['Astronaut', 1, 1, 1, 1])
+    ]
+  });
+  const config = sandbox.plain(sandbox.call('getScoringConfig'));
+
+  assert.deepStrictEqual(config.points, { developing: 0, basic: 1, proficient: 2, distinguished: 3 });
+  assert.deepStrictEqual(config.domainWeights, {
+    Default: { 1: 1, 2: 2, 3: 2, 4: 1 },
+    Teacher: { 1: 1, 2: 3, 3: 3, 4: 1 }
+  });
+  assert.ok(sandbox.messages('warn').some(message => message.includes('Unknown scoring label') && message.includes('Astronaut')));
+});
+
+test('getScoringConfig falls back to defaults for a missing table or invalid rows', () => {
+  const missing = createSandbox();
+  const defaults = missing.plain(missing.call('getScoringConfig'));
+  assert.deepStrictEqual(defaults.points, { developing: 1, basic: 2, proficient: 3, distinguished: 4 });
+  assert.deepStrictEqual(defaults.domainWeights, {});
+
+  const invalid = createSandbox({
+    settingsRows: [
+      withScoring(SETTINGS_ROWS[0], ['Points', 1, 'two', 3, 4]),
+      withScoring(SETTINGS_ROWS[1], ['Teacher', 0, 0, 0, 0]),
+      withScoring(SETTINGS_ROWS[2], ['Points', 1, 2, 3])
+    ]
+  });
+  const config = invalid.plain(invalid.call('getScoringConfig'));
+  assert.deepStrictEqual(config.points, defaults.points);
+  assert.deepStrictEqual(config.domainWeights, defaults.domainWeights);
+  assert.strictEqual(invalid.messages('warn').length, 3);
+});
+
+test('without a Roles sheet the default roles are used, and setupRolesSheet writes them out', () => {
+  const sandbox = createSandbox();
+  const config = sandbox.plain(sandbox.call('getRolesConfigData'));
+
+  assert.strictEqual(config.source, 'defaults');
+  assert.deepStrictEqual(config.issues, []);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('getAvailableRoles')), sandbox.plain(sandbox.run('DEFAULT_ROLES')));
+  assert.strictEqual(sandbox.call('hasSpecialAccessRole', 'Administrator'), true);
+  assert.strictEqual(sandbox.call('hasSpecialAccessRole', 'Nurse'), false);
+
+  sandbox.call('setupRolesSheet');
+  const rows = sandbox.sheet('Roles').dump();
+  assert.deepStrictEqual(rows[0], ROLES_HEADER);
+  assert.deepStrictEqual(rows[1], ['Teacher', 'Teacher', '', '', '', 'No']);
+  assert.deepStrictEqual(rows.find(row => row[0] === 'Full Access'), ['Full Access', 'Full Access', '', '', '', 'Yes']);
+  assert.strictEqual(rows.length, config.roles.length + 1);
+});
+
+test('roles, rubric sheets, headings and domain names come from the Roles sheet', () => {
+  const sandbox = createSandbox({
+    activeUserEmail: 'slp@school.org',
+    staff: STAFF.concat([{ name: 'Sam Speech', email: 'slp@school.org', role: 'Speech-Language Pathologist', year: 1 }])
+  });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  sandbox.gas.spreadsheet.addSheet('SLP Rubric', legacyRubricRows('Sheet title'));
+  sandbox.gas.spreadsheet.addSheet('Roles', [
+    ROLES_HEADER,
+    ['Teacher', '', '', '', '', 'No'],
+    ['Speech-Language Pathologist', 'SLP Rubric', 'SLP Framework', '', 'Planning\nDomain 2: Therapy Environment', ''],
+    ['Peer Evaluator', '', '', '', '', 'Yes'],
+    ['Administrator', '', '', '', '', 'Yes'],
+    ['Teacher', 'Other', '', '', '', 'Maybe']
+  ]);
+
+  const config = sandbox.plain(sandbox.call('getRolesConfigData'));
+  assert.strictEqual(config.source, 'sheet');
+  assert.deepStrictEqual(config.roles.map(entry => entry.role),
+    ['Teacher', 'Speech-Language Pathologist', 'Peer Evaluator', 'Administrator', 'Full Access']);
+  assert.deepStrictEqual(config.issues.map(issue => issue.message), [
+    'Roles row 6: Role "Teacher" is already defined above; this row is ignored.',
+    'Role "Full Access" is required and was added with its default settings.'
+  ]);
+  assert.strictEqual(sandbox.call('isValidRole', 'Nurse'), false);
+  assert.strictEqual(sandbox.call('hasSpecialAccessRole', 'Full Access'), true);
+
+  const context = sandbox.call('createUserContext', 'slp@school.org');
+  assert.strictEqual(context.role, 'Speech-Language Pathologist');
+  assert.strictEqual(context.hasSpecialAccess, false);
+
+  const rubric = sandbox.plain(sandbox.call('getAllDomainsData', 'Speech-Language Pathologist'));
+  assert.strictEqual(rubric.isError, undefined);
+  assert.strictEqual(rubric.title, 'SLP Framework');
+  assert.strictEqual(rubric.subtitle, 'Best practices');
+  assert.deepStrictEqual(rubric.domains.map(domain => domain.name), [
+    'Domain 1: Planning', 'Domain 2: Therapy Environment', 'Domain 3: Instruction', 'Domain 4: Professional Responsibilities'
+  ]);
+
+  const validation = sandbox.call('validateSystemConfiguration');
+  assert.strictEqual(validation.systemHealth.rolesSource, 'sheet');
+  assert.strictEqual(validation.systemHealth.roleSheets['Speech-Language Pathologist'], true);
+  assert.ok(validation.issues.some(issue => issue.message.includes('already defined above')));
+  assert.ok(validation.issues.some(issue => issue.message === 'Role sheet "Peer Evaluator" for Peer Evaluator not found'));
+});
+
+test('validation results take the severity of their worst issue', () => {
+  const sandbox = createSandbox();
+
+  const roleSheet = sandbox.plain(sandbox.call('validateRoleSheetData', { roleName: 'Nurse', data: [[''], ['Domain 1: Planning'], ['Notes']] }));
+  assert.deepStrictEqual(roleSheet.issues.map(issue => issue.severity), ['warning', 'error']);
+  assert.strictEqual(roleSheet.severity, 'error');
+
+  const user = sandbox.plain(sandbox.call('validateUserData', { email: 'nurse@school.org', role: '', year: 9 }));
+  assert.strictEqual(user.severity, 'error');
+});
+
+test('editing the Roles sheet takes effect without waiting for the cache to expire', () => {
+  const sandbox = createSandbox();
+  sandbox.gas.spreadsheet.addSheet('Roles', [ROLES_HEADER, ['Teacher', '', '', '', '', 'No']]);
+  assert.strictEqual(sandbox.call('isValidRole', 'Nurse'), false);
+
+  const sheet = sandbox.sheet('Roles');
+  sheet.getRange(3, 1).setValue('Nurse');
+  assert.strictEqual(sandbox.call('isValidRole', 'Nurse'), false, 'served from the cache until the edit trigger runs');
+
+  sandbox.call('onEditTrigger', { range: sheet.getRange(3, 1), value: 'Nurse', oldValue: '' });
+  assert.strictEqual(sandbox.call('isValidRole', 'Nurse'), true);
+});
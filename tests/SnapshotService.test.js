@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+
+/**
+ * Sandbox signed in as the peer evaluator, with one draft observation of the fixture teacher.
+ * @return {{sandbox: Object, observationId: string}}
+ */
+function draftSandbox() {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  return { sandbox, observationId };
+}
+
+test('automatic snapshots are throttled and skip unchanged content', () => {
+  const { sandbox, observationId } = draftSandbox();
+
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'basic');
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'proficient');
+  let history = sandbox.call('getObservationHistory', observationId);
+  assert.strictEqual(history.success, true, history.error);
+  assert.strictEqual(history.snapshots.length, 1, 'second save falls inside the snapshot interval');
+  assert.strictEqual(history.snapshots[0].reason, 'Auto-save');
+
+  const manual = sandbox.call('saveObservationSnapshot', observationId);
+  assert.strictEqual(manual.created, true, manual.error);
+  const unchanged = sandbox.call('saveObservationSnapshot', observationId);
+  assert.strictEqual(unchanged.created, false);
+
+  history = sandbox.call('getObservationHistory', observationId);
+  assert.deepStrictEqual(sandbox.plain(history.snapshots.map(snapshot => snapshot.reason)), ['Manual', 'Auto-save']);
+  assert.strictEqual(history.editable, true);
+
+  const otherUser = sandbox.call('getObservationSnapshots', observationId, 'admin@school.org');
+  assert.match(otherUser.error, /did not create/);
+});
+
+test('compareObservationSnapshot diffs the snapshot against the current observation', () => {
+  const { sandbox, observationId } = draftSandbox();
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'basic');
+  sandbox.call('saveLookForSelection', observationId, '1a:', 'Checks for understanding', true);
+  sandbox.call('saveObservationNotes', observationId, '1a:', '<p>First line</p><p>Second line</p>');
+  const { snapshot } = sandbox.call('saveObservationSnapshot', observationId);
+
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'proficient');
+  sandbox.call('saveObservationNotes', observationId, '1a:', '<p>First line</p><p>Second line, edited</p><p>Third</p>');
+  sandbox.call('updateObservationScript', observationId, { ops: [{ insert: 'Teacher greets class\n' }] });
+
+  const result = sandbox.call('compareObservationSnapshotForClient', observationId, snapshot.snapshotId);
+  assert.strictEqual(result.success, true, result.error);
+  const changes = sandbox.plain(result.changes);
+  assert.deepStrictEqual(changes.map(change => [change.componentId, change.field]), [
+    ['1a:', 'proficiency'], ['1a:', 'notes'], [null, 'script']
+  ]);
+  assert.deepStrictEqual(changes[0].rows, [{ type: 'changed', before: 'basic', after: 'proficient' }]);
+  assert.deepStrictEqual(changes[1].rows, [
+    { type: 'same', before: 'First line', after: 'First line' },
+    { type: 'changed', before: 'Second line', after: 'Second line, edited' },
+    { type: 'added', before: null, after: 'Third' }
+  ]);
+  assert.deepStrictEqual(changes[2].rows, [{ type: 'added', before: null, after: 'Teacher greets class' }]);
+});
+
+test('diffTextLines collapses unchanged lines away from changes', () => {
+  const sandbox = createSandbox();
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+  const after = ['a', 'b', 'c', 'd', 'e', 'f', 'G'];
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('diffTextLines', before, after)), [
+    { type: 'skipped', count: 4 },
+    { type: 'same', before: 'e', after: 'e' },
+    { type: 'same', before: 'f', after: 'f' },
+    { type: 'changed', before: 'g', after: 'G' }
+  ]);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('diffTextLines', before, before)), []);
+});
+
+test('restoreObservationSnapshot restores content, keeps a backup and refuses submitted observations', () => {
+  const { sandbox, observationId } = draftSandbox();
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'basic');
+  const { snapshot } = sandbox.call('saveObservationSnapshot', observationId);
+  sandbox.call('saveProficiencySelection', observationId, '1a:', 'distinguished');
+  sandbox.call('saveComponentTags', observationId, { '1a:': [{ text: 'tagged line' }] });
+
+  const restored = sandbox.call('restoreObservationSnapshotFromClient', observationId, snapshot.snapshotId);
+  assert.strictEqual(restored.success, true, restored.error);
+  assert.ok(restored.backupSnapshotId);
+
+  const observation = sandbox.call('getObservationById', observationId);
+  assert.strictEqual(observation.observationData['1a:'].proficiency, 'basic');
+  assert.deepStrictEqual(sandbox.plain(observation.componentTags), {});
+
+  // The pre-restore backup holds the distinguished rating and can be restored in turn
+  const undo = sandbox.call('compareObservationSnapshotForClient', observationId, restored.backupSnapshotId);
+  assert.strictEqual(undo.snapshot.reason, 'Before restore');
+  assert.deepStrictEqual(sandbox.plain(undo.changes[0].rows), [{ type: 'changed', before: 'distinguished', after: 'basic' }]);
+
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  const denied = sandbox.call('restoreObservationSnapshotFromClient', observationId, snapshot.snapshotId);
+  assert.match(denied.error, /can no longer be changed/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+const { finalizedObservation } = require('./support/observations');
+
+/**
+ * Sandbox with staff and an initialized Observation_Data sheet.
+ * @return {Object} Sandbox
+ */
+function summativeSandbox() {
+  return createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF, observationSheet: true });
+}
+
+test('getSchoolYearCycle splits school years at SCHOOL_YEAR_START_MONTH', () => {
+  const sandbox = createSandbox();
+  assert.strictEqual(sandbox.call('getSchoolYearCycle', '2025-06-30T12:00:00'), '2024-2025');
+  assert.strictEqual(sandbox.call('getSchoolYearCycle', '2025-07-01T12:00:00'), '2025-2026');
+  assert.strictEqual(sandbox.call('getSchoolYearCycle', 'not a date'), null);
+});
+
+test('buildSummativeRollup collects finalized observations in the cycle by component', () => {
+  const sandbox = summativeSandbox();
+  const first = finalizedObservation(sandbox, { date: '2025-09-15', ratings: { '1a:': 'basic', '2b:': 'proficient' } });
+  const second = finalizedObservation(sandbox, { date: '2026-02-10', ratings: { '1a:': 'proficient' }, type: 'Work Product' });
+  finalizedObservation(sandbox, { date: '2024-10-01', ratings: { '1a:': 'developing' } }); // previous cycle
+  sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org'); // draft
+
+  const rollup = sandbox.plain(sandbox.call('buildSummativeRollup', 'teacher@school.org', '2025-2026'));
+
+  assert.deepStrictEqual(rollup.observations.map(obs => obs.observationId), [first, second]);
+  assert.deepStrictEqual(rollup.domains.map(domain => domain.number), [1, 2]);
+
+  const component1a = rollup.domains[0].components[0];
+  assert.strictEqual(component1a.componentId, '1a:');
+  assert.deepStrictEqual(component1a.history.map(entry => [entry.type, entry.proficiency]), [
+    ['Standard', 'basic'],
+    ['Work Product', 'proficient']
+  ]);
+  assert.deepStrictEqual(component1a.ratingCounts, { basic: 1, proficient: 1 });
+});
+
+test('saveSummativeEvaluation stores valid domain ratings for the evaluator only', () => {
+  const sandbox = summativeSandbox();
+  const { summative } = sandbox.call('getOrCreateSummativeEvaluation', 'teacher@school.org', '2025-2026', 'admin@school.org');
+
+  const again = sandbox.call('getOrCreateSummativeEvaluation', 'teacher@school.org', '2025-2026', 'admin@school.org');
+  assert.strictEqual(again.summative.summativeId, summative.summativeId);
+
+  const saved = sandbox.call('saveSummativeEvaluation', summative.summativeId, {
+    domainRatings: { 1: { rating: 'Proficient', rationale: 'Consistent planning.' } },
+    summaryComments: 'Strong year.'
+  }, 'admin@school.org');
+  assert.strictEqual(saved.success, true, saved.error);
+  assert.deepStrictEqual(sandbox.plain(saved.summative.domainRatings), { 1: { rating: 'proficient', rationale: 'Consistent planning.' } });
+  assert.strictEqual(saved.summative.summaryComments, 'Strong year.');
+
+  const invalid = sandbox.call('saveSummativeEvaluation', summative.summativeId, { domainRatings: { 2: { rating: 'excellent' } } }, 'admin@school.org');
+  assert.match(invalid.error, /Invalid rating/);
+
+  const otherUser = sandbox.call('saveSummativeEvaluation', summative.summativeId, { summaryComments: 'x' }, 'pe@school.org');
+  assert.strictEqual(otherUser.success, false);
+});
+
+test('finalizeSummativeEvaluation requires a rating for every domain with evidence and locks the record', () => {
+  const sandbox = summativeSandbox();
+  const observationId = finalizedObservation(sandbox, { date: '2025-09-15', ratings: { '1a:': 'basic', '2b:': 'proficient' } });
+  const { summative } = sandbox.call('getOrCreateSummativeEvaluation', 'teacher@school.org', '2025-2026', 'admin@school.org');
+  const id = summative.summativeId;
+
+  sandbox.call('saveSummativeEvaluation', id, { domainRatings: { 1: { rating: 'basic' } } }, 'admin@school.org');
+  const missing = sandbox.call('finalizeSummativeEvaluation', id, 'admin@school.org');
+  assert.match(missing.error, /Domain 2/);
+
+  sandbox.call('saveSummativeEvaluation', id, { domainRatings: { 2: { rating: 'proficient' } } }, 'admin@school.org');
+  const finalized = sandbox.call('finalizeSummativeEvaluation', id, 'admin@school.org');
+  assert.strictEqual(finalized.success, true, finalized.error);
+  assert.strictEqual(finalized.summative.status, 'Finalized');
+  assert.deepStrictEqual(sandbox.plain(finalized.summative.observationIds), [observationId]);
+
+  // Later observations no longer change a finalized summative
+  finalizedObservation(sandbox, { date: '2026-03-01', ratings: { '3a:': 'basic' } });
+  const rollup = sandbox.call('buildSummativeRollup', 'teacher@school.org', '2025-2026', finalized.summative.observationIds);
+  assert.strictEqual(rollup.observations.length, 1);
+
+  const edit = sandbox.call('saveSummativeEvaluation', id, { summaryComments: 'late' }, 'admin@school.org');
+  assert.match(edit.error, /finalized/);
+});
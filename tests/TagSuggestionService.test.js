@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF } = require('./support/fixtures');
+
+const RUBRIC_ROWS = [
+  ['Teacher Rubric'],
+  ['Danielson Framework'],
+  ['Domain 2: The Classroom Environment'],
+  ['2c: Managing Classroom Procedures', 'Much time is lost during transitions.', 'Some routines work.',
+    'Routines for transitions and materials run smoothly.', 'Students take initiative in managing routines.'],
+  ['Look-fors', 'Smooth transitions between activities\nMaterials distributed efficiently'],
+  ['Domain 3: Instruction'],
+  ['3b: Using Questioning and Discussion Techniques', 'Questions have single correct answers.', 'Some open questions.',
+    'Open-ended questions invite students to think and offer multiple possible answers.', 'Students formulate high-level questions.'],
+  ['Look-fors', 'Open-ended questions with wait time\nStudents build on each other\'s ideas'],
+  ['3c: Engaging Students in Learning', 'Tasks require only recall.', 'Some tasks require thinking.',
+    'Learning tasks require high-level student thinking.', 'Students shape the learning tasks.'],
+  ['Look-fors', 'Students work in small groups\nHands-on learning tasks with choice']
+];
+
+const SCRIPT = [
+  '[00:10] Teacher: What do you think, and why? I\'ll give you some wait time before anyone answers.',
+  '[00:30] Student 1: I want to build on that idea about ratios.',
+  'Please get into your small groups and start the hands-on task.',
+  'The bell rang.'
+].join('\n');
+
+/**
+ * Sandbox with an administrator's draft observation of the fixture teacher.
+ * @return {{sandbox: Object, observationId: string}} Sandbox and observation
+ */
+function suggestionSandbox() {
+  const sandbox = createSandbox({ activeUserEmail: 'admin@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', RUBRIC_ROWS);
+  const { observationId } = sandbox.call('createNewObservation', 'admin@school.org', 'teacher@school.org');
+  return { sandbox, observationId };
+}
+
+test('script sentences are matched to components by descriptor and look-for keywords', () => {
+  const { sandbox, observationId } = suggestionSandbox();
+
+  const result = sandbox.plain(sandbox.call('getTagSuggestionsForClient', observationId, SCRIPT));
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.modelProvider, null);
+  assert.deepStrictEqual(result.suggestions.map(s => [s.componentId, s.text]), [
+    ['3b:', 'I\'ll give you some wait time before anyone answers.'],
+    ['3b:', '[00:30] Student 1: I want to build on that idea about ratios.'],
+    ['3c:', 'Please get into your small groups and start the hands-on task.']
+  ]);
+  result.suggestions.forEach(s => assert.strictEqual(SCRIPT.substr(s.start, s.length), s.text));
+  assert.deepStrictEqual(result.suggestions[0].matchedTerms, ['wait', 'time', 'answers']);
+  assert.strictEqual(result.suggestions[0].lookFor, 'Open-ended questions with wait time');
+  assert.deepStrictEqual(result.suggestions[2].sources, ['keyword']);
+
+  assert.strictEqual(sandbox.call('getTagSuggestionsForClient', observationId, '  ').success, false);
+  sandbox.gas.Session.activeUserEmail = 'pe@school.org';
+  assert.strictEqual(sandbox.call('getTagSuggestionsForClient', observationId, SCRIPT).error,
+    sandbox.run('ERROR_MESSAGES.PERMISSION_DENIED'));
+});
+
+test('a configured model provider adds suggestions, and unknown sentences or components are dropped', () => {
+  const { sandbox, observationId } = suggestionSandbox();
+  sandbox.run(`registerTagSuggestionProvider('fake', {
+    name: 'fake',
+    isConfigured: () => true,
+    suggest: (sentences, components) => ({
+      success: true,
+      suggestions: [
+        { index: 0, componentId: '3b:', reason: 'Open question' },
+        { index: 1, componentId: '3b:', reason: 'Wait time' },
+        { index: 9, componentId: '3b:' },
+        { index: 3, componentId: '9z:' }
+      ]
+    })
+  })`);
+  sandbox.run(`PropertiesService.getScriptProperties().setProperty('TAG_SUGGESTION_PROVIDER', 'fake')`);
+
+  const result = sandbox.plain(sandbox.call('getTagSuggestionsForClient', observationId, SCRIPT));
+  assert.strictEqual(result.modelProvider, 'fake');
+  assert.deepStrictEqual(result.suggestions.map(s => [s.componentId, s.sources, s.reason]), [
+    ['3b:', ['model'], 'Open question'],
+    ['3b:', ['keyword', 'model'], 'Wait time'],
+    ['3b:', ['keyword'], null],
+    ['3c:', ['keyword'], null]
+  ]);
+
+  // A failing provider leaves the keyword suggestions
+  sandbox.run(`registerTagSuggestionProvider('fake', { name: 'fake', isConfigured: () => true, suggest: () => ({ success: false, error: 'Quota exceeded' }) })`);
+  const fallback = sandbox.plain(sandbox.call('getTagSuggestionsForClient', observationId, SCRIPT));
+  assert.strictEqual(fallback.modelError, 'Quota exceeded');
+  assert.strictEqual(fallback.suggestions.length, 3);
+});
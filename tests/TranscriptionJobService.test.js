@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+/**
+ * Sandbox with a priced "acme" provider (the mock provider plus token usage) and a minimal
+ * DocumentApp for the transcription docs.
+ * @return {Object} Sandbox
+ */
+function jobSandbox() {
+  const sandbox = createSandbox({
+    activeUserEmail: 'admin@school.org',
+    staff: STAFF,
+    observationSheet: true,
+    scriptProperties: { TRANSCRIPTION_PROVIDER: 'acme' }
+  });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+  sandbox.run(`registerTranscriptionProvider('acme', Object.assign(_createMockTranscriptionProvider(), {
+    name: 'acme',
+    pricing: { inputPerMillionTokens: 1, outputPerMillionTokens: 2 },
+    fetchResult(providerJobName) {
+      return Object.assign(_createMockTranscriptionProvider().fetchResult(providerJobName),
+        { usage: { inputTokens: 1000000, outputTokens: 500000 } });
+    }
+  }))`);
+
+  sandbox.context.DocumentApp = {
+    ParagraphHeading: { HEADING1: 'HEADING1' },
+    create(name) {
+      const file = sandbox.gas.DriveApp.createFile(name, '', 'application/vnd.google-apps.document');
+      const body = { appendParagraph: () => ({ setHeading: () => {} }), appendHorizontalRule() {} };
+      return { getId: () => file.getId(), getBody: () => body, saveAndClose() {} };
+    }
+  };
+  return sandbox;
+}
+
+/**
+ * Queues a transcription job for a new observation by the administrator.
+ * @param {Object} sandbox - Sandbox
+ * @param {string} filename - Audio file name
+ * @return {string} Job ID
+ */
+function queueJob(sandbox, filename) {
+  const { observationId } = sandbox.call('createNewObservation', 'admin@school.org', 'teacher@school.org');
+  const folder = sandbox.call('getOrCreateObservationFolder', observationId);
+  folder.createFile(sandbox.gas.Utilities.newBlob('audio', 'audio/mpeg', filename));
+
+  const created = sandbox.call('createTranscriptionJob', observationId, filename, '');
+  assert.strictEqual(created.success, true, created.error);
+  return created.jobId;
+}
+
+const statusOf = (sandbox, jobId) => sandbox.call('getTranscriptionJob', jobId).status;
+
+test('administrators see every job with its cost, and retry or cancel jobs', () => {
+  const sandbox = jobSandbox();
+  const done = queueJob(sandbox, 'done.mp3');
+  const failing = queueJob(sandbox, 'mock-fail.mp3');
+  const waiting = queueJob(sandbox, 'waiting.mp3');
+
+  assert.strictEqual(sandbox.call('cancelTranscriptionJobFromClient', waiting).success, true);
+  sandbox.call('processTranscriptionQueue'); // submit
+  sandbox.call('processTranscriptionQueue');
+  sandbox.call('processTranscriptionQueue'); // finished
+
+  assert.strictEqual(statusOf(sandbox, done), 'complete');
+  assert.strictEqual(statusOf(sandbox, failing), 'failed');
+  assert.strictEqual(statusOf(sandbox, waiting), 'cancelled'); // never submitted
+
+  const dashboard = sandbox.plain(sandbox.call('getTranscriptionJobsForClient'));
+  assert.strictEqual(dashboard.success, true, dashboard.error);
+  assert.deepStrictEqual(dashboard.jobs.map(job => job.jobId), [waiting, failing, done]);
+  assert.deepStrictEqual([dashboard.summary.complete, dashboard.summary.failed, dashboard.summary.cancelled], [1, 1, 1]);
+  const completed = dashboard.jobs[2];
+  assert.deepStrictEqual([completed.inputTokens, completed.outputTokens, completed.estimatedCost], [1000000, 500000, 2]);
+  assert.match(completed.processingTime, /seconds/);
+  assert.strictEqual(completed.prompt, undefined);
+  assert.strictEqual(dashboard.monthlyCosts.length, 1);
+  assert.deepStrictEqual([dashboard.monthlyCosts[0].jobs, dashboard.monthlyCosts[0].estimatedCost], [1, 2]);
+
+  // Finished jobs can't be cancelled; failed and cancelled ones go back in the queue
+  assert.strictEqual(sandbox.call('cancelTranscriptionJobFromClient', done).error, 'The job is complete.');
+  assert.strictEqual(sandbox.call('retryTranscriptionJobFromClient', done).success, false);
+  const retried = sandbox.call('retryTranscriptionJobFromClient', waiting);
+  assert.strictEqual(retried.success, true, retried.error);
+  assert.strictEqual(retried.job.status, 'pending');
+
+  // A processing job cancelled between runs keeps its cancellation
+  sandbox.call('processTranscriptionQueue');
+  assert.strictEqual(statusOf(sandbox, waiting), 'processing');
+  assert.strictEqual(sandbox.call('cancelTranscriptionJobFromClient', waiting).success, true);
+  sandbox.call('processTranscriptionQueue');
+  sandbox.call('processTranscriptionQueue');
+  assert.strictEqual(statusOf(sandbox, waiting), 'cancelled');
+  assert.strictEqual(sandbox.gas.MailApp.sent.length, 2); // done and mock-fail only
+
+  sandbox.gas.Session.activeUserEmail = 'pe@school.org';
+  assert.strictEqual(sandbox.call('getTranscriptionJobsForClient').success, false);
+  assert.strictEqual(sandbox.call('retryTranscriptionJobFromClient', failing).success, false);
+});
+
+test('finished jobs are pruned after the retention period but their cost is kept', () => {
+  const sandbox = jobSandbox();
+  const done = queueJob(sandbox, 'done.mp3');
+  const failing = queueJob(sandbox, 'mock-fail.mp3');
+  for (let run = 0; run < 3; run++) sandbox.call('processTranscriptionQueue');
+
+  assert.strictEqual(sandbox.call('pruneTranscriptionJobs'), 0);
+  const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(sandbox.call('pruneTranscriptionJobs', later), 1);
+
+  assert.strictEqual(sandbox.call('getTranscriptionJob', done), null);
+  assert.strictEqual(statusOf(sandbox, failing), 'failed');
+  assert.strictEqual(sandbox.plain(sandbox.call('getTranscriptionCostsByMonth'))[0].estimatedCost, 2);
+});
+
+test('jobs queued in Script Properties move to the sheet', () => {
+  const sandbox = jobSandbox();
+  const properties = sandbox.run('PropertiesService.getScriptProperties()');
+  properties.setProperty('transcription_job_old-1', JSON.stringify({
+    jobId: 'old-1', observationId: 'obs-1', filename: 'old.mp3', status: 'processing',
+    batchJobName: 'batches/123', fileSizeMB: '1.50', createdAt: '2025-01-01T00:00:00.000Z'
+  }));
+  properties.setProperty('transcription_queue', JSON.stringify(['old-1']));
+
+  assert.strictEqual(sandbox.call('migrateTranscriptionJobProperties'), 1);
+  const job = sandbox.plain(sandbox.call('getTranscriptionJob', 'old-1'));
+  assert.deepStrictEqual([job.status, job.provider, job.providerJobName, job.fileSizeMB], ['processing', 'gemini-batch', 'batches/123', 1.5]);
+  assert.strictEqual(properties.getProperty('transcription_job_old-1'), null);
+  assert.strictEqual(properties.getProperty('transcription_queue'), null);
+  assert.strictEqual(sandbox.call('migrateTranscriptionJobProperties'), 0);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+/**
+ * Sandbox using the mock transcription provider, with a minimal DocumentApp for the
+ * transcription doc.
+ * @return {Object} Sandbox
+ */
+function transcriptionSandbox() {
+  const sandbox = createSandbox({
+    activeUserEmail: 'pe@school.org',
+    staff: STAFF,
+    observationSheet: true,
+    scriptProperties: { TRANSCRIPTION_PROVIDER: 'mock' }
+  });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+
+  const docs = [];
+  sandbox.context.DocumentApp = {
+    ParagraphHeading: { HEADING1: 'HEADING1' },
+    create(name) {
+      const file = sandbox.gas.DriveApp.createFile(name, '', 'application/vnd.google-apps.document');
+      const doc = { name, paragraphs: [] };
+      docs.push(doc);
+      const body = {
+        appendParagraph(text) {
+          doc.paragraphs.push(text);
+          return { setHeading: () => {} };
+        },
+        appendHorizontalRule() {}
+      };
+      return { getId: () => file.getId(), getBody: () => body, saveAndClose() {} };
+    }
+  };
+  sandbox.docs = docs;
+  return sandbox;
+}
+
+/**
+ * Creates an observation with an audio file in its folder and queues a transcription job for it.
+ * @param {Object} sandbox - Sandbox
+ * @param {string} filename - Audio file name
+ * @return {{observationId: string, jobId: string}} The observation and job
+ */
+function queueJob(sandbox, filename) {
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const folder = sandbox.call('getOrCreateObservationFolder', observationId);
+  folder.createFile(sandbox.gas.Utilities.newBlob('audio', 'audio/mpeg', filename));
+
+  const created = sandbox.call('createTranscriptionJob', observationId, filename, 'Transcribe this.');
+  assert.strictEqual(created.success, true, created.error);
+  return { observationId, jobId: created.jobId };
+}
+
+test('the mock provider runs a queued job through submit, poll and fetch to a transcription doc', () => {
+  const sandbox = transcriptionSandbox();
+  const { observationId, jobId } = queueJob(sandbox, 'lesson.mp3');
+
+  sandbox.call('processTranscriptionQueue'); // submit
+  assert.strictEqual(sandbox.call('checkTranscriptionJobStatus', jobId).status, 'processing');
+  sandbox.call('processTranscriptionQueue'); // first poll: still running
+  assert.strictEqual(sandbox.call('checkTranscriptionJobStatus', jobId).status, 'processing');
+  sandbox.call('processTranscriptionQueue'); // second poll: done
+
+  const job = sandbox.plain(sandbox.call('getTranscriptionJob', jobId));
+  assert.strictEqual(job.status, 'complete', job.error);
+  assert.strictEqual(job.provider, 'mock');
+  assert.strictEqual(job.estimatedCost, 0);
+  assert.ok(job.outputTokens > 0); // Estimated from the transcript, as the mock reports no usage
+  assert.strictEqual(sandbox.call('getTranscriptionJobs', ['pending', 'processing']).length, 0);
+  assert.strictEqual(sandbox.run(`PropertiesService.getScriptProperties().getProperty('mock_transcription_mock/${jobId}')`), null);
+
+  assert.strictEqual(sandbox.docs.length, 1);
+  assert.ok(sandbox.docs[0].paragraphs.includes('Recording: lesson.mp3'));
+  assert.ok(sandbox.docs[0].paragraphs.includes('[00:14] Student 2: The bottom number.\nIt says how many parts.'));
+  const folder = sandbox.call('getOrCreateObservationFolder', observationId);
+  assert.strictEqual(folder.getFilesByName(sandbox.docs[0].name).hasNext(), true);
+
+  // The observer imports the segments into the script editor and plays the recording from them
+  const listed = sandbox.plain(sandbox.call('getObservationTranscriptsForClient', observationId));
+  assert.strictEqual(listed.success, true, listed.error);
+  assert.deepStrictEqual(listed.transcripts.map(t => [t.transcriptId, t.audioFilename, t.segmentCount]), [[jobId, 'lesson.mp3', 4]]);
+
+  const imported = sandbox.plain(sandbox.call('getTranscriptSegmentsForClient', observationId, jobId));
+  assert.strictEqual(imported.success, true, imported.error);
+  assert.deepStrictEqual(imported.segments.map(segment => [segment.start, segment.end, segment.speaker, segment.speakerLabel]), [
+    [0, 6, 'teacher', 'Teacher'],
+    [6, 9, 'student', 'Student 1'],
+    [9, 14, 'teacher', 'Teacher'],
+    [14, null, 'student', 'Student 2']
+  ]);
+  assert.strictEqual(sandbox.call('getTranscriptAudioForClient', observationId, jobId).base64Data,
+    Buffer.from('audio').toString('base64'));
+  assert.strictEqual(sandbox.call('getTranscriptSegmentsForClient', observationId, 'nope').error, 'Transcript not found.');
+
+  sandbox.gas.Session.activeUserEmail = 'admin@school.org';
+  assert.strictEqual(sandbox.call('getTranscriptSegmentsForClient', observationId, jobId).success, false);
+
+  const mail = sandbox.gas.MailApp.sent;
+  assert.strictEqual(mail.length, 1);
+  assert.strictEqual(mail[0].to, 'pe@school.org');
+  assert.match(mail[0].subject, /Transcription Complete/);
+});
+
+test('failed provider jobs are marked failed and unknown providers leave the queue alone', () => {
+  const sandbox = transcriptionSandbox();
+  const { jobId } = queueJob(sandbox, 'mock-fail.mp3');
+
+  sandbox.call('processTranscriptionQueue');
+  sandbox.call('processTranscriptionQueue');
+  sandbox.call('processTranscriptionQueue');
+
+  const status = sandbox.call('checkTranscriptionJobStatus', jobId);
+  assert.strictEqual(status.status, 'failed');
+  assert.strictEqual(sandbox.docs.length, 0);
+  assert.match(sandbox.gas.MailApp.sent[0].subject, /Transcription Failed/);
+
+  // A pending job waits while the configured provider is unknown
+  const pending = queueJob(sandbox, 'later.mp3');
+  sandbox.run(`PropertiesService.getScriptProperties().setProperty('TRANSCRIPTION_PROVIDER', 'acme')`);
+  sandbox.call('processTranscriptionQueue');
+  assert.strictEqual(sandbox.call('checkTranscriptionJobStatus', pending.jobId).status, 'pending');
+  assert.strictEqual(sandbox.call('createTranscriptionJob', pending.observationId, 'later.mp3', '').error,
+    'Batch transcription is not configured.');
+
+  // Custom providers plug in by name
+  sandbox.run(`registerTranscriptionProvider('acme', Object.assign(_createMockTranscriptionProvider(), { name: 'acme' }))`);
+  sandbox.call('processTranscriptionQueue');
+  const submitted = sandbox.call('checkTranscriptionJobStatus', pending.jobId);
+  assert.strictEqual(submitted.status, 'processing');
+});
+
+test('transcripts are split into timestamped speaker turns', () => {
+  const sandbox = createSandbox({ staff: STAFF });
+  const text = [
+    '**[00:05] Terry Teacher:** Let\'s begin.',
+    'Take out your books.',
+    '[1:02:03] Speaker 1: The answer is: four.',
+    '',
+    'Speaker 2: Is it five?',
+    '12:30 - Teacher: Close.'
+  ].join('\n');
+
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('parseTranscriptSegments', text, 'Terry Teacher')), [
+    { start: 5, end: 3723, speaker: 'teacher', speakerLabel: 'Terry Teacher', text: 'Let\'s begin.\nTake out your books.' },
+    { start: 3723, end: null, speaker: 'student', speakerLabel: 'Speaker 1', text: 'The answer is: four.' },
+    { start: null, end: null, speaker: 'student', speakerLabel: 'Speaker 2', text: 'Is it five?' },
+    { start: 750, end: null, speaker: 'teacher', speakerLabel: 'Teacher', text: 'Close.' }
+  ]);
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('parseTranscriptSegments', 'Just some notes.', 'Terry Teacher')),
+    [{ start: null, end: null, speaker: 'unknown', speakerLabel: '', text: 'Just some notes.' }]);
+  assert.strictEqual(sandbox.call('formatTranscriptTimestamp', 3723), '1:02:03');
+  assert.strictEqual(sandbox.call('formatTranscriptTimestamp', 65), '01:05');
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./support/sandbox');
+const { STAFF, legacyRubricRows } = require('./support/fixtures');
+
+const CHUNK_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Sandbox with a fake Drive resumable upload endpoint. Sessions collect the parts PUT to them
+ * and create the file in the parent folder once they have all of it. sandbox.dropNextPart makes
+ * the next part arrive at Drive but its response get lost.
+ * @return {Object} Sandbox
+ */
+function uploadSandbox() {
+  const sandbox = createSandbox({ activeUserEmail: 'pe@school.org', staff: STAFF, observationSheet: true });
+  sandbox.gas.spreadsheet.addSheet('Teacher', legacyRubricRows());
+
+  const sessions = {};
+  const respond = (code, headers = {}, body = '') => ({
+    getResponseCode: () => code,
+    getHeaders: () => headers,
+    getContentText: () => body
+  });
+  const progress = session => session.bytes.length
+    ? respond(308, { Range: `bytes=0-${session.bytes.length - 1}` })
+    : respond(308);
+
+  sandbox.context.ScriptApp = { getOAuthToken: () => 'token' };
+  sandbox.context.UrlFetchApp = {
+    fetch(url, options) {
+      if (options.method === 'post') {
+        const metadata = JSON.parse(options.payload);
+        const uri = `https://upload.example/session/${Object.keys(sessions).length + 1}`;
+        sessions[uri] = { metadata, total: Number(options.headers['X-Upload-Content-Length']), bytes: Buffer.alloc(0) };
+        return respond(200, { Location: uri });
+      }
+
+      const session = sessions[url];
+      if (!session) return respond(404);
+      if (options.method === 'delete') {
+        delete sessions[url];
+        return respond(499);
+      }
+
+      const range = options.headers['Content-Range'];
+      if (range.startsWith('bytes */')) {
+        return session.fileId ? respond(200, {}, JSON.stringify({ id: session.fileId })) : progress(session);
+      }
+      const start = Number(range.match(/bytes (\d+)-/)[1]);
+      assert.strictEqual(start, session.bytes.length);
+      session.bytes = Buffer.concat([session.bytes, Buffer.from(Array.from(options.payload, b => b & 255))]);
+
+      if (session.bytes.length === session.total) {
+        const folder = sandbox.gas.DriveApp.getFolderById(session.metadata.parents[0]);
+        session.fileId = folder.createFile(sandbox.gas.Utilities.newBlob(session.bytes, session.metadata.mimeType, session.metadata.name)).getId();
+      }
+      if (sandbox.dropNextPart) {
+        sandbox.dropNextPart = false;
+        throw new Error('Connection reset');
+      }
+      return session.fileId ? respond(200, {}, JSON.stringify({ id: session.fileId })) : progress(session);
+    }
+  };
+  sandbox.sessions = sessions;
+  return sandbox;
+}
+
+/**
+ * @param {Buffer} data - The file
+ * @param {number} offset - Where the part starts
+ * @return {string} The part, base64 encoded
+ */
+function part(data, offset) {
+  return data.subarray(offset, offset + CHUNK_BYTES).toString('base64');
+}
+
+test('large files are uploaded in parts into the observation folder and linked as evidence', () => {
+  const sandbox = uploadSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const data = Buffer.alloc(CHUNK_BYTES + 10, 7);
+
+  const started = sandbox.plain(sandbox.call('startChunkedUpload', observationId,
+    { fileName: 'board.mp4', mimeType: 'video/mp4', totalBytes: data.length, purpose: 'evidence', componentId: '1a:' }));
+  assert.strictEqual(started.success, true, started.error);
+  assert.strictEqual(started.chunkBytes, CHUNK_BYTES);
+
+  const first = sandbox.plain(sandbox.call('uploadChunk', started.uploadId, 0, part(data, 0)));
+  assert.deepStrictEqual(first, { success: true, complete: false, receivedBytes: CHUNK_BYTES, totalBytes: data.length });
+  assert.strictEqual(sandbox.call('uploadChunk', started.uploadId, CHUNK_BYTES, 'AAAA').error, 'The upload part has the wrong size.');
+
+  const done = sandbox.plain(sandbox.call('uploadChunk', started.uploadId, CHUNK_BYTES, part(data, CHUNK_BYTES)));
+  assert.strictEqual(done.complete, true, done.error);
+  assert.strictEqual(done.fileName, 'board.mp4');
+
+  const folder = sandbox.call('getOrCreateObservationFolder', observationId);
+  const file = folder.getFilesByName('board.mp4').next();
+  assert.strictEqual(file.getSize(), data.length);
+  assert.strictEqual(file.getUrl(), done.fileUrl);
+
+  const observation = sandbox.plain(sandbox.call('getObservationById', observationId));
+  assert.deepStrictEqual(observation.evidenceLinks['1a:'].map(link => [link.url, link.name]), [[done.fileUrl, 'board.mp4']]);
+
+  // Repeating the last part, e.g. after its response was lost, doesn't upload or link it twice
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('uploadChunk', started.uploadId, CHUNK_BYTES, part(data, CHUNK_BYTES))), done);
+  assert.strictEqual(sandbox.plain(sandbox.call('getObservationById', observationId)).evidenceLinks['1a:'].length, 1);
+});
+
+test('an upload resumes from where Drive left off after a dropped request', () => {
+  const sandbox = uploadSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const data = Buffer.alloc(CHUNK_BYTES * 2 + 3, 1);
+
+  const { uploadId } = sandbox.call('startChunkedUpload', observationId,
+    { fileName: 'lesson.webm', mimeType: 'audio/webm', totalBytes: data.length, purpose: 'recording' });
+
+  sandbox.dropNextPart = true;
+  const dropped = sandbox.plain(sandbox.call('uploadChunk', uploadId, 0, part(data, 0)));
+  assert.strictEqual(dropped.success, false);
+  assert.strictEqual(dropped.receivedBytes, 0);
+
+  // The client asks Drive where to carry on, and a stale offset gets the same answer
+  assert.strictEqual(sandbox.call('getChunkedUploadStatus', uploadId).receivedBytes, CHUNK_BYTES);
+  assert.strictEqual(sandbox.call('uploadChunk', uploadId, 0, part(data, 0)).receivedBytes, CHUNK_BYTES);
+
+  sandbox.call('uploadChunk', uploadId, CHUNK_BYTES, part(data, CHUNK_BYTES));
+  const done = sandbox.plain(sandbox.call('uploadChunk', uploadId, CHUNK_BYTES * 2, part(data, CHUNK_BYTES * 2)));
+  assert.strictEqual(done.complete, true, done.error);
+
+  const file = sandbox.gas.DriveApp.getFileById(done.fileId);
+  assert.strictEqual(file.getSize(), data.length);
+  assert.deepStrictEqual(file.getEditors().map(editor => editor.getEmail()), ['pe@school.org']);
+
+  // Cancelling forgets the upload and ends its Drive session
+  const other = sandbox.call('startChunkedUpload', observationId,
+    { fileName: 'other.webm', mimeType: 'audio/webm', totalBytes: data.length, purpose: 'media' });
+  assert.strictEqual(sandbox.call('cancelChunkedUpload', other.uploadId).success, true);
+  assert.strictEqual(Object.keys(sandbox.sessions).length, 1); // Only the finished upload's session is left
+  assert.strictEqual(sandbox.call('getChunkedUploadStatus', other.uploadId).error, 'Upload not found. Please upload the file again.');
+});
+
+test('evidence that finishes uploading after the observation is submitted is not linked and is trashed', () => {
+  const sandbox = uploadSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const data = Buffer.alloc(CHUNK_BYTES + 10, 3);
+  const { uploadId } = sandbox.call('startChunkedUpload', observationId,
+    { fileName: 'late.mp4', mimeType: 'video/mp4', totalBytes: data.length, purpose: 'evidence', componentId: '1a:' });
+  sandbox.call('uploadChunk', uploadId, 0, part(data, 0));
+
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  const done = sandbox.plain(sandbox.call('uploadChunk', uploadId, CHUNK_BYTES, part(data, CHUNK_BYTES)));
+  assert.deepStrictEqual(done, { success: false, error: 'This observation is Submitted and can no longer be edited.' });
+
+  const observation = sandbox.plain(sandbox.call('getObservationById', observationId));
+  assert.deepStrictEqual(observation.evidenceLinks, {});
+  const folder = sandbox.call('getOrCreateObservationFolder', observationId);
+  assert.strictEqual(folder.getFilesByName('late.mp4').hasNext(), false);
+
+  // Repeating the last part gets the same answer
+  assert.deepStrictEqual(sandbox.plain(sandbox.call('uploadChunk', uploadId, CHUNK_BYTES, part(data, CHUNK_BYTES))), done);
+});
+
+test('only the observer can start an upload, within the size limit', () => {
+  const sandbox = uploadSandbox();
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', 'teacher@school.org');
+  const request = { fileName: 'clip.mp4', mimeType: 'video/mp4', totalBytes: 100, purpose: 'media' };
+
+  assert.strictEqual(sandbox.call('startChunkedUpload', observationId, Object.assign({}, request, { totalBytes: 101 * 1024 * 1024 })).error,
+    'File is too large. Maximum size is 100MB.');
+  assert.strictEqual(sandbox.call('startChunkedUpload', observationId, Object.assign({}, request, { purpose: 'evidence' })).error,
+    'Evidence uploads need a rubric component.');
+  assert.strictEqual(sandbox.call('startChunkedUpload', observationId, Object.assign({}, request, { purpose: 'backup' })).error,
+    'Unknown upload purpose: backup');
+
+  sandbox.gas.Session.activeUserEmail = 'admin@school.org';
+  assert.strictEqual(sandbox.call('startChunkedUpload', observationId, request).success, false);
+  assert.strictEqual(Object.keys(sandbox.sessions).length, 0);
+});
@@ -0,0 +1,46 @@
+/**
+ * fixtures.js
+ * Shared sheet contents for the server tests.
+ */
+
+const STAFF = [
+  { name: 'Pat Evaluator', email: 'pe@school.org', role: 'Peer Evaluator', year: 1, building: 'High School' },
+  { name: 'Alex Admin', email: 'admin@school.org', role: 'Administrator', year: 1, building: 'High School' },
+  { name: 'Fran Access', email: 'full@school.org', role: 'Full Access', year: 1, building: 'District' },
+  { name: 'Terry Teacher', email: 'teacher@school.org', role: 'Teacher', year: 2, building: 'High School', summativeYear: true },
+  { name: 'Other Teacher', email: 'other@school.org', role: 'Teacher', year: 1, building: 'Middle School' }
+];
+
+// One 4-row block per role: the role row holds Domain 1, the next three rows Domains 2-4.
+const SETTINGS_ROWS = [
+  ['Teacher', '1a, 1c', '1b', '1a, 1b, 1c', '1a', '1b', '1c'],
+  ['', '2a', '2b', '2a, 2b', '2a', '2b', '2c'],
+  ['', '3a', '3b', '3a, 3b', '3a', '3b', '3c'],
+  ['', '4a', '4b', '4a, 4b', '4a', '4b', '4c']
+];
+
+// [startRow, component count] of each domain in the legacy role sheet layout (DOMAIN_CONFIGS)
+const LEGACY_DOMAIN_SLOTS = [[3, 6], [23, 5], [40, 5], [57, 6]];
+
+/**
+ * Role sheet rows in the legacy layout read by processDomainData: components every three rows
+ * from the domain's start row, each with its look-fors in column B four rows below it.
+ * @param {string} title - Rubric title in A1
+ * @return {Array<Array<string>>} Sheet rows, columns A-E
+ */
+function legacyRubricRows(title = 'Teacher Rubric') {
+  const rows = Array.from({ length: 76 }, () => ['', '', '', '', '']);
+  rows[0][0] = title;
+  rows[1][0] = 'Best practices';
+  LEGACY_DOMAIN_SLOTS.forEach(([startRow, count], domainIndex) => {
+    for (let index = 0; index < count; index++) {
+      const id = `${domainIndex + 1}${'abcdef'[index]}:`;
+      const row = startRow - 1 + index * 3;
+      rows[row] = [`${id} Component ${id}`, `${id} developing`, `${id} basic`, `${id} proficient`, `${id} distinguished`];
+      rows[row + 4][1] = `${id} look-for one\n${id} look-for two`;
+    }
+  });
+  return rows;
+}
+
+module.exports = { STAFF, SETTINGS_ROWS, legacyRubricRows };
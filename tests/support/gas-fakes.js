@@ -0,0 +1,884 @@
+/**
+ * gas-fakes.js
+ * In-memory stand-ins for the Apps Script services used by server/*.js.
+ *
+ * The fakes only implement the surface the server code actually calls, but they
+ * try to fail the same way Apps Script does (e.g. zero-row ranges throw, cache
+ * values are size-limited) so that bugs surface locally instead of in production.
+ */
+
+const crypto = require('crypto');
+
+/* ------------------------------------------------------------------ */
+/* Shared helpers                                                      */
+/* ------------------------------------------------------------------ */
+
+let nextId = 1;
+
+/**
+ * Generates a stable, readable id for fake Drive/Sheet objects.
+ * @param {string} prefix - Id prefix
+ * @return {string} Unique id
+ */
+function fakeId(prefix) {
+  return `${prefix}_${nextId++}`;
+}
+
+/**
+ * Wraps an array in the hasNext()/next() iterator shape Drive returns.
+ * @param {Array} items - Items to iterate
+ * @return {Object} Iterator
+ */
+function iterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) {
+        throw new Error('Cannot retrieve the next object: iterator has reached the end.');
+      }
+      return items[index++];
+    }
+  };
+}
+
+/**
+ * Normalizes a value the way a sheet cell stores it: null/undefined become ''.
+ * @param {*} value - Value written to a cell
+ * @return {*} Stored value
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  return value;
+}
+
+/**
+ * Converts a column letter string (e.g. "AB") to a 1-based index.
+ * @param {string} letters - Column letters
+ * @return {number} 1-based column index
+ */
+function columnLettersToIndex(letters) {
+  let index = 0;
+  for (const ch of letters.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index;
+}
+
+/* ------------------------------------------------------------------ */
+/* SpreadsheetApp                                                      */
+/* ------------------------------------------------------------------ */
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1) {
+      throw new Error('Range coordinates are invalid.');
+    }
+    if (numRows < 1) {
+      throw new Error('The number of rows in the range must be at least 1.');
+    }
+    if (numColumns < 1) {
+      throw new Error('The number of columns in the range must be at least 1.');
+    }
+    this._sheet = sheet;
+    this._row = row;
+    this._column = column;
+    this._numRows = numRows;
+    this._numColumns = numColumns;
+  }
+
+  getRow() { return this._row; }
+  getColumn() { return this._column; }
+  getNumRows() { return this._numRows; }
+  getNumColumns() { return this._numColumns; }
+  getSheet() { return this._sheet; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this._numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this._numColumns; c++) {
+        row.push(this._sheet._getCell(this._row + r, this._column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => String(value)));
+  }
+
+  getValue() {
+    return this._sheet._getCell(this._row, this._column);
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this._numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values ? values.length : 0} but the range has ${this._numRows}.`);
+    }
+    values.forEach((row, r) => {
+      if (!Array.isArray(row) || row.length !== this._numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row ? row.length : 0} but the range has ${this._numColumns}.`);
+      }
+      row.forEach((value, c) => this._sheet._setCell(this._row + r, this._column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this._numRows; r++) {
+      for (let c = 0; c < this._numColumns; c++) {
+        this._sheet._setCell(this._row + r, this._column + c, value);
+      }
+    }
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+
+  // Formatting calls are accepted and ignored; tests only inspect values.
+  setFontWeight() { return this; }
+  setFontColor() { return this; }
+  setFontSize() { return this; }
+  setBackground() { return this; }
+  setNumberFormat() { return this; }
+  setWrap() { return this; }
+  setHorizontalAlignment() { return this; }
+  setVerticalAlignment() { return this; }
+  setBorder() { return this; }
+  setNote() { return this; }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, rows = []) {
+    this._spreadsheet = spreadsheet;
+    this._name = name;
+    this._id = nextId++;
+    this._rows = rows.map(row => row.map(toCellValue));
+    this._frozenRows = 0;
+  }
+
+  _getCell(row, column) {
+    const rowValues = this._rows[row - 1];
+    if (!rowValues || rowValues[column - 1] === undefined) return '';
+    return rowValues[column - 1];
+  }
+
+  _setCell(row, column, value) {
+    while (this._rows.length < row) this._rows.push([]);
+    const rowValues = this._rows[row - 1];
+    while (rowValues.length < column) rowValues.push('');
+    rowValues[column - 1] = toCellValue(value);
+  }
+
+  getName() { return this._name; }
+  setName(name) { this._name = name; return this; }
+  getSheetId() { return this._id; }
+  getParent() { return this._spreadsheet; }
+
+  getLastRow() {
+    for (let r = this._rows.length; r > 0; r--) {
+      if (this._rows[r - 1].some(value => value !== '')) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this._rows.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== '') {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this._rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  /**
+   * Supports getRange(row, column[, numRows[, numColumns]]) and simple A1
+   * notation ("B2" or "A1:C5").
+   */
+  getRange(rowOrA1, column, numRows = 1, numColumns = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const match = rowOrA1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+      if (!match) {
+        throw new Error(`Range not found: ${rowOrA1}`);
+      }
+      const startCol = columnLettersToIndex(match[1]);
+      const startRow = parseInt(match[2], 10);
+      const endCol = match[3] ? columnLettersToIndex(match[3]) : startCol;
+      const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+      return new FakeRange(this, startRow, startCol, endRow - startRow + 1, endCol - startCol + 1);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    this._rows.splice(row - 1, this._rows.length - (row - 1), rowContents.map(toCellValue));
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    if (rowPosition < 1 || rowPosition > this._rows.length) {
+      throw new Error('Those rows are out of bounds.');
+    }
+    this._rows.splice(rowPosition - 1, 1);
+    return this;
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this._rows.splice(rowPosition - 1, howMany);
+    return this;
+  }
+
+  insertRowAfter(afterPosition) {
+    this._rows.splice(afterPosition, 0, []);
+    return this;
+  }
+
+  clear() {
+    this._rows = [];
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  setFrozenRows(rows) { this._frozenRows = rows; return this; }
+  getFrozenRows() { return this._frozenRows; }
+  setColumnWidth() { return this; }
+  autoResizeColumns() { return this; }
+  hideSheet() { return this; }
+
+  /**
+   * Test helper: returns a copy of every stored row.
+   * @return {Array<Array>} Sheet contents
+   */
+  dump() {
+    return this._rows.map(row => row.slice());
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(id = fakeId('spreadsheet'), name = 'Test Spreadsheet') {
+    this._id = id;
+    this._name = name;
+    this._sheets = [];
+  }
+
+  getId() { return this._id; }
+  getName() { return this._name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this._id}/edit`; }
+  getSheets() { return this._sheets.slice(); }
+
+  getSheetByName(name) {
+    return this._sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name);
+    this._sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this._sheets = this._sheets.filter(s => s !== sheet);
+  }
+
+  /**
+   * Test helper: creates (or replaces) a sheet populated with the given rows.
+   * @param {string} name - Sheet name
+   * @param {Array<Array>} rows - Rows including the header row
+   * @return {FakeSheet} The sheet
+   */
+  addSheet(name, rows = []) {
+    const existing = this.getSheetByName(name);
+    if (existing) this.deleteSheet(existing);
+    const sheet = new FakeSheet(this, name, rows);
+    this._sheets.push(sheet);
+    return sheet;
+  }
+}
+
+function createSpreadsheetApp() {
+  const spreadsheets = new Map();
+  const app = {
+    flushCount: 0,
+    openById(id) {
+      if (!spreadsheets.has(id)) {
+        throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp. (id: ${id})`);
+      }
+      return spreadsheets.get(id);
+    },
+    getActiveSpreadsheet() {
+      return spreadsheets.values().next().value || null;
+    },
+    flush() {
+      app.flushCount++;
+    },
+    /**
+     * Test helper: registers a spreadsheet so openById can find it.
+     * @param {FakeSpreadsheet} spreadsheet - Spreadsheet to register
+     * @return {FakeSpreadsheet} The same spreadsheet
+     */
+    register(spreadsheet) {
+      spreadsheets.set(spreadsheet.getId(), spreadsheet);
+      return spreadsheet;
+    }
+  };
+  return app;
+}
+
+/* ------------------------------------------------------------------ */
+/* CacheService                                                        */
+/* ------------------------------------------------------------------ */
+
+const CACHE_MAX_VALUE_BYTES = 100 * 1024;
+const CACHE_MAX_KEY_LENGTH = 250;
+const CACHE_MAX_TTL_SECONDS = 21600;
+
+class FakeCache {
+  constructor(clock) {
+    this._clock = clock;
+    this._entries = new Map();
+  }
+
+  _isLive(entry) {
+    return entry && entry.expiresAt > this._clock.now();
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!this._isLive(entry)) {
+      this._entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  getAll(keys) {
+    const result = {};
+    keys.forEach(key => {
+      const value = this.get(key);
+      if (value !== null) result[key] = value;
+    });
+    return result;
+  }
+
+  put(key, value, expirationInSeconds = 600) {
+    if (typeof key !== 'string' || key.length > CACHE_MAX_KEY_LENGTH) {
+      throw new Error(`Argument too large: key (${key})`);
+    }
+    const stored = String(value);
+    if (Buffer.byteLength(stored, 'utf8') > CACHE_MAX_VALUE_BYTES) {
+      throw new Error('Argument too large: value');
+    }
+    const ttl = Math.min(expirationInSeconds, CACHE_MAX_TTL_SECONDS);
+    this._entries.set(key, { value: stored, ttl, expiresAt: this._clock.now() + ttl * 1000 });
+  }
+
+  putAll(values, expirationInSeconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], expirationInSeconds));
+  }
+
+  remove(key) {
+    this._entries.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.remove(key));
+  }
+
+  /**
+   * Test helper: returns the TTL (seconds) the entry was stored with, or null.
+   * @param {string} key - Cache key
+   * @return {number|null} TTL in seconds
+   */
+  ttlOf(key) {
+    const entry = this._entries.get(key);
+    return this._isLive(entry) ? entry.ttl : null;
+  }
+
+  /**
+   * Test helper: lists live keys.
+   * @return {Array<string>} Keys
+   */
+  keys() {
+    return Array.from(this._entries.keys()).filter(key => this.get(key) !== null);
+  }
+}
+
+function createCacheService(clock) {
+  const caches = {
+    user: new FakeCache(clock),
+    script: new FakeCache(clock),
+    document: new FakeCache(clock)
+  };
+  return {
+    getUserCache: () => caches.user,
+    getScriptCache: () => caches.script,
+    getDocumentCache: () => caches.document,
+    caches
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* PropertiesService                                                   */
+/* ------------------------------------------------------------------ */
+
+class FakeProperties {
+  constructor(initial = {}) {
+    this._values = new Map();
+    this.setProperties(initial);
+  }
+
+  getProperty(key) {
+    return this._values.has(key) ? this._values.get(key) : null;
+  }
+
+  setProperty(key, value) {
+    this._values.set(key, String(value));
+    return this;
+  }
+
+  deleteProperty(key) {
+    this._values.delete(key);
+    return this;
+  }
+
+  getProperties() {
+    const result = {};
+    this._values.forEach((value, key) => { result[key] = value; });
+    return result;
+  }
+
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) this._values.clear();
+    Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+    return this;
+  }
+
+  deleteAllProperties() {
+    this._values.clear();
+    return this;
+  }
+
+  getKeys() {
+    return Array.from(this._values.keys());
+  }
+}
+
+function createPropertiesService(scriptProperties = {}) {
+  const stores = {
+    script: new FakeProperties(scriptProperties),
+    user: new FakeProperties(),
+    document: new FakeProperties()
+  };
+  return {
+    getScriptProperties: () => stores.script,
+    getUserProperties: () => stores.user,
+    getDocumentProperties: () => stores.document,
+    stores
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* LockService                                                         */
+/* ------------------------------------------------------------------ */
+
+class FakeLock {
+  constructor() {
+    this._held = false;
+    this.acquisitions = 0;
+    this.releases = 0;
+    this.unavailable = false;
+  }
+
+  tryLock() {
+    if (this.unavailable || this._held) return false;
+    this._held = true;
+    this.acquisitions++;
+    return true;
+  }
+
+  waitLock(timeoutInMillis) {
+    if (!this.tryLock()) {
+      throw new Error(`Lock timeout: another process was holding the lock for too long (${timeoutInMillis}ms).`);
+    }
+  }
+
+  releaseLock() {
+    if (this._held) this.releases++;
+    this._held = false;
+  }
+
+  hasLock() {
+    return this._held;
+  }
+}
+
+function createLockService() {
+  const locks = {
+    script: new FakeLock(),
+    user: new FakeLock(),
+    document: new FakeLock()
+  };
+  return {
+    getScriptLock: () => locks.script,
+    getUserLock: () => locks.user,
+    getDocumentLock: () => locks.document,
+    locks
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Utilities                                                           */
+/* ------------------------------------------------------------------ */
+
+class FakeBlob {
+  constructor(data, contentType = 'application/octet-stream', name = null) {
+    this._bytes = Buffer.isBuffer(data) ? Buffer.from(data) : toBuffer(data || '');
+    this._contentType = contentType;
+    this._name = name;
+  }
+
+  getBytes() { return Array.from(this._bytes, b => (b > 127 ? b - 256 : b)); }
+  getDataAsString() { return this._bytes.toString('utf8'); }
+  getContentType() { return this._contentType; }
+  setContentType(contentType) { this._contentType = contentType; return this; }
+  getName() { return this._name; }
+  setName(name) { this._name = name; return this; }
+  getAs(contentType) { return new FakeBlob(this._bytes, contentType, this._name); }
+  copyBlob() { return new FakeBlob(this._bytes, this._contentType, this._name); }
+}
+
+/**
+ * Converts a string or (signed) byte array into a Buffer.
+ * @param {string|Array<number>} data - Input
+ * @return {Buffer} Buffer
+ */
+function toBuffer(data) {
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(Array.from(data, b => b & 0xff));
+}
+
+const DIGEST_ALGORITHMS = {
+  MD2: 'md2',
+  MD5: 'md5',
+  SHA_1: 'sha1',
+  SHA_256: 'sha256',
+  SHA_384: 'sha384',
+  SHA_512: 'sha512'
+};
+
+function createUtilities() {
+  return {
+    DigestAlgorithm: Object.assign({}, DIGEST_ALGORITHMS),
+    Charset: { UTF_8: 'UTF-8', US_ASCII: 'US-ASCII' },
+    computeDigest(algorithm, value) {
+      const digest = crypto.createHash(algorithm).update(toBuffer(value)).digest();
+      return Array.from(digest, b => (b > 127 ? b - 256 : b));
+    },
+    base64Encode(data) {
+      return toBuffer(data).toString('base64');
+    },
+    base64EncodeWebSafe(data) {
+      return toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    },
+    base64Decode(encoded) {
+      return Array.from(Buffer.from(encoded, 'base64'), b => (b > 127 ? b - 256 : b));
+    },
+    getUuid() {
+      return crypto.randomUUID();
+    },
+    newBlob(data, contentType, name) {
+      return new FakeBlob(data, contentType, name);
+    },
+    zip(blobs, name) {
+      // Not a real archive: one "name<TAB>size" line per entry, so tests can inspect the contents.
+      const listing = blobs.map(blob => `${blob.getName()}\t${blob.getBytes().length}`).join('\n');
+      return new FakeBlob(listing, 'application/zip', name || 'Archive.zip');
+    },
+    formatDate(date, timeZone, format) {
+      // Only the formats the server code uses; anything else falls back to ISO.
+      const iso = new Date(date).toISOString();
+      if (format === 'yyyy-MM-dd') return iso.slice(0, 10);
+      if (format === 'yyyy-MM') return iso.slice(0, 7);
+      return iso;
+    },
+    sleep() {}
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* DriveApp                                                            */
+/* ------------------------------------------------------------------ */
+
+class FakeDriveItem {
+  constructor(drive, name) {
+    this._drive = drive;
+    this._id = fakeId(this.constructor.ID_PREFIX);
+    this._name = name;
+    this._trashed = false;
+    this._parents = [];
+    this._editors = new Set();
+    this._viewers = new Set();
+    this._sharing = null;
+  }
+
+  getId() { return this._id; }
+  getName() { return this._name; }
+  setName(name) { this._name = name; return this; }
+  isTrashed() { return this._trashed; }
+  setTrashed(trashed) { this._trashed = !!trashed; return this; }
+  getParents() { return iterator(this._parents.slice()); }
+
+  addEditor(email) { this._editors.add(email); return this; }
+  addViewer(email) { this._viewers.add(email); return this; }
+  removeEditor(email) { this._editors.delete(email); return this; }
+  removeViewer(email) { this._viewers.delete(email); return this; }
+  getEditors() { return Array.from(this._editors, email => ({ getEmail: () => email })); }
+  getViewers() { return Array.from(this._viewers, email => ({ getEmail: () => email })); }
+  setSharing(access, permission) { this._sharing = { access, permission }; return this; }
+  getSharingAccess() { return this._sharing ? this._sharing.access : 'PRIVATE'; }
+}
+
+class FakeFile extends FakeDriveItem {
+  constructor(drive, blob) {
+    super(drive, blob.getName() || 'Untitled');
+    this._blob = blob;
+  }
+
+  getUrl() { return `https://drive.google.com/file/d/${this._id}/view`; }
+  getDownloadUrl() { return `https://drive.google.com/uc?id=${this._id}&export=download`; }
+  getMimeType() { return this._blob.getContentType(); }
+  getSize() { return this._blob.getBytes().length; }
+  getBlob() { return this._blob.copyBlob().setName(this._name); }
+  getAs(contentType) { return this.getBlob().getAs(contentType); }
+}
+FakeFile.ID_PREFIX = 'file';
+
+class FakeFolder extends FakeDriveItem {
+  constructor(drive, name) {
+    super(drive, name);
+    this._children = [];
+  }
+
+  getUrl() { return `https://drive.google.com/drive/folders/${this._id}`; }
+
+  _live(type) {
+    return this._children.filter(child => child instanceof type && !child.isTrashed());
+  }
+
+  createFolder(name) {
+    const folder = new FakeFolder(this._drive, name);
+    this._drive._adopt(this, folder);
+    return folder;
+  }
+
+  createFile(blobOrName, content, mimeType) {
+    const blob = typeof blobOrName === 'string'
+      ? new FakeBlob(content || '', mimeType || 'text/plain', blobOrName)
+      : blobOrName;
+    const file = new FakeFile(this._drive, blob);
+    this._drive._adopt(this, file);
+    return file;
+  }
+
+  addFile(file) {
+    this._drive._adopt(this, file);
+    return this;
+  }
+
+  removeFile(file) {
+    file._parents = file._parents.filter(parent => parent !== this);
+    this._children = this._children.filter(child => child !== file);
+    return this;
+  }
+
+  getFolders() { return iterator(this._live(FakeFolder)); }
+  getFiles() { return iterator(this._live(FakeFile)); }
+  getFoldersByName(name) { return iterator(this._live(FakeFolder).filter(f => f.getName() === name)); }
+  getFilesByName(name) { return iterator(this._live(FakeFile).filter(f => f.getName() === name)); }
+  searchFolders(query) { return iterator(this._children.filter(matchDriveQuery(query, FakeFolder))); }
+  searchFiles(query) { return iterator(this._children.filter(matchDriveQuery(query, FakeFile))); }
+}
+FakeFolder.ID_PREFIX = 'folder';
+
+/**
+ * Builds a predicate for the small subset of Drive search syntax the server
+ * code uses: `title = "x"`, `title contains "x"` and `trashed = true|false`
+ * clauses joined with `and`.
+ * @param {string} query - Drive search query
+ * @param {Function} type - FakeFile or FakeFolder
+ * @return {function(Object): boolean} Predicate
+ */
+function matchDriveQuery(query, type) {
+  const clauses = query.split(/\s+and\s+/i).map(clause => {
+    let match = clause.match(/^\s*title\s*(=|contains)\s*["'](.*)["']\s*$/i);
+    if (match) {
+      const [, operator, value] = match;
+      return item => (operator === '=' ? item.getName() === value : item.getName().includes(value));
+    }
+    match = clause.match(/^\s*trashed\s*=\s*(true|false)\s*$/i);
+    if (match) {
+      const trashed = match[1].toLowerCase() === 'true';
+      return item => item.isTrashed() === trashed;
+    }
+    throw new Error(`Drive query clause not supported by the test fake: ${clause}`);
+  });
+  const hasTrashedClause = /trashed\s*=/.test(query);
+  return item => item instanceof type &&
+    (hasTrashedClause || !item.isTrashed()) &&
+    clauses.every(clause => clause(item));
+}
+
+function createDriveApp() {
+  const items = new Map();
+  const drive = {
+    Access: { ANYONE: 'ANYONE', ANYONE_WITH_LINK: 'ANYONE_WITH_LINK', DOMAIN: 'DOMAIN', DOMAIN_WITH_LINK: 'DOMAIN_WITH_LINK', PRIVATE: 'PRIVATE' },
+    Permission: { VIEW: 'VIEW', EDIT: 'EDIT', COMMENT: 'COMMENT', OWNER: 'OWNER', NONE: 'NONE' },
+    _adopt(parent, child) {
+      items.set(child.getId(), child);
+      child._parents.push(parent);
+      parent._children.push(child);
+    },
+    getRootFolder: () => root,
+    createFolder: name => root.createFolder(name),
+    createFile: (blobOrName, content, mimeType) => root.createFile(blobOrName, content, mimeType),
+    getFolderById(id) {
+      const item = items.get(id);
+      if (!(item instanceof FakeFolder)) throw new Error(`No item with the given ID could be found: ${id}`);
+      return item;
+    },
+    getFileById(id) {
+      const item = items.get(id);
+      if (!(item instanceof FakeFile)) throw new Error(`No item with the given ID could be found: ${id}`);
+      return item;
+    },
+    getFoldersByName: name => iterator(allLive(FakeFolder).filter(f => f.getName() === name)),
+    getFilesByName: name => iterator(allLive(FakeFile).filter(f => f.getName() === name)),
+    searchFolders: query => iterator(Array.from(items.values()).filter(matchDriveQuery(query, FakeFolder))),
+    searchFiles: query => iterator(Array.from(items.values()).filter(matchDriveQuery(query, FakeFile)))
+  };
+
+  const root = new FakeFolder(drive, 'My Drive');
+  items.set(root.getId(), root);
+
+  function allLive(type) {
+    return Array.from(items.values()).filter(item => item instanceof type && item !== root && !item.isTrashed());
+  }
+
+  return drive;
+}
+
+/* ------------------------------------------------------------------ */
+/* Session, mail and logging                                           */
+/* ------------------------------------------------------------------ */
+
+function createSession(activeUserEmail) {
+  const session = {
+    activeUserEmail: activeUserEmail || '',
+    getActiveUser: () => ({ getEmail: () => session.activeUserEmail }),
+    getEffectiveUser: () => ({ getEmail: () => session.activeUserEmail }),
+    getScriptTimeZone: () => 'America/Chicago',
+    getTemporaryActiveUserKey: () => `temp_${session.activeUserEmail}`
+  };
+  return session;
+}
+
+function createMailService() {
+  const sent = [];
+  return {
+    sent,
+    sendEmail(recipientOrMessage, subject, body, options) {
+      const message = typeof recipientOrMessage === 'object'
+        ? Object.assign({}, recipientOrMessage)
+        : Object.assign({ to: recipientOrMessage, subject, body }, options || {});
+      sent.push(message);
+    },
+    getRemainingDailyQuota: () => 100
+  };
+}
+
+function createLogger(sink) {
+  return {
+    log(...args) {
+      sink('log', args);
+    }
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* Factory                                                             */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Creates a fresh set of fake Apps Script globals.
+ * @param {Object} options - Options
+ * @param {string} options.activeUserEmail - Email returned by Session.getActiveUser()
+ * @param {Object} options.scriptProperties - Initial Script Properties
+ * @param {Function} options.logSink - Receives (level, args) for Logger output
+ * @return {Object} Globals keyed by Apps Script service name, plus `clock`
+ */
+function createGasGlobals(options = {}) {
+  const clock = {
+    offsetMs: 0,
+    now() { return Date.now() + this.offsetMs; },
+    advance(seconds) { this.offsetMs += seconds * 1000; }
+  };
+
+  const spreadsheet = new FakeSpreadsheet(options.spreadsheetId || 'test-spreadsheet-id');
+  const SpreadsheetApp = createSpreadsheetApp();
+  SpreadsheetApp.register(spreadsheet);
+
+  const scriptProperties = Object.assign({ SHEET_ID: spreadsheet.getId() }, options.scriptProperties || {});
+  const mail = createMailService();
+
+  return {
+    clock,
+    spreadsheet,
+    SpreadsheetApp,
+    CacheService: createCacheService(clock),
+    PropertiesService: createPropertiesService(scriptProperties),
+    LockService: createLockService(),
+    Utilities: createUtilities(),
+    DriveApp: createDriveApp(),
+    Session: createSession(options.activeUserEmail),
+    GmailApp: mail,
+    MailApp: mail,
+    Logger: createLogger(options.logSink || (() => {}))
+  };
+}
+
+module.exports = {
+  createGasGlobals,
+  FakeSpreadsheet,
+  FakeSheet,
+  FakeRange,
+  FakeCache,
+  FakeProperties,
+  FakeLock,
+  FakeBlob
+};
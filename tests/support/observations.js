@@ -0,0 +1,49 @@
+/**
+ * observations.js
+ * Shared observation setup for the server tests.
+ */
+
+/**
+ * Writes one Observation_Data cell directly, e.g. a column no client call sets.
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {string} observationId - The observation's row
+ * @param {string} header - The column
+ * @param {*} value - The cell value
+ */
+function setObservationField(sandbox, observationId, header, value) {
+  const sheet = sandbox.sheet('Observation_Data');
+  const values = sheet.dump();
+  const row = values.findIndex(r => r[0] === observationId) + 1;
+  sheet.getRange(row, values[0].indexOf(header) + 1).setValue(value);
+}
+
+/**
+ * Creates an observation by pe@school.org, rates it, and has admin@school.org finalize it.
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {Object} options - Optional
+ * @param {string} options.observedEmail - The staff member observed (teacher@school.org)
+ * @param {string} options.date - The observationDate, if any
+ * @param {Object<string, string>} options.ratings - Proficiency by component ID
+ * @param {Object<string, Array<string>>} options.lookFors - Checked look-fors by component ID
+ * @param {string} options.type - The observation type (Standard)
+ * @param {Object<string, *>} options.fields - Other Observation_Data cells to set before submitting
+ * @return {string} The observation ID
+ */
+function finalizedObservation(sandbox, { observedEmail = 'teacher@school.org', date = null, ratings = {}, lookFors = {}, type = 'Standard', fields = {} } = {}) {
+  const { observationId } = sandbox.call('createNewObservation', 'pe@school.org', observedEmail, type);
+  Object.keys(ratings).forEach(componentId => {
+    sandbox.call('_saveProficiencySelection', observationId, componentId, ratings[componentId]);
+  });
+  Object.keys(lookFors).forEach(componentId => {
+    lookFors[componentId].forEach(lookFor => sandbox.call('_saveLookForSelection', observationId, componentId, lookFor, true));
+  });
+
+  const cells = Object.assign(date ? { observationDate: date } : {}, fields);
+  Object.keys(cells).forEach(header => setObservationField(sandbox, observationId, header, cells[header]));
+
+  sandbox.call('updateObservationStatus', observationId, 'Submitted', 'pe@school.org');
+  sandbox.call('updateObservationStatus', observationId, 'Finalized', 'admin@school.org');
+  return observationId;
+}
+
+module.exports = { finalizedObservation, setObservationField };
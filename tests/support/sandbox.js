@@ -0,0 +1,147 @@
+/**
+ * sandbox.js
+ * Loads every server/*.js file into one vm context backed by the fakes in
+ * gas-fakes.js, mirroring the single shared global scope Apps Script uses.
+ *
+ * Each call to createSandbox() returns an isolated "execution": fresh sheets,
+ * caches, properties and module-level state (e.g. SheetService's _spreadsheet).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createGasGlobals } = require('./gas-fakes');
+
+const SERVER_DIR = path.join(__dirname, '..', '..', 'server');
+
+// Compile once per test process; running a compiled script in a new context is cheap.
+const serverScripts = fs.readdirSync(SERVER_DIR)
+  .filter(file => file.endsWith('.js'))
+  .sort()
+  .map(file => new vm.Script(fs.readFileSync(path.join(SERVER_DIR, file), 'utf8'), { filename: `server/${file}` }));
+
+const STAFF_HEADERS = ['Name', 'Email', 'Role', 'Year', 'Building', 'Summative Year'];
+
+/**
+ * Creates a sandboxed copy of the server code.
+ * @param {Object} options - Options
+ * @param {string} options.activeUserEmail - Email returned by Session.getActiveUser()
+ * @param {Array<Object>} options.staff - Staff rows ({name, email, role, year, building, summativeYear})
+ * @param {Array<Array>} options.settingsRows - Settings sheet data rows (header row is added)
+ * @param {boolean} options.observationSheet - When true, runs setupObservationSheet()
+ * @param {Object} options.scriptProperties - Extra Script Properties
+ * @return {Object} Sandbox handle
+ */
+function createSandbox(options = {}) {
+  const logs = [];
+  const verbose = !!process.env.GAS_TEST_VERBOSE;
+  const sink = (level, args) => {
+    logs.push({ level, message: args.map(String).join(' ') });
+    if (verbose) console[level === 'log' ? 'log' : level](...args);
+  };
+
+  const gas = createGasGlobals({
+    activeUserEmail: options.activeUserEmail,
+    scriptProperties: options.scriptProperties,
+    logSink: sink
+  });
+
+  const sandboxConsole = {
+    log: (...args) => sink('log', args),
+    info: (...args) => sink('info', args),
+    warn: (...args) => sink('warn', args),
+    error: (...args) => sink('error', args)
+  };
+
+  const context = vm.createContext(Object.assign({ console: sandboxConsole }, gas));
+  serverScripts.forEach(script => script.runInContext(context));
+
+  const sandbox = {
+    gas,
+    logs,
+    context,
+
+    /**
+     * Evaluates an expression inside the sandbox. Needed for top-level
+     * `const` declarations, which are not properties of the global object.
+     * @param {string} code - Expression or statements
+     * @return {*} Result
+     */
+    run(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Calls a global server function by name.
+     * @param {string} name - Function name
+     * @param {...*} args - Arguments
+     * @return {*} Return value
+     */
+    call(name, ...args) {
+      const fn = sandbox.run(name);
+      if (typeof fn !== 'function') {
+        throw new Error(`${name} is not a function in the server sandbox`);
+      }
+      return fn(...args);
+    },
+
+    /**
+     * Copies a sandbox value into this realm so assert.deepStrictEqual can
+     * compare it (objects created in the vm have different prototypes).
+     * @param {*} value - Sandbox value
+     * @return {*} Host-realm copy
+     */
+    plain(value) {
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
+
+    /**
+     * @param {string} name - Sheet name
+     * @return {FakeSheet|null} Sheet from the fake spreadsheet
+     */
+    sheet(name) {
+      return gas.spreadsheet.getSheetByName(name);
+    },
+
+    /**
+     * Replaces the Staff sheet with the given users.
+     * @param {Array<Object>} users - Staff records
+     */
+    seedStaff(users) {
+      gas.spreadsheet.addSheet(sandbox.run('SHEET_NAMES.STAFF'), [STAFF_HEADERS].concat(users.map(user => [
+        user.name,
+        user.email,
+        user.role,
+        user.year === undefined ? 1 : user.year,
+        user.building || '',
+        user.summativeYear === true
+      ])));
+    },
+
+    /**
+     * Replaces the Settings sheet with the given data rows.
+     * @param {Array<Array>} rows - Data rows, columns A-G
+     */
+    seedSettings(rows) {
+      const header = ['Role', 'Year 1', 'Year 2', 'Year 3', 'Prob 1', 'Prob 2', 'Prob 3'];
+      gas.spreadsheet.addSheet(sandbox.run('SHEET_NAMES.SETTINGS'), [header].concat(rows));
+    },
+
+    /**
+     * Messages logged at the given level, for asserting on warnings/errors.
+     * @param {string} level - 'log', 'info', 'warn' or 'error'
+     * @return {Array<string>} Messages
+     */
+    messages(level) {
+      return logs.filter(entry => entry.level === level).map(entry => entry.message);
+    }
+  };
+
+  if (options.staff) sandbox.seedStaff(options.staff);
+  if (options.settingsRows) sandbox.seedSettings(options.settingsRows);
+  if (options.observationSheet) sandbox.call('setupObservationSheet');
+
+  return sandbox;
+}
+
+module.exports = { createSandbox, STAFF_HEADERS };